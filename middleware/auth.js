@@ -1,8 +1,10 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { resolveSubDriver } = require('../utils/subDrivers');
 
-// Verify JWT token
-const authenticateToken = async (req, res, next) => {
+// Verify JWT token. Sub-driver tokens are refused unless the route opts in
+// with authenticateDriverSession (see utils/subDrivers.js).
+const authenticate = ({ allowSubDriver }) => async (req, res, next) => {
   try {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
@@ -31,6 +33,25 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    if (decoded.subDriverId) {
+      const subDriver = resolveSubDriver(user, decoded);
+      if (!subDriver) {
+        return res.status(401).json({
+          status: 'error',
+          code: 'SUB_DRIVER_SESSION_REVOKED',
+          message: 'Sub-driver access has been revoked'
+        });
+      }
+      if (!allowSubDriver) {
+        return res.status(403).json({
+          status: 'error',
+          code: 'SUB_DRIVER_NOT_ALLOWED',
+          message: 'Sub-drivers cannot access this endpoint'
+        });
+      }
+      req.subDriver = subDriver;
+    }
+
     req.user = user;
     next();
   } catch (error) {
@@ -55,6 +76,12 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+const authenticateToken = authenticate({ allowSubDriver: false });
+
+// Accepts the fleet owner or one of their sub-drivers; req.user is the owner
+// and req.subDriver is set for sub-driver sessions
+const authenticateDriverSession = authenticate({ allowSubDriver: true });
+
 // Check if user is verified
 const requireVerification = (req, res, next) => {
   if (!req.user.isVerified) {
@@ -111,7 +138,8 @@ const optionalAuth = async (req, res, next) => {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
       const user = await User.findById(decoded.userId).select('-wallet.transactions');
       
-      if (user && user.isActive) {
+      // Sub-driver sessions never stand in for the owner's account
+      if (user && user.isActive && !decoded.subDriverId) {
         req.user = user;
       }
     }
@@ -125,6 +153,7 @@ const optionalAuth = async (req, res, next) => {
 
 module.exports = {
   authenticateToken,
+  authenticateDriverSession,
   requireVerification,
   requireRole,
   requireDriver,
@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+
+// Fee charged to a rider who cancels a ride in a given status.
+// fee = flat + percentOfFare% of the fare, capped at maxFee (all rupees).
+const feeRuleSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['accepted', 'arrived'],
+    required: true
+  },
+  flat: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  percentOfFare: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  // null = no cap
+  maxFee: {
+    type: Number,
+    default: null,
+    min: 0
+  }
+}, { _id: false });
+
+// Cancellation rules for a city and vehicle type (see utils/cancellationPolicy.js).
+// vehicleType 'all' is the city-wide fallback; city 'default' applies everywhere else.
+const cancellationPolicySchema = new mongoose.Schema({
+  city: {
+    type: String,
+    default: 'default',
+    lowercase: true,
+    trim: true
+  },
+  vehicleType: {
+    type: String,
+    enum: ['Bike', 'Auto', 'Car', 'Truck', 'all'],
+    default: 'all'
+  },
+  rider: {
+    // Free cancellation for this long after a driver accepts
+    graceMinutes: {
+      type: Number,
+      default: 2,
+      min: 0
+    },
+    feeRules: {
+      type: [feeRuleSchema],
+      default: () => [
+        { status: 'accepted', percentOfFare: 10, maxFee: 50 },
+        { status: 'arrived', percentOfFare: 10, maxFee: 50 }
+      ]
+    },
+    // No fee if the driver is still this far from the pickup (km, null = off)
+    waiveIfDriverBeyondKm: {
+      type: Number,
+      default: 3,
+      min: 0
+    },
+    // Share of the fee paid on to the driver as compensation
+    driverSharePercent: {
+      type: Number,
+      default: 80,
+      min: 0,
+      max: 100
+    }
+  },
+  driver: {
+    graceMinutes: {
+      type: Number,
+      default: 1,
+      min: 0
+    },
+    // Strikes for cancelling after the grace window
+    strikes: {
+      accepted: { type: Number, default: 1, min: 0 },
+      arrived: { type: Number, default: 2, min: 0 }
+    },
+    // Penalty held back from the driver's earnings (rupees)
+    penalty: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  },
+  // Strikes within strikeWindowDays that trigger the consequence:
+  // riders lose the grace window, drivers are suspended for suspensionHours
+  maxStrikes: {
+    type: Number,
+    default: 3,
+    min: 1
+  },
+  strikeWindowDays: {
+    type: Number,
+    default: 7,
+    min: 1
+  },
+  suspensionHours: {
+    type: Number,
+    default: 24,
+    min: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  notes: String,
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+cancellationPolicySchema.index({ city: 1, vehicleType: 1 }, { unique: true });
+
+// Fee rule for the status a ride was cancelled in, if any
+cancellationPolicySchema.methods.findFeeRule = function(status) {
+  return this.rider.feeRules.find((rule) => rule.status === status) || null;
+};
+
+cancellationPolicySchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('CancellationPolicy', cancellationPolicySchema);
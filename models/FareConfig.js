@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+
+// One rate card per vehicle type / service type. Amounts are in rupees.
+const rateCardSchema = new mongoose.Schema({
+  vehicleType: {
+    type: String,
+    enum: ['Bike', 'Auto', 'Car', 'Truck'],
+    required: true
+  },
+  serviceType: {
+    type: String,
+    enum: ['ride', 'delivery', 'intercity', 'rental'],
+    default: 'ride'
+  },
+  baseFare: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  perKm: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  perMinute: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  minimumFare: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Charged per minute the driver waits at pickup beyond the free minutes
+  waitingChargePerMinute: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  freeWaitingMinutes: {
+    type: Number,
+    default: 3,
+    min: 0
+  },
+  nightMultiplier: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  // Platform's share of the fare (null = PLATFORM_COMMISSION_PERCENT)
+  commissionPercent: {
+    type: Number,
+    default: null,
+    min: 0,
+    max: 100
+  }
+}, { _id: false });
+
+// Versioned fare table for a city. Admins create drafts, preview them and
+// activate one version per city (see utils/fareEngine.js).
+const fareConfigSchema = new mongoose.Schema({
+  city: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    default: 'default'
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'active', 'archived'],
+    default: 'draft'
+  },
+  rateCards: {
+    type: [rateCardSchema],
+    validate: {
+      validator: function(cards) {
+        const keys = cards.map((card) => `${card.vehicleType}|${card.serviceType}`);
+        return cards.length > 0 && new Set(keys).size === keys.length;
+      },
+      message: 'rateCards must be non-empty with one card per vehicle type and service type'
+    }
+  },
+  // Local hours during which the night multiplier applies (start inclusive, end exclusive)
+  nightHours: {
+    start: {
+      type: Number,
+      default: 22,
+      min: 0,
+      max: 23
+    },
+    end: {
+      type: Number,
+      default: 6,
+      min: 0,
+      max: 23
+    }
+  },
+  timezone: {
+    type: String,
+    default: 'Asia/Kolkata'
+  },
+  notes: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  activatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  activatedAt: Date
+}, {
+  timestamps: true
+});
+
+fareConfigSchema.index({ city: 1, version: 1 }, { unique: true });
+// At most one active version per city
+fareConfigSchema.index({ city: 1 }, { unique: true, partialFilterExpression: { status: 'active' } });
+
+// Rate card for a vehicle / service type, falling back to the vehicle's ride card
+fareConfigSchema.methods.findRateCard = function(vehicleType, serviceType = 'ride') {
+  const service = String(serviceType).toLowerCase();
+  return this.rateCards.find((card) => card.vehicleType === vehicleType && card.serviceType === service) ||
+    this.rateCards.find((card) => card.vehicleType === vehicleType && card.serviceType === 'ride') ||
+    null;
+};
+
+// Whether a moment falls inside this config's night hours
+fareConfigSchema.methods.isNightTime = function(at = new Date()) {
+  const hour = parseInt(new Intl.DateTimeFormat('en-GB', {
+    hour: 'numeric',
+    hourCycle: 'h23',
+    timeZone: this.timezone
+  }).format(at), 10);
+  const { start, end } = this.nightHours;
+  if (start === end) return false;
+  return start < end ? hour >= start && hour < end : hour >= start || hour < end;
+};
+
+fareConfigSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('FareConfig', fareConfigSchema);
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+// Tax invoice for a completed ride or delivery. Amounts are in paise and
+// the document is a snapshot: it does not change if the ride does.
+const invoiceSchema = new mongoose.Schema({
+  // e.g. IU/26-27/000042, sequential within the financial year
+  invoiceNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  financialYear: {
+    type: String,
+    required: true
+  },
+  sequence: {
+    type: Number,
+    required: true
+  },
+  ride: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride',
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  serviceType: String,
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  supplier: {
+    name: String,
+    gstin: String,
+    address: String,
+    state: String
+  },
+  billTo: {
+    name: String,
+    email: String,
+    phone: String,
+    businessName: String,
+    gstin: String,
+    address: String
+  },
+  trip: {
+    pickup: String,
+    destination: String,
+    distanceKm: Number,
+    durationMinutes: Number,
+    vehicleType: String,
+    driverName: String,
+    vehicleNumber: String,
+    startedAt: Date,
+    endedAt: Date
+  },
+  // Fare components; they add up to the gross fare (GST inclusive)
+  lineItems: [{
+    code: String,
+    description: String,
+    amount: Number
+  }],
+  grossFare: Number,
+  discount: {
+    type: Number,
+    default: 0
+  },
+  // Platform fee included in the fare
+  platformFee: {
+    type: Number,
+    default: 0
+  },
+  taxableValue: Number,
+  gst: {
+    rate: Number,
+    sacCode: String,
+    cgst: Number,
+    sgst: Number,
+    igst: Number,
+    total: Number
+  },
+  total: Number,
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  payment: {
+    method: String,
+    status: String,
+    reference: String
+  },
+  emailedAt: Date
+}, {
+  timestamps: true
+});
+
+invoiceSchema.index({ user: 1, issuedAt: -1 });
+invoiceSchema.index({ financialYear: 1, sequence: 1 }, { unique: true });
+
+invoiceSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
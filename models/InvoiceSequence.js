@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Last invoice number issued in a financial year (see utils/invoices.js)
+const invoiceSequenceSchema = new mongoose.Schema({
+  // Financial year, e.g. '2026-27'
+  financialYear: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('InvoiceSequence', invoiceSequenceSchema);
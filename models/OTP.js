@@ -2,9 +2,12 @@ const mongoose = require("mongoose");
 
 const otpSchema = new mongoose.Schema(
   {
+    // Sub-driver logins are keyed on the phone number instead
     email: {
       type: String,
-      required: true,
+      required: function () {
+        return !this.phone;
+      },
       lowercase: true,
     },
     phone: {
@@ -22,7 +25,7 @@ const otpSchema = new mongoose.Schema(
     },
     type: {
       type: String,
-      enum: ["signup", "login", "reset_password", "verify_phone"],
+      enum: ["signup", "login", "reset_password", "verify_phone", "sub_driver_login"],
       required: true,
     },
     isUsed: {
@@ -48,6 +51,7 @@ const otpSchema = new mongoose.Schema(
 // Index for cleanup
 otpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 otpSchema.index({ email: 1, type: 1 });
+otpSchema.index({ phone: 1, type: 1 });
 
 // Method to verify OTP
 otpSchema.methods.verifyOTP = function (inputOTP) {
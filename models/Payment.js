@@ -13,7 +13,7 @@ const paymentSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['ride', 'wallet_topup', 'refund', 'bonus', 'referral', 'withdrawal'],
+    enum: ['ride', 'tip', 'wallet_topup', 'refund', 'bonus', 'referral', 'withdrawal'],
     required: true
   },
   amount: {
@@ -32,7 +32,7 @@ const paymentSchema = new mongoose.Schema({
   },
   method: {
     type: String,
-    enum: ['cash', 'card', 'upi', 'wallet', 'razorpay', 'netbanking'],
+    enum: ['cash', 'card', 'upi', 'wallet', 'razorpay', 'netbanking', 'bank_transfer'],
     required: true
   },
   // Razorpay specific fields
@@ -74,6 +74,20 @@ const paymentSchema = new mongoose.Schema({
     reason: String,
     processedAt: Date
   },
+  // Automatic retries (refund payments)
+  retry: {
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    lastAttemptAt: Date,
+    nextAttemptAt: Date,
+    // Gave up after the last allowed attempt; needs an admin
+    exhausted: {
+      type: Boolean,
+      default: false
+    }
+  },
   // Fee breakdown
   fees: {
     platformFee: {
@@ -115,20 +129,34 @@ paymentSchema.index({ ride: 1 });
 paymentSchema.index({ status: 1 });
 paymentSchema.index({ 'razorpay.paymentId': 1 });
 paymentSchema.index({ 'razorpay.orderId': 1 });
+// One refund payment per original payment
+paymentSchema.index(
+  { 'refund.originalPaymentId': 1 },
+  { unique: true, partialFilterExpression: { type: 'refund' } }
+);
+paymentSchema.index({ type: 1, status: 1, 'retry.nextAttemptAt': 1 });
+paymentSchema.index({ 'refund.refundId': 1 });
 
 // Virtual for net amount (after fees)
 paymentSchema.virtual('netAmount').get(function() {
   return this.amount - (this.fees.platformFee + this.fees.processingFee + this.fees.gst);
 });
 
-// Method to calculate fees
-paymentSchema.methods.calculateFees = function() {
+// Method to calculate fees. Pass a ride settlement (paise) to take the
+// platform commission and its GST from it instead of the flat rates.
+paymentSchema.methods.calculateFees = function(settlement = null) {
   const platformFeeRate = 0.05; // 5% platform fee
   const processingFeeRate = 0.02; // 2% processing fee
   const gstRate = 0.18; // 18% GST
   
-  this.fees.platformFee = Math.round(this.amount * platformFeeRate * 100) / 100;
   this.fees.processingFee = Math.round(this.amount * processingFeeRate * 100) / 100;
+  if (settlement) {
+    this.fees.platformFee = settlement.commission / 100;
+    this.fees.gst = settlement.taxes / 100;
+    return this;
+  }
+
+  this.fees.platformFee = Math.round(this.amount * platformFeeRate * 100) / 100;
   this.fees.gst = Math.round((this.fees.platformFee + this.fees.processingFee) * gstRate * 100) / 100;
   
   return this;
@@ -162,14 +190,12 @@ paymentSchema.methods.markFailed = function(error) {
   return this.save();
 };
 
-// Method to process refund
+// Method to process refund (adds to anything refunded before)
 paymentSchema.methods.processRefund = function(refundAmount, reason) {
   this.status = 'refunded';
-  this.refund = {
-    refundAmount,
-    reason,
-    processedAt: new Date()
-  };
+  this.set('refund.refundAmount', (this.refund?.refundAmount || 0) + refundAmount);
+  this.set('refund.reason', reason);
+  this.set('refund.processedAt', new Date());
   
   return this.save();
 };
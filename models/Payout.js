@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// Driver payout (withdrawal of earnings to a bank account). Amounts in paise.
+const payoutSchema = new mongoose.Schema({
+  driver: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'processing', 'paid', 'failed', 'rejected'],
+    default: 'requested'
+  },
+  // True while the payout is requested, approved or processing; a driver has at most one open payout
+  open: {
+    type: Boolean,
+    default: true
+  },
+  // Where the money was sent (account number masked)
+  bankAccount: {
+    accountHolderName: String,
+    accountNumberLast4: String,
+    ifscCode: String,
+    bankName: String
+  },
+  provider: String,
+  providerReference: String,
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  approvedAt: Date,
+  processedAt: Date,
+  paidAt: Date,
+  failedAt: Date,
+  failureReason: String,
+  rejectionReason: String,
+  // Payment record (type 'withdrawal') written once the payout is paid
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    default: null
+  },
+  statusHistory: [{
+    status: String,
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    note: String
+  }]
+}, {
+  timestamps: true
+});
+
+payoutSchema.index({ driver: 1, createdAt: -1 });
+payoutSchema.index({ status: 1, createdAt: 1 });
+// Concurrent withdrawal requests cannot both be queued
+payoutSchema.index({ driver: 1 }, { unique: true, partialFilterExpression: { open: true } });
+
+payoutSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Payout', payoutSchema);
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+// Promo / coupon code. Flat amounts, caps and minimum fares are in rupees.
+const promoSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  description: String,
+  discountType: {
+    type: String,
+    enum: ['percentage', 'flat'],
+    required: true
+  },
+  // Percent off for percentage promos, rupees off for flat promos
+  discountValue: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Largest discount a percentage promo can give (rupees, null = no cap)
+  maxDiscount: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  // Smallest fare the promo applies to (rupees)
+  minFare: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  validFrom: {
+    type: Date,
+    default: Date.now
+  },
+  validUntil: {
+    type: Date,
+    default: null
+  },
+  // Total redemptions allowed across all users (null = unlimited)
+  usageLimit: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  perUserLimit: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  // Active redemptions (reversed ones are given back)
+  usedCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  firstRideOnly: {
+    type: Boolean,
+    default: false
+  },
+  // Empty = every vehicle / service type
+  vehicleTypes: [{
+    type: String,
+    enum: ['Bike', 'Auto', 'Car', 'Truck']
+  }],
+  serviceTypes: [{
+    type: String,
+    enum: ['ride', 'delivery', 'intercity', 'rental']
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+promoSchema.index({ isActive: 1, validUntil: 1 });
+
+promoSchema.path('discountValue').validate(function(value) {
+  return this.discountType !== 'percentage' || value <= 100;
+}, 'Percentage discounts cannot exceed 100');
+
+// Discount in paise for a fare in paise
+promoSchema.methods.computeDiscount = function(farePaise) {
+  let discount = this.discountType === 'percentage'
+    ? Math.round(farePaise * this.discountValue / 100)
+    : Math.round(this.discountValue * 100);
+
+  if (this.discountType === 'percentage' && this.maxDiscount !== null && this.maxDiscount !== undefined) {
+    discount = Math.min(discount, Math.round(this.maxDiscount * 100));
+  }
+
+  return Math.max(0, Math.min(discount, farePaise));
+};
+
+promoSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Promo', promoSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// One promo use on one ride. Reversed when the ride is cancelled.
+const promoRedemptionSchema = new mongoose.Schema({
+  promo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promo',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  ride: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride',
+    required: true
+  },
+  // Discount given, in paise
+  discount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Which of the user's allowed uses this is (1..perUserLimit)
+  slot: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['redeemed', 'reversed'],
+    default: 'redeemed'
+  },
+  reversedAt: Date,
+  reversalReason: String
+}, {
+  timestamps: true
+});
+
+// A ride carries at most one promo
+promoRedemptionSchema.index({ ride: 1 }, { unique: true });
+// Concurrent bookings cannot take the same per-user slot twice
+promoRedemptionSchema.index(
+  { promo: 1, user: 1, slot: 1 },
+  { unique: true, partialFilterExpression: { status: 'redeemed' } }
+);
+promoRedemptionSchema.index({ promo: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PromoRedemption', promoRedemptionSchema);
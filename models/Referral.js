@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+// Reward credited to one side of a referral
+const rewardSchema = new mongoose.Schema({
+  // Paise
+  amount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'credited', 'capped', 'none'],
+    default: 'pending'
+  },
+  creditedAt: Date
+}, { _id: false });
+
+// One referred signup and its progress towards the rewards
+// (see utils/referrals.js). Terms are copied from the campaign at signup.
+const referralSchema = new mongoose.Schema({
+  referrer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  referee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  program: {
+    type: String,
+    enum: ['rider', 'driver'],
+    required: true
+  },
+  // null when the program defaults applied
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReferralCampaign',
+    default: null
+  },
+  code: String,
+  qualifyingRides: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Paise
+  minFare: {
+    type: Number,
+    default: 0
+  },
+  // Completed rides that counted, so a ride is never counted twice
+  countedRides: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride'
+  }],
+  status: {
+    type: String,
+    enum: ['pending', 'qualified', 'blocked'],
+    default: 'pending'
+  },
+  blockedReason: {
+    type: String,
+    enum: ['self_referral_phone', 'self_referral_device', 'self_referral_account', null],
+    default: null
+  },
+  rewards: {
+    referrer: {
+      type: rewardSchema,
+      default: () => ({})
+    },
+    referee: {
+      type: rewardSchema,
+      default: () => ({})
+    }
+  },
+  firstRideAt: Date,
+  qualifiedAt: Date
+}, {
+  timestamps: true
+});
+
+// An account can only be referred once
+referralSchema.index({ referee: 1 }, { unique: true });
+referralSchema.index({ referrer: 1, createdAt: -1 });
+referralSchema.index({ program: 1, campaign: 1, createdAt: -1 });
+
+referralSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Referral', referralSchema);
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// Referral rewards for a program over a period (see utils/referrals.js).
+// Reward amounts and the minimum fare are in rupees.
+const referralCampaignSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  // Riders referring riders, or drivers referring drivers
+  program: {
+    type: String,
+    enum: ['rider', 'driver'],
+    required: true
+  },
+  referrerReward: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  refereeReward: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Completed rides (taken by riders, driven by drivers) that unlock the rewards
+  qualifyingRides: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  // Rides below this fare do not count (rupees)
+  minFare: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Rewarded referrals per referrer (null = REFERRAL_MAX_REWARDS_PER_REFERRER)
+  maxRewardsPerReferrer: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  validFrom: {
+    type: Date,
+    default: Date.now
+  },
+  validUntil: {
+    type: Date,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+referralCampaignSchema.index({ program: 1, isActive: 1, validFrom: -1 });
+
+referralCampaignSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('ReferralCampaign', referralCampaignSchema);
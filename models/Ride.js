@@ -1,4 +1,20 @@
 const mongoose = require('mongoose');
+const {
+  RIDE_STATUSES,
+  ACTORS,
+  ERROR_CODES,
+  createTransitionError,
+  applyTransition,
+  buildAtomicTransition
+} = require('../utils/rideStateMachine');
+
+// An image kept by the document storage backend (see utils/documentStorage.js)
+const deliveryProofFileSchema = new mongoose.Schema({
+  storage: String,
+  storageKey: String,
+  mimeType: String,
+  size: Number
+}, { _id: false });
 
 const rideSchema = new mongoose.Schema({
   user: {
@@ -20,6 +36,27 @@ const rideSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  // Driver offers made by the dispatch engine (see utils/dispatch.js)
+  dispatch: {
+    startedAt: Date,
+    exhaustedAt: Date,
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    offeredDrivers: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    currentOffer: {
+      drivers: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }],
+      offeredAt: Date,
+      expiresAt: Date
+    }
+  },
   rideType: {
     type: String,
     enum: ['bike', 'auto', 'car', 'truck', 'delivery', 'Bike', 'Auto', 'Car', 'Truck', 'Delivery'],
@@ -30,11 +67,44 @@ const rideSchema = new mongoose.Schema({
     enum: ['ride', 'delivery', 'intercity', 'rental', 'Ride', 'Delivery', 'Intercity', 'Rental'],
     default: 'ride'
   },
+  // City whose fare config priced the ride (see utils/fareEngine.js)
+  city: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
   status: {
     type: String,
-    enum: ['pending', 'searching', 'accepted', 'arrived', 'started', 'completed', 'cancelled'],
+    enum: RIDE_STATUSES,
     default: 'pending'
   },
+  // Audit trail of every status transition (see utils/rideStateMachine.js)
+  statusHistory: [{
+    from: String,
+    to: {
+      type: String,
+      enum: RIDE_STATUSES
+    },
+    actor: {
+      type: String,
+      enum: ACTORS
+    },
+    // User id for user/driver/admin, sub-driver entry id for sub-drivers
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    location: {
+      type: [Number], // [longitude, latitude]
+      default: undefined
+    },
+    reason: String,
+    timestamp: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   // Location details
   pickup: {
     address: {
@@ -85,14 +155,47 @@ const rideSchema = new mongoose.Schema({
       default: 0
     },
     polyline: String, // Google Maps polyline
+    // Intermediate stops, in order, before the final destination (see utils/rideStops.js)
     waypoints: [{
+      sequence: Number,
       address: String,
       coordinates: {
-        type: [Number]
-      }
+        type: [Number] // [longitude, latitude]
+      },
+      landmark: String,
+      instructions: String,
+      status: {
+        type: String,
+        enum: ['pending', 'arrived', 'completed'],
+        default: 'pending'
+      },
+      arrivedAt: Date,
+      completedAt: Date,
+      // Leg ending at this stop
+      distanceFromPrevious: Number,
+      durationFromPrevious: Number,
+      // Delivery drops: who receives the parcel and the OTP they share with the driver
+      recipient: {
+        name: String,
+        phone: String
+      },
+      // Only an HMAC of the drop OTP is kept (see utils/rideStops.js)
+      otpHash: String,
+      otpExpiresAt: Date,
+      otpAttempts: {
+        type: Number,
+        default: 0
+      },
+      otpLockedUntil: Date,
+      otpVerifiedAt: Date
+    }],
+    // Per-leg distance/duration: pickup -> stop 1 -> ... -> destination
+    legs: [{
+      distance: Number,
+      duration: Number
     }]
   },
-  // Pricing
+  // Pricing (all amounts in paise)
   pricing: {
     baseFare: {
       type: Number,
@@ -110,6 +213,39 @@ const rideSchema = new mongoose.Schema({
       type: Number,
       default: 1
     },
+    nightMultiplier: {
+      type: Number,
+      default: 1
+    },
+    minimumFare: {
+      type: Number,
+      default: 0
+    },
+    // Added at completion for time the driver waited at pickup
+    waitingCharge: {
+      type: Number,
+      default: 0
+    },
+    // Deliveries: heavy and bulky parcel surcharges and declared-value
+    // insurance, added after surge (see utils/parcelPricing.js)
+    weightSurcharge: {
+      type: Number,
+      default: 0
+    },
+    sizeSurcharge: {
+      type: Number,
+      default: 0
+    },
+    insuranceFee: {
+      type: Number,
+      default: 0
+    },
+    // Locked surge quote the booking was priced with (see utils/surge.js)
+    surgeQuote: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SurgeQuote',
+      default: null
+    },
     totalFare: {
       type: Number,
       required: true
@@ -121,6 +257,32 @@ const rideSchema = new mongoose.Schema({
     finalAmount: {
       type: Number,
       required: true
+    },
+    // Fare config version the ride was priced with (version 0 = built-in rates)
+    rateCard: {
+      config: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'FareConfig',
+        default: null
+      },
+      city: String,
+      version: Number
+    },
+    // Rupee breakdown shown to the rider
+    breakdown: mongoose.Schema.Types.Mixed
+  },
+  // Promo code redeemed at booking (see utils/promos.js)
+  promo: {
+    promo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Promo',
+      default: null
+    },
+    code: String,
+    redemption: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PromoRedemption',
+      default: null
     }
   },
   // Timing
@@ -128,6 +290,21 @@ const rideSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Scheduler bookkeeping for future bookings (see utils/rideScheduler.js)
+  schedule: {
+    dispatchAt: Date,
+    cancelAt: Date,
+    remindersSent: [Number], // minutes-before-pickup already notified
+    rescheduleCount: {
+      type: Number,
+      default: 0
+    }
+  },
+  // When a driver accepted the ride (see utils/rideStateMachine.js)
+  acceptedAt: {
+    type: Date,
+    default: null
+  },
   actualPickupTime: {
     type: Date,
     default: null
@@ -155,7 +332,87 @@ const rideSchema = new mongoose.Schema({
     razorpayOrderId: String,
     razorpayPaymentId: String,
     razorpaySignature: String,
-    transactionId: String
+    transactionId: String,
+    // Paise the rider still owes for the completed ride (see utils/ridePayments.js)
+    amountDue: {
+      type: Number,
+      default: 0
+    },
+    dueSince: Date,
+    paidAt: Date,
+    // Cash rides: the driver's confirmation that the rider paid them
+    cashConfirmation: {
+      collected: Boolean,
+      confirmedAt: Date,
+      confirmedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    }
+  },
+  // How the fare was split when the ride completed (paise, see utils/settlement.js)
+  settlement: {
+    grossFare: Number,
+    discount: Number,
+    riderPaid: Number,
+    // Parcel insurance premium, kept by the platform outside the driver's fare
+    insuranceFee: Number,
+    commissionPercent: Number,
+    commission: Number,
+    commissionTaxPercent: Number,
+    taxes: Number,
+    incentives: {
+      type: Number,
+      default: 0
+    },
+    tips: {
+      type: Number,
+      default: 0
+    },
+    driverNet: Number,
+    // Who took the rider's money: the driver on cash rides, otherwise the platform
+    collectedBy: {
+      type: String,
+      enum: ['platform', 'driver']
+    },
+    cashCollected: Number,
+    // Cash the driver holds beyond their net, netted off their payouts
+    driverOwes: Number,
+    platformOwes: Number,
+    // Sub-driver rides: the sub-driver's percentage of the net (tips aside)
+    // agreed with the fleet owner when the ride settled (see utils/fleet.js)
+    subDriverSharePercent: Number,
+    settledAt: Date,
+    // Set once the settlement has been added to the driver's earnings
+    recordedAt: Date
+  },
+  // Rider's tip after the ride (paise, see utils/tips.js). Paid tips are
+  // also added to settlement.tips and the driver's net.
+  tip: {
+    amount: Number,
+    method: {
+      type: String,
+      enum: ['wallet', 'upi', 'card']
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'completed', 'failed']
+    },
+    message: {
+      type: String,
+      maxlength: 200
+    },
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    },
+    // Sub-driver entry that completed the ride, if any
+    subDriver: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    requestedAt: Date,
+    paidAt: Date
   },
   // Ratings and feedback
   rating: {
@@ -194,21 +451,58 @@ const rideSchema = new mongoose.Schema({
   delivery: {
     itemType: String,
     itemDescription: String,
-    itemWeight: Number,
+    itemWeight: Number, // kg
+    // Parcel size and declared value (rupees) it was priced with (see utils/parcelPricing.js)
+    sizeClass: {
+      type: String,
+      enum: ['small', 'medium', 'large', 'extra_large']
+    },
+    dimensions: {
+      length: Number, // cm
+      width: Number,
+      height: Number
+    },
     itemValue: Number,
+    insured: {
+      type: Boolean,
+      default: false
+    },
     recipientName: String,
     recipientPhone: String,
     deliveryInstructions: String,
     requiresSignature: {
       type: Boolean,
       default: false
+    },
+    // Evidence captured at handover (see utils/deliveryProof.js)
+    proof: {
+      photo: deliveryProofFileSchema,
+      signature: deliveryProofFileSchema,
+      recipientName: String,
+      location: {
+        coordinates: {
+          type: [Number], // [longitude, latitude]
+          default: undefined
+        },
+        accuracy: Number // metres
+      },
+      capturedAt: Date,
+      capturedBy: {
+        type: String,
+        enum: ACTORS
+      },
+      // User id for the driver, sub-driver entry id for sub-drivers
+      capturedById: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+      }
     }
   },
   // Cancellation
   cancellation: {
     cancelledBy: {
       type: String,
-      enum: ['user', 'driver', 'system']
+      enum: ['user', 'driver', 'system', 'admin']
     },
     reason: String,
     cancellationFee: {
@@ -219,6 +513,32 @@ const rideSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    // How the fee is shared out (paise), see utils/cancellationPolicy.js
+    feeSplit: {
+      driver: { type: Number, default: 0 },
+      platform: { type: Number, default: 0 }
+    },
+    strikes: {
+      type: Number,
+      default: 0
+    },
+    // Held back from the driver's earnings for a late driver cancellation (paise)
+    driverPenalty: {
+      type: Number,
+      default: 0
+    },
+    waivedReason: String,
+    minutesSinceAcceptance: Number,
+    driverDistanceKm: Number,
+    policy: {
+      policy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CancellationPolicy',
+        default: null
+      },
+      city: String,
+      vehicleType: String
+    },
     cancelledAt: Date
   },
   // Tracking
@@ -247,14 +567,26 @@ const rideSchema = new mongoose.Schema({
     reportedAt: Date,
     resolvedAt: Date
   },
-  // OTP Verification for pickup
-  verificationOtp: {
-    type: String,
-    default: null
-  },
-  otpGeneratedAt: {
-    type: Date,
-    default: null
+  // OTP the driver needs from the rider to start the ride, or from the
+  // recipient to hand over a delivery. Generated on acceptance and only
+  // stored hashed (see utils/handoverOtp.js).
+  handoverOtp: {
+    hash: {
+      type: String,
+      select: false
+    },
+    purpose: {
+      type: String,
+      enum: ['start', 'handover']
+    },
+    issuedAt: Date,
+    expiresAt: Date,
+    // Wrong codes since the last lockout
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    lockedUntil: Date
   },
   otpVerified: {
     type: Boolean,
@@ -273,9 +605,13 @@ rideSchema.index({ user: 1, createdAt: -1 });
 rideSchema.index({ driver: 1, createdAt: -1 });
 rideSchema.index({ subDriver: 1, createdAt: -1 });
 rideSchema.index({ status: 1 });
+rideSchema.index({ status: 1, 'dispatch.currentOffer.drivers': 1 });
 rideSchema.index({ 'pickup.coordinates': '2dsphere' });
 rideSchema.index({ 'destination.coordinates': '2dsphere' });
 rideSchema.index({ createdAt: -1 });
+rideSchema.index({ status: 1, scheduledTime: 1 });
+// Outstanding dues lookup when a rider books
+rideSchema.index({ user: 1, 'payment.amountDue': 1 });
 
 // Virtual for ride duration
 rideSchema.virtual('rideDuration').get(function() {
@@ -287,34 +623,50 @@ rideSchema.virtual('rideDuration').get(function() {
 
 // Method to calculate fare
 rideSchema.methods.calculateFare = function() {
-  const { baseFare, distanceFare, timeFare, surgeMultiplier } = this.pricing;
-  const total = (baseFare + distanceFare + timeFare) * surgeMultiplier;
-  this.pricing.totalFare = Math.round(total * 100) / 100;
+  const { baseFare, distanceFare, timeFare, surgeMultiplier, nightMultiplier, minimumFare, waitingCharge } = this.pricing;
+  const { weightSurcharge, sizeSurcharge, insuranceFee } = this.pricing;
+  const fare = Math.max(Math.round((baseFare + distanceFare + timeFare) * (nightMultiplier || 1) * surgeMultiplier), minimumFare || 0);
+  this.pricing.totalFare = fare + (waitingCharge || 0) + (weightSurcharge || 0) + (sizeSurcharge || 0) + (insuranceFee || 0);
   this.pricing.finalAmount = Math.max(0, this.pricing.totalFare - this.pricing.discount);
   return this.pricing.finalAmount;
 };
 
-// Method to update status
-rideSchema.methods.updateStatus = function(newStatus) {
-  this.status = newStatus;
-  
-  // Update timestamps based on status
-  const now = new Date();
-  switch (newStatus) {
-    case 'accepted':
-      this.actualPickupTime = now;
-      break;
-    case 'started':
-      this.actualStartTime = now;
-      break;
-    case 'completed':
-      this.actualEndTime = now;
-      break;
-  }
-  
+// Method to update status (validated by the ride state machine)
+// context: { actor, actorId, location, reason }
+rideSchema.methods.updateStatus = function(newStatus, context = {}) {
+  applyTransition(this, newStatus, context);
   return this.save();
 };
 
+// Complete a started ride with a conditional update, so two completion
+// requests cannot both settle it. Throws a transition error when the ride
+// is no longer in progress. The caller settles and saves the ride.
+rideSchema.methods.completeAtomically = async function(context = {}) {
+  // Checks the actor and pending stops without touching this document
+  applyTransition({ status: this.status, route: this.route }, 'completed', context);
+
+  const transition = buildAtomicTransition('completed', context);
+  const completed = await this.constructor.findOneAndUpdate(
+    { _id: this._id, ...transition.filter },
+    transition.update,
+    { new: true, projection: { status: 1, statusHistory: 1, actualEndTime: 1 } }
+  );
+  if (!completed) {
+    throw createTransitionError(
+      ERROR_CODES.INVALID_TRANSITION,
+      'Ride is no longer in progress',
+      { from: this.status, to: 'completed' }
+    );
+  }
+
+  // Already stored: keep them out of the next save
+  ['status', 'statusHistory', 'actualEndTime'].forEach((path) => {
+    this.set(path, completed.get(path));
+    this.unmarkModified(path);
+  });
+  return this;
+};
+
 // Method to add tracking location
 rideSchema.methods.addTrackingLocation = function(coordinates, speed = 0, heading = 0) {
   this.tracking.locations.push({
@@ -333,24 +685,79 @@ rideSchema.methods.addTrackingLocation = function(coordinates, speed = 0, headin
 };
 
 // Method to cancel ride
-rideSchema.methods.cancelRide = function(cancelledBy, reason, cancellationFee = 0) {
-  this.status = 'cancelled';
+// `assessment` is the cancellation policy outcome (fee split, strikes, ...)
+rideSchema.methods.cancelRide = function(cancelledBy, reason, cancellationFee = 0, context = {}, assessment = {}) {
+  applyTransition(this, 'cancelled', { actor: cancelledBy, reason, ...context });
   this.cancellation = {
     cancelledBy,
     reason,
     cancellationFee,
     refundAmount: Math.max(0, this.pricing.finalAmount - cancellationFee),
+    feeSplit: assessment.feeSplit,
+    strikes: assessment.strikes || 0,
+    driverPenalty: assessment.penalty || 0,
+    waivedReason: assessment.waivedReason,
+    minutesSinceAcceptance: assessment.minutesSinceAcceptance,
+    driverDistanceKm: assessment.driverDistanceKm,
+    policy: assessment.policy,
     cancelledAt: new Date()
   };
   
   return this.save();
 };
 
+// Atomically cancel a ride nobody has accepted, on behalf of the platform.
+// Resolves to the cancelled ride, or null if it left `fromStatuses` (or got a driver) first.
+rideSchema.statics.cancelBySystem = function(rideId, reason, fromStatuses, extraSet = {}) {
+  const transition = buildAtomicTransition('cancelled', { actor: 'system', reason }, {
+    ...extraSet,
+    'cancellation.cancelledBy': 'system',
+    'cancellation.reason': { $literal: reason },
+    'cancellation.cancellationFee': 0,
+    'cancellation.refundAmount': '$pricing.finalAmount',
+    'cancellation.cancelledAt': new Date()
+  });
+
+  return this.findOneAndUpdate(
+    { _id: rideId, driver: null, $and: [transition.filter, { status: { $in: fromStatuses } }] },
+    transition.update,
+    { new: true }
+  ).then(async (ride) => {
+    if (ride?.promo?.redemption) {
+      const { reversePromoRedemption } = require('../utils/promos');
+      await reversePromoRedemption(ride, reason);
+    }
+    return ride;
+  });
+};
+
+// Free the driver's active-ride slot once the ride is over
+rideSchema.post('save', async function(doc) {
+  if (doc.driver && ['completed', 'cancelled'].includes(doc.status)) {
+    // Required lazily: utils/rideAcceptance depends on this model
+    const { releaseDriver } = require('../utils/rideAcceptance');
+    await releaseDriver(doc);
+  }
+});
+
+// Give the promo use back when a ride is cancelled
+rideSchema.post('save', async function(doc) {
+  if (doc.status === 'cancelled' && doc.promo?.redemption) {
+    // Required lazily: utils/promos depends on this model
+    const { reversePromoRedemption } = require('../utils/promos');
+    await reversePromoRedemption(doc, doc.cancellation?.reason);
+  }
+});
+
 // Transform JSON output
 rideSchema.set('toJSON', {
   virtuals: true,
   transform: function(doc, ret) {
     delete ret.__v;
+    if (ret.handoverOtp) delete ret.handoverOtp.hash;
+    (ret.route?.waypoints || []).forEach((stop) => {
+      delete stop.otpHash;
+    });
     return ret;
   }
 });
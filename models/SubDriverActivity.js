@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// What a sub-driver did while signed in, for the fleet owner's reports
+// (see utils/fleet.js): an 'online' session per connected socket, or an
+// 'offer' for each ride offer the fleet received while they were online.
+const subDriverActivitySchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Entry id in the owner's subDrivers
+  subDriver: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['online', 'offer'],
+    required: true
+  },
+  ride: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride',
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  // Online sessions: when the socket went away, and the last sign of life
+  // before that (used to close sessions left open by a restart)
+  endedAt: {
+    type: Date,
+    default: null
+  },
+  lastSeenAt: Date
+}, {
+  timestamps: true
+});
+
+subDriverActivitySchema.index({ owner: 1, type: 1, startedAt: 1 });
+subDriverActivitySchema.index({ type: 1, endedAt: 1 });
+
+module.exports = mongoose.model('SubDriverActivity', subDriverActivitySchema);
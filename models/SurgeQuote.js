@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// A surge multiplier quoted to a rider, honoured at booking until it expires
+// (see utils/surge.js)
+const surgeQuoteSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  cellId: {
+    type: String,
+    required: true
+  },
+  vehicleType: {
+    type: String,
+    enum: ['Bike', 'Auto', 'Car', 'Truck'],
+    required: true
+  },
+  multiplier: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Open requests vs. available drivers in the cell when the quote was made
+  demand: {
+    type: Number,
+    default: 0
+  },
+  supply: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Expired quotes are removed by MongoDB
+surgeQuoteSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Whether this quote can still price a booking for the given cell / vehicle / user
+surgeQuoteSchema.methods.isValidFor = function({ cellId, vehicleType, userId }) {
+  if (this.expiresAt <= new Date()) return false;
+  if (this.cellId !== cellId || this.vehicleType !== vehicleType) return false;
+  if (this.user && userId && this.user.toString() !== userId.toString()) return false;
+  return true;
+};
+
+module.exports = mongoose.model('SurgeQuote', surgeQuoteSchema);
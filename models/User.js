@@ -1,6 +1,35 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+// An uploaded KYC document and where it stands in admin review
+const driverDocumentSchema = new mongoose.Schema({
+  // Storage backend and key the file was saved under (see utils/documentStorage.js)
+  storage: String,
+  storageKey: String,
+  url: String,
+  mimeType: String,
+  number: {
+    type: String,
+    trim: true
+  },
+  expiryDate: {
+    type: Date,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  rejectionReason: String,
+  uploadedAt: Date,
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date
+}, { _id: false });
+
 const userSchema = new mongoose.Schema({
   fullName: {
     type: String,
@@ -102,6 +131,11 @@ const userSchema = new mongoose.Schema({
         default: [0, 0]
       }
     },
+    // When currentLocation was last reported (stale drivers do not count as supply)
+    locationUpdatedAt: {
+      type: Date,
+      default: null
+    },
     rating: {
       type: Number,
       default: 0,
@@ -112,15 +146,52 @@ const userSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    // Net earnings from completed rides (paise, see utils/settlement.js)
     totalEarnings: {
       type: Number,
       default: 0
     },
+    // Ride the main driver is currently on (see utils/rideAcceptance.js)
+    activeRide: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ride',
+      default: null
+    },
+    // Set when cancellation strikes reach the policy limit (see utils/cancellationPolicy.js)
+    suspendedUntil: {
+      type: Date,
+      default: null
+    },
+    // Offer history used by the dispatch engine to rank drivers
+    dispatchStats: {
+      offered: { type: Number, default: 0 },
+      accepted: { type: Number, default: 0 },
+      declined: { type: Number, default: 0 },
+      timedOut: { type: Number, default: 0 }
+    },
+    // KYC documents, reviewed by admins (see utils/driverDocuments.js)
     documents: {
-      license: String,
-      vehicleRC: String,
-      insurance: String,
-      pollution: String
+      license: driverDocumentSchema,
+      vehicleRC: driverDocumentSchema,
+      insurance: driverDocumentSchema,
+      pollution: driverDocumentSchema
+    },
+    // Expiry warnings already sent, one per document, expiry date and threshold
+    // (see utils/documentExpiry.js)
+    expiryNotices: [{
+      _id: false,
+      type: { type: String },
+      expiryDate: Date,
+      daysBefore: Number,
+      sentAt: Date
+    }],
+    // Fleet owners: sub-drivers' default percentage of ride earnings
+    // (null uses FLEET_SUB_DRIVER_SHARE_PERCENT, see utils/subDrivers.js)
+    subDriverSharePercent: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: null
     },
     bankDetails: {
       accountNumber: String,
@@ -140,6 +211,32 @@ const userSchema = new mongoose.Schema({
     isActive: {
       type: Boolean,
       default: true
+    },
+    // Ride this sub-driver is currently on (see utils/rideAcceptance.js)
+    activeRide: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ride',
+      default: null
+    },
+    // Last location reported from the sub-driver's own session
+    currentLocation: {
+      coordinates: {
+        type: [Number], // [longitude, latitude]
+        default: undefined
+      },
+      updatedAt: Date
+    },
+    // Bumped to sign the sub-driver out everywhere (see utils/subDrivers.js)
+    sessionVersion: {
+      type: Number,
+      default: 0
+    },
+    // Overrides the owner's subDriverSharePercent for this sub-driver
+    revenueSharePercent: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: null
     }
   }],
   // Referral system
@@ -153,16 +250,29 @@ const userSchema = new mongoose.Schema({
     ref: 'User',
     default: null
   },
+  // Rupees credited for referrals (see utils/referrals.js)
   referralEarnings: {
     type: Number,
     default: 0
   },
-  // Wallet and credits
+  // Device the account signed up from, used to spot self-referrals
+  deviceId: {
+    type: String,
+    default: null
+  },
+  // Wallet and credits. The balance (rupees) is a cache of the WalletLedger;
+  // post money through utils/walletLedger rather than writing it directly.
   wallet: {
     balance: {
       type: Number,
       default: 0
     },
+    // Sequence number of the ledger entry the cached balance reflects
+    ledgerSeq: {
+      type: Number,
+      default: 0
+    },
+    // Legacy history from before the ledger; no longer written
     transactions: [{
       type: {
         type: String,
@@ -181,6 +291,16 @@ const userSchema = new mongoose.Schema({
       }
     }]
   },
+  // Business details printed on tax invoices (see utils/invoices.js)
+  billing: {
+    businessName: String,
+    gstin: {
+      type: String,
+      uppercase: true,
+      trim: true
+    },
+    address: String
+  },
   // Emergency contacts
   emergencyContacts: [{
     name: String,
@@ -286,6 +406,7 @@ userSchema.methods.generateReferralCode = function() {
 // Method to update location
 userSchema.methods.updateLocation = function(longitude, latitude) {
   this.driverInfo.currentLocation.coordinates = [longitude, latitude];
+  this.driverInfo.locationUpdatedAt = new Date();
   return this.save();
 };
 
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+// Immutable double-entry wallet ledger (see utils/walletLedger.js).
+// Every posting writes a debit and a credit entry sharing one `key`.
+// Amounts are in paise.
+const walletLedgerSchema = new mongoose.Schema({
+  // Idempotency key of the posting, e.g. "topup:<paymentId>"
+  key: {
+    type: String,
+    required: true
+  },
+  entryType: {
+    type: String,
+    enum: ['debit', 'credit'],
+    required: true
+  },
+  // "wallet:<userId>" or a system account such as "system:gateway"
+  account: {
+    type: String,
+    required: true
+  },
+  // The other side of the posting
+  counterAccount: {
+    type: String,
+    required: true
+  },
+  // Wallet owner (wallet accounts only)
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Per-wallet sequence number and running balance (wallet accounts only)
+  seq: {
+    type: Number,
+    default: null
+  },
+  balanceAfter: {
+    type: Number,
+    default: null
+  },
+  type: {
+    type: String,
+    enum: ['opening_balance', 'topup', 'topup_refund', 'ride_payment', 'tip', 'refund', 'bonus', 'referral', 'withdrawal', 'adjustment', 'reversal'],
+    required: true
+  },
+  description: String,
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    default: null
+  },
+  ride: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride',
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// One debit and one credit per posting
+walletLedgerSchema.index({ key: 1, entryType: 1 }, { unique: true });
+// Serialises writes to a wallet: two postings cannot claim the same sequence number
+walletLedgerSchema.index(
+  { account: 1, seq: 1 },
+  { unique: true, partialFilterExpression: { seq: { $type: 'number' } } }
+);
+walletLedgerSchema.index({ user: 1, createdAt: -1 });
+walletLedgerSchema.index({ payment: 1 });
+walletLedgerSchema.index({ ride: 1 });
+
+// Entries are never changed or removed once written
+const rejectMutation = function(next) {
+  next(new Error('Wallet ledger entries are immutable'));
+};
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach((operation) => {
+  walletLedgerSchema.pre(operation, rejectMutation);
+});
+walletLedgerSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectMutation(next);
+  next();
+});
+
+walletLedgerSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('WalletLedger', walletLedgerSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Razorpay webhook deliveries, so a retried event is only applied once
+const webhookEventSchema = new mongoose.Schema({
+  // Razorpay's x-razorpay-event-id
+  eventId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'processed', 'ignored', 'failed'],
+    default: 'processing'
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    default: null
+  },
+  razorpay: {
+    orderId: String,
+    paymentId: String,
+    refundId: String
+  },
+  // What the handler did, or why the event was ignored
+  outcome: String,
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  processedAt: Date,
+  error: String
+}, {
+  timestamps: true
+});
+
+webhookEventSchema.index({ payment: 1, createdAt: -1 });
+webhookEventSchema.index({ status: 1, createdAt: -1 });
+
+webhookEventSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
@@ -3,8 +3,39 @@ const User = require('../models/User');
 const Ride = require('../models/Ride');
 const Payment = require('../models/Payment');
 const Notification = require('../models/Notification');
+const FareConfig = require('../models/FareConfig');
+const Promo = require('../models/Promo');
+const PromoRedemption = require('../models/PromoRedemption');
+const CancellationPolicy = require('../models/CancellationPolicy');
+const Payout = require('../models/Payout');
+const Referral = require('../models/Referral');
+const ReferralCampaign = require('../models/ReferralCampaign');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
-const { validatePagination } = require('../middleware/validation');
+const { validatePagination, validateObjectId } = require('../middleware/validation');
+const { priceWithConfig, quoteFare, invalidateFareConfigCache } = require('../utils/fareEngine');
+const { getRedemptionStats } = require('../utils/promos');
+const { getWalletStatement, reconcileWallets, isWalletError, sendWalletError } = require('../utils/walletLedger');
+const { attemptRefund } = require('../utils/refunds');
+const { invalidateCancellationPolicyCache } = require('../utils/cancellationPolicy');
+const { approvePayout, rejectPayout, reconcilePayouts, isPayoutError, sendPayoutError } = require('../utils/payouts');
+const { getReferralFunnel } = require('../utils/referrals');
+const {
+  DOCUMENT_TYPES,
+  getDocumentStatus,
+  readDriverDocument,
+  approveDriverDocument,
+  rejectDriverDocument,
+  getReviewQueue,
+  isDocumentError,
+  sendDocumentError
+} = require('../utils/driverDocuments');
+const { getExpiryReport } = require('../utils/documentExpiry');
+const {
+  deliveryProofView,
+  readDeliveryProofFile,
+  isDeliveryProofError,
+  sendDeliveryProofError
+} = require('../utils/deliveryProof');
 
 const router = express.Router();
 
@@ -249,6 +280,79 @@ router.get('/rides', authenticateToken, requireAdmin, validatePagination, async
   }
 });
 
+// A delivery's proof of delivery, for disputes
+router.get('/rides/:rideId/delivery-proof', authenticateToken, requireAdmin, validateObjectId('rideId'), async (req, res) => {
+  try {
+    const ride = await Ride.findById(req.params.rideId)
+      .select('user driver subDriver status serviceType delivery statusHistory')
+      .populate('user', 'fullName phone email')
+      .populate('driver', 'fullName phone subDrivers._id subDrivers.name subDrivers.phone');
+    if (!ride) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Ride not found'
+      });
+    }
+
+    const proof = deliveryProofView(ride, `${req.baseUrl}/rides/${ride._id}/delivery-proof`);
+    const subDriver = ride.subDriver
+      ? (ride.driver?.subDrivers || []).find((sd) => String(sd._id) === String(ride.subDriver))
+      : null;
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        rideId: ride._id,
+        status: ride.status,
+        sender: ride.user,
+        driver: ride.driver ? { _id: ride.driver._id, fullName: ride.driver.fullName, phone: ride.driver.phone } : null,
+        subDriver: subDriver ? { _id: subDriver._id, name: subDriver.name, phone: subDriver.phone } : null,
+        recipient: {
+          name: ride.delivery?.recipientName,
+          phone: ride.delivery?.recipientPhone
+        },
+        proof,
+        completion: (ride.statusHistory || []).filter((entry) => entry.to === 'completed').pop() || null
+      }
+    });
+
+  } catch (error) {
+    console.error('Get delivery proof error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get proof of delivery'
+    });
+  }
+});
+
+// View a delivery's drop-off photo or signature (kind: photo | signature)
+router.get('/rides/:rideId/delivery-proof/:kind', authenticateToken, requireAdmin, validateObjectId('rideId'), async (req, res) => {
+  try {
+    const ride = await Ride.findById(req.params.rideId).select('delivery');
+    if (!ride) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Ride not found'
+      });
+    }
+
+    const { buffer, mimeType } = await readDeliveryProofFile(ride, req.params.kind);
+    res.set('Content-Type', mimeType);
+    res.set('Cache-Control', 'private, no-store');
+    res.status(200).send(buffer);
+
+  } catch (error) {
+    if (isDeliveryProofError(error)) {
+      return sendDeliveryProofError(res, error);
+    }
+    console.error('Read delivery proof error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to read proof of delivery'
+    });
+  }
+});
+
 // Get all payments
 router.get('/payments', authenticateToken, requireAdmin, validatePagination, async (req, res) => {
   try {
@@ -399,6 +503,187 @@ router.patch('/drivers/:driverId/verify', authenticateToken, requireAdmin, async
   }
 });
 
+// Driver documents that have lapsed or expire within `days` (default 30)
+router.get('/documents/expiries', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const days = req.query.days === undefined ? 30 : parseInt(req.query.days);
+    const { type } = req.query;
+
+    if (isNaN(days) || days < 0 || (type && !DOCUMENT_TYPES[type])) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Days must be a non-negative number; type one of: ${Object.keys(DOCUMENT_TYPES).join(', ')}`
+      });
+    }
+
+    const report = await getExpiryReport({ days, type });
+
+    res.status(200).json({
+      status: 'success',
+      data: report
+    });
+
+  } catch (error) {
+    console.error('Get document expiry report error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get document expiry report'
+    });
+  }
+});
+
+// Driver documents waiting for review (status=pending by default), oldest first
+router.get('/documents/review', authenticateToken, requireAdmin, validatePagination, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = 'pending', type } = req.query;
+
+    if (!['pending', 'approved', 'rejected'].includes(status) || (type && !DOCUMENT_TYPES[type])) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Status must be pending, approved or rejected; type one of: ${Object.keys(DOCUMENT_TYPES).join(', ')}`
+      });
+    }
+
+    const { documents, total } = await getReviewQueue({ status, type, page: parseInt(page), limit: parseInt(limit) });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        documents,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get document review queue error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get document review queue'
+    });
+  }
+});
+
+// A driver's documents and whether they can go online
+router.get('/drivers/:driverId/documents', authenticateToken, requireAdmin, validateObjectId('driverId'), async (req, res) => {
+  try {
+    const driver = await User.findOne({ _id: req.params.driverId, role: 'Driver' }).select('fullName phone driverInfo.documents driverInfo.licenseExpiry');
+    if (!driver) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Driver not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        driver: { _id: driver._id, fullName: driver.fullName, phone: driver.phone },
+        ...getDocumentStatus(driver)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get driver documents error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get driver documents'
+    });
+  }
+});
+
+// View the uploaded file for a driver's document
+router.get('/drivers/:driverId/documents/:type/file', authenticateToken, requireAdmin, validateObjectId('driverId'), async (req, res) => {
+  try {
+    const { buffer, mimeType, url } = await readDriverDocument(req.params.driverId, req.params.type);
+    if (url) {
+      return res.redirect(url);
+    }
+
+    res.set('Content-Type', mimeType);
+    res.set('Cache-Control', 'private, no-store');
+    res.status(200).send(buffer);
+
+  } catch (error) {
+    if (isDocumentError(error)) {
+      return sendDocumentError(res, error);
+    }
+    console.error('Read driver document error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to read document'
+    });
+  }
+});
+
+// Approve a pending driver document
+router.post('/drivers/:driverId/documents/:type/approve', authenticateToken, requireAdmin, validateObjectId('driverId'), async (req, res) => {
+  try {
+    const documents = await approveDriverDocument({
+      driverId: req.params.driverId,
+      type: req.params.type,
+      adminId: req.user._id,
+      io: req.app.get('io')
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Document approved successfully',
+      data: documents
+    });
+
+  } catch (error) {
+    if (isDocumentError(error)) {
+      return sendDocumentError(res, error);
+    }
+    console.error('Approve driver document error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to approve document'
+    });
+  }
+});
+
+// Reject a pending driver document; the driver has to upload it again
+router.post('/drivers/:driverId/documents/:type/reject', authenticateToken, requireAdmin, validateObjectId('driverId'), async (req, res) => {
+  try {
+    const { reason } = req.body;
+    if (!reason) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Rejection reason is required'
+      });
+    }
+
+    const documents = await rejectDriverDocument({
+      driverId: req.params.driverId,
+      type: req.params.type,
+      reason,
+      adminId: req.user._id,
+      io: req.app.get('io')
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Document rejected successfully',
+      data: documents
+    });
+
+  } catch (error) {
+    if (isDocumentError(error)) {
+      return sendDocumentError(res, error);
+    }
+    console.error('Reject driver document error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to reject document'
+    });
+  }
+});
+
 // Send notification to all users
 router.post('/notifications/broadcast', authenticateToken, requireAdmin, async (req, res) => {
   try {
@@ -559,6 +844,961 @@ router.get('/analytics', authenticateToken, requireAdmin, async (req, res) => {
   }
 });
 
+// List fare config versions (optionally for one city)
+router.get('/fare-configs', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { city, status } = req.query;
+    const filter = {};
+    if (city) filter.city = String(city).toLowerCase();
+    if (status) filter.status = status;
+
+    const configs = await FareConfig.find(filter)
+      .sort({ city: 1, version: -1 })
+      .populate('createdBy activatedBy', 'fullName email');
+
+    res.status(200).json({
+      status: 'success',
+      data: configs
+    });
+
+  } catch (error) {
+    console.error('Get fare configs error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get fare configs'
+    });
+  }
+});
+
+// Create a new draft fare config version for a city
+router.post('/fare-configs', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { city = 'default', rateCards, nightHours, timezone, notes } = req.body;
+    const cityKey = String(city).trim().toLowerCase();
+
+    const latest = await FareConfig.findOne({ city: cityKey }).sort({ version: -1 }).select('version');
+
+    const config = new FareConfig({
+      city: cityKey,
+      version: (latest?.version || 0) + 1,
+      status: 'draft',
+      rateCards,
+      nightHours,
+      timezone,
+      notes,
+      createdBy: req.user._id
+    });
+    await config.save();
+
+    res.status(201).json({
+      status: 'success',
+      message: `Fare config v${config.version} created for ${config.city}`,
+      data: config
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Another version was created for this city at the same time, please retry'
+      });
+    }
+    console.error('Create fare config error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to create fare config'
+    });
+  }
+});
+
+// Preview a fare under a config version, next to the city's live fare
+router.post('/fare-configs/:configId/preview', authenticateToken, requireAdmin, validateObjectId('configId'), async (req, res) => {
+  try {
+    const config = await FareConfig.findById(req.params.configId);
+    if (!config) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Fare config not found'
+      });
+    }
+
+    const {
+      vehicleType = 'Bike',
+      serviceType = 'ride',
+      distance,
+      duration,
+      pickupCoords,
+      destinationCoords,
+      surgeMultiplier = 1,
+      at
+    } = req.body;
+
+    if (!(distance > 0) && !(pickupCoords && destinationCoords)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Provide a distance (km) or pickupCoords and destinationCoords'
+      });
+    }
+
+    const params = {
+      rideType: vehicleType,
+      serviceType,
+      distance,
+      duration,
+      pickupCoords,
+      destinationCoords,
+      surgeMultiplier,
+      at: at ? new Date(at) : new Date()
+    };
+
+    const preview = priceWithConfig(config, params);
+    const live = await quoteFare({ ...params, city: config.city });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        route: preview.route,
+        preview: preview.pricing,
+        live: live.pricing
+      }
+    });
+
+  } catch (error) {
+    console.error('Preview fare config error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to preview fare config'
+    });
+  }
+});
+
+// Activate a fare config version (archives the city's current version)
+router.post('/fare-configs/:configId/activate', authenticateToken, requireAdmin, validateObjectId('configId'), async (req, res) => {
+  try {
+    const config = await FareConfig.findById(req.params.configId);
+    if (!config) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Fare config not found'
+      });
+    }
+
+    if (config.status === 'active') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Fare config is already active'
+      });
+    }
+
+    await FareConfig.updateMany(
+      { city: config.city, status: 'active' },
+      { status: 'archived' }
+    );
+
+    const activated = await FareConfig.findOneAndUpdate(
+      { _id: config._id, status: { $ne: 'active' } },
+      { status: 'active', activatedBy: req.user._id, activatedAt: new Date() },
+      { new: true }
+    );
+
+    invalidateFareConfigCache();
+
+    if (!activated) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Fare config was activated by another request'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: `Fare config v${activated.version} is now active for ${activated.city}`,
+      data: activated
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Another version was activated for this city at the same time, please retry'
+      });
+    }
+    console.error('Activate fare config error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to activate fare config'
+    });
+  }
+});
+
+// Fields admins may set on a cancellation policy
+const CANCELLATION_POLICY_FIELDS = [
+  'city', 'vehicleType', 'rider', 'driver', 'maxStrikes', 'strikeWindowDays',
+  'suspensionHours', 'isActive', 'notes'
+];
+
+const pickCancellationPolicyFields = (body) => CANCELLATION_POLICY_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
+// List cancellation policies (optionally for one city)
+router.get('/cancellation-policies', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.city) filter.city = String(req.query.city).toLowerCase();
+
+    const policies = await CancellationPolicy.find(filter)
+      .sort({ city: 1, vehicleType: 1 })
+      .populate('updatedBy', 'fullName email');
+
+    res.status(200).json({
+      status: 'success',
+      data: policies
+    });
+
+  } catch (error) {
+    console.error('Get cancellation policies error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get cancellation policies'
+    });
+  }
+});
+
+// Create a cancellation policy for a city and vehicle type ('all' for the whole city)
+router.post('/cancellation-policies', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const policy = new CancellationPolicy({
+      ...pickCancellationPolicyFields(req.body),
+      updatedBy: req.user._id
+    });
+    await policy.save();
+    invalidateCancellationPolicyCache();
+
+    res.status(201).json({
+      status: 'success',
+      message: `Cancellation policy created for ${policy.city} (${policy.vehicleType})`,
+      data: policy
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'A policy already exists for this city and vehicle type'
+      });
+    }
+    console.error('Create cancellation policy error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to create cancellation policy'
+    });
+  }
+});
+
+// Update a cancellation policy
+router.patch('/cancellation-policies/:policyId', authenticateToken, requireAdmin, validateObjectId('policyId'), async (req, res) => {
+  try {
+    const policy = await CancellationPolicy.findById(req.params.policyId);
+    if (!policy) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Cancellation policy not found'
+      });
+    }
+
+    // Merge nested rider/driver settings rather than replacing them wholesale
+    Object.entries(pickCancellationPolicyFields(req.body)).forEach(([key, value]) => {
+      policy.set(key, value, { merge: true });
+    });
+    policy.updatedBy = req.user._id;
+    await policy.save();
+    invalidateCancellationPolicyCache();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Cancellation policy updated successfully',
+      data: policy
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'A policy already exists for this city and vehicle type'
+      });
+    }
+    console.error('Update cancellation policy error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update cancellation policy'
+    });
+  }
+});
+
+// Delete a cancellation policy (rides fall back to the next broader policy)
+router.delete('/cancellation-policies/:policyId', authenticateToken, requireAdmin, validateObjectId('policyId'), async (req, res) => {
+  try {
+    const policy = await CancellationPolicy.findByIdAndDelete(req.params.policyId);
+    if (!policy) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Cancellation policy not found'
+      });
+    }
+    invalidateCancellationPolicyCache();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Cancellation policy deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete cancellation policy error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete cancellation policy'
+    });
+  }
+});
+
+// Fields admins may set on a promo
+const PROMO_FIELDS = [
+  'code', 'description', 'discountType', 'discountValue', 'maxDiscount', 'minFare',
+  'validFrom', 'validUntil', 'usageLimit', 'perUserLimit', 'firstRideOnly',
+  'vehicleTypes', 'serviceTypes', 'isActive'
+];
+
+const pickPromoFields = (body) => PROMO_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
+const EMPTY_PROMO_STATS = { redeemed: 0, reversed: 0, totalDiscount: 0, totalDiscountRs: 0, uniqueUsers: 0 };
+
+// List promo codes with redemption stats
+router.get('/promos', authenticateToken, requireAdmin, validatePagination, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, isActive, search } = req.query;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+    if (search) filter.code = { $regex: String(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+
+    const promos = await Promo.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+    const total = await Promo.countDocuments(filter);
+    const stats = await getRedemptionStats(promos.map((promo) => promo._id));
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        promos: promos.map((promo) => ({
+          ...promo.toJSON(),
+          stats: stats[String(promo._id)] || EMPTY_PROMO_STATS
+        })),
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get promos error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get promos'
+    });
+  }
+});
+
+// Create a promo code
+router.post('/promos', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const promo = new Promo({
+      ...pickPromoFields(req.body),
+      createdBy: req.user._id
+    });
+    await promo.save();
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Promo created successfully',
+      data: promo
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'A promo with this code already exists'
+      });
+    }
+    console.error('Create promo error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to create promo'
+    });
+  }
+});
+
+// Get a promo with its stats and recent redemptions
+router.get('/promos/:promoId', authenticateToken, requireAdmin, validateObjectId('promoId'), async (req, res) => {
+  try {
+    const promo = await Promo.findById(req.params.promoId);
+    if (!promo) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Promo not found'
+      });
+    }
+
+    const stats = await getRedemptionStats([promo._id]);
+    const redemptions = await PromoRedemption.find({ promo: promo._id })
+      .sort({ createdAt: -1 })
+      .limit(50)
+      .populate('user', 'fullName email phone')
+      .populate('ride', 'status pricing.finalAmount createdAt');
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        promo,
+        stats: stats[String(promo._id)] || EMPTY_PROMO_STATS,
+        redemptions
+      }
+    });
+
+  } catch (error) {
+    console.error('Get promo error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get promo'
+    });
+  }
+});
+
+// Update a promo code
+router.patch('/promos/:promoId', authenticateToken, requireAdmin, validateObjectId('promoId'), async (req, res) => {
+  try {
+    const promo = await Promo.findById(req.params.promoId);
+    if (!promo) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Promo not found'
+      });
+    }
+
+    const updates = pickPromoFields(req.body);
+    if (updates.code && updates.code.toUpperCase() !== promo.code && promo.usedCount > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'The code of a promo that has been redeemed cannot be changed'
+      });
+    }
+
+    promo.set(updates);
+    await promo.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Promo updated successfully',
+      data: promo
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'A promo with this code already exists'
+      });
+    }
+    console.error('Update promo error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update promo'
+    });
+  }
+});
+
+// Delete a promo code (promos with redemptions are deactivated instead)
+router.delete('/promos/:promoId', authenticateToken, requireAdmin, validateObjectId('promoId'), async (req, res) => {
+  try {
+    const promo = await Promo.findById(req.params.promoId);
+    if (!promo) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Promo not found'
+      });
+    }
+
+    const hasRedemptions = await PromoRedemption.exists({ promo: promo._id });
+    if (hasRedemptions) {
+      promo.isActive = false;
+      await promo.save();
+      return res.status(200).json({
+        status: 'success',
+        message: 'Promo has redemptions and was deactivated instead of deleted',
+        data: promo
+      });
+    }
+
+    await promo.deleteOne();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Promo deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete promo error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete promo'
+    });
+  }
+});
+
+// Fields admins may set on a referral campaign
+const REFERRAL_CAMPAIGN_FIELDS = [
+  'name', 'description', 'program', 'referrerReward', 'refereeReward', 'qualifyingRides',
+  'minFare', 'maxRewardsPerReferrer', 'validFrom', 'validUntil', 'isActive'
+];
+
+const pickReferralCampaignFields = (body) => REFERRAL_CAMPAIGN_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
+// List referral campaigns
+router.get('/referral-campaigns', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { program, isActive } = req.query;
+
+    const filter = {};
+    if (program) filter.program = program;
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+
+    const campaigns = await ReferralCampaign.find(filter).sort({ program: 1, validFrom: -1 });
+
+    res.status(200).json({
+      status: 'success',
+      data: campaigns
+    });
+
+  } catch (error) {
+    console.error('Get referral campaigns error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get referral campaigns'
+    });
+  }
+});
+
+// Create a referral campaign (applies to referrals made while it runs)
+router.post('/referral-campaigns', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const campaign = new ReferralCampaign({
+      ...pickReferralCampaignFields(req.body),
+      createdBy: req.user._id
+    });
+    await campaign.save();
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Referral campaign created successfully',
+      data: campaign
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    console.error('Create referral campaign error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to create referral campaign'
+    });
+  }
+});
+
+// Update a referral campaign (referrals already made keep the terms they were given)
+router.patch('/referral-campaigns/:campaignId', authenticateToken, requireAdmin, validateObjectId('campaignId'), async (req, res) => {
+  try {
+    const campaign = await ReferralCampaign.findById(req.params.campaignId);
+    if (!campaign) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Referral campaign not found'
+      });
+    }
+
+    campaign.set(pickReferralCampaignFields(req.body));
+    await campaign.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Referral campaign updated successfully',
+      data: campaign
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    console.error('Update referral campaign error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update referral campaign'
+    });
+  }
+});
+
+// Referral funnel: signups -> first ride -> qualified, with rewards paid, per program and campaign
+router.get('/referrals/report', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { program, campaign, from, to } = req.query;
+    const funnel = await getReferralFunnel({ program, campaign, from, to });
+
+    res.status(200).json({
+      status: 'success',
+      data: { funnel }
+    });
+
+  } catch (error) {
+    console.error('Get referral report error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get referral report'
+    });
+  }
+});
+
+// List referrals (e.g. status=blocked to review self-referrals)
+router.get('/referrals', authenticateToken, requireAdmin, validatePagination, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, program, referrerId } = req.query;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (program) filter.program = program;
+    if (referrerId) filter.referrer = referrerId;
+
+    const referrals = await Referral.find(filter)
+      .populate('referrer', 'fullName phone referralCode')
+      .populate('referee', 'fullName phone role')
+      .populate('campaign', 'name')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+    const total = await Referral.countDocuments(filter);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        referrals,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get referrals error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get referrals'
+    });
+  }
+});
+
+// Run wallet reconciliation now (also runs nightly)
+router.post('/wallets/reconcile', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await reconcileWallets();
+
+    res.status(200).json({
+      status: 'success',
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Wallet reconciliation error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to reconcile wallets'
+    });
+  }
+});
+
+// Get a user's wallet statement from the ledger
+router.get('/users/:userId/wallet', authenticateToken, requireAdmin, validateObjectId('userId'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, from, to, type } = req.query;
+
+    const statement = await getWalletStatement({ userId: req.params.userId, page, limit, from, to, type });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        balance: statement.balanceRs,
+        transactions: statement.entries,
+        pagination: statement.pagination
+      }
+    });
+
+  } catch (error) {
+    if (isWalletError(error)) return sendWalletError(res, error);
+    console.error('Get user wallet error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get wallet statement'
+    });
+  }
+});
+
+// Get ride refunds (status=failed&exhausted=true lists the ones needing attention)
+router.get('/refunds', authenticateToken, requireAdmin, validatePagination, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, exhausted } = req.query;
+    const skip = (page - 1) * limit;
+
+    const filter = { type: 'refund' };
+    if (status) filter.status = status;
+    if (exhausted !== undefined) filter['retry.exhausted'] = exhausted === 'true';
+
+    const refunds = await Payment.find(filter)
+      .populate('user', 'fullName email phone')
+      .populate('ride', 'pickup.address destination.address status')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Payment.countDocuments(filter);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        refunds,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get refunds error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get refunds'
+    });
+  }
+});
+
+// Retry a failed refund now
+router.post('/refunds/:paymentId/retry', authenticateToken, requireAdmin, validateObjectId('paymentId'), async (req, res) => {
+  try {
+    const refund = await Payment.findOne({ _id: req.params.paymentId, type: 'refund' });
+    if (!refund) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Refund not found'
+      });
+    }
+
+    if (refund.status !== 'failed') {
+      return res.status(400).json({
+        status: 'error',
+        message: `Only failed refunds can be retried (this one is ${refund.status})`
+      });
+    }
+
+    const result = await attemptRefund(refund, { io: req.app.get('io') });
+
+    res.status(200).json({
+      status: 'success',
+      message: result.refunded ? 'Refund processed successfully' : 'Refund attempt failed',
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Retry refund error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to retry refund'
+    });
+  }
+});
+
+// Get driver payouts (defaults to the approval queue: status=requested, oldest first)
+router.get('/payouts', authenticateToken, requireAdmin, validatePagination, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = 'requested', driverId } = req.query;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (status !== 'all') filter.status = status;
+    if (driverId) filter.driver = driverId;
+
+    const payouts = await Payout.find(filter)
+      .populate('driver', 'fullName email phone')
+      .populate('approvedBy', 'fullName email')
+      .sort({ createdAt: status === 'requested' ? 1 : -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Payout.countDocuments(filter);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        payouts,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get payouts error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get payouts'
+    });
+  }
+});
+
+// Approve a payout and send it to the driver's bank
+router.post('/payouts/:payoutId/approve', authenticateToken, requireAdmin, validateObjectId('payoutId'), async (req, res) => {
+  try {
+    const payout = await approvePayout({
+      payoutId: req.params.payoutId,
+      adminId: req.user._id,
+      io: req.app.get('io')
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: payout.status === 'failed' ? 'Payout approved but the transfer failed' : 'Payout approved successfully',
+      data: payout
+    });
+
+  } catch (error) {
+    if (isPayoutError(error)) {
+      return sendPayoutError(res, error);
+    }
+    console.error('Approve payout error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to approve payout'
+    });
+  }
+});
+
+// Reject a payout that has not been sent
+router.post('/payouts/:payoutId/reject', authenticateToken, requireAdmin, validateObjectId('payoutId'), async (req, res) => {
+  try {
+    const { reason } = req.body;
+    if (!reason) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Rejection reason is required'
+      });
+    }
+
+    const payout = await rejectPayout({
+      payoutId: req.params.payoutId,
+      adminId: req.user._id,
+      reason,
+      io: req.app.get('io')
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Payout rejected successfully',
+      data: payout
+    });
+
+  } catch (error) {
+    if (isPayoutError(error)) {
+      return sendPayoutError(res, error);
+    }
+    console.error('Reject payout error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to reject payout'
+    });
+  }
+});
+
+// Settle pending transfers with the payout provider now
+router.post('/payouts/reconcile', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const report = await reconcilePayouts({ io: req.app.get('io') });
+
+    res.status(200).json({
+      status: 'success',
+      data: report
+    });
+
+  } catch (error) {
+    console.error('Reconcile payouts error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to reconcile payouts'
+    });
+  }
+});
+
 // Get support tickets (if you implement a support system)
 router.get('/support', authenticateToken, requireAdmin, validatePagination, async (req, res) => {
   try {
@@ -4,7 +4,15 @@ const User = require("../models/User");
 const OTP = require("../models/OTP");
 const { sendOTPSMS } = require("../utils/sms");
 const { sendWelcomeEmail } = require("../utils/email");
-const { authenticateToken } = require("../middleware/auth");
+const { createReferral } = require("../utils/referrals");
+const {
+  generateSubDriverToken,
+  subDriverSessionInfo,
+} = require("../utils/subDrivers");
+const {
+  authenticateToken,
+  authenticateDriverSession,
+} = require("../middleware/auth");
 const {
   validateUserSignup,
   validateUserLogin,
@@ -36,6 +44,7 @@ router.post("/send-otp", validateUserSignup, async (req, res) => {
       licenseNumber,
       subDrivers,
       referralCode,
+      deviceId,
     } = req.body;
     const normalizedEmail = (email || "").trim().toLowerCase();
 
@@ -94,6 +103,8 @@ router.post("/send-otp", validateUserSignup, async (req, res) => {
         licenseNumber,
         subDrivers,
         referredBy,
+        // Compared with the referrer's to block self-referrals
+        deviceId: deviceId || req.get("x-device-id") || null,
       },
     });
 
@@ -178,6 +189,7 @@ router.post("/verify-otp", validateOTP, async (req, res) => {
       dateOfBirth: userData.dateOfBirth,
       isVerified: true,
       referredBy: userData.referredBy,
+      deviceId: userData.deviceId || null,
     });
 
     if (userData.role === "Driver") {
@@ -227,10 +239,13 @@ router.post("/verify-otp", validateOTP, async (req, res) => {
     const token = generateToken(user._id);
     await sendWelcomeEmail(user.email, user.fullName);
 
+    // Rewards are credited once the new account completes its qualifying rides
     if (userData.referredBy) {
-      await User.findByIdAndUpdate(userData.referredBy, {
-        $inc: { referralEarnings: 50 },
-      });
+      try {
+        await createReferral({ referee: user, referrerId: userData.referredBy });
+      } catch (referralError) {
+        console.error("❌ Referral could not be recorded:", referralError.message);
+      }
     }
 
     res.status(201).json({
@@ -267,14 +282,16 @@ router.post("/login-otp", validateUserLogin, async (req, res) => {
     if (!user) {
       user = await User.findOne({ email: normalizedEmail }).sort({ createdAt: -1 });
     }
+    let subDriver = null;
     if (!user) {
       user = await User.findOne({ "subDrivers.email": normalizedEmail });
+      subDriver = (user?.subDrivers || []).find((sd) => sd.email === normalizedEmail) || null;
     }
     if (!user)
       return res
         .status(404)
         .json({ status: "error", message: "User not found" });
-    if (!user.isActive)
+    if (!user.isActive || subDriver?.isActive === false)
       return res
         .status(403)
         .json({ status: "error", message: "Account is deactivated" });
@@ -301,14 +318,17 @@ router.post("/login-otp", validateUserLogin, async (req, res) => {
       expiresAt: otpRecord.expiresAt,
     });
 
+    // Sub-drivers get the code on their own phone, not the fleet owner's
+    const otpPhone = subDriver ? subDriver.phone : user.phone;
+
     // Ensure user has a phone number to receive SMS
-    if (!user.phone) {
+    if (!otpPhone) {
       return res
         .status(400)
         .json({ status: "error", message: "No phone number on account. Cannot send OTP via SMS." });
     }
 
-    await sendOTPSMS(user.phone, otpCode, "login");
+    await sendOTPSMS(otpPhone, otpCode, "login");
 
     const loginResp = { status: "success", message: "OTP sent via SMS" };
     if (process.env.NODE_ENV !== "production") {
@@ -377,79 +397,140 @@ router.post("/verify-login-otp", validateOTP, async (req, res) => {
         .status(404)
         .json({ status: "error", message: "User not found" });
 
+    // An email that belongs to a sub-driver signs in as that sub-driver only
+    const subDriverEntry = user.email === normalizedEmail
+      ? null
+      : (user.subDrivers || []).find((sd) => sd.email === normalizedEmail);
+    if (subDriverEntry) {
+      if (!user.isActive || subDriverEntry.isActive === false) {
+        return res
+          .status(403)
+          .json({ status: "error", message: "Account is deactivated" });
+      }
+      return res.status(200).json({
+        status: "success",
+        message: "Login successful",
+        token: generateSubDriverToken(user._id, subDriverEntry),
+        role: "SubDriver",
+        isSubDriver: true,
+        subDriverInfo: subDriverSessionInfo(user, subDriverEntry),
+      });
+    }
+
     user.lastSeen = new Date();
     user.isOnline = true;
     await user.save();
 
     const token = generateToken(user._id);
 
-    let sessionRole = user.role;
-    let subDriverInfo = null;
+    const response = {
+      status: "success",
+      message: "Login successful",
+      token,
+      user,
+      role: user.role,
+    };
 
-    console.log(`🔍 Role detection for email: ${normalizedEmail}`);
-    console.log(`👤 User role: ${user.role}`);
-    console.log(`📋 Sub-drivers count: ${user.subDrivers?.length || 0}`);
+    console.log(`📤 Login response role: ${user.role}`);
+    res.status(200).json(response);
+  } catch (err) {
+    console.error("Verify login OTP error:", err);
+    res
+      .status(500)
+      .json({ status: "error", message: "Failed to verify login OTP" });
+  }
+});
 
-    if (user.subDrivers?.length) {
-      console.log(
-        `🔍 Checking sub-drivers:`,
-        user.subDrivers.map((sd) => ({
-          name: sd.name,
-          email: sd.email,
-          isActive: sd.isActive,
-        }))
-      );
+// Fleet owner with an active sub-driver entry for this phone
+const findSubDriverByPhone = async (phone) => {
+  const owner = await User.findOne({
+    role: "Driver",
+    isActive: true,
+    subDrivers: { $elemMatch: { phone, isActive: true } },
+  });
+  const subDriver = owner?.subDrivers.find((sd) => sd.phone === phone && sd.isActive !== false);
+  return subDriver ? { owner, subDriver } : null;
+};
 
-      const matched = user.subDrivers.find(
-        (sd) =>
-          (sd.email || "").toLowerCase() ===
-          (normalizedEmail || "").toLowerCase()
-      );
+// ---------------------- SUB-DRIVER LOGIN OTP ----------------------
+router.post("/sub-driver/login-otp", async (req, res) => {
+  try {
+    const phone = String(req.body.phone || "").trim();
+    if (!/^[6-9]\d{9}$/.test(phone)) {
+      return res
+        .status(400)
+        .json({ status: "error", message: "Please enter a valid 10-digit phone number" });
+    }
 
-      if (matched) {
-        sessionRole = "SubDriver";
-        subDriverInfo = {
-          id: matched._id,
-          name: matched.name,
-          email: matched.email,
-          vehicleType: matched.vehicleType,
-          vehicleNumber: matched.vehicleNumber,
-          licenseNumber: matched.licenseNumber,
-          isActive: matched.isActive,
-          parentDriverId: user._id,
-          parentDriverName: user.fullName,
-        };
-        console.log(
-          `✅ Sub-driver match found: ${matched.name} (${matched.email})`
-        );
-        console.log(`🎯 Session role set to: ${sessionRole}`);
-      } else {
-        console.log(
-          `❌ No sub-driver match found for email: ${normalizedEmail}`
-        );
-      }
+    const session = await findSubDriverByPhone(phone);
+    if (!session) {
+      return res
+        .status(404)
+        .json({ status: "error", message: "No active sub-driver with this phone number" });
     }
 
-    // No role-based blocking in response; frontend can route using role/sessionRole
+    const otpCode = OTP.generateOTP();
+    await OTP.create({ phone, otp: otpCode, type: "sub_driver_login" });
+    await sendOTPSMS(phone, otpCode, "login");
 
-    const response = {
-      status: "success",
-      message: "Login successful",
-      token,
-      user,
-      role: sessionRole,
-    };
+    const loginResp = { status: "success", message: "OTP sent via SMS" };
+    if (process.env.NODE_ENV !== "production") {
+      loginResp.devOtp = otpCode;
+    }
+    res.status(200).json(loginResp);
+  } catch (err) {
+    console.error("Sub-driver login OTP error:", err);
+    res
+      .status(500)
+      .json({ status: "error", message: "Failed to send login OTP" });
+  }
+});
 
-    // Add sub-driver info if applicable
-    if (subDriverInfo) {
-      response.subDriverInfo = subDriverInfo;
-      response.isSubDriver = true;
+// ---------------------- SUB-DRIVER VERIFY OTP ----------------------
+router.post("/sub-driver/verify-otp", async (req, res) => {
+  try {
+    const phone = String(req.body.phone || "").trim();
+    const { otp } = req.body;
+
+    const otpRecord = await OTP.findOne({ phone, type: "sub_driver_login" }).sort({
+      createdAt: -1,
+    });
+    if (!otpRecord) {
+      return res
+        .status(400)
+        .json({ status: "error", message: "Invalid or expired OTP" });
     }
 
-    console.log(`📤 Login response role: ${sessionRole}`);
-    res.status(200).json(response);
+    const verification = otpRecord.verifyOTP(String(otp || ""));
+    if (!verification.success) {
+      await otpRecord.save();
+      return res
+        .status(400)
+        .json({ status: "error", message: verification.message });
+    }
+
+    otpRecord.isUsed = true;
+    await otpRecord.save();
+
+    // The owner may have deactivated the sub-driver since the code was sent
+    const session = await findSubDriverByPhone(phone);
+    if (!session) {
+      return res
+        .status(403)
+        .json({ status: "error", message: "Account is deactivated" });
+    }
+
+    console.log(`✅ Sub-driver ${session.subDriver.name} signed in for fleet ${session.owner._id}`);
+    res.status(200).json({
+      status: "success",
+      message: "Login successful",
+      token: generateSubDriverToken(session.owner._id, session.subDriver),
+      role: "SubDriver",
+      isSubDriver: true,
+      subDriverInfo: subDriverSessionInfo(session.owner, session.subDriver),
+    });
   } catch (err) {
-    console.error("Verify login OTP error:", err);
+    console.error("Sub-driver verify OTP error:", err);
     res
       .status(500)
       .json({ status: "error", message: "Failed to verify login OTP" });
@@ -473,8 +554,17 @@ router.post("/logout", authenticateToken, async (req, res) => {
 });
 
 // ---------------------- CURRENT USER ----------------------
-router.get("/me", authenticateToken, async (req, res) => {
+router.get("/me", authenticateDriverSession, async (req, res) => {
   try {
+    // A sub-driver sees their own entry, never the owner's account
+    if (req.subDriver) {
+      return res.status(200).json({
+        status: "success",
+        role: "SubDriver",
+        isSubDriver: true,
+        subDriverInfo: subDriverSessionInfo(req.user, req.subDriver),
+      });
+    }
     res.status(200).json({ status: "success", user: req.user });
   } catch (err) {
     console.error("Get current user error:", err);
@@ -4,19 +4,121 @@ const Ride = require("../models/Ride");
 const User = require("../models/User");
 const {
   authenticateToken,
+  authenticateDriverSession,
+  optionalAuth,
+  requireDriver,
   requireVerification,
 } = require("../middleware/auth");
-const { calculateCompletePricing } = require("../utils/pricingCalculator");
+const { quoteFare, finalizeFare } = require("../utils/fareEngine");
+const {
+  driverNetExpression,
+  driverNetOf,
+  settleRide,
+  recordSettlement,
+} = require("../utils/settlement");
+const { sendRideInvoice } = require("../utils/invoices");
+const {
+  collectRidePayment,
+  assertNoOutstandingDues,
+  isRidePaymentError,
+  sendRidePaymentError,
+} = require("../utils/ridePayments");
+const { recordReferralRide } = require("../utils/referrals");
+const {
+  applyTransition,
+  getDriverActor,
+  isTransitionError,
+  sendTransitionError,
+} = require("../utils/rideStateMachine");
+const { getOffersForDriver, isOfferedTo } = require("../utils/dispatch");
+const {
+  normalizeStops,
+  attachLegs,
+  issueStopOtps,
+  summarizeStops,
+} = require("../utils/rideStops");
+const { resolveSurge } = require("../utils/surge");
+const {
+  redeemPromo,
+  reversePromoRedemption,
+  isPromoError,
+  sendPromoError,
+} = require("../utils/promos");
+const {
+  acceptRide,
+  isAcceptanceError,
+  sendAcceptanceError,
+} = require("../utils/rideAcceptance");
+const { canActOnRide } = require("../utils/subDrivers");
+const {
+  verifyHandoverOtp,
+  isHandoverOtpError,
+  sendHandoverOtpError,
+} = require("../utils/handoverOtp");
+const {
+  DELIVERY_PROOF_CONFIG,
+  validateDeliveryProof,
+  attachDeliveryProof,
+  deliveryProofView,
+  readDeliveryProofFile,
+  isDeliveryProofError,
+  sendDeliveryProofError,
+} = require("../utils/deliveryProof");
+const {
+  resolveParcel,
+  isParcelError,
+  sendParcelError,
+} = require("../utils/parcelPricing");
+const multer = require("multer");
 
 const router = express.Router();
 
+const canViewDeliveryProof = (ride, user) => {
+  if (!user) return false;
+  return user.role === "Admin" || String(ride.user?._id || ride.user) === String(user._id);
+};
+
+// Drop-off photos and signatures are kept in memory until the storage backend saves them
+const proofUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: DELIVERY_PROOF_CONFIG.maxFileSize,
+  },
+  fileFilter: (req, file, cb) => {
+    if (DELIVERY_PROOF_CONFIG.mimeTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error("Only JPEG, PNG, WebP or HEIC images are allowed"), false);
+    }
+  },
+});
+
+// Reject bad files with a 400 rather than the global error handler
+const uploadProofFiles = (req, res, next) => {
+  proofUpload.fields([
+    { name: "photo", maxCount: 1 },
+    { name: "signature", maxCount: 1 },
+  ])(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        status: "error",
+        code: "DELIVERY_PROOF_INVALID_FILE",
+        message: error.code === "LIMIT_FILE_SIZE"
+          ? `Files must be under ${DELIVERY_PROOF_CONFIG.maxFileSize / (1024 * 1024)}MB`
+          : error.message,
+      });
+    }
+    next();
+  });
+};
+
 // Simple delivery request endpoint (no authentication required for testing)
 router.post("/request", async (req, res) => {
   try {
     console.log("🚀 Simple delivery request received:", req.body);
 
     const {
-      rideType = "bike",
+      rideType,
       serviceType = "delivery",
       pickup,
       destination,
@@ -24,6 +126,10 @@ router.post("/request", async (req, res) => {
       luggage = true,
       specialRequests = "Parcel Delivery",
       paymentMethod = "cash",
+      stops,
+      surgeQuoteId,
+      city,
+      delivery,
     } = req.body;
 
     // Basic validation
@@ -41,6 +147,19 @@ router.post("/request", async (req, res) => {
     const pickupCoords = pickup.coordinates || [72.5714, 23.0225];
     const destCoords = destination.coordinates || [72.5814, 23.0325];
 
+    // Optional intermediate drops, each with its own recipient and OTP
+    const stopResult = normalizeStops(stops, { isDelivery: true });
+    if (stopResult.error) {
+      return res.status(400).json({
+        status: "error",
+        message: stopResult.error,
+      });
+    }
+    const waypoints = stopResult.waypoints;
+
+    // The parcel's weight and size pick the vehicle (or must fit the one chosen)
+    const parcel = resolveParcel(delivery, { rideType });
+
     console.log("✅ Creating delivery with data:", {
       pickupAddress,
       destinationAddress,
@@ -50,8 +169,10 @@ router.post("/request", async (req, res) => {
 
     // Create simple delivery record
     const deliveryData = {
-      rideType: "bike",
+      rideType: parcel.rideType,
       serviceType: "delivery",
+      city: city,
+      delivery: parcel.delivery,
       pickup: {
         address: pickupAddress,
         coordinates: {
@@ -78,19 +199,36 @@ router.post("/request", async (req, res) => {
       status: "pending",
     };
 
+    // Locked quote from /api/location/calculate-fare, or the live surge
+    const surge = await resolveSurge({
+      coordinates: pickupCoords,
+      rideType: parcel.rideType,
+      quoteId: surgeQuoteId,
+      userId: req.user?._id,
+    });
+
     // 🧮 CALCULATE DYNAMIC PRICING BASED ON DISTANCE
     console.log("🧮 Calculating dynamic pricing for delivery...");
-    const pricingData = calculateCompletePricing({
+    const pricingData = await quoteFare({
+      city: city,
       pickupCoords: pickupCoords,
       destinationCoords: destCoords,
-      rideType: rideType,
+      waypoints: waypoints.map((stop) => stop.coordinates),
+      rideType: parcel.rideType,
       serviceType: serviceType,
-      surgeMultiplier: 1 // Can be adjusted based on demand
+      surgeMultiplier: surge.multiplier,
+      parcel: parcel,
     });
 
     // Update delivery data with calculated pricing and route
-    deliveryData.route = pricingData.route;
-    deliveryData.pricing = pricingData.pricing;
+    deliveryData.route = {
+      ...pricingData.route,
+      waypoints: attachLegs(waypoints, pricingData.route.legs),
+    };
+    deliveryData.pricing = {
+      ...pricingData.pricing,
+      surgeQuote: surge.quoteId,
+    };
 
     console.log("✅ Dynamic pricing calculated:", {
       distance: `${pricingData.route.distance} km`,
@@ -112,69 +250,36 @@ router.post("/request", async (req, res) => {
     }
 
     const ride = new Ride(deliveryData);
+    const stopOtps = issueStopOtps(ride);
     await ride.save();
 
     console.log("✅ Delivery created successfully:", ride._id);
 
-    // 🚀 BROADCAST TO ALL DRIVERS VIA SOCKET.IO
-    const io = req.app.get("io");
-    if (io) {
-      const rideRequestData = {
-        rideId: ride._id,
-        rideType: ride.rideType,
-        serviceType: "delivery",
-        pickup: {
-          address: ride.pickup.address,
-          coordinates: ride.pickup.coordinates.coordinates,
-        },
-        destination: {
-          address: ride.destination.address,
-          coordinates: ride.destination.coordinates.coordinates,
-        },
-        fare: ride.pricing.finalAmount,
-        distance: ride.route.distance,
-        duration: ride.route.duration,
-        specialRequests: ride.specialRequests,
-        customerName: "Customer", // Default since no auth
-        customerPhone: "",
-        customerRating: "4.5",
-        timestamp: new Date(),
-      };
-
-      console.log(
-        "📡 Broadcasting delivery request using smart broadcasting:",
-        rideRequestData
-      );
-
-      // ✅ USE SMART BROADCASTING INSTEAD OF SIMPLE BROADCAST
-      const { broadcastRideRequest } = req.app.get('socketUtils');
-      if (broadcastRideRequest) {
-        await broadcastRideRequest(rideRequestData);
-      } else {
-        // Fallback to old method if smart broadcasting not available
-        console.warn("⚠️ Smart broadcasting not available, using fallback");
-        io.to("drivers").emit("new-ride-request", rideRequestData);
-      }
-
-      console.log("✅ Delivery request broadcasted using smart system");
-    } else {
-      console.warn("⚠️ Socket.IO not available for broadcasting");
-    }
+    // Offer the delivery to ranked nearby drivers
+    const { dispatchRide } = req.app.get("socketUtils") || {};
+    const dispatchResult = dispatchRide ? await dispatchRide(ride._id) : null;
 
     res.status(201).json({
       status: "success",
       message: "Delivery request created successfully",
       data: {
         rideId: ride._id,
+        status: dispatchResult?.status || ride.status,
         estimatedFare: ride.pricing.finalAmount,
         estimatedFareRs: ride.pricing.finalAmount / 100,
+        rideType: ride.rideType,
         estimatedTime: ride.route.duration,
         distance: ride.route.distance,
         pricingBreakdown: ride.pricing.breakdown,
+        surge,
+        stops: summarizeStops(ride, { otps: stopOtps }),
         ride: ride,
       },
     });
   } catch (error) {
+    if (isParcelError(error)) {
+      return sendParcelError(res, error);
+    }
     console.error("❌ Delivery creation error:", error);
     res.status(500).json({
       status: "error",
@@ -195,7 +300,7 @@ router.post(
       console.log("👤 User ID:", req.user._id);
 
       const {
-        rideType = "bike",
+        rideType,
         serviceType = "delivery",
         pickup,
         destination,
@@ -203,8 +308,16 @@ router.post(
         luggage = true,
         specialRequests = "Parcel Delivery",
         paymentMethod = "cash",
+        stops,
+        surgeQuoteId,
+        city,
+        promoCode,
+        delivery,
       } = req.body;
 
+      // Unpaid rides must be settled first
+      await assertNoOutstandingDues(req.user._id);
+
       // Basic validation
       if (!pickup || !destination) {
         console.log("❌ Missing pickup or destination");
@@ -220,6 +333,19 @@ router.post(
       const pickupCoords = pickup.coordinates || [72.5714, 23.0225];
       const destCoords = destination.coordinates || [72.5814, 23.0325];
 
+      // Optional intermediate drops, each with its own recipient and OTP
+      const stopResult = normalizeStops(stops, { isDelivery: true });
+      if (stopResult.error) {
+        return res.status(400).json({
+          status: "error",
+          message: stopResult.error,
+        });
+      }
+      const waypoints = stopResult.waypoints;
+
+      // The parcel's weight and size pick the vehicle (or must fit the one chosen)
+      const parcel = resolveParcel(delivery, { rideType });
+
       console.log("✅ Creating authenticated delivery with data:", {
         pickupAddress,
         destinationAddress,
@@ -231,8 +357,10 @@ router.post(
       // Create delivery record with authenticated user
       const deliveryData = {
         user: req.user._id, // Use authenticated user ID
-        rideType: "bike",
+        rideType: parcel.rideType,
         serviceType: "delivery",
+        city: city,
+        delivery: parcel.delivery,
         pickup: {
           address: pickupAddress,
           coordinates: {
@@ -259,19 +387,36 @@ router.post(
         status: "pending",
       };
 
+      // Locked quote from /api/location/calculate-fare, or the live surge
+      const surge = await resolveSurge({
+        coordinates: pickupCoords,
+        rideType: parcel.rideType,
+        quoteId: surgeQuoteId,
+        userId: req.user?._id,
+      });
+
       // 🧮 CALCULATE DYNAMIC PRICING BASED ON DISTANCE
       console.log("🧮 Calculating dynamic pricing for authenticated delivery...");
-      const pricingData = calculateCompletePricing({
+      const pricingData = await quoteFare({
+        city: city,
         pickupCoords: pickupCoords,
         destinationCoords: destCoords,
-        rideType: rideType,
+        waypoints: waypoints.map((stop) => stop.coordinates),
+        rideType: parcel.rideType,
         serviceType: serviceType,
-        surgeMultiplier: 1 // Can be adjusted based on demand
+        surgeMultiplier: surge.multiplier,
+        parcel: parcel,
       });
 
       // Update delivery data with calculated pricing and route
-      deliveryData.route = pricingData.route;
-      deliveryData.pricing = pricingData.pricing;
+      deliveryData.route = {
+        ...pricingData.route,
+        waypoints: attachLegs(waypoints, pricingData.route.legs),
+      };
+      deliveryData.pricing = {
+        ...pricingData.pricing,
+        surgeQuote: surge.quoteId,
+      };
 
       console.log("✅ Dynamic pricing calculated for authenticated user:", {
         distance: `${pricingData.route.distance} km`,
@@ -281,71 +426,55 @@ router.post(
       });
 
       const ride = new Ride(deliveryData);
-      await ride.save();
+      const stopOtps = issueStopOtps(ride);
 
-      console.log("✅ Authenticated delivery created successfully:", ride._id);
+      // Redeem the promo code against the quoted fare
+      const promo = promoCode
+        ? await redeemPromo({ code: promoCode, userId: req.user._id, ride })
+        : null;
 
-      // 🚀 BROADCAST TO ALL DRIVERS VIA SOCKET.IO
-      const io = req.app.get("io");
-      if (io) {
-        const rideRequestData = {
-          rideId: ride._id,
-          rideType: ride.rideType,
-          serviceType: "delivery",
-          pickup: {
-            address: ride.pickup.address,
-            coordinates: ride.pickup.coordinates.coordinates,
-          },
-          destination: {
-            address: ride.destination.address,
-            coordinates: ride.destination.coordinates.coordinates,
-          },
-          fare: ride.pricing.finalAmount,
-          distance: ride.route.distance,
-          duration: ride.route.duration,
-          specialRequests: ride.specialRequests,
-          customerName: req.user.fullName || "Customer",
-          customerPhone: req.user.phone || "",
-          customerRating: req.user.rating || "4.5",
-          timestamp: new Date(),
-        };
-
-        console.log(
-          "📡 Broadcasting authenticated delivery request using smart broadcasting:",
-          rideRequestData
-        );
+      try {
+        await ride.save();
+      } catch (error) {
+        if (promo) await reversePromoRedemption(ride, "Booking failed");
+        throw error;
+      }
 
-        // ✅ USE SMART BROADCASTING INSTEAD OF SIMPLE BROADCAST
-        const { broadcastRideRequest } = req.app.get('socketUtils');
-        if (broadcastRideRequest) {
-          await broadcastRideRequest(rideRequestData);
-        } else {
-          // Fallback to old method if smart broadcasting not available
-          console.warn("⚠️ Smart broadcasting not available, using fallback");
-          io.to("drivers").emit("new-ride-request", rideRequestData);
-        }
+      console.log("✅ Authenticated delivery created successfully:", ride._id);
 
-        console.log(
-          "✅ Authenticated delivery request broadcasted using smart system"
-        );
-      } else {
-        console.warn("⚠️ Socket.IO not available for broadcasting");
-      }
+      // Offer the delivery to ranked nearby drivers
+      const { dispatchRide } = req.app.get("socketUtils") || {};
+      const dispatchResult = dispatchRide ? await dispatchRide(ride._id) : null;
 
       res.status(201).json({
         status: "success",
         message: "Delivery request created successfully",
         data: {
           rideId: ride._id,
+          status: dispatchResult?.status || ride.status,
           estimatedFare: ride.pricing.finalAmount,
           estimatedFareRs: ride.pricing.finalAmount / 100,
+          rideType: ride.rideType,
+          discount: ride.pricing.discount,
+          promoCode: promo?.code,
           estimatedTime: ride.route.duration,
           distance: ride.route.distance,
           pricingBreakdown: ride.pricing.breakdown,
+          surge,
+          stops: summarizeStops(ride, { otps: stopOtps }),
           ride: ride,
         },
       });
     } catch (error) {
+      if (isRidePaymentError(error)) {
+        return sendRidePaymentError(res, error);
+      }
+      if (isPromoError(error)) {
+        return sendPromoError(res, error);
+      }
+      if (isParcelError(error)) {
+        return sendParcelError(res, error);
+      }
       console.error("❌ Authenticated delivery creation error:", error);
       res.status(500).json({
         status: "error",
@@ -359,16 +488,25 @@ router.post(
 // Get delivery requests for drivers (pending deliveries)
 router.get("/driver/pending", async (req, res) => {
   try {
+    const { driverId } = req.query;
     console.log("🚚 Fetching pending delivery requests for drivers");
 
-    const pendingDeliveries = await Ride.find({
-      serviceType: "delivery",
-      status: "pending",
-      driver: { $exists: false },
-    })
-      .populate("user", "fullName phone rating")
-      .sort({ createdAt: -1 })
-      .limit(20);
+    let pendingDeliveries;
+    if (driverId && mongoose.Types.ObjectId.isValid(String(driverId))) {
+      // Only the deliveries currently offered to this driver by the dispatch engine
+      pendingDeliveries = await getOffersForDriver(driverId, {
+        serviceType: "delivery",
+      });
+    } else {
+      pendingDeliveries = await Ride.find({
+        serviceType: "delivery",
+        status: { $in: ["pending", "searching"] },
+        driver: null,
+      })
+        .populate("user", "fullName phone rating")
+        .sort({ createdAt: -1 })
+        .limit(20);
+    }
 
     console.log(
       `📦 Found ${pendingDeliveries.length} pending delivery requests`
@@ -426,86 +564,32 @@ router.get("/driver/:driverId/assigned", async (req, res) => {
 });
 
 // Driver accepts a delivery request
-router.post("/accept/:rideId", async (req, res) => {
+router.post("/accept/:rideId", authenticateDriverSession, requireDriver, async (req, res) => {
   try {
     const { rideId } = req.params;
-    const { driverId, driverName, driverPhone, vehicleInfo } = req.body;
+    const { vehicleInfo } = req.body;
+
+    // The ride goes to the signed-in fleet account, and to the sub-driver
+    // when the session is theirs
+    const driverId = req.user._id.toString();
+    const driverName = req.subDriver?.name || req.user.fullName;
+    const driverPhone = req.subDriver?.phone || req.user.phone;
+    const { actor, actorId } = getDriverActor(req.user, req.subDriver?._id);
 
     console.log(
       `🚚 Driver ${driverName} (${driverId}) accepting ride: ${rideId}`
     );
 
-    // Determine the driver ObjectId to attribute this ride to
-    let validDriverId = null;
-    if (driverId && mongoose.Types.ObjectId.isValid(String(driverId))) {
-      validDriverId = new mongoose.Types.ObjectId(String(driverId));
-      console.log(`✅ Using provided driverId: ${validDriverId}`);
-    } else if (driverPhone) {
-      // Fallback: try to find driver by phone
-      const foundDriver = await User.findOne({ phone: driverPhone, role: "Driver" }).select("_id");
-      if (foundDriver) {
-        validDriverId = foundDriver._id;
-        console.log(`✅ Resolved driver by phone to: ${validDriverId}`);
-      }
-    }
-    // As last resort, reject if we still don't know the driver
-    if (!validDriverId) {
-      return res.status(400).json({
-        status: "error",
-        message: "Valid driverId or resolvable driverPhone is required",
-      });
-    }
-
-    // Use atomic operation to prevent race conditions
-    // Optional: sub-driver attribution from header
-    let subDriverToSet = null;
-    try {
-      const subHeader = req.get('x-subdriver-id');
-      if (subHeader && mongoose.Types.ObjectId.isValid(String(subHeader))) {
-        subDriverToSet = new mongoose.Types.ObjectId(String(subHeader));
-      }
-    } catch { }
-
-    const updatedRide = await Ride.findOneAndUpdate(
-      {
-        _id: rideId,
-        $or: [
-          { driver: { $exists: false } },
-          { driver: null },
-          { driver: undefined }
-        ]
-      },
-      {
-        $set: {
-          driver: validDriverId,
-          ...(subDriverToSet ? { subDriver: subDriverToSet } : {}),
-          status: "accepted",
-          acceptedAt: new Date(),
-        },
-      },
-      {
-        new: true, // Return updated document
-        runValidators: true,
-      }
-    );
-
-    // If no document was updated, it means the ride was already accepted
-    if (!updatedRide) {
-      const existingRide = await Ride.findById(rideId);
-      if (!existingRide) {
-        return res.status(404).json({
-          status: "error",
-          message: "Ride not found",
-        });
-      } else {
-        return res.status(400).json({
-          status: "error",
-          message: "Ride already accepted by another driver",
-        });
-      }
-    }
-
-    const ride = updatedRide;
+    // Single conditional update; fails if another driver got there first
+    const { dispatcher } = req.app.get("socketUtils") || {};
+    const ride = await acceptRide({
+      rideId,
+      driverId,
+      subDriverId: actor === "sub-driver" ? actorId : null,
+      location: req.body.location,
+      io: req.app.get("io"),
+      dispatcher,
+    });
 
     // Broadcast to all drivers that this ride is no longer available
     const io = req.app.get("io");
@@ -515,7 +599,7 @@ router.post("/accept/:rideId", async (req, res) => {
     }
 
     // Make driver available if they're not already (fix for "Driver is not available" error)
-    if (driverId && driverId !== "unknown_driver") {
+    if (!req.subDriver) {
       try {
         const driver = await User.findById(driverId);
         if (driver && !driver.driverInfo?.isAvailable) {
@@ -644,6 +728,12 @@ router.post("/accept/:rideId", async (req, res) => {
       },
     });
   } catch (error) {
+    if (isAcceptanceError(error)) {
+      return sendAcceptanceError(res, error);
+    }
+    if (isTransitionError(error)) {
+      return sendTransitionError(res, error);
+    }
     console.error("❌ Error accepting ride:", error);
     res.status(500).json({
       status: "error",
@@ -654,10 +744,12 @@ router.post("/accept/:rideId", async (req, res) => {
 });
 
 // Driver declines a delivery request
-router.post("/decline/:rideId", async (req, res) => {
+router.post("/decline/:rideId", authenticateDriverSession, requireDriver, async (req, res) => {
   try {
     const { rideId } = req.params;
-    const { driverId, driverName } = req.body;
+    // Declines count against the driver's dispatch ranking, so only the signed-in driver can decline
+    const driverId = req.user._id;
+    const driverName = req.subDriver?.name || req.user.fullName;
 
     console.log(
       `🚚 Driver ${driverName} (${driverId}) declining ride: ${rideId}`
@@ -680,44 +772,28 @@ router.post("/decline/:rideId", async (req, res) => {
       });
     }
 
-    // Skip declined drivers list - just log and continue
-    console.log(
-      `✅ Driver ${driverName} declined ride ${rideId} - continuing without storing`
-    );
+    if (!isOfferedTo(ride, driverId)) {
+      return res.status(409).json({
+        status: "error",
+        code: "RIDE_NOT_OFFERED",
+        message: "This ride is not offered to you",
+      });
+    }
 
-    // Broadcast to other drivers that this ride is still available
-    const io = req.app.get("io");
-    if (io) {
-      const rideRequestData = {
-        rideId: ride._id,
-        rideType: ride.rideType,
-        serviceType: "delivery",
-        pickup: {
-          address: ride.pickup.address,
-          coordinates: ride.pickup.coordinates.coordinates,
-        },
-        destination: {
-          address: ride.destination.address,
-          coordinates: ride.destination.coordinates.coordinates,
-        },
-        fare: ride.pricing.finalAmount,
-        distance: ride.route.distance,
-        duration: ride.route.duration,
-        specialRequests: ride.specialRequests,
-        customerName: "Customer",
-        customerPhone: "",
-        customerRating: "4.5",
-        timestamp: new Date(),
-        excludeDrivers: ride.declinedDrivers, // Exclude drivers who already declined
-      };
+    // Record the decline and cascade the offer to the next ranked drivers
+    const { dispatcher } = req.app.get("socketUtils") || {};
+    if (dispatcher) {
+      await dispatcher.handleDecline(ride._id, driverId);
+    } else {
+      await Ride.updateOne({ _id: ride._id }, { $addToSet: { declinedDrivers: driverId } });
+    }
 
-      console.log(
-        `📡 Re-broadcasting ride ${rideId} to other drivers (excluding ${ride.declinedDrivers.length} declined drivers)`
-      );
-      io.to("drivers").emit("ride-declined-rebroadcast", rideRequestData);
+    console.log(`✅ Driver ${driverName} declined ride ${rideId}`);
 
-      // Also notify the declining driver that request is cancelled for them
-      io.to(`driver_${driverId}`).emit("ride-cancelled-for-driver", {
+    const io = req.app.get("io");
+    if (io) {
+      // Notify the declining driver that request is cancelled for them
+      io.to(`user_${driverId}`).emit("ride-cancelled-for-driver", {
         rideId: ride._id,
         message: "Request declined successfully. Redirecting to dashboard...",
       });
@@ -743,7 +819,7 @@ router.post("/decline/:rideId", async (req, res) => {
 });
 
 // Get ride status for polling
-router.get("/status/:rideId", async (req, res) => {
+router.get("/status/:rideId", optionalAuth, async (req, res) => {
   try {
     const { rideId } = req.params;
 
@@ -772,6 +848,10 @@ router.get("/status/:rideId", async (req, res) => {
         driverInfo: ride.driverInfo,
         acceptedAt: ride.acceptedAt,
         createdAt: ride.createdAt,
+        // Proof of delivery is only shown to the sender and admins
+        proof: canViewDeliveryProof(ride, req.user)
+          ? deliveryProofView(ride, `${req.baseUrl}/status/${ride._id}/proof`)
+          : undefined,
       },
     });
   } catch (error) {
@@ -783,6 +863,46 @@ router.get("/status/:rideId", async (req, res) => {
   }
 });
 
+// Drop-off photo or signature from a delivery's proof (kind: photo | signature)
+router.get("/status/:rideId/proof/:kind", authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.rideId)) {
+      return res.status(400).json({
+        status: "error",
+        message: "Invalid ride ID",
+      });
+    }
+
+    const ride = await Ride.findById(req.params.rideId).select("user delivery");
+    if (!ride) {
+      return res.status(404).json({
+        status: "error",
+        message: "Ride not found",
+      });
+    }
+    if (!canViewDeliveryProof(ride, req.user)) {
+      return res.status(403).json({
+        status: "error",
+        message: "Unauthorized to view this proof of delivery",
+      });
+    }
+
+    const { buffer, mimeType } = await readDeliveryProofFile(ride, req.params.kind);
+    res.set("Content-Type", mimeType);
+    res.set("Cache-Control", "private, no-store");
+    res.status(200).send(buffer);
+  } catch (error) {
+    if (isDeliveryProofError(error)) {
+      return sendDeliveryProofError(res, error);
+    }
+    console.error("Read delivery proof error:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Failed to read proof of delivery",
+    });
+  }
+});
+
 // Debug endpoint to check driver status
 router.get("/debug/driver-status/:phone", async (req, res) => {
   try {
@@ -889,150 +1009,73 @@ router.post("/debug/make-driver-available", async (req, res) => {
 router.post("/debug/trigger-assignment/:rideId", async (req, res) => {
   try {
     const { rideId } = req.params;
-    const { driverName = "Test Driver", driverPhone = "9999999999" } = req.body;
 
-    console.log(
-      `🧪 DEBUG: Manually triggering driver assignment for ride: ${rideId}`
-    );
+    console.log(`🧪 DEBUG: Manually triggering dispatch for ride: ${rideId}`);
 
-    const io = req.app.get("io");
-    if (!io) {
-      return res.status(500).json({
+    const ride = await Ride.findById(rideId);
+    if (!ride) {
+      return res.status(404).json({
         status: "error",
-        message: "Socket.IO not available",
+        message: "Ride not found",
       });
     }
 
-    const assignmentData = {
-      rideId: rideId.toString(),
-      driverId: "debug_driver_123",
-      driverName: driverName,
-      driverPhone: driverPhone,
-      vehicleInfo: { type: "Bike", number: "TEST123", model: "Test Model" },
-      status: "accepted",
-      message: `${driverName} has accepted your delivery request (DEBUG)`,
-    };
-
-    console.log("🧪 DEBUG: Broadcasting assignment data:", assignmentData);
-    console.log(
-      "🧪 DEBUG: Available rooms:",
-      Array.from(io.sockets.adapter.rooms.keys())
-    );
-
-    // Broadcast to specific ride room - MULTIPLE EVENT TYPES
-    io.to(`ride_${rideId}`).emit("driver-assigned", assignmentData);
-    io.to(`ride_${rideId}`).emit("driver_assigned", assignmentData);
-    io.to(`ride_${rideId}`).emit("ride-accepted", assignmentData);
-    io.to(`ride_${rideId}`).emit("delivery-accepted", assignmentData);
-    console.log(
-      `🧪 DEBUG: Emitted to ride room: ride_${rideId} (4 event types)`
-    );
+    const { dispatcher } = req.app.get("socketUtils") || {};
+    if (!dispatcher) {
+      return res.status(500).json({
+        status: "error",
+        message: "Dispatch engine not available",
+      });
+    }
 
-    // Also broadcast globally - MULTIPLE EVENT TYPES
-    io.emit("driver-assigned", assignmentData);
-    io.emit("driver_assigned", assignmentData);
-    io.emit("ride-accepted", assignmentData);
-    io.emit("delivery-accepted", assignmentData);
-    console.log("🧪 DEBUG: Emitted globally (4 event types)");
+    // Show how the engine ranks drivers for this ride, then run a dispatch round
+    const candidates = await dispatcher.rankCandidates(ride, [
+      ...(ride.declinedDrivers || []),
+      ...(ride.dispatch?.offeredDrivers || []),
+    ]);
+    const result = await dispatcher.dispatchRide(ride._id);
 
     res.status(200).json({
       status: "success",
-      message: "Debug driver assignment triggered",
-      data: assignmentData,
+      message: "Debug dispatch triggered",
+      data: {
+        rideId: ride._id,
+        dispatch: result,
+        candidates: candidates.map((driver) => ({
+          driverId: driver._id,
+          fullName: driver.fullName,
+          vehicleType: driver.driverInfo?.vehicleType,
+          distance: Math.round(driver.distance),
+          score: driver.score,
+        })),
+      },
     });
   } catch (error) {
-    console.error("🧪 DEBUG: Error triggering assignment:", error);
+    console.error("🧪 DEBUG: Error triggering dispatch:", error);
     res.status(500).json({
       status: "error",
-      message: "Failed to trigger assignment",
+      message: "Failed to trigger dispatch",
       error: error.message,
     });
   }
 });
 
-// Store OTP for ride verification
-router.post("/store-otp", async (req, res) => {
-  try {
-    const { rideId, verificationOtp } = req.body;
-
-    console.log("🔐 Storing OTP for ride:", { rideId, verificationOtp });
-    console.log("🔐 OTP Type during storage:", typeof verificationOtp);
-    console.log("🔐 OTP Value during storage:", verificationOtp);
-
-    if (!rideId || !verificationOtp) {
-      return res.status(400).json({
-        success: false,
-        message: "RideId and verificationOtp are required",
-      });
-    }
-
-    // Find and update the ride with OTP
-    const ride = await Ride.findById(rideId);
-
-    if (!ride) {
-      return res.status(404).json({
-        success: false,
-        message: "Ride not found",
-      });
-    }
-
-    // Store the OTP (ensure consistent type)
-    ride.verificationOtp = String(verificationOtp);
-    ride.otpGeneratedAt = new Date();
-    await ride.save();
-
-    console.log("✅ OTP stored successfully for ride:", rideId);
-    console.log("✅ Stored OTP value:", ride.verificationOtp);
-    console.log("✅ Stored OTP type:", typeof ride.verificationOtp);
-
-    // 🚀 SOCKET.IO: Broadcast OTP to driver
-    try {
-      const io = req.app.get("io");
-      if (io) {
-        console.log("📡 Broadcasting OTP to driver via Socket.IO");
-
-        // Broadcast to ride room and drivers room
-        io.to(`ride_${rideId}`).emit("customer_otp_generated", {
-          rideId: rideId,
-          otp: ride.verificationOtp,
-          message: `Customer generated OTP: ${ride.verificationOtp}`,
-          timestamp: new Date().toISOString(),
-        });
-
-        io.to("drivers").emit("customer_otp_generated", {
-          rideId: rideId,
-          otp: ride.verificationOtp,
-          message: `Customer generated OTP: ${ride.verificationOtp}`,
-          timestamp: new Date().toISOString(),
-        });
-
-        console.log(
-          `✅ OTP ${ride.verificationOtp} broadcasted to drivers for ride ${rideId}`
-        );
-      }
-    } catch (socketError) {
-      console.log("⚠️ Socket OTP broadcast failed:", socketError.message);
-    }
-
-    return res.json({
-      success: true,
-      message: "OTP stored successfully",
-      rideId: rideId,
-      storedOtp: ride.verificationOtp, // For debugging
-    });
-  } catch (error) {
-    console.error("❌ Error storing OTP:", error);
-    return res.status(500).json({
-      success: false,
-      message: "Server error while storing OTP",
-    });
-  }
+// The delivery OTP used to come from the customer app; the server now generates
+// it on acceptance (see utils/handoverOtp.js), so client OTPs are refused
+router.post("/store-otp", (req, res) => {
+  return res.status(410).json({
+    success: false,
+    code: "HANDOVER_OTP_SERVER_GENERATED",
+    message:
+      "OTPs are generated by the server when a driver accepts the ride and sent to the customer",
+  });
 });
 
-// OTP verification endpoint for driver pickup
-router.post("/verify-otp", async (req, res) => {
+// OTP verification endpoint for the driver at handover
+router.post("/verify-otp", authenticateDriverSession, requireDriver, async (req, res) => {
   try {
-    const { rideId, enteredOtp } = req.body;
+    const { rideId } = req.body;
+    const enteredOtp = req.body.enteredOtp || req.body.otp;
 
     // Validate ObjectId format
     if (!mongoose.Types.ObjectId.isValid(rideId)) {
@@ -1043,9 +1086,9 @@ router.post("/verify-otp", async (req, res) => {
       });
     }
 
-    console.log("🔐 OTP verification request:", { rideId, enteredOtp });
+    console.log("🔐 OTP verification request for ride:", rideId);
 
-    if (!rideId || !enteredOtp) {
+    if (!enteredOtp) {
       return res.status(400).json({
         success: false,
         message: "RideId and OTP are required",
@@ -1062,98 +1105,75 @@ router.post("/verify-otp", async (req, res) => {
       });
     }
 
-    // Enhanced debugging for OTP comparison
-    console.log("🔍 OTP Comparison Debug:");
-    console.log(
-      "🔍 Stored OTP:",
-      ride.verificationOtp,
-      "Type:",
-      typeof ride.verificationOtp
-    );
-    console.log("🔍 Entered OTP:", enteredOtp, "Type:", typeof enteredOtp);
-    console.log(
-      "🔍 Strict equality (===):",
-      ride.verificationOtp === enteredOtp
-    );
-    console.log("🔍 Loose equality (==):", ride.verificationOtp == enteredOtp);
-    console.log(
-      "🔍 String comparison:",
-      String(ride.verificationOtp) === String(enteredOtp)
-    );
+    if (!canActOnRide(ride, req.user._id, req.subDriver?._id)) {
+      return res.status(403).json({
+        success: false,
+        message: "Unauthorized to verify OTP for this ride",
+      });
+    }
 
-    // Check if the entered OTP matches the stored OTP for this ride
-    // Try multiple comparison methods to handle type mismatches
-    const storedOtp = String(ride.verificationOtp || "").trim();
-    const inputOtp = String(enteredOtp || "").trim();
-
-    console.log("🔍 Trimmed stored OTP:", storedOtp);
-    console.log("🔍 Trimmed entered OTP:", inputOtp);
-    console.log("🔍 Trimmed comparison:", storedOtp === inputOtp);
-
-    if (
-      ride.verificationOtp &&
-      (ride.verificationOtp === enteredOtp ||
-        ride.verificationOtp == enteredOtp ||
-        storedOtp === inputOtp)
-    ) {
-      console.log("✅ OTP verified successfully for ride:", rideId);
-
-      // Update ride status to indicate OTP verification
-      ride.otpVerified = true;
-      ride.otpVerifiedAt = new Date();
-      await ride.save();
+    const io = req.app.get("io");
+    await verifyHandoverOtp(ride, enteredOtp, { io });
+    console.log("✅ OTP verified successfully for ride:", rideId);
+
+    // A verified OTP means the driver is with the customer and the trip is under way
+    const driverActor = {
+      actor: ride.subDriver ? "sub-driver" : "driver",
+      actorId: ride.subDriver || ride.driver,
+      location: req.body.location,
+    };
+    if (ride.status === "accepted") {
+      applyTransition(ride, "arrived", driverActor);
+    }
+    if (ride.status === "arrived") {
+      applyTransition(ride, "started", { ...driverActor, reason: "OTP verified" });
+    }
+    await ride.save();
 
-      // Broadcast OTP verification success to customer
-      const io = req.app.get("io");
-      if (io) {
-        const otpPayload = {
-          rideId: rideId,
-          message: "OTP verified successfully by driver",
-          timestamp: new Date(),
-          deliveryStatus: "completed",
-        };
-        // Notify ride room (customer + any listeners)
-        io.to(`ride_${rideId}`).emit("otp-verified-success", otpPayload);
-        // Also notify drivers room to refresh dashboards
-        io.to('drivers').emit('otp-verified-success', otpPayload);
-        // Try targeted notify to assigned driver if present
-        try {
-          if (ride.driver) {
-            const driverId = ride.driver._id || ride.driver;
-            io.to(`user_${driverId}`).emit('otp-verified-success', otpPayload);
-            io.to(`driver_${driverId}`).emit('otp-verified-success', otpPayload);
-            io.to(`user_${driverId}`).emit('dashboard-refresh', { source: 'otp-verified', rideId });
-          }
-        } catch (tErr) {
-          console.log('⚠️ Driver targeted OTP emit failed:', tErr.message);
+    // Broadcast OTP verification success to customer
+    if (io) {
+      const otpPayload = {
+        rideId: rideId,
+        message: "OTP verified successfully by driver",
+        timestamp: new Date(),
+        deliveryStatus: "completed",
+      };
+      // Notify ride room (customer + any listeners)
+      io.to(`ride_${rideId}`).emit("otp-verified-success", otpPayload);
+      // Also notify drivers room to refresh dashboards
+      io.to('drivers').emit('otp-verified-success', otpPayload);
+      // Try targeted notify to assigned driver if present
+      try {
+        if (ride.driver) {
+          const driverId = ride.driver._id || ride.driver;
+          io.to(`user_${driverId}`).emit('otp-verified-success', otpPayload);
+          io.to(`driver_${driverId}`).emit('otp-verified-success', otpPayload);
+          io.to(`user_${driverId}`).emit('dashboard-refresh', { source: 'otp-verified', rideId });
         }
-        console.log(
-          "📡 Broadcasted OTP verification success to customer for ride:",
-          rideId
-        );
+      } catch (tErr) {
+        console.log('⚠️ Driver targeted OTP emit failed:', tErr.message);
       }
-
-      return res.json({
-        success: true,
-        message: "OTP verified successfully",
-        rideId: rideId,
-      });
-    } else {
-      console.log("❌ Invalid OTP for ride:", rideId);
-      console.log("❌ All comparison methods failed");
-      return res.status(400).json({
-        success: false,
-        message: "Invalid OTP",
-      });
+      console.log(
+        "📡 Broadcasted OTP verification success to customer for ride:",
+        rideId
+      );
     }
+
+    return res.json({
+      success: true,
+      message: "OTP verified successfully",
+      rideId: rideId,
+    });
   } catch (error) {
+    if (isHandoverOtpError(error)) {
+      console.log(`❌ OTP rejected for ride ${req.body.rideId}: ${error.code}`);
+      return sendHandoverOtpError(res, error);
+    }
+
     console.error("❌ OTP verification error:", error);
 
-    if (error.name === "CastError" && error.kind === "ObjectId") {
-      return res.status(400).json({
-        status: "error",
-        message: "Invalid ride ID format",
-      });
+    if (isTransitionError(error)) {
+      return sendTransitionError(res, error);
     }
 
     return res.status(500).json({
@@ -1165,12 +1185,12 @@ router.post("/verify-otp", async (req, res) => {
 });
 
 // Complete delivery after OTP verification
-router.post("/complete-delivery", async (req, res) => {
+router.post("/complete-delivery", authenticateDriverSession, requireDriver, uploadProofFiles, async (req, res) => {
   try {
     const { rideId } = req.body;
 
     console.log("🏁 Completing delivery for ride:", rideId);
-    console.log("🏁 Request body:", req.body);
+    console.log("🏁 Proof files:", Object.keys(req.files || {}));
 
     const ride = await Ride.findById(rideId)
       .populate("user", "fullName phone email")
@@ -1193,6 +1213,13 @@ router.post("/complete-delivery", async (req, res) => {
       otpVerified: ride.otpVerified,
     });
 
+    if (!canActOnRide(ride, req.user._id, req.subDriver?._id)) {
+      return res.status(403).json({
+        status: "error",
+        message: "Unauthorized to complete this delivery",
+      });
+    }
+
     // Check if OTP was verified
     if (!ride.otpVerified) {
       return res.status(400).json({
@@ -1201,23 +1228,49 @@ router.post("/complete-delivery", async (req, res) => {
       });
     }
 
-    // Update ride status to completed
-    ride.status = "completed";
-    ride.completedAt = new Date();
-    ride.actualDropTime = new Date();
-
-    // Ensure pricing is set for history
-    if (!ride.pricing || !ride.pricing.finalAmount) {
-      ride.pricing = {
-        baseFare: 50,
-        distanceFare: 20,
-        timeFare: 10,
-        serviceFee: 5,
-        finalAmount: 85,
-      };
+    // Photo, signature, recipient and position at handover; refused before
+    // anything is stored when a required signature is missing
+    const proof = validateDeliveryProof(ride, { files: req.files, body: req.body });
+
+    // Update ride status to completed via the ride state machine
+    const driverActor = {
+      actor: ride.subDriver ? "sub-driver" : "driver",
+      actorId: ride.subDriver || ride.driver?._id || ride.driver,
+      location: proof.location?.coordinates,
+    };
+    // Rides verified before OTP verification advanced the status still sit at accepted/arrived
+    if (ride.status === "accepted") {
+      applyTransition(ride, "arrived", driverActor);
+    }
+    if (ride.status === "arrived") {
+      applyTransition(ride, "started", { ...driverActor, reason: "Pickup OTP verified" });
     }
+    if (ride.isModified("status")) {
+      await ride.save();
+    }
+    await attachDeliveryProof(ride, proof, driverActor);
+    // Only one completion request gets past this, so the delivery is settled once
+    await ride.completeAtomically(driverActor);
+
+    // Settle the fare (waiting charge, or pricing for rides never priced)
+    await finalizeFare(ride);
+    await settleRide(ride);
 
     await ride.save();
+    await recordSettlement(ride);
+
+    // Debit the wallet, raise a Razorpay order, or wait for the driver's cash confirmation
+    const paymentCollection = await collectRidePayment(ride, { io: req.app.get("io") });
+
+    // Issue the invoice and email it without holding up the driver
+    sendRideInvoice(ride._id).catch((error) => {
+      console.error(`❌ Invoice email for ride ${ride._id} failed:`, error.message);
+    });
+
+    // Count the delivery towards the customer's and driver's referral rewards
+    recordReferralRide(ride, { io: req.app.get("io") }).catch((error) => {
+      console.error(`❌ Referral progress for ride ${ride._id} failed:`, error.message);
+    });
 
     console.log("✅ Delivery completed successfully:", {
       rideId: ride._id,
@@ -1236,10 +1289,7 @@ router.post("/complete-delivery", async (req, res) => {
         timestamp: new Date(),
         status: "completed",
         amount: ride.pricing?.finalAmount,
-        earnings: {
-          today: ride.pricing?.finalAmount || 0,
-          rideId: rideId
-        }
+        payment: { status: paymentCollection.status, amountDue: paymentCollection.amountDue },
       };
 
       // Emit to ride room (customer and driver in that ride)
@@ -1259,17 +1309,25 @@ router.post("/complete-delivery", async (req, res) => {
         console.log('⚠️ Customer targeted completion emit failed:', custErr.message);
       }
 
-      // ✅ ENHANCED DRIVER-SPECIFIC UPDATES
+      // ✅ ENHANCED DRIVER-SPECIFIC UPDATES (earnings and the settlement go to the driver only)
       if (ride.driver) {
         const driverId = ride.driver._id || ride.driver;
         console.log(`📡 Sending targeted updates to driver: ${driverId}`);
+        const driverData = {
+          ...completionData,
+          earnings: {
+            today: ride.settlement.driverNet,
+            rideId: rideId,
+            settlement: ride.settlement,
+          },
+        };
 
         // Send to multiple driver-specific rooms
-        io.to(`user_${driverId}`).emit("delivery-completed", completionData);
-        io.to(`user_${driverId}`).emit("earnings-updated", completionData);
-        io.to(`user_${driverId}`).emit("driver-earnings-updated", completionData);
-        io.to(`user_${driverId}`).emit("dashboard-refresh", completionData);
-        io.to(`driver_${driverId}`).emit("delivery-completed", completionData);
+        io.to(`user_${driverId}`).emit("delivery-completed", driverData);
+        io.to(`user_${driverId}`).emit("earnings-updated", driverData);
+        io.to(`user_${driverId}`).emit("driver-earnings-updated", driverData);
+        io.to(`user_${driverId}`).emit("dashboard-refresh", driverData);
+        io.to(`driver_${driverId}`).emit("delivery-completed", driverData);
 
         console.log(`📡 Sent completion update to driver: ${driverId}`);
 
@@ -1278,8 +1336,8 @@ router.post("/complete-delivery", async (req, res) => {
           const User = require('../models/User');
           const driverUser = await User.findById(driverId).select('phone');
           if (driverUser?.phone) {
-            io.to(`phone_${driverUser.phone}`).emit("delivery-completed", completionData);
-            io.to(`phone_${driverUser.phone}`).emit("driver-earnings-updated", completionData);
+            io.to(`phone_${driverUser.phone}`).emit("delivery-completed", driverData);
+            io.to(`phone_${driverUser.phone}`).emit("driver-earnings-updated", driverData);
             console.log(`📡 Also sent to phone-based room: phone_${driverUser.phone}`);
           }
         } catch (phoneError) {
@@ -1287,9 +1345,10 @@ router.post("/complete-delivery", async (req, res) => {
         }
       }
 
-      // Also emit to all drivers room for general updates
-      io.to('drivers').emit("ride-completed", completionData);
-      io.to('drivers').emit("delivery-completed", completionData);
+      // Also emit to all drivers room for general updates (status only)
+      const statusUpdate = { rideId: rideId, status: "completed" };
+      io.to('drivers').emit("ride-completed", statusUpdate);
+      io.to('drivers').emit("delivery-completed", statusUpdate);
 
       console.log("📡 Broadcasted delivery completion to all relevant parties");
     }
@@ -1301,11 +1360,19 @@ router.post("/complete-delivery", async (req, res) => {
       data: {
         rideId: ride._id,
         status: ride.status,
-        completedAt: ride.completedAt,
+        completedAt: ride.actualEndTime,
         amount: ride.pricing?.finalAmount,
+        payment: { status: paymentCollection.status, amountDue: paymentCollection.amountDue },
+        proof: deliveryProofView(ride),
       },
     });
   } catch (error) {
+    if (isTransitionError(error)) {
+      return sendTransitionError(res, error);
+    }
+    if (isDeliveryProofError(error)) {
+      return sendDeliveryProofError(res, error);
+    }
     console.error("Complete delivery error:", error);
     res.status(500).json({
       status: "error",
@@ -1409,10 +1476,12 @@ router.get("/debug/check-ride-otp/:rideId", async (req, res) => {
       status: "success",
       data: {
         rideId: ride._id,
-        hasOtp: !!ride.verificationOtp,
-        storedOtp: ride.verificationOtp,
-        otpType: typeof ride.verificationOtp,
-        otpGenerated: ride.otpGeneratedAt,
+        hasOtp: !!ride.handoverOtp?.issuedAt,
+        otpPurpose: ride.handoverOtp?.purpose,
+        otpGenerated: ride.handoverOtp?.issuedAt,
+        otpExpiresAt: ride.handoverOtp?.expiresAt,
+        otpAttempts: ride.handoverOtp?.attempts,
+        otpLockedUntil: ride.handoverOtp?.lockedUntil,
         otpVerified: ride.otpVerified,
         otpVerifiedAt: ride.otpVerifiedAt,
         rideStatus: ride.status,
@@ -1460,11 +1529,11 @@ router.get("/driver/dashboard/:phone", async (req, res) => {
     );
 
     const todayEarnings = todayRides.reduce((sum, ride) =>
-      sum + (ride.pricing?.finalAmount || 0), 0
+      sum + driverNetOf(ride), 0
     );
 
     const totalEarnings = completedRides.reduce((sum, ride) =>
-      sum + (ride.pricing?.finalAmount || 0), 0
+      sum + driverNetOf(ride), 0
     );
 
     // Get this week's earnings
@@ -1477,7 +1546,7 @@ router.get("/driver/dashboard/:phone", async (req, res) => {
     );
 
     const weeklyEarnings = weekRides.reduce((sum, ride) =>
-      sum + (ride.pricing?.finalAmount || 0), 0
+      sum + driverNetOf(ride), 0
     );
 
     const dashboardData = {
@@ -1501,6 +1570,7 @@ router.get("/driver/dashboard/:phone", async (req, res) => {
           id: ride._id,
           status: ride.status,
           amount: ride.pricing?.finalAmount || 0,
+          earnings: driverNetOf(ride),
           completedAt: ride.completedAt,
           pickup: ride.pickup?.address,
           destination: ride.destination?.address
@@ -1706,12 +1776,12 @@ router.get("/driver/dashboard/:phone", async (req, res) => {
     });
 
     // Calculate today's earnings
-    const todayEarnings = todayRides.reduce((sum, ride) => sum + (ride.pricing?.finalAmount || 0), 0);
+    const todayEarnings = todayRides.reduce((sum, ride) => sum + driverNetOf(ride), 0);
 
     // Get total earnings
     const totalEarningsResult = await Ride.aggregate([
       { $match: { driver: driverId, status: "completed" } },
-      { $group: { _id: null, total: { $sum: "$pricing.finalAmount" } } }
+      { $group: { _id: null, total: { $sum: driverNetExpression() } } }
     ]);
 
     // Get total rides count
@@ -1733,7 +1803,7 @@ router.get("/driver/dashboard/:phone", async (req, res) => {
       {
         $group: {
           _id: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } },
-          earnings: { $sum: "$pricing.finalAmount" },
+          earnings: { $sum: driverNetExpression() },
           rides: { $sum: 1 }
         }
       },
@@ -1828,6 +1898,7 @@ router.get("/driver/dashboard/:phone", async (req, res) => {
             finalAmount: ride.pricing?.finalAmount || 0,
             finalAmountRs: (ride.pricing?.finalAmount || 0) / 100
           },
+          settlement: ride.settlement?.settledAt ? ride.settlement : null,
           createdAt: ride.createdAt,
           completedAt: ride.completedAt,
           user: ride.user,
@@ -1,17 +1,100 @@
 const express = require("express");
 const Ride = require("../models/Ride");
 const User = require("../models/User");
-const Payment = require("../models/Payment");
 const Notification = require("../models/Notification");
-const { authenticateToken, requireDriver } = require("../middleware/auth");
+const Payout = require("../models/Payout");
+const {
+  authenticateToken,
+  authenticateDriverSession,
+  requireDriver,
+} = require("../middleware/auth");
 const {
   validateLocation,
   validateObjectId,
   validatePagination,
 } = require("../middleware/validation");
+const {
+  getDriverActor,
+  isTransitionError,
+  sendTransitionError,
+} = require("../utils/rideStateMachine");
+const { getOffersForDriver } = require("../utils/dispatch");
+const { canCarryParcel } = require("../utils/parcelPricing");
+const {
+  acceptRide,
+  isAcceptanceError,
+  sendAcceptanceError,
+} = require("../utils/rideAcceptance");
+const {
+  assessCancellation,
+  applyDriverStrikes,
+  isDriverSuspended,
+} = require("../utils/cancellationPolicy");
+const { refundRidePayment } = require("../utils/refunds");
+const {
+  driverNetExpression,
+  driverNetOf,
+  getSettlementSummary,
+} = require("../utils/settlement");
+const {
+  getPayoutBalance,
+  requestPayout,
+  isPayoutError,
+  sendPayoutError,
+} = require("../utils/payouts");
+const {
+  DOCUMENT_CONFIG,
+  getDocumentStatus,
+  hasApprovedDocuments,
+  uploadDriverDocument,
+  isDocumentError,
+  sendDocumentError,
+} = require("../utils/driverDocuments");
+const { canActOnRide, endSubDriverSessions } = require("../utils/subDrivers");
+const {
+  parseSharePercent,
+  getFleetReport,
+  fleetReportToCsv,
+  renderFleetStatementPdf,
+  fleetStatementFileName,
+  isFleetError,
+  sendFleetError,
+} = require("../utils/fleet");
+const multer = require("multer");
 
 const router = express.Router();
 
+// KYC documents are kept in memory until the storage backend saves them
+const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: DOCUMENT_CONFIG.maxFileSize,
+  },
+  fileFilter: (req, file, cb) => {
+    if (DOCUMENT_CONFIG.mimeTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error("Only JPEG, PNG, WebP, HEIC or PDF files are allowed"), false);
+    }
+  },
+});
+
+// Reject bad files with a 400 rather than the global error handler
+const uploadDocumentFile = (req, res, next) => {
+  documentUpload.single("file")(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        status: "error",
+        code: "DOCUMENT_INVALID_FILE",
+        message: error.code === "LIMIT_FILE_SIZE"
+          ? `File must be under ${DOCUMENT_CONFIG.maxFileSize / (1024 * 1024)}MB`
+          : error.message,
+      });
+    }
+    next();
+  });
+};
+
 // Get available drivers for ride requests (public endpoint for users)
 router.post("/available", async (req, res) => {
   try {
@@ -423,6 +506,7 @@ router.post("/debug/set-location/:driverId", async (req, res) => {
       driverId,
       {
         "driverInfo.currentLocation.coordinates": [longitude, latitude],
+        "driverInfo.locationUpdatedAt": new Date(),
       },
       { new: true }
     );
@@ -582,7 +666,7 @@ router.get("/profile", authenticateToken, requireDriver, async (req, res) => {
       {
         $group: {
           _id: null,
-          total: { $sum: '$pricing.finalAmount' }
+          total: { $sum: driverNetExpression() }
         }
       }
     ]);
@@ -715,14 +799,19 @@ router.get("/dashboard", authenticateToken, requireDriver, async (req, res) => {
       {
         $group: {
           _id: null,
-          total: { $sum: "$pricing.finalAmount" },
+          total: { $sum: driverNetExpression() },
+          tips: { $sum: { $ifNull: ["$settlement.tips", 0] } },
         },
       },
     ]);
 
-    // Get today's earnings
+    // Get today's earnings (tips are part of the net, and also shown on their own)
     const todayEarnings = todayRides.reduce(
-      (sum, ride) => sum + ride.pricing.finalAmount,
+      (sum, ride) => sum + driverNetOf(ride),
+      0
+    );
+    const todayTips = todayRides.reduce(
+      (sum, ride) => sum + (ride.settlement?.tips || 0),
       0
     );
 
@@ -770,7 +859,7 @@ router.get("/dashboard", authenticateToken, requireDriver, async (req, res) => {
           _id: {
             $dateToString: { format: "%Y-%m-%d", date: "$createdAt" },
           },
-          earnings: { $sum: "$pricing.finalAmount" },
+          earnings: { $sum: driverNetExpression() },
           rides: { $sum: 1 },
         },
       },
@@ -806,7 +895,7 @@ router.get("/dashboard", authenticateToken, requireDriver, async (req, res) => {
       {
         $group: {
           _id: null,
-          total: { $sum: "$pricing.finalAmount" }
+          total: { $sum: driverNetExpression() }
         }
       }
     ]);
@@ -838,6 +927,10 @@ router.get("/dashboard", authenticateToken, requireDriver, async (req, res) => {
           totalEarningsRs: (totalEarnings[0]?.total || 0) / 100,
           monthlyEarnings: monthlyEarnings[0]?.total || 0,
           monthlyEarningsRs: (monthlyEarnings[0]?.total || 0) / 100,
+          todayTips,
+          todayTipsRs: todayTips / 100,
+          totalTips: totalEarnings[0]?.tips || 0,
+          totalTipsRs: (totalEarnings[0]?.tips || 0) / 100,
           
           todayRides: todayRides.length,
           totalRides,
@@ -857,6 +950,8 @@ router.get("/dashboard", authenticateToken, requireDriver, async (req, res) => {
             finalAmount: ride.pricing?.finalAmount || 0,
             finalAmountRs: (ride.pricing?.finalAmount || 0) / 100
           },
+          settlement: ride.settlement?.settledAt ? ride.settlement : null,
+          tip: ride.tip?.status === "completed" ? ride.tip.amount : 0,
           createdAt: ride.createdAt,
           completedAt: ride.completedAt,
           user: ride.user,
@@ -957,7 +1052,8 @@ router.get("/earnings", authenticateToken, requireDriver, async (req, res) => {
           _id: {
             $dateToString: { format: "%Y-%m-%d", date: "$createdAt" }
           },
-          earnings: { $sum: "$pricing.finalAmount" },
+          earnings: { $sum: driverNetExpression() },
+          tips: { $sum: { $ifNull: ['$settlement.tips', 0] } },
           rides: { $sum: 1 }
         }
       },
@@ -966,11 +1062,12 @@ router.get("/earnings", authenticateToken, requireDriver, async (req, res) => {
     
     // Get total earnings for the period
     const totalEarnings = earningsData.reduce((sum, day) => sum + day.earnings, 0);
+    const totalTips = earningsData.reduce((sum, day) => sum + day.tips, 0);
     const totalRides = earningsData.reduce((sum, day) => sum + day.rides, 0);
     
     // Get today's specific data
     const todayStr = today.toISOString().split('T')[0];
-    const todayData = earningsData.find(day => day._id === todayStr) || { earnings: 0, rides: 0 };
+    const todayData = earningsData.find(day => day._id === todayStr) || { earnings: 0, tips: 0, rides: 0 };
     
     // Get all-time totals
     const allTimeData = await Ride.aggregate([
@@ -984,12 +1081,16 @@ router.get("/earnings", authenticateToken, requireDriver, async (req, res) => {
       {
         $group: {
           _id: null,
-          totalEarnings: { $sum: "$pricing.finalAmount" },
+          totalEarnings: { $sum: driverNetExpression() },
+          totalTips: { $sum: { $ifNull: ['$settlement.tips', 0] } },
           totalRides: { $sum: 1 }
         }
       }
     ]);
     
+    // Where the period's fares went: commission, taxes, tips, cash held
+    const breakdown = await getSettlementSummary(matchCriteria);
+
     const response = {
       status: 'success',
       message: 'Earnings data retrieved from backend (no AsyncStorage)',
@@ -998,19 +1099,26 @@ router.get("/earnings", authenticateToken, requireDriver, async (req, res) => {
         startDate: startDate.toISOString(),
         endDate: new Date().toISOString(),
         
-        // Summary totals
+        // Summary totals (driver net, after commission; includes tips)
         totalEarnings,
         totalEarningsRs: totalEarnings / 100,
+        totalTips,
+        totalTipsRs: totalTips / 100,
         totalRides,
+        breakdown,
         
         // Today's data
         todayEarnings: todayData.earnings,
         todayEarningsRs: todayData.earnings / 100,
+        todayTips: todayData.tips,
+        todayTipsRs: todayData.tips / 100,
         todayRides: todayData.rides,
         
         // All-time data
         allTimeEarnings: allTimeData[0]?.totalEarnings || 0,
         allTimeEarningsRs: (allTimeData[0]?.totalEarnings || 0) / 100,
+        allTimeTips: allTimeData[0]?.totalTips || 0,
+        allTimeTipsRs: (allTimeData[0]?.totalTips || 0) / 100,
         allTimeRides: allTimeData[0]?.totalRides || 0,
         
         // Daily breakdown
@@ -1018,6 +1126,8 @@ router.get("/earnings", authenticateToken, requireDriver, async (req, res) => {
           date: day._id,
           earnings: day.earnings,
           earningsRs: day.earnings / 100,
+          tips: day.tips,
+          tipsRs: day.tips / 100,
           rides: day.rides
         })),
         
@@ -1054,6 +1164,36 @@ router.patch(
     try {
       const { isAvailable } = req.body;
 
+      if (isAvailable && isDriverSuspended(req.user)) {
+        return res.status(403).json({
+          status: "error",
+          code: "DRIVER_SUSPENDED",
+          message: "You are suspended for repeated cancellations",
+          suspendedUntil: req.user.driverInfo.suspendedUntil,
+        });
+      }
+
+      if (isAvailable) {
+        const { missing, expired } = getDocumentStatus(req.user);
+        if (expired.length > 0) {
+          return res.status(403).json({
+            status: "error",
+            code: "DRIVER_DOCUMENTS_EXPIRED",
+            message: "Renew your expired documents before going online",
+            missingDocuments: missing,
+            expiredDocuments: expired,
+          });
+        }
+        if (missing.length > 0) {
+          return res.status(403).json({
+            status: "error",
+            code: "DRIVER_DOCUMENTS_NOT_APPROVED",
+            message: "All required documents must be approved before you can go online",
+            missingDocuments: missing,
+          });
+        }
+      }
+
       console.log(
         `🔄 Updating availability for driver ${req.user.fullName} (${req.user._id}) to: ${isAvailable}`
       );
@@ -1099,57 +1239,13 @@ router.patch(
 // Get available ride requests
 router.get(
   "/ride-requests",
-  authenticateToken,
+  authenticateDriverSession,
   requireDriver,
   async (req, res) => {
     try {
-      const { lat, lng, radius = 10000 } = req.query; // 10km default radius
-
-      if (!lat || !lng) {
-        return res.status(400).json({
-          status: "error",
-          message: "Current location is required",
-        });
-      }
-
-      // Find nearby ride requests with fallback for missing geospatial index
-      let rideRequests = [];
-      
-      try {
-        // Try geospatial query first
-        rideRequests = await Ride.find({
-          status: "pending",
-          rideType: req.user.driverInfo.vehicleType,
-          'pickup.coordinates': {
-            $near: {
-              $geometry: {
-                type: "Point",
-                coordinates: [parseFloat(lng), parseFloat(lat)],
-              },
-              $maxDistance: parseInt(radius),
-            },
-          },
-        })
-          .populate("user", "fullName phone")
-          .sort({ createdAt: -1 })
-          .limit(20);
-          
-        console.log('✅ Geospatial query successful, found:', rideRequests.length, 'rides');
-      } catch (geoError) {
-        console.error('❌ Geospatial query failed:', geoError.message);
-        console.log('🔄 Falling back to non-geospatial query...');
-        
-        // Fallback: Get all pending rides without location filter
-        rideRequests = await Ride.find({
-          status: "pending",
-          rideType: req.user.driverInfo.vehicleType,
-        })
-          .populate("user", "fullName phone")
-          .sort({ createdAt: -1 })
-          .limit(20);
-          
-        console.log('📍 Fallback query successful, found:', rideRequests.length, 'rides');
-      }
+      // Ride requests are pushed to drivers by the dispatch engine; only the
+      // offers currently addressed to this driver are listed here
+      const rideRequests = await getOffersForDriver(req.user._id);
 
       res.status(200).json({
         status: "success",
@@ -1171,7 +1267,7 @@ router.get(
 // Accept ride request
 router.post(
   "/accept-ride/:rideId",
-  authenticateToken,
+  authenticateDriverSession,
   requireDriver,
   validateObjectId("rideId"),
   async (req, res) => {
@@ -1185,13 +1281,6 @@ router.post(
         });
       }
 
-      if (ride.status !== "pending") {
-        return res.status(400).json({
-          status: "error",
-          message: "Ride is no longer available",
-        });
-      }
-
       // Flexible vehicle type matching for delivery requests
       const rideVehicleType = ride.rideType?.toLowerCase();
       const driverVehicleType = req.user.driverInfo.vehicleType?.toLowerCase();
@@ -1202,14 +1291,12 @@ router.post(
         serviceType: ride.serviceType,
       });
 
-      // For delivery requests, allow more flexible vehicle matching
+      // Deliveries can go to any vehicle that fits the parcel (same rule as dispatch)
       if (ride.serviceType === "delivery") {
-        // Delivery can be done by bike, auto, or car
-        const allowedVehicles = ["bike", "auto", "car", "any"];
-        if (!allowedVehicles.includes(driverVehicleType)) {
+        if (!canCarryParcel(driverVehicleType, ride.delivery)) {
           return res.status(400).json({
             status: "error",
-            message: "Vehicle type not suitable for delivery",
+            message: "Vehicle type not suitable for this parcel",
           });
         }
         console.log(
@@ -1250,33 +1337,38 @@ router.post(
         });
       }
 
-      // Update ride
-      ride.driver = req.user._id;
-      // If sub-driver is acting, attribute subDriver when valid
-      const subHeader = req.headers["x-subdriver-id"] || req.headers["x-sub-driver-id"];
-      if (subHeader) {
-        try {
-          const subId = String(subHeader);
-          const belongs = (req.user.subDrivers || []).some(sd => String(sd._id) === subId && sd.isActive !== false);
-          if (belongs) {
-            ride.subDriver = subId;
-          }
-        } catch {}
-      }
-      ride.status = "accepted";
-      ride.actualPickupTime = new Date();
-      await ride.save();
+      // A sub-driver session accepts as that sub-driver
+      const { actor, actorId } = getDriverActor(req.user, req.subDriver?._id);
+      const acceptedBy = req.subDriver || {
+        name: req.user.fullName,
+        phone: req.user.phone,
+        vehicleType: req.user.driverInfo.vehicleType,
+        vehicleNumber: req.user.driverInfo.vehicleNumber,
+      };
 
-      // Update driver availability
-      await User.findByIdAndUpdate(req.user._id, {
-        "driverInfo.isAvailable": false,
+      // Single conditional update; fails if another driver got there first
+      const { dispatcher } = req.app.get("socketUtils") || {};
+      const acceptedRide = await acceptRide({
+        rideId: ride._id,
+        driverId: req.user._id,
+        subDriverId: actor === "sub-driver" ? actorId : null,
+        location: req.subDriver?.currentLocation?.coordinates || req.user.driverInfo?.currentLocation?.coordinates,
+        io: req.app.get("io"),
+        dispatcher,
       });
 
+      // The main driver is now busy; the rest of the fleet stays available
+      if (!req.subDriver) {
+        await User.findByIdAndUpdate(req.user._id, {
+          "driverInfo.isAvailable": false,
+        });
+      }
+
       // Send notification to user
       const notification = new Notification({
         user: ride.user,
         title: "Ride Accepted",
-        message: `Your ride has been accepted by ${req.user.fullName}`,
+        message: `Your ride has been accepted by ${acceptedBy.name}`,
         type: "ride_update",
         data: { rideId: ride._id },
       });
@@ -1288,27 +1380,21 @@ router.post(
         io.to(`user_${ride.user}`).emit("ride-accepted", {
           rideId: ride._id,
           driver: {
-            name: req.user.fullName,
-            phone: req.user.phone,
-            vehicleType: req.user.driverInfo.vehicleType,
-            vehicleNumber: req.user.driverInfo.vehicleNumber,
+            name: acceptedBy.name,
+            phone: acceptedBy.phone,
+            vehicleType: acceptedBy.vehicleType,
+            vehicleNumber: acceptedBy.vehicleNumber,
             rating: req.user.driverInfo.rating,
           },
         });
-
-        // Notify other drivers that ride is taken
-        io.to("drivers").emit("ride-taken", {
-          rideId: ride._id,
-          takenBy: req.user._id,
-        });
-        console.log("📡 ✅ EMITTED RIDE-TAKEN TO DRIVERS ROOM");
       }
 
       res.status(200).json({
         status: "success",
         message: "Ride accepted successfully",
         data: {
-          rideId: ride._id,
+          rideId: acceptedRide._id,
+          status: acceptedRide.status,
           user: {
             name: ride.user.fullName,
             phone: ride.user.phone,
@@ -1318,6 +1404,12 @@ router.post(
         },
       });
     } catch (error) {
+      if (isAcceptanceError(error)) {
+        return sendAcceptanceError(res, error);
+      }
+      if (isTransitionError(error)) {
+        return sendTransitionError(res, error);
+      }
       console.error("Accept ride error:", error);
       res.status(500).json({
         status: "error",
@@ -1327,17 +1419,122 @@ router.post(
   }
 );
 
+// Cancel an accepted ride as the driver (consequences come from the cancellation policy)
+router.post(
+  "/rides/:rideId/cancel",
+  authenticateDriverSession,
+  requireDriver,
+  validateObjectId("rideId"),
+  async (req, res) => {
+    try {
+      const { reason, location } = req.body;
+      const ride = await Ride.findById(req.params.rideId);
+
+      if (!ride) {
+        return res.status(404).json({
+          status: "error",
+          message: "Ride not found",
+        });
+      }
+
+      if (!canActOnRide(ride, req.user._id, req.subDriver?._id)) {
+        return res.status(403).json({
+          status: "error",
+          message: "Unauthorized to cancel this ride",
+        });
+      }
+
+      const { actor, actorId } = getDriverActor(req.user, req.subDriver?._id);
+
+      const assessment = await assessCancellation(ride, "driver", {
+        driverLocation: req.user.driverInfo?.currentLocation?.coordinates,
+      });
+
+      await ride.cancelRide(
+        "driver",
+        reason || "Cancelled by driver",
+        0,
+        { actor, actorId, location },
+        assessment
+      );
+
+      // Strikes can suspend the driver; otherwise the main driver is free for
+      // new offers (unless a document lapsed while they were on the ride)
+      const standing = assessment.strikes > 0
+        ? await applyDriverStrikes(req.user._id, assessment.policyDocument)
+        : { strikes: 0, suspendedUntil: null };
+      if (!req.subDriver && !standing.suspendedUntil && hasApprovedDocuments(req.user)) {
+        await User.findByIdAndUpdate(req.user._id, {
+          "driverInfo.isAvailable": true,
+        });
+      }
+
+      // The rider gets their money back in full
+      const io = req.app.get("io");
+      let refund = null;
+      if (ride.payment.method !== "cash" && ride.payment.status === "completed") {
+        refund = await refundRidePayment(ride, "Driver cancelled the ride", { io });
+      }
+
+      const message = "Your driver cancelled the ride. Please book again.";
+      await new Notification({
+        user: ride.user,
+        title: "Ride Cancelled",
+        message,
+        type: "ride_update",
+        priority: "high",
+        data: { rideId: ride._id },
+      }).save();
+
+      if (io) {
+        io.to(`user_${ride.user}`).emit("ride-cancelled", {
+          rideId: ride._id,
+          status: ride.status,
+          cancelledBy: "driver",
+          message,
+        });
+      }
+
+      res.status(200).json({
+        status: "success",
+        message: "Ride cancelled successfully",
+        data: {
+          rideId: ride._id,
+          strikes: assessment.strikes,
+          penalty: assessment.penalty,
+          waivedReason: assessment.waivedReason,
+          strikesInWindow: standing.strikes,
+          maxStrikes: assessment.policyDocument.maxStrikes,
+          suspendedUntil: standing.suspendedUntil,
+          refund,
+        },
+      });
+    } catch (error) {
+      if (isTransitionError(error)) {
+        return sendTransitionError(res, error);
+      }
+      console.error("Driver cancel ride error:", error);
+      res.status(500).json({
+        status: "error",
+        message: "Failed to cancel ride",
+      });
+    }
+  }
+);
+
 // Get driver's ride history
 router.get(
   "/rides",
-  authenticateToken,
+  authenticateDriverSession,
   requireDriver,
   validatePagination,
   async (req, res) => {
     try {
-      const { page = 1, limit = 10, status, subDriverId } = req.query;
+      const { page = 1, limit = 10, status } = req.query;
       const skip = (page - 1) * limit;
 
+      // Sub-drivers only see their own rides
+      const subDriverId = req.subDriver?._id || req.query.subDriverId;
       const filter = { driver: req.user._id };
       if (status) {
         filter.status = status;
@@ -1378,12 +1575,14 @@ router.get(
 // Get current ride
 router.get(
   "/current-ride",
-  authenticateToken,
+  authenticateDriverSession,
   requireDriver,
   async (req, res) => {
     try {
+      // Sub-drivers only see their own ride
       const ride = await Ride.findOne({
         driver: req.user._id,
+        ...(req.subDriver ? { subDriver: req.subDriver._id } : {}),
         status: { $in: ["accepted", "arrived", "started"] },
       }).populate("user", "fullName phone");
 
@@ -1586,7 +1785,8 @@ router.get("/earnings", authenticateToken, requireDriver, async (req, res) => {
           _id: {
             $dateToString: { format: "%Y-%m-%d", date: "$createdAt" },
           },
-          totalEarnings: { $sum: "$pricing.finalAmount" },
+          totalEarnings: { $sum: driverNetExpression() },
+          totalTips: { $sum: { $ifNull: ["$settlement.tips", 0] } },
           totalRides: { $sum: 1 },
           averageFare: { $avg: "$pricing.finalAmount" },
         },
@@ -1604,22 +1804,27 @@ router.get("/earnings", authenticateToken, requireDriver, async (req, res) => {
       {
         $group: {
           _id: null,
-          totalEarnings: { $sum: "$pricing.finalAmount" },
+          totalEarnings: { $sum: driverNetExpression() },
+          totalTips: { $sum: { $ifNull: ["$settlement.tips", 0] } },
           totalRides: { $sum: 1 },
           averageFare: { $avg: "$pricing.finalAmount" },
         },
       },
     ]);
 
+    const breakdown = await getSettlementSummary(matchFilter);
+
     res.status(200).json({
       status: "success",
       data: {
         period,
         summary: summary[0] || {
           totalEarnings: 0,
+          totalTips: 0,
           totalRides: 0,
           averageFare: 0,
         },
+        breakdown,
         dailyEarnings: earnings,
       },
     });
@@ -1667,65 +1872,138 @@ router.patch(
   }
 );
 
-// Request withdrawal
-router.post("/withdraw", authenticateToken, requireDriver, async (req, res) => {
+// KYC documents and their review status
+router.get("/documents", authenticateToken, requireDriver, async (req, res) => {
   try {
-    const { amount } = req.body;
+    res.status(200).json({
+      status: "success",
+      data: getDocumentStatus(req.user),
+    });
+  } catch (error) {
+    console.error("Get driver documents error:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Failed to get documents",
+    });
+  }
+});
 
-    if (!amount || amount <= 0) {
-      return res.status(400).json({
+// Upload a KYC document (multipart: file, number, expiryDate) for admin review
+router.post(
+  "/documents/:type",
+  authenticateToken,
+  requireDriver,
+  uploadDocumentFile,
+  async (req, res) => {
+    try {
+      const { number, expiryDate } = req.body;
+
+      const documents = await uploadDriverDocument({
+        driverId: req.user._id,
+        type: req.params.type,
+        file: req.file,
+        number,
+        expiryDate,
+      });
+
+      res.status(200).json({
+        status: "success",
+        message: "Document uploaded and sent for review",
+        data: documents,
+      });
+    } catch (error) {
+      if (isDocumentError(error)) {
+        return sendDocumentError(res, error);
+      }
+      console.error("Upload driver document error:", error);
+      res.status(500).json({
         status: "error",
-        message: "Invalid withdrawal amount",
+        message: "Failed to upload document",
       });
     }
+  }
+);
 
-    // Check if driver has sufficient earnings
-    const totalEarnings = await Ride.aggregate([
-      {
-        $match: {
-          driver: req.user._id,
-          status: "completed",
-        },
-      },
-      {
-        $group: {
-          _id: null,
-          total: { $sum: "$pricing.finalAmount" },
-        },
-      },
-    ]);
+// Withdrawable balance: net earnings less payouts, penalties and earnings on hold
+router.get("/payouts/balance", authenticateToken, requireDriver, async (req, res) => {
+  try {
+    const balance = await getPayoutBalance(req.user._id);
 
-    const availableAmount = totalEarnings[0]?.total || 0;
+    res.status(200).json({
+      status: "success",
+      data: { balance },
+    });
+  } catch (error) {
+    console.error("Get payout balance error:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Failed to get payout balance",
+    });
+  }
+});
 
-    if (amount > availableAmount) {
-      return res.status(400).json({
-        status: "error",
-        message: "Insufficient earnings for withdrawal",
-      });
-    }
+// Payout history
+router.get("/payouts", authenticateToken, requireDriver, validatePagination, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+    const skip = (page - 1) * limit;
+
+    const filter = { driver: req.user._id };
+    if (status) filter.status = status;
 
-    // Create withdrawal request (you might want to create a separate Withdrawal model)
-    const withdrawal = new Payment({
-      user: req.user._id,
-      type: "withdrawal",
-      amount: amount,
-      method: "bank_transfer",
-      status: "pending",
-      description: "Driver earnings withdrawal",
+    const payouts = await Payout.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Payout.countDocuments(filter);
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        payouts,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get payouts error:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Failed to get payouts",
     });
+  }
+});
 
-    await withdrawal.save();
+// Request withdrawal (amount in rupees); queued for admin approval
+router.post("/withdraw", authenticateToken, requireDriver, async (req, res) => {
+  try {
+    const amount = Math.round(Number(req.body.amount) * 100);
+
+    const payout = await requestPayout({
+      driverId: req.user._id,
+      amount,
+      io: req.app.get("io"),
+    });
 
     res.status(200).json({
       status: "success",
       message: "Withdrawal request submitted successfully",
       data: {
-        withdrawalId: withdrawal._id,
-        amount: amount,
-        status: "pending",
+        withdrawalId: payout._id,
+        payout,
+        amount: payout.amount,
+        amountRs: payout.amount / 100,
+        status: payout.status,
       },
     });
   } catch (error) {
+    if (isPayoutError(error)) {
+      return sendPayoutError(res, error);
+    }
     console.error("Withdrawal request error:", error);
     res.status(500).json({
       status: "error",
@@ -1737,7 +2015,7 @@ router.post("/withdraw", authenticateToken, requireDriver, async (req, res) => {
 // Update driver location
 router.patch(
   "/location",
-  authenticateToken,
+  authenticateDriverSession,
   requireDriver,
   async (req, res) => {
     try {
@@ -1763,6 +2041,39 @@ router.patch(
         });
       }
 
+      // Sub-drivers report their own position; riders on their ride follow it
+      if (req.subDriver) {
+        const coordinates = [parseFloat(longitude), parseFloat(latitude)];
+        const updatedAt = new Date();
+        await User.updateOne(
+          { _id: req.user._id, "subDrivers._id": req.subDriver._id },
+          {
+            "subDrivers.$.currentLocation": { coordinates, updatedAt },
+          }
+        );
+
+        const io = req.app.get("io");
+        if (io && req.subDriver.activeRide) {
+          io.to(`ride_${req.subDriver.activeRide}`).emit("driver-location-update", {
+            driverId: req.user._id,
+            subDriverId: req.subDriver._id,
+            location: { longitude: coordinates[0], latitude: coordinates[1] },
+            timestamp: updatedAt,
+          });
+        }
+
+        return res.json({
+          status: "success",
+          message: "Location updated successfully",
+          data: {
+            subDriverId: req.subDriver._id,
+            name: req.subDriver.name,
+            location: { coordinates },
+            lastUpdate: updatedAt,
+          },
+        });
+      }
+
       const driver = await User.findByIdAndUpdate(
         req.user._id,
         {
@@ -2018,22 +2329,28 @@ router.patch(
         });
       }
 
+      const update = {
+        "subDrivers.$.name": updateData.name,
+        "subDrivers.$.email": updateData.email?.toLowerCase(),
+        "subDrivers.$.phone": updateData.phone,
+        "subDrivers.$.licenseNumber": updateData.licenseNumber,
+        "subDrivers.$.vehicleNumber": updateData.vehicleNumber,
+        "subDrivers.$.vehicleType": updateData.vehicleType,
+        "subDrivers.$.isActive": updateData.isActive,
+      };
+      // Sub-driver's share of ride earnings; null falls back to the fleet default
+      if (updateData.revenueSharePercent !== undefined) {
+        update["subDrivers.$.revenueSharePercent"] = parseSharePercent(
+          updateData.revenueSharePercent
+        );
+      }
+
       const driver = await User.findOneAndUpdate(
         {
           _id: req.user._id,
           "subDrivers._id": subDriverId,
         },
-        {
-          $set: {
-            "subDrivers.$.name": updateData.name,
-            "subDrivers.$.email": updateData.email?.toLowerCase(),
-            "subDrivers.$.phone": updateData.phone,
-            "subDrivers.$.licenseNumber": updateData.licenseNumber,
-            "subDrivers.$.vehicleNumber": updateData.vehicleNumber,
-            "subDrivers.$.vehicleType": updateData.vehicleType,
-            "subDrivers.$.isActive": updateData.isActive,
-          },
-        },
+        { $set: update },
         { new: true }
       ).select("subDrivers");
 
@@ -2044,6 +2361,14 @@ router.patch(
         });
       }
 
+      if (updateData.isActive === false) {
+        await endSubDriverSessions({
+          ownerId: req.user._id,
+          subDriverId,
+          io: req.app.get("io"),
+        });
+      }
+
       console.log(
         `✅ Updated sub-driver ${subDriverId} for ${req.user.fullName}`
       );
@@ -2056,6 +2381,9 @@ router.patch(
         },
       });
     } catch (error) {
+      if (isFleetError(error)) {
+        return sendFleetError(res, error);
+      }
       console.error("Update sub-driver error:", error);
       res.status(500).json({
         status: "error",
@@ -2095,6 +2423,12 @@ router.delete(
         });
       }
 
+      await endSubDriverSessions({
+        ownerId: req.user._id,
+        subDriverId,
+        io: req.app.get("io"),
+      });
+
       console.log(
         `🗑️ Deleted sub-driver ${subDriverId} for ${req.user.fullName}`
       );
@@ -2163,6 +2497,14 @@ router.patch(
         { new: true }
       ).select("subDrivers");
 
+      if (!newStatus) {
+        await endSubDriverSessions({
+          ownerId: req.user._id,
+          subDriverId,
+          io: req.app.get("io"),
+        });
+      }
+
       console.log(
         `🔄 Toggled sub-driver ${subDriverId} status to ${
           newStatus ? "active" : "inactive"
@@ -2188,6 +2530,134 @@ router.patch(
   }
 );
 
+// Sign a sub-driver out of every device; they have to log in again with OTP
+router.post(
+  "/sub-drivers/:subDriverId/revoke-sessions",
+  authenticateToken,
+  requireDriver,
+  validateObjectId("subDriverId"),
+  async (req, res) => {
+    try {
+      const { subDriverId } = req.params;
+
+      const exists = (req.user.subDrivers || []).some(
+        (sd) => sd._id.toString() === subDriverId
+      );
+      if (!exists) {
+        return res.status(404).json({
+          status: "error",
+          message: "Sub-driver not found",
+        });
+      }
+
+      await endSubDriverSessions({
+        ownerId: req.user._id,
+        subDriverId,
+        io: req.app.get("io"),
+        revokeTokens: true,
+      });
+
+      res.status(200).json({
+        status: "success",
+        message: "Sub-driver signed out of all sessions",
+      });
+    } catch (error) {
+      console.error("Revoke sub-driver sessions error:", error);
+      res.status(500).json({
+        status: "error",
+        message: "Failed to revoke sub-driver sessions",
+      });
+    }
+  }
+);
+
+// Default share of ride earnings for the fleet's sub-drivers
+router.patch(
+  "/fleet/settings",
+  authenticateToken,
+  requireDriver,
+  async (req, res) => {
+    try {
+      const subDriverSharePercent = parseSharePercent(
+        req.body.subDriverSharePercent
+      );
+
+      const driver = await User.findByIdAndUpdate(
+        req.user._id,
+        { "driverInfo.subDriverSharePercent": subDriverSharePercent },
+        { new: true }
+      ).select("driverInfo.subDriverSharePercent");
+
+      res.status(200).json({
+        status: "success",
+        message: "Fleet settings updated",
+        data: {
+          subDriverSharePercent: driver.driverInfo.subDriverSharePercent,
+        },
+      });
+    } catch (error) {
+      if (isFleetError(error)) {
+        return sendFleetError(res, error);
+      }
+      console.error("Update fleet settings error:", error);
+      res.status(500).json({
+        status: "error",
+        message: "Failed to update fleet settings",
+      });
+    }
+  }
+);
+
+// Per-sub-driver performance and earnings (?format=csv or pdf to download a statement)
+router.get(
+  "/fleet/report",
+  authenticateToken,
+  requireDriver,
+  async (req, res) => {
+    try {
+      const { from, to, subDriverId, format } = req.query;
+      const report = await getFleetReport({
+        owner: req.user,
+        from,
+        to,
+        subDriverId,
+      });
+
+      if (format === "csv") {
+        res.setHeader("Content-Type", "text/csv");
+        res.setHeader(
+          "Content-Disposition",
+          `attachment; filename="${fleetStatementFileName(report, "csv")}"`
+        );
+        return res.status(200).send(fleetReportToCsv(report));
+      }
+
+      if (format === "pdf") {
+        res.setHeader("Content-Type", "application/pdf");
+        res.setHeader(
+          "Content-Disposition",
+          `attachment; filename="${fleetStatementFileName(report, "pdf")}"`
+        );
+        return res.status(200).send(renderFleetStatementPdf(report));
+      }
+
+      res.status(200).json({
+        status: "success",
+        data: report,
+      });
+    } catch (error) {
+      if (isFleetError(error)) {
+        return sendFleetError(res, error);
+      }
+      console.error("Get fleet report error:", error);
+      res.status(500).json({
+        status: "error",
+        message: "Failed to get fleet report",
+      });
+    }
+  }
+);
+
 // Get driver details by ID (public endpoint) - MUST BE LAST to avoid route conflicts
 router.get("/:driverId", async (req, res) => {
   try {
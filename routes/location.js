@@ -9,9 +9,11 @@ const {
   getNearbyPlaces,
   getPlaceDetails,
   autocompletePlaces,
-  calculateFare,
   getTrafficConditions
 } = require('../utils/googleMaps');
+const { createSurgeQuote } = require('../utils/surge');
+const { quoteFare } = require('../utils/fareEngine');
+const { resolveParcel, isParcelError, sendParcelError } = require('../utils/parcelPricing');
 
 const router = express.Router();
 
@@ -256,14 +258,18 @@ router.post('/autocomplete', optionalAuth, async (req, res) => {
 // Calculate fare
 router.post('/calculate-fare', optionalAuth, async (req, res) => {
   try {
-    const { origin, destination, vehicleType, surgeMultiplier = 1 } = req.body;
+    const { origin, destination, vehicleType, serviceType = 'ride', city, delivery } = req.body;
+    const isDelivery = String(serviceType).toLowerCase() === 'delivery';
 
-    if (!origin || !destination || !vehicleType) {
+    // Deliveries can leave the vehicle to the parcel's weight and size
+    if (!origin || !destination || (!vehicleType && !isDelivery)) {
       return res.status(400).json({
         status: 'error',
         message: 'Origin, destination, and vehicle type are required'
       });
     }
+    const parcel = isDelivery ? resolveParcel(delivery, { rideType: vehicleType }) : null;
+    const rideType = parcel ? parcel.rideType : vehicleType;
 
     // Get distance and duration
     const distanceResult = await getDistanceAndDuration(origin, destination);
@@ -275,13 +281,25 @@ router.post('/calculate-fare', optionalAuth, async (req, res) => {
       });
     }
 
-    // Calculate fare
-    const fare = calculateFare(
-      distanceResult.distance,
-      distanceResult.duration,
-      vehicleType,
-      surgeMultiplier
-    );
+    // Quote the live surge for the pickup cell and lock it for booking
+    const surge = await createSurgeQuote({
+      coordinates: [origin.lng, origin.lat],
+      rideType,
+      userId: req.user?._id
+    });
+
+    // Calculate fare from the city's active rate card
+    const { pricing } = await quoteFare({
+      city,
+      rideType,
+      serviceType,
+      pickupCoords: [origin.lng, origin.lat],
+      destinationCoords: [destination.lng, destination.lat],
+      distance: distanceResult.distance,
+      duration: distanceResult.duration,
+      surgeMultiplier: surge.multiplier,
+      parcel
+    });
 
     res.status(200).json({
       status: 'success',
@@ -290,11 +308,21 @@ router.post('/calculate-fare', optionalAuth, async (req, res) => {
         duration: distanceResult.duration,
         distanceText: distanceResult.distanceText,
         durationText: distanceResult.durationText,
-        fare: fare
+        fare: pricing,
+        estimatedFareRs: pricing.finalAmount / 100,
+        rideType,
+        surge: {
+          multiplier: surge.multiplier,
+          quoteId: surge.quoteId,
+          expiresAt: surge.expiresAt
+        }
       }
     });
 
   } catch (error) {
+    if (isParcelError(error)) {
+      return sendParcelError(res, error);
+    }
     console.error('Fare calculation error:', error);
     res.status(500).json({
       status: 'error',
@@ -1,7 +1,7 @@
 const express = require('express');
+const crypto = require('crypto');
 const Payment = require('../models/Payment');
-const User = require('../models/User');
-const Ride = require('../models/Ride');
+const WalletLedger = require('../models/WalletLedger');
 const { authenticateToken } = require('../middleware/auth');
 const { validatePayment } = require('../middleware/validation');
 const { 
@@ -11,6 +11,18 @@ const {
   getPaymentDetails,
   verifyWebhookSignature 
 } = require('../utils/razorpay');
+const { completePayment, processWebhookEvent } = require('../utils/paymentWebhooks');
+const {
+  LEDGER_ACCOUNTS,
+  toPaise,
+  creditWallet,
+  debitWallet,
+  getWalletBalance,
+  getWalletStatement,
+  statementToCsv,
+  isWalletError,
+  sendWalletError
+} = require('../utils/walletLedger');
 
 const router = express.Router();
 
@@ -118,46 +130,20 @@ router.post('/verify', authenticateToken, async (req, res) => {
       });
     }
 
-    // Mark payment as completed
-    await payment.markCompleted({
-      paymentId: razorpay_payment_id,
-      signature: razorpay_signature
-    });
-
-    // Update user wallet if it's a top-up
-    if (payment.type === 'wallet_topup') {
-      const user = await User.findById(req.user._id);
-      const previousBalance = user.wallet.balance;
-      const newBalance = previousBalance + payment.amount;
-
-      user.wallet.balance = newBalance;
-      user.wallet.transactions.push({
-        type: 'credit',
-        amount: payment.amount,
-        description: 'Wallet top-up via Razorpay',
-        date: new Date()
+    // The signature only proves the order was paid: it has to be this payment's order
+    if (!payment.razorpay?.orderId || razorpay_order_id !== payment.razorpay.orderId) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Payment verification failed'
       });
-
-      await user.save();
-
-      // Update payment with wallet details
-      payment.wallet = {
-        previousBalance: previousBalance,
-        newBalance: newBalance,
-        transactionType: 'credit'
-      };
-      await payment.save();
     }
 
-    // Update ride payment status if applicable
-    if (payment.ride) {
-      await Ride.findByIdAndUpdate(payment.ride, {
-        'payment.status': 'completed',
-        'payment.razorpayPaymentId': razorpay_payment_id,
-        'payment.razorpayOrderId': razorpay_order_id,
-        'payment.razorpaySignature': razorpay_signature
-      });
-    }
+    // Mark payment as completed (no-op if the webhook already did)
+    await completePayment(payment, {
+      orderId: razorpay_order_id,
+      paymentId: razorpay_payment_id,
+      signature: razorpay_signature
+    }, { io: req.app.get('io') });
 
     res.status(200).json({
       status: 'success',
@@ -281,7 +267,87 @@ router.post('/refund', authenticateToken, async (req, res) => {
       });
     }
 
-    const refundAmount = amount || payment.amount;
+    // Tips are passed straight on to the driver
+    if (payment.type === 'tip') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Tips cannot be refunded'
+      });
+    }
+
+    const refundable = payment.amount - (payment.refund?.refundAmount || 0);
+    const refundAmount = amount === undefined || amount === null ? refundable : Number(amount);
+    if (!Number.isFinite(refundAmount) || refundAmount <= 0 || refundAmount > refundable) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Refund amount must be more than 0 and at most ${refundable}`
+      });
+    }
+
+    // Claim the refund before anything else: only one request can move the
+    // payment out of `completed`, and the amount is counted as it does
+    const claimed = await Payment.findOneAndUpdate(
+      {
+        _id: payment._id,
+        status: 'completed',
+        $expr: { $lte: [{ $add: [{ $ifNull: ['$refund.refundAmount', 0] }, refundAmount] }, '$amount'] }
+      },
+      { $set: { status: 'processing' }, $inc: { 'refund.refundAmount': refundAmount } },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'A refund for this payment is already in progress'
+      });
+    }
+
+    const releaseClaim = () => Payment.updateOne(
+      { _id: payment._id, status: 'processing' },
+      { $set: { status: 'completed' }, $inc: { 'refund.refundAmount': -refundAmount } }
+    );
+
+    // Take the top-up back out of the wallet first so it cannot be spent
+    // while the gateway refund is in flight. Only a debit restored after a
+    // failed refund starts a new one.
+    let walletDebit = null;
+    if (payment.type === 'wallet_topup') {
+      const restoredDebits = await WalletLedger.countDocuments({
+        user: req.user._id,
+        payment: payment._id,
+        type: 'reversal'
+      });
+      try {
+        walletDebit = await debitWallet({
+          userId: req.user._id,
+          amount: toPaise(refundAmount),
+          type: 'topup_refund',
+          key: restoredDebits ? `topup_refund:${payment._id}:${restoredDebits}` : `topup_refund:${payment._id}`,
+          counterAccount: LEDGER_ACCOUNTS.GATEWAY,
+          description: `Refund for payment ${payment._id}`,
+          payment: payment._id
+        });
+      } catch (error) {
+        await releaseClaim();
+        if (isWalletError(error)) return sendWalletError(res, error);
+        throw error;
+      }
+
+      // An earlier attempt already took this debit and may have reached the
+      // gateway: report it rather than refunding a second time
+      if (walletDebit.duplicate) {
+        console.error(`❌ Refund for payment ${payment._id} repeats an earlier wallet debit, not sent to the gateway`);
+        return res.status(200).json({
+          status: 'success',
+          message: 'Refund already requested',
+          refund: {
+            id: claimed.refund?.refundId || null,
+            amount: walletDebit.entry.amount / 100,
+            status: claimed.status
+          }
+        });
+      }
+    }
 
     // Create Razorpay refund
     const refundResult = await createRefund(
@@ -291,6 +357,18 @@ router.post('/refund', authenticateToken, async (req, res) => {
     );
 
     if (!refundResult.success) {
+      if (walletDebit) {
+        await creditWallet({
+          userId: req.user._id,
+          amount: walletDebit.entry.amount,
+          type: 'reversal',
+          key: `reversal:${walletDebit.entry._id}`,
+          counterAccount: LEDGER_ACCOUNTS.GATEWAY,
+          description: `Refund for payment ${payment._id} failed, amount restored`,
+          payment: payment._id
+        });
+      }
+      await releaseClaim();
       return res.status(400).json({
         status: 'error',
         message: 'Failed to process refund',
@@ -298,21 +376,12 @@ router.post('/refund', authenticateToken, async (req, res) => {
       });
     }
 
-    // Update payment record
-    await payment.processRefund(refundAmount, reason);
-
-    // Update user wallet if applicable
-    if (payment.type === 'wallet_topup') {
-      const user = await User.findById(req.user._id);
-      user.wallet.balance -= refundAmount;
-      user.wallet.transactions.push({
-        type: 'debit',
-        amount: refundAmount,
-        description: `Refund for payment ${payment._id}`,
-        date: new Date()
-      });
-      await user.save();
-    }
+    // The amount was counted by the claim; the refund id lets the refund webhooks find it
+    claimed.status = 'refunded';
+    claimed.refund.refundId = refundResult.refund.id;
+    claimed.refund.reason = reason;
+    claimed.refund.processedAt = new Date();
+    await claimed.save();
 
     res.status(200).json({
       status: 'success',
@@ -333,14 +402,14 @@ router.post('/refund', authenticateToken, async (req, res) => {
   }
 });
 
-// Razorpay webhook
+// Razorpay webhook (the body arrives raw so the signature can be checked)
 router.post('/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
   try {
     const signature = req.headers['x-razorpay-signature'];
-    const body = req.body;
+    const body = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : '';
 
     // Verify webhook signature
-    const isValid = verifyWebhookSignature(
+    const isValid = !!body && verifyWebhookSignature(
       body,
       signature,
       process.env.RAZORPAY_WEBHOOK_SECRET
@@ -354,28 +423,21 @@ router.post('/webhook', express.raw({ type: 'application/json' }), async (req, r
     }
 
     const event = JSON.parse(body);
-
-    // Handle different webhook events
-    switch (event.event) {
-      case 'payment.captured':
-        console.log('Payment captured:', event.payload.payment.entity.id);
-        break;
-      
-      case 'payment.failed':
-        console.log('Payment failed:', event.payload.payment.entity.id);
-        break;
-      
-      case 'refund.created':
-        console.log('Refund created:', event.payload.refund.entity.id);
-        break;
-      
-      default:
-        console.log('Unhandled webhook event:', event.event);
+    // Razorpay resends the same event id on retries
+    const eventId = req.headers['x-razorpay-event-id'] ||
+      crypto.createHash('sha256').update(body).digest('hex');
+
+    const result = await processWebhookEvent({ eventId, event });
+    if (result.duplicate) {
+      console.log(`🔁 Duplicate webhook ${eventId} (${event.event}) skipped`);
+    } else {
+      console.log(`💳 Webhook ${event.event} ${eventId}: ${result.outcome}`);
     }
 
-    res.status(200).json({ status: 'success' });
+    res.status(200).json({ status: 'success', duplicate: result.duplicate });
 
   } catch (error) {
+    // A non-2xx response makes Razorpay retry the event
     console.error('Webhook error:', error);
     res.status(500).json({
       status: 'error',
@@ -387,12 +449,12 @@ router.post('/webhook', express.raw({ type: 'application/json' }), async (req, r
 // Get wallet balance
 router.get('/wallet/balance', authenticateToken, async (req, res) => {
   try {
-    const user = await User.findById(req.user._id).select('wallet.balance');
-    
+    const balance = await getWalletBalance(req.user._id);
+
     res.status(200).json({
       status: 'success',
       data: {
-        balance: user.wallet.balance
+        balance: balance / 100
       }
     });
 
@@ -405,39 +467,34 @@ router.get('/wallet/balance', authenticateToken, async (req, res) => {
   }
 });
 
-// Get wallet transactions
-router.get('/wallet/transactions', authenticateToken, async (req, res) => {
+// Get wallet statement from the ledger (format=csv downloads every matching entry)
+router.get(['/wallet/statement', '/wallet/transactions'], authenticateToken, async (req, res) => {
   try {
-    const { page = 1, limit = 20 } = req.query;
-    const skip = (page - 1) * limit;
+    const { page = 1, limit = 20, from, to, type, format } = req.query;
 
-    const user = await User.findById(req.user._id)
-      .select('wallet.transactions')
-      .populate('wallet.transactions.rideId', 'pickup destination');
-
-    const transactions = user.wallet.transactions
-      .sort((a, b) => new Date(b.date) - new Date(a.date))
-      .slice(skip, skip + parseInt(limit));
+    if (format === 'csv') {
+      const statement = await getWalletStatement({ userId: req.user._id, limit: 0, from, to, type });
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="wallet-statement-${req.user._id}.csv"`);
+      return res.status(200).send(statementToCsv(statement.entries));
+    }
 
-    const total = user.wallet.transactions.length;
+    const statement = await getWalletStatement({ userId: req.user._id, page, limit, from, to, type });
 
     res.status(200).json({
       status: 'success',
       data: {
-        transactions,
-        pagination: {
-          current: parseInt(page),
-          pages: Math.ceil(total / limit),
-          total
-        }
+        balance: statement.balanceRs,
+        transactions: statement.entries,
+        pagination: statement.pagination
       }
     });
 
   } catch (error) {
-    console.error('Get wallet transactions error:', error);
+    console.error('Get wallet statement error:', error);
     res.status(500).json({
       status: 'error',
-      message: 'Failed to get wallet transactions'
+      message: 'Failed to get wallet statement'
     });
   }
 });
@@ -3,11 +3,43 @@ const Ride = require('../models/Ride');
 const User = require('../models/User');
 const Payment = require('../models/Payment');
 const Notification = require('../models/Notification');
-const { authenticateToken, requireVerification } = require('../middleware/auth');
+const { authenticateToken, authenticateDriverSession, requireVerification } = require('../middleware/auth');
 const { validateRideRequest, validateObjectId, validatePagination } = require('../middleware/validation');
-const { getDistanceAndDuration, calculateFare } = require('../utils/googleMaps');
+const { getDistanceAndDuration } = require('../utils/googleMaps');
 const { sendRideConfirmationEmail } = require('../utils/email');
-const { calculateCompletePricing } = require('../utils/pricingCalculator');
+const { quoteFare, finalizeFare } = require('../utils/fareEngine');
+const { settleRide, recordSettlement } = require('../utils/settlement');
+const { issueRideInvoice, renderInvoicePdf, invoiceFileName, sendRideInvoice } = require('../utils/invoices');
+const { getDriverActor, isTransitionError, sendTransitionError } = require('../utils/rideStateMachine');
+const { planSchedule, UPCOMING_STATUSES } = require('../utils/rideScheduler');
+const { refundRidePayment } = require('../utils/refunds');
+const { assessCancellation } = require('../utils/cancellationPolicy');
+const { normalizeStops, attachLegs, issueStopOtps, advanceStop, summarizeStops } = require('../utils/rideStops');
+const { resolveSurge } = require('../utils/surge');
+const { validatePromo, redeemPromo, reversePromoRedemption, isPromoError, sendPromoError } = require('../utils/promos');
+const {
+  collectRidePayment,
+  collectCancellationFee,
+  confirmCashCollection,
+  payRideDue,
+  getOutstandingDues,
+  assertNoOutstandingDues,
+  isRidePaymentError,
+  sendRidePaymentError
+} = require('../utils/ridePayments');
+const { isWalletError, sendWalletError } = require('../utils/walletLedger');
+const { tipRide, isTipError, sendTipError } = require('../utils/tips');
+const { recordReferralRide } = require('../utils/referrals');
+const { canActOnRide } = require('../utils/subDrivers');
+const {
+  requiresHandoverOtp,
+  canIssueHandoverOtp,
+  issueHandoverOtp,
+  verifyHandoverOtp,
+  isHandoverOtpError,
+  sendHandoverOtpError
+} = require('../utils/handoverOtp');
+const { resolveParcel, isParcelError, sendParcelError } = require('../utils/parcelPricing');
 
 const router = express.Router();
 
@@ -18,7 +50,7 @@ router.post('/delivery/request', authenticateToken, requireVerification, async (
     console.log('👤 User ID:', req.user?._id);
 
     const {
-      rideType = 'bike',
+      rideType,
       serviceType = 'delivery',
       pickup,
       destination,
@@ -26,12 +58,20 @@ router.post('/delivery/request', authenticateToken, requireVerification, async (
       luggage = true,
       specialRequests = '',
       scheduledTime = null,
-      paymentMethod = 'cash'
+      paymentMethod = 'cash',
+      stops,
+      surgeQuoteId,
+      city,
+      promoCode,
+      delivery
     } = req.body;
 
     console.log('📍 Pickup:', pickup);
     console.log('📍 Destination:', destination);
 
+    // Unpaid rides must be settled first
+    await assertNoOutstandingDues(req.user._id);
+
     // Basic validation for delivery
     if (!pickup || !destination) {
       return res.status(400).json({
@@ -75,6 +115,31 @@ router.post('/delivery/request', authenticateToken, requireVerification, async (
       });
     }
 
+    // Future bookings are held by the ride scheduler
+    let plannedSchedule = null;
+    if (scheduledTime) {
+      plannedSchedule = planSchedule(scheduledTime);
+      if (plannedSchedule.error) {
+        return res.status(400).json({
+          status: 'error',
+          message: plannedSchedule.error
+        });
+      }
+    }
+
+    // Optional intermediate drops, each with its own recipient and OTP
+    const stopResult = normalizeStops(stops, { isDelivery: true });
+    if (stopResult.error) {
+      return res.status(400).json({
+        status: 'error',
+        message: stopResult.error
+      });
+    }
+    const waypoints = stopResult.waypoints;
+
+    // The parcel's weight and size pick the vehicle (or must fit the one chosen)
+    const parcel = resolveParcel(delivery, { rideType });
+
     // Calculate pricing using the pricing calculator
     const pickupCoords = pickup.coordinates;
     const destCoords = destination.coordinates;
@@ -82,13 +147,24 @@ router.post('/delivery/request', authenticateToken, requireVerification, async (
     console.log('🧮 Calculating pricing for delivery...');
     console.log('📍 From:', pickupCoords, 'To:', destCoords);
 
-    const pricingData = await calculateCompletePricing({
-      pickup: { coordinates: pickupCoords },
-      destination: { coordinates: destCoords },
-      rideType,
+    // Locked quote from /api/location/calculate-fare, or the live surge
+    const surge = await resolveSurge({
+      coordinates: pickupCoords,
+      rideType: parcel.rideType,
+      quoteId: surgeQuoteId,
+      userId: req.user._id
+    });
+
+    const pricingData = await quoteFare({
+      city,
+      pickupCoords,
+      destinationCoords: destCoords,
+      waypoints: waypoints.map((stop) => stop.coordinates),
+      rideType: parcel.rideType,
       serviceType: 'delivery',
-      passengers: 1,
-      luggage: true
+      surgeMultiplier: surge.multiplier,
+      at: plannedSchedule ? plannedSchedule.scheduledTime : new Date(),
+      parcel
     });
 
     console.log('💰 Pricing calculated:', pricingData);
@@ -96,8 +172,10 @@ router.post('/delivery/request', authenticateToken, requireVerification, async (
     // Create delivery ride
     const ride = new Ride({
       user: req.user._id,
-      rideType,
+      rideType: parcel.rideType,
       serviceType: 'delivery',
+      city,
+      delivery: parcel.delivery,
       pickup: {
         address: pickup.address,
         coordinates: {
@@ -116,36 +194,75 @@ router.post('/delivery/request', authenticateToken, requireVerification, async (
         landmark: destination.landmark || '',
         instructions: destination.instructions || ''
       },
-      route: pricingData.route,
-      pricing: pricingData.pricing,
+      route: {
+        ...pricingData.route,
+        waypoints: attachLegs(waypoints, pricingData.route.legs)
+      },
+      pricing: {
+        ...pricingData.pricing,
+        surgeQuote: surge.quoteId
+      },
       passengers: 1,
       luggage: true,
       specialRequests: specialRequests || 'Parcel Delivery',
-      scheduledTime: scheduledTime ? new Date(scheduledTime) : null,
+      ...(plannedSchedule
+        ? { status: 'scheduled', scheduledTime: plannedSchedule.scheduledTime, schedule: plannedSchedule.schedule }
+        : {}),
       payment: {
         method: paymentMethod
       }
     });
 
-    await ride.save();
+    const stopOtps = issueStopOtps(ride);
+
+    // Redeem the promo code against the quoted fare
+    const promo = promoCode
+      ? await redeemPromo({ code: promoCode, userId: req.user._id, ride })
+      : null;
+
+    try {
+      await ride.save();
+    } catch (error) {
+      if (promo) await reversePromoRedemption(ride, 'Booking failed');
+      throw error;
+    }
 
     console.log('✅ Delivery ride created successfully:', ride._id);
 
+    // Offer the delivery to ranked nearby drivers (scheduled bookings wait for the scheduler)
+    const { dispatchRide } = req.app.get('socketUtils') || {};
+    const dispatchResult = dispatchRide && !plannedSchedule ? await dispatchRide(ride._id) : null;
+
     res.status(201).json({
       status: 'success',
       message: 'Delivery request created successfully',
       data: {
         ride: ride,
         rideId: ride._id,
-        estimatedFare: pricingData.pricing.finalAmount,
-        estimatedFareRs: pricingData.pricing.finalAmount / 100,
+        status: dispatchResult?.status || ride.status,
+        estimatedFare: ride.pricing.finalAmount,
+        estimatedFareRs: ride.pricing.finalAmount / 100,
+        rideType: ride.rideType,
+        discount: ride.pricing.discount,
+        promoCode: promo?.code,
         estimatedTime: pricingData.route.duration,
         distance: pricingData.route.distance,
-        pricingBreakdown: pricingData.pricing.breakdown
+        pricingBreakdown: pricingData.pricing.breakdown,
+        surge,
+        stops: summarizeStops(ride, { otps: stopOtps })
       }
     });
 
   } catch (error) {
+    if (isRidePaymentError(error)) {
+      return sendRidePaymentError(res, error);
+    }
+    if (isPromoError(error)) {
+      return sendPromoError(res, error);
+    }
+    if (isParcelError(error)) {
+      return sendParcelError(res, error);
+    }
     console.error('❌ Delivery request error:', error);
     console.error('❌ Error stack:', error.stack);
     res.status(500).json({
@@ -171,9 +288,16 @@ router.post('/request', authenticateToken, requireVerification, async (req, res)
       luggage = false,
       specialRequests = '',
       scheduledTime = null,
-      paymentMethod = 'cash'
+      paymentMethod = 'cash',
+      stops,
+      surgeQuoteId,
+      city,
+      promoCode
     } = req.body;
 
+    // Unpaid rides must be settled first
+    await assertNoOutstandingDues(req.user._id);
+
     // Basic validation
     if (!rideType || !pickup || !destination) {
       return res.status(400).json({
@@ -215,38 +339,70 @@ router.post('/request', authenticateToken, requireVerification, async (req, res)
       });
     }
 
-    // Calculate distance and duration (with fallback)
-    let distanceResult;
-    let fare;
+    // Future bookings are held by the ride scheduler
+    let plannedSchedule = null;
+    if (scheduledTime) {
+      plannedSchedule = planSchedule(scheduledTime);
+      if (plannedSchedule.error) {
+        return res.status(400).json({
+          status: 'error',
+          message: plannedSchedule.error
+        });
+      }
+    }
 
-    try {
-      distanceResult = await getDistanceAndDuration(
-        { lat: pickup.coordinates[1], lng: pickup.coordinates[0] },
-        { lat: destination.coordinates[1], lng: destination.coordinates[0] }
-      );
-
-      if (distanceResult.success) {
-        fare = calculateFare(distanceResult.distance, distanceResult.duration, rideType);
-      } else {
-        throw new Error('Distance calculation failed');
+    // Optional intermediate stops, in order
+    const stopResult = normalizeStops(stops, { isDelivery: serviceType === 'delivery' });
+    if (stopResult.error) {
+      return res.status(400).json({
+        status: 'error',
+        message: stopResult.error
+      });
+    }
+    const waypoints = stopResult.waypoints;
+
+    // Locked quote from /api/location/calculate-fare, or the live surge
+    const surge = await resolveSurge({
+      coordinates: pickup.coordinates,
+      rideType,
+      quoteId: surgeQuoteId,
+      userId: req.user._id
+    });
+
+    // Measured road distance for direct rides; multi-stop routes are measured leg by leg
+    let measured = {};
+    if (waypoints.length === 0) {
+      try {
+        const distanceResult = await getDistanceAndDuration(
+          { lat: pickup.coordinates[1], lng: pickup.coordinates[0] },
+          { lat: destination.coordinates[1], lng: destination.coordinates[0] }
+        );
+        if (distanceResult.success) {
+          measured = { distance: distanceResult.distance, duration: distanceResult.duration };
+        }
+      } catch (error) {
+        console.log('Distance calculation failed, estimating from coordinates:', error.message);
       }
-    } catch (error) {
-      console.log('Distance calculation failed, using fallback:', error.message);
-      // Fallback values for demo
-      distanceResult = {
-        success: true,
-        distance: 5.5, // 5.5 km
-        duration: 15,  // 15 minutes
-        route: 'Fallback route'
-      };
-      fare = calculateFare(distanceResult.distance, distanceResult.duration, rideType);
     }
 
+    const pricingData = await quoteFare({
+      city,
+      rideType,
+      serviceType,
+      pickupCoords: pickup.coordinates,
+      destinationCoords: destination.coordinates,
+      waypoints: waypoints.map((stop) => stop.coordinates),
+      ...measured,
+      surgeMultiplier: surge.multiplier,
+      at: plannedSchedule ? plannedSchedule.scheduledTime : new Date()
+    });
+
     // Create ride
     const ride = new Ride({
       user: req.user._id,
       rideType,
       serviceType,
+      city,
       pickup: {
         address: pickup.address,
         coordinates: {
@@ -266,57 +422,67 @@ router.post('/request', authenticateToken, requireVerification, async (req, res)
         instructions: destination.instructions
       },
       route: {
-        distance: distanceResult.distance,
-        duration: distanceResult.duration
+        ...pricingData.route,
+        waypoints: attachLegs(waypoints, pricingData.route.legs)
       },
       pricing: {
-        baseFare: fare.baseFare || 20,
-        distanceFare: fare.distanceFare || 50,
-        timeFare: fare.timeFare || 15,
-        subtotal: fare.subtotal || 85,
-        finalAmount: fare.finalAmount || 85
+        ...pricingData.pricing,
+        surgeQuote: surge.quoteId
       },
       passengers,
       luggage,
       specialRequests,
-      scheduledTime: scheduledTime ? new Date(scheduledTime) : null,
+      ...(plannedSchedule
+        ? { status: 'scheduled', scheduledTime: plannedSchedule.scheduledTime, schedule: plannedSchedule.schedule }
+        : {}),
       payment: {
         method: paymentMethod
       }
     });
 
-    await ride.save();
+    const stopOtps = issueStopOtps(ride);
 
-    // Emit ride request to nearby drivers via Socket.IO
-    const io = req.app.get('io');
-    const { broadcastRideRequest } = req.app.get('socketUtils');
-    if (io && broadcastRideRequest) {
-      const rideData = {
-        rideId: ride._id,
-        rideType,
-        pickup: ride.pickup,
-        destination: ride.destination,
-        fare: ride.pricing.finalAmount,
-        distance: ride.route.distance,
-        duration: ride.route.duration,
-        serviceType: 'ride', // to distinguish from delivery
-      };
-      await broadcastRideRequest(rideData);
+    // Redeem the promo code against the quoted fare
+    const promo = promoCode
+      ? await redeemPromo({ code: promoCode, userId: req.user._id, ride })
+      : null;
+
+    try {
+      await ride.save();
+    } catch (error) {
+      if (promo) await reversePromoRedemption(ride, 'Booking failed');
+      throw error;
     }
 
+    // Offer the ride to ranked nearby drivers (scheduled bookings wait for the scheduler)
+    const { dispatchRide } = req.app.get('socketUtils') || {};
+    const dispatchResult = dispatchRide && !plannedSchedule ? await dispatchRide(ride._id) : null;
+
     res.status(201).json({
       status: 'success',
       message: 'Ride request created successfully',
       data: {
         rideId: ride._id,
-        status: ride.status,
+        status: dispatchResult?.status || ride.status,
         estimatedFare: ride.pricing.finalAmount,
+        estimatedFareRs: ride.pricing.finalAmount / 100,
+        discount: ride.pricing.discount,
+        promoCode: promo?.code,
         estimatedDistance: ride.route.distance,
-        estimatedDuration: ride.route.duration
+        estimatedDuration: ride.route.duration,
+        scheduledTime: ride.scheduledTime,
+        surge,
+        stops: summarizeStops(ride, { otps: stopOtps })
       }
     });
 
   } catch (error) {
+    if (isRidePaymentError(error)) {
+      return sendRidePaymentError(res, error);
+    }
+    if (isPromoError(error)) {
+      return sendPromoError(res, error);
+    }
     console.error('Create ride request error:', error);
     res.status(500).json({
       status: 'error',
@@ -325,6 +491,91 @@ router.post('/request', authenticateToken, requireVerification, async (req, res)
   }
 });
 
+// Quote a promo code against a trip before booking
+router.post('/apply-promo', authenticateToken, async (req, res) => {
+  try {
+    const {
+      code,
+      rideType = 'bike',
+      serviceType = 'ride',
+      pickup,
+      destination,
+      stops,
+      city,
+      surgeQuoteId,
+      scheduledTime
+    } = req.body;
+
+    if (!code || !pickup?.coordinates || !destination?.coordinates) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'code, pickup.coordinates and destination.coordinates are required'
+      });
+    }
+
+    const stopResult = normalizeStops(stops, { isDelivery: false });
+    if (stopResult.error) {
+      return res.status(400).json({
+        status: 'error',
+        message: stopResult.error
+      });
+    }
+
+    const at = scheduledTime ? new Date(scheduledTime) : new Date();
+    const surge = await resolveSurge({
+      coordinates: pickup.coordinates,
+      rideType,
+      quoteId: surgeQuoteId,
+      userId: req.user._id
+    });
+    const { pricing } = await quoteFare({
+      city,
+      rideType,
+      serviceType,
+      pickupCoords: pickup.coordinates,
+      destinationCoords: destination.coordinates,
+      waypoints: stopResult.waypoints.map((stop) => stop.coordinates),
+      surgeMultiplier: surge.multiplier,
+      at
+    });
+
+    const { promo, discount } = await validatePromo({
+      code,
+      userId: req.user._id,
+      fare: pricing.totalFare,
+      rideType,
+      serviceType,
+      at
+    });
+
+    const finalAmount = Math.max(0, pricing.totalFare - discount);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        code: promo.code,
+        description: promo.description,
+        fare: pricing.totalFare,
+        discount,
+        discountRs: discount / 100,
+        finalAmount,
+        finalAmountRs: finalAmount / 100,
+        surge
+      }
+    });
+
+  } catch (error) {
+    if (isPromoError(error)) {
+      return sendPromoError(res, error);
+    }
+    console.error('Apply promo error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to apply promo code'
+    });
+  }
+});
+
 // Get user's ride history
 router.get('/history', authenticateToken, validatePagination, async (req, res) => {
   try {
@@ -365,8 +616,135 @@ router.get('/history', authenticateToken, validatePagination, async (req, res) =
   }
 });
 
+// Get user's unpaid completed rides (new bookings are blocked until they are paid)
+router.get('/dues', authenticateToken, async (req, res) => {
+  try {
+    const dues = await getOutstandingDues(req.user._id);
+
+    res.status(200).json({
+      status: 'success',
+      data: dues
+    });
+
+  } catch (error) {
+    console.error('Get outstanding dues error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get outstanding dues'
+    });
+  }
+});
+
+// Get user's upcoming scheduled rides
+router.get('/scheduled', authenticateToken, validatePagination, async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const filter = {
+      user: req.user._id,
+      scheduledTime: { $gte: new Date() },
+      status: { $in: UPCOMING_STATUSES }
+    };
+
+    const rides = await Ride.find(filter)
+      .populate('driver', 'fullName phone driverInfo.vehicleType driverInfo.vehicleNumber driverInfo.rating')
+      .sort({ scheduledTime: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Ride.countDocuments(filter);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        rides,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get scheduled rides error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get scheduled rides'
+    });
+  }
+});
+
+// Reschedule an upcoming booking (only before dispatch has started)
+router.patch('/:rideId/reschedule', authenticateToken, validateObjectId('rideId'), async (req, res) => {
+  try {
+    const { scheduledTime } = req.body;
+
+    if (!scheduledTime) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'scheduledTime is required'
+      });
+    }
+
+    const plannedSchedule = planSchedule(scheduledTime);
+    if (plannedSchedule.error) {
+      return res.status(400).json({
+        status: 'error',
+        message: plannedSchedule.error
+      });
+    }
+
+    const ride = await Ride.findOneAndUpdate(
+      { _id: req.params.rideId, user: req.user._id, status: 'scheduled' },
+      {
+        $set: {
+          scheduledTime: plannedSchedule.scheduledTime,
+          'schedule.dispatchAt': plannedSchedule.schedule.dispatchAt,
+          'schedule.cancelAt': plannedSchedule.schedule.cancelAt,
+          'schedule.remindersSent': []
+        },
+        $inc: { 'schedule.rescheduleCount': 1 }
+      },
+      { new: true }
+    );
+
+    if (!ride) {
+      const existing = await Ride.findById(req.params.rideId).select('user status');
+      if (!existing || existing.user.toString() !== req.user._id.toString()) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Ride not found'
+        });
+      }
+      return res.status(409).json({
+        status: 'error',
+        message: `Only scheduled rides can be rescheduled (ride is ${existing.status})`
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Ride rescheduled successfully',
+      data: {
+        rideId: ride._id,
+        status: ride.status,
+        scheduledTime: ride.scheduledTime
+      }
+    });
+
+  } catch (error) {
+    console.error('Reschedule ride error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to reschedule ride'
+    });
+  }
+});
+
 // Get ride details
-router.get('/:rideId', authenticateToken, validateObjectId('rideId'), async (req, res) => {
+router.get('/:rideId', authenticateDriverSession, validateObjectId('rideId'), async (req, res) => {
   try {
     const ride = await Ride.findById(req.params.rideId)
       .populate('user', 'fullName phone email')
@@ -379,9 +757,9 @@ router.get('/:rideId', authenticateToken, validateObjectId('rideId'), async (req
       });
     }
 
-    // Check if user has access to this ride
-    if (ride.user._id.toString() !== req.user._id.toString() &&
-      (!ride.driver || ride.driver._id.toString() !== req.user._id.toString())) {
+    // Check if user has access to this ride (sub-drivers only see the rides they took)
+    const isRider = !req.subDriver && ride.user._id.toString() === req.user._id.toString();
+    if (!isRider && !canActOnRide(ride, req.user._id, req.subDriver?._id)) {
       return res.status(403).json({
         status: 'error',
         message: 'Unauthorized access to ride'
@@ -402,6 +780,235 @@ router.get('/:rideId', authenticateToken, validateObjectId('rideId'), async (req
   }
 });
 
+// Tax invoice for a completed ride or delivery (?format=pdf to download)
+router.get('/:rideId/invoice', authenticateToken, validateObjectId('rideId'), async (req, res) => {
+  try {
+    const ride = await Ride.findById(req.params.rideId).select('user status');
+
+    if (!ride) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Ride not found'
+      });
+    }
+
+    if (ride.user.toString() !== req.user._id.toString() && req.user.role !== 'Admin') {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Unauthorized access to ride'
+      });
+    }
+
+    if (ride.status !== 'completed') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invoices are only available for completed rides'
+      });
+    }
+
+    const invoice = await issueRideInvoice(ride._id);
+
+    if (req.query.format === 'pdf') {
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${invoiceFileName(invoice)}"`);
+      return res.status(200).send(renderInvoicePdf(invoice));
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: invoice
+    });
+
+  } catch (error) {
+    console.error('Get ride invoice error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get invoice'
+    });
+  }
+});
+
+// New OTP for the rider to give the driver (the last one expired or was lost)
+router.post('/:rideId/handover-otp', authenticateToken, validateObjectId('rideId'), async (req, res) => {
+  try {
+    const ride = await Ride.findById(req.params.rideId).select('user driver status serviceType delivery otpVerified');
+
+    if (!ride) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Ride not found'
+      });
+    }
+
+    if (ride.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Unauthorized access to ride'
+      });
+    }
+
+    if (!canIssueHandoverOtp(ride)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'An OTP is only needed while a driver is on the way or on the trip'
+      });
+    }
+
+    const { otp, expiresAt, purpose } = await issueHandoverOtp(ride, { io: req.app.get('io') });
+
+    res.status(200).json({
+      status: 'success',
+      data: { rideId: ride._id, otp, purpose, expiresAt }
+    });
+
+  } catch (error) {
+    console.error('Issue handover OTP error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to generate OTP'
+    });
+  }
+});
+
+// Pay what is due on a completed ride (wallet now, or a Razorpay order for upi/card)
+router.post('/:rideId/pay', authenticateToken, validateObjectId('rideId'), async (req, res) => {
+  try {
+    const ride = await Ride.findById(req.params.rideId);
+
+    if (!ride) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Ride not found'
+      });
+    }
+
+    if (ride.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Unauthorized access to ride'
+      });
+    }
+
+    const result = await payRideDue({ ride, method: req.body.method || ride.payment.method });
+
+    res.status(200).json({
+      status: 'success',
+      message: result.status === 'paid' ? 'Ride paid successfully' : 'Payment order created successfully',
+      data: result
+    });
+
+  } catch (error) {
+    if (isRidePaymentError(error)) {
+      return sendRidePaymentError(res, error);
+    }
+    if (isWalletError(error)) {
+      return sendWalletError(res, error);
+    }
+    console.error('Pay ride error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to pay for ride'
+    });
+  }
+});
+
+// Tip the driver after a completed ride (amount in rupees; wallet now, or a Razorpay order for upi/card)
+router.post('/:rideId/tip', authenticateToken, validateObjectId('rideId'), async (req, res) => {
+  try {
+    const { amount, method = 'wallet', message } = req.body;
+    const ride = await Ride.findById(req.params.rideId);
+
+    if (!ride) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Ride not found'
+      });
+    }
+
+    if (ride.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Unauthorized access to ride'
+      });
+    }
+
+    const result = await tipRide({
+      ride,
+      amount: Math.round(Number(amount) * 100),
+      method,
+      message: message ? String(message).trim().slice(0, 200) : undefined,
+      io: req.app.get('io')
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: result.status === 'completed' ? 'Thank you! Your tip has been sent to the driver' : 'Payment order created successfully',
+      data: {
+        ...result,
+        amountRs: result.amount / 100
+      }
+    });
+
+  } catch (error) {
+    if (isTipError(error)) {
+      return sendTipError(res, error);
+    }
+    if (isWalletError(error)) {
+      return sendWalletError(res, error);
+    }
+    console.error('Tip ride error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to add tip'
+    });
+  }
+});
+
+// Confirm whether the rider paid cash (for drivers)
+router.post('/:rideId/cash-collected', authenticateDriverSession, validateObjectId('rideId'), async (req, res) => {
+  try {
+    const { collected = true } = req.body;
+    const ride = await Ride.findById(req.params.rideId);
+
+    if (!ride) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Ride not found'
+      });
+    }
+
+    if (!canActOnRide(ride, req.user._id, req.subDriver?._id)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Unauthorized to confirm payment for this ride'
+      });
+    }
+
+    const result = await confirmCashCollection({
+      ride,
+      collected: collected === true || collected === 'true',
+      driverId: req.user._id,
+      io: req.app.get('io')
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: result.status === 'paid' ? 'Cash collection confirmed' : 'Fare recorded as due from the rider',
+      data: result
+    });
+
+  } catch (error) {
+    if (isRidePaymentError(error)) {
+      return sendRidePaymentError(res, error);
+    }
+    console.error('Confirm cash collection error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to confirm cash collection'
+    });
+  }
+});
+
 // Cancel ride
 router.post('/:rideId/cancel', authenticateToken, validateObjectId('rideId'), async (req, res) => {
   try {
@@ -429,21 +1036,32 @@ router.post('/:rideId/cancel', authenticateToken, validateObjectId('rideId'), as
       });
     }
 
-    // Calculate cancellation fee based on ride status
-    let cancellationFee = 0;
-    if (ride.status === 'accepted' || ride.status === 'arrived') {
-      cancellationFee = Math.min(ride.pricing.finalAmount * 0.1, 50); // 10% or ₹50 max
-    }
+    // Fee, driver compensation and strikes come from the city's cancellation policy
+    const assessment = await assessCancellation(ride, 'user');
+    const cancellationFee = assessment.fee;
 
-    await ride.cancelRide('user', reason, cancellationFee);
+    await ride.cancelRide('user', reason, cancellationFee, {
+      actorId: req.user._id,
+      location: req.body.location
+    }, assessment);
 
-    // Refund payment if applicable
+    // Pull back any outstanding driver offers
+    const { dispatcher } = req.app.get('socketUtils') || {};
+    if (dispatcher) {
+      dispatcher.withdrawOffers(ride._id, 'cancelled');
+    }
+
+    // Refund payment if applicable (failed refunds are retried in the background);
+    // riders who had not paid yet are charged the fee instead
+    let refund = null;
+    let feePayment = null;
     if (ride.payment.method !== 'cash' && ride.payment.status === 'completed') {
-      const refundAmount = ride.pricing.finalAmount - cancellationFee;
-      if (refundAmount > 0) {
-        // Process refund through payment gateway
-        // This would integrate with your payment system
-      }
+      refund = await refundRidePayment(ride, reason || 'Ride cancelled by user', {
+        amount: ride.cancellation.refundAmount,
+        io: req.app.get('io')
+      });
+    } else if (cancellationFee > 0) {
+      feePayment = await collectCancellationFee(ride, { io: req.app.get('io') });
     }
 
     // Notify driver if ride was accepted
@@ -451,7 +1069,9 @@ router.post('/:rideId/cancel', authenticateToken, validateObjectId('rideId'), as
       const notification = new Notification({
         user: ride.driver,
         title: 'Ride Cancelled',
-        message: `Ride ${ride._id} has been cancelled by the user`,
+        message: assessment.feeSplit.driver > 0
+          ? `Ride ${ride._id} has been cancelled by the user. You will receive ₹${assessment.feeSplit.driver / 100} as compensation.`
+          : `Ride ${ride._id} has been cancelled by the user`,
         type: 'ride_update',
         data: { rideId: ride._id }
       });
@@ -463,11 +1083,18 @@ router.post('/:rideId/cancel', authenticateToken, validateObjectId('rideId'), as
       message: 'Ride cancelled successfully',
       data: {
         cancellationFee,
-        refundAmount: Math.max(0, ride.pricing.finalAmount - cancellationFee)
+        refundAmount: ride.cancellation.refundAmount,
+        waivedReason: assessment.waivedReason,
+        strikes: assessment.strikes,
+        refund,
+        feePayment
       }
     });
 
   } catch (error) {
+    if (isTransitionError(error)) {
+      return sendTransitionError(res, error);
+    }
     console.error('Cancel ride error:', error);
     res.status(500).json({
       status: 'error',
@@ -597,9 +1224,9 @@ router.get('/current/active', authenticateToken, async (req, res) => {
 });
 
 // Update ride status (for drivers)
-router.patch('/:rideId/status', authenticateToken, validateObjectId('rideId'), async (req, res) => {
+router.patch('/:rideId/status', authenticateDriverSession, validateObjectId('rideId'), async (req, res) => {
   try {
-    const { status } = req.body;
+    const { status, location, stop } = req.body;
     const ride = await Ride.findById(req.params.rideId);
 
     if (!ride) {
@@ -609,13 +1236,54 @@ router.patch('/:rideId/status', authenticateToken, validateObjectId('rideId'), a
       });
     }
 
-    if (!ride.driver || ride.driver.toString() !== req.user._id.toString()) {
+    if (!canActOnRide(ride, req.user._id, req.subDriver?._id)) {
       return res.status(403).json({
         status: 'error',
         message: 'Unauthorized to update ride status'
       });
     }
 
+    // Multi-stop rides: advance the current stop instead of the ride status
+    if (stop) {
+      const updatedStop = await advanceStop(ride, stop.action, { otp: stop.otp });
+      await ride.save();
+
+      const stopUpdate = {
+        rideId: ride._id,
+        stop: {
+          sequence: updatedStop.sequence,
+          address: updatedStop.address,
+          status: updatedStop.status,
+          arrivedAt: updatedStop.arrivedAt,
+          completedAt: updatedStop.completedAt
+        },
+        stops: summarizeStops(ride),
+        timestamp: new Date()
+      };
+
+      const io = req.app.get('io');
+      if (io) {
+        io.to(`ride_${ride._id}`).emit('ride-stop-update', stopUpdate);
+        io.to(`user_${ride.user}`).emit('ride-stop-update', stopUpdate);
+      }
+
+      await new Notification({
+        user: ride.user,
+        title: 'Ride Stop Update',
+        message: updatedStop.status === 'arrived'
+          ? `Your driver has arrived at stop ${updatedStop.sequence}: ${updatedStop.address}`
+          : `Stop ${updatedStop.sequence} completed: ${updatedStop.address}`,
+        type: 'ride_update',
+        data: { rideId: ride._id }
+      }).save();
+
+      return res.status(200).json({
+        status: 'success',
+        message: 'Ride stop updated successfully',
+        data: stopUpdate
+      });
+    }
+
     const validStatuses = ['accepted', 'arrived', 'started', 'completed'];
     if (!validStatuses.includes(status)) {
       return res.status(400).json({
@@ -624,28 +1292,52 @@ router.patch('/:rideId/status', authenticateToken, validateObjectId('rideId'), a
       });
     }
 
-    await ride.updateStatus(status);
+    // Deliveries are only completed with their proof of delivery
+    const isDelivery = [ride.serviceType, ride.rideType].some((type) => String(type || '').toLowerCase() === 'delivery');
+    if (status === 'completed' && isDelivery) {
+      return res.status(409).json({
+        status: 'error',
+        code: 'DELIVERY_PROOF_REQUIRED',
+        message: 'Complete deliveries with POST /api/delivery/complete-delivery'
+      });
+    }
+
+    // Starting a ride needs the rider's OTP
+    if (requiresHandoverOtp(ride, status)) {
+      await verifyHandoverOtp(ride, req.body.otp, { io: req.app.get('io') });
+    }
+
+    const driverActor = { ...getDriverActor(req.user, req.subDriver?._id), location };
+    if (status === 'completed') {
+      // Only one completion request gets past this, so the ride is settled once
+      await ride.completeAtomically(driverActor);
+    } else {
+      await ride.updateStatus(status, driverActor);
+    }
 
     // ✅ HANDLE RIDE COMPLETION
     if (status === 'completed') {
       console.log('🏁 Processing ride completion:', ride._id);
 
-      // Set completion time
-      ride.completedAt = new Date();
-      ride.actualDropTime = new Date();
-
-      // Ensure pricing is set
-      if (!ride.pricing || !ride.pricing.finalAmount) {
-        ride.pricing = {
-          baseFare: 50,
-          distanceFare: 20,
-          timeFare: 10,
-          serviceFee: 5,
-          finalAmount: 85,
-        };
-      }
+      // Settle the fare (waiting charge, or pricing for rides never priced)
+      await finalizeFare(ride);
+      await settleRide(ride);
 
       await ride.save();
+      await recordSettlement(ride);
+
+      // Debit the wallet, raise a Razorpay order, or wait for the driver's cash confirmation
+      const paymentCollection = await collectRidePayment(ride, { io: req.app.get('io') });
+
+      // Issue the invoice and email it without holding up the driver
+      sendRideInvoice(ride._id).catch((error) => {
+        console.error(`❌ Invoice email for ride ${ride._id} failed:`, error.message);
+      });
+
+      // Count the ride towards the rider's and driver's referral rewards
+      recordReferralRide(ride, { io: req.app.get('io') }).catch((error) => {
+        console.error(`❌ Referral progress for ride ${ride._id} failed:`, error.message);
+      });
 
       // 📡 EMIT COMPLETION EVENTS
       const io = req.app.get('io');
@@ -656,24 +1348,29 @@ router.patch('/:rideId/status', authenticateToken, validateObjectId('rideId'), a
           timestamp: new Date(),
           status: 'completed',
           amount: ride.pricing?.finalAmount,
-          earnings: {
-            today: ride.pricing?.finalAmount || 0,
-            rideId: ride._id
-          }
+          payment: { status: paymentCollection.status, amountDue: paymentCollection.amountDue }
         };
 
         // Emit to ride room
         io.to(`ride_${ride._id}`).emit('ride-completed', completionData);
 
-        // Emit to driver for earnings update
+        // Earnings and the settlement go to the ride's driver only
         if (ride.driver) {
-          io.to(`user_${ride.driver}`).emit('ride-completed', completionData);
-          io.to(`user_${ride.driver}`).emit('earnings-updated', completionData);
+          const driverData = {
+            ...completionData,
+            earnings: {
+              today: ride.settlement.driverNet,
+              rideId: ride._id,
+              settlement: ride.settlement
+            }
+          };
+          io.to(`user_${ride.driver}`).emit('ride-completed', driverData);
+          io.to(`user_${ride.driver}`).emit('earnings-updated', driverData);
           console.log(`📡 Sent completion update to driver: ${ride.driver}`);
         }
 
         // Emit to all drivers room
-        io.to('drivers').emit('ride-completed', completionData);
+        io.to('drivers').emit('ride-completed', { rideId: ride._id, status: 'completed' });
 
         console.log('📡 Broadcasted ride completion to all relevant parties');
       }
@@ -699,8 +1396,8 @@ router.patch('/:rideId/status', authenticateToken, validateObjectId('rideId'), a
           pickup: ride.pickup.address,
           destination: ride.destination.address,
           fare: ride.pricing.finalAmount,
-          driverName: req.user.fullName,
-          driverPhone: req.user.phone
+          driverName: req.subDriver?.name || req.user.fullName,
+          driverPhone: req.subDriver?.phone || req.user.phone
         });
       }
     }
@@ -715,6 +1412,12 @@ router.patch('/:rideId/status', authenticateToken, validateObjectId('rideId'), a
     });
 
   } catch (error) {
+    if (isTransitionError(error)) {
+      return sendTransitionError(res, error);
+    }
+    if (isHandoverOtpError(error)) {
+      return sendHandoverOtpError(res, error);
+    }
     console.error('Update ride status error:', error);
     res.status(500).json({
       status: 'error',
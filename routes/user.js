@@ -5,6 +5,8 @@ const Payment = require('../models/Payment');
 const Notification = require('../models/Notification');
 const { authenticateToken, requireVerification } = require('../middleware/auth');
 const { validatePagination } = require('../middleware/validation');
+const { getWalletStatement } = require('../utils/walletLedger');
+const { getUserReferrals, getCurrentTerms } = require('../utils/referrals');
 const multer = require('multer');
 const cloudinary = require('cloudinary').v2;
 
@@ -52,6 +54,9 @@ router.get('/profile', authenticateToken, async (req, res) => {
   }
 });
 
+// 15-character GSTIN: state code, PAN, entity number, 'Z', checksum
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][A-Z\d]Z[A-Z\d]$/;
+
 // Update user profile
 router.patch('/profile', authenticateToken, async (req, res) => {
   try {
@@ -62,7 +67,8 @@ router.patch('/profile', authenticateToken, async (req, res) => {
       gender,
       dateOfBirth,
       emergencyContacts,
-      preferences
+      preferences,
+      billing
     } = req.body;
 
     const updateData = {};
@@ -74,6 +80,19 @@ router.patch('/profile', authenticateToken, async (req, res) => {
     if (dateOfBirth) updateData.dateOfBirth = new Date(dateOfBirth);
     if (emergencyContacts) updateData.emergencyContacts = emergencyContacts;
     if (preferences) updateData.preferences = { ...req.user.preferences, ...preferences };
+    if (billing) {
+      if (billing.gstin && !GSTIN_PATTERN.test(String(billing.gstin).toUpperCase())) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Please enter a valid GSTIN'
+        });
+      }
+      updateData.billing = {
+        businessName: billing.businessName,
+        gstin: billing.gstin,
+        address: billing.address
+      };
+    }
 
     const user = await User.findByIdAndUpdate(
       req.user._id,
@@ -376,29 +395,16 @@ router.get('/rides', authenticateToken, validatePagination, async (req, res) =>
 // Get wallet balance and transactions
 router.get('/wallet', authenticateToken, async (req, res) => {
   try {
-    const { page = 1, limit = 20 } = req.query;
-    const skip = (page - 1) * limit;
-
-    const user = await User.findById(req.user._id)
-      .select('wallet.balance wallet.transactions')
-      .populate('wallet.transactions.rideId', 'pickup destination status');
-
-    const transactions = user.wallet.transactions
-      .sort((a, b) => new Date(b.date) - new Date(a.date))
-      .slice(skip, skip + parseInt(limit));
+    const { page = 1, limit = 20, from, to, type } = req.query;
 
-    const total = user.wallet.transactions.length;
+    const statement = await getWalletStatement({ userId: req.user._id, page, limit, from, to, type });
 
     res.status(200).json({
       status: 'success',
       data: {
-        balance: user.wallet.balance,
-        transactions,
-        pagination: {
-          current: parseInt(page),
-          pages: Math.ceil(total / limit),
-          total
-        }
+        balance: statement.balanceRs,
+        transactions: statement.entries,
+        pagination: statement.pagination
       }
     });
 
@@ -588,19 +594,9 @@ router.get('/referral', authenticateToken, async (req, res) => {
       .select('referralCode referralEarnings')
       .populate('referredBy', 'fullName email');
 
-    // Get referral statistics
-    const referralStats = await User.aggregate([
-      {
-        $match: { referredBy: req.user._id }
-      },
-      {
-        $group: {
-          _id: null,
-          totalReferrals: { $sum: 1 },
-          totalEarnings: { $sum: '$referralEarnings' }
-        }
-      }
-    ]);
+    // People this user referred, their progress and the rewards on offer
+    const { referrals, stats } = await getUserReferrals(req.user._id);
+    const terms = await getCurrentTerms();
 
     res.status(200).json({
       status: 'success',
@@ -608,7 +604,9 @@ router.get('/referral', authenticateToken, async (req, res) => {
         referralCode: user.referralCode,
         referralEarnings: user.referralEarnings,
         referredBy: user.referredBy,
-        stats: referralStats[0] || { totalReferrals: 0, totalEarnings: 0 }
+        stats,
+        referrals,
+        terms
       }
     });
 
@@ -0,0 +1,41 @@
+/**
+ * Move driver documents stored as plain URLs onto the review schema
+ * Run once with: node scripts/migrate-driver-documents.js
+ *
+ * `driverInfo.documents.<type>` used to be a string; each one becomes a
+ * pending document with that URL so an admin reviews it. The file itself
+ * stays where it was; the admin file route redirects to it.
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const TYPES = ['license', 'vehicleRC', 'insurance', 'pollution'];
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/idhar-udhar');
+  const users = mongoose.connection.db.collection('users');
+
+  let migrated = 0;
+  for (const type of TYPES) {
+    const path = `driverInfo.documents.${type}`;
+    const cursor = users.find({ [path]: { $type: 'string' } }, { projection: { [path]: 1, updatedAt: 1 } });
+
+    for await (const user of cursor) {
+      const url = user.driverInfo.documents[type];
+      await users.updateOne(
+        { _id: user._id },
+        { $set: { [path]: url ? { url, status: 'pending', uploadedAt: user.updatedAt || new Date() } : null } }
+      );
+      migrated += 1;
+    }
+  }
+
+  console.log(`📄 Migrated ${migrated} driver document(s)`);
+  await mongoose.disconnect();
+};
+
+migrate().catch((error) => {
+  console.error('❌ Driver document migration failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,105 @@
+/**
+ * Replay signed Razorpay webhook payloads against a local server
+ * Run with: node scripts/replay-webhook.js <event> --order <order_id> --payment <pay_id> --amount <paise> [--refund <rfnd_id>] [--event-id <id>] [--url <url>]
+ *
+ * Each payload is signed with RAZORPAY_WEBHOOK_SECRET and sent twice with
+ * the same event id; the second delivery should come back as a duplicate.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+require('dotenv').config();
+
+const args = process.argv.slice(2);
+const eventName = args[0];
+const option = (name, fallback = null) => {
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 && args[index + 1] ? args[index + 1] : fallback;
+};
+
+const orderId = option('order', `order_${Date.now()}`);
+const paymentId = option('payment', `pay_${Date.now()}`);
+const refundId = option('refund', `rfnd_${Date.now()}`);
+const amount = parseInt(option('amount', '10000'));
+const eventId = option('event-id', `evt_${crypto.randomBytes(8).toString('hex')}`);
+const url = option('url', `http://localhost:${process.env.PORT || 5000}/api/payment/webhook`);
+const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+
+const paymentEntity = (status, extra = {}) => ({
+  id: paymentId,
+  entity: 'payment',
+  amount,
+  currency: 'INR',
+  status,
+  order_id: orderId,
+  method: 'upi',
+  ...extra
+});
+
+const refundEntity = (status) => ({
+  id: refundId,
+  entity: 'refund',
+  amount,
+  currency: 'INR',
+  payment_id: paymentId,
+  status,
+  notes: { reason: 'Webhook replay' }
+});
+
+const samplePayloads = {
+  'payment.captured': () => ({ payment: { entity: paymentEntity('captured') } }),
+  'payment.failed': () => ({
+    payment: {
+      entity: paymentEntity('failed', {
+        error_code: 'BAD_REQUEST_ERROR',
+        error_description: 'Payment was declined by the bank',
+        error_reason: 'payment_failed',
+        error_source: 'bank'
+      })
+    }
+  }),
+  'order.paid': () => ({
+    payment: { entity: paymentEntity('captured') },
+    order: { entity: { id: orderId, entity: 'order', amount, amount_paid: amount, status: 'paid' } }
+  }),
+  'refund.created': () => ({ refund: { entity: refundEntity('pending') }, payment: { entity: paymentEntity('captured') } }),
+  'refund.processed': () => ({ refund: { entity: refundEntity('processed') }, payment: { entity: paymentEntity('refunded') } }),
+  'refund.failed': () => ({ refund: { entity: refundEntity('failed') }, payment: { entity: paymentEntity('captured') } })
+};
+
+const replay = async () => {
+  if (!samplePayloads[eventName]) {
+    console.error(`Usage: node scripts/replay-webhook.js <${Object.keys(samplePayloads).join('|')}> [options]`);
+    process.exit(1);
+  }
+  if (!secret) {
+    console.error('❌ RAZORPAY_WEBHOOK_SECRET is not set');
+    process.exit(1);
+  }
+
+  const body = JSON.stringify({
+    entity: 'event',
+    event: eventName,
+    contains: Object.keys(samplePayloads[eventName]()),
+    payload: samplePayloads[eventName](),
+    created_at: Math.floor(Date.now() / 1000)
+  });
+  const signature = crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+  for (const attempt of [1, 2]) {
+    try {
+      const response = await axios.post(url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Razorpay-Signature': signature,
+          'X-Razorpay-Event-Id': eventId
+        }
+      });
+      console.log(`📨 ${eventName} delivery ${attempt}:`, response.status, response.data);
+    } catch (error) {
+      console.error(`❌ ${eventName} delivery ${attempt}:`, error.response?.status, error.response?.data || error.message);
+    }
+  }
+};
+
+replay();
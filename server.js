@@ -50,6 +50,11 @@ const locationRoutes = require('./routes/location');
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
 const { initializeSocket } = require('./utils/socket');
+const { startRideScheduler } = require('./utils/rideScheduler');
+const { startWalletReconciliation } = require('./utils/walletLedger');
+const { startRefundRetries } = require('./utils/refunds');
+const { startPayoutReconciliation } = require('./utils/payouts');
+const { startDocumentExpiryMonitor } = require('./utils/documentExpiry');
 
 const app = express();
 const server = createServer(app);
@@ -99,7 +104,7 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'x-subdriver-id', 'X-Subdriver-Id']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'x-device-id', 'X-Device-Id']
 }));
 
 // ✅ CONFIGURABLE RATE LIMITING FOR DASHBOARD ENDPOINTS (DISABLED BY DEFAULT)
@@ -148,7 +153,6 @@ app.use((req, res, next) => {
 app.use((req, res, next) => {
   console.log(`📡 ${req.method} ${req.path} - Origin: ${req.get('origin') || 'none'}`);
   if (req.path.includes('verify-otp') || req.path.includes('store-otp')) {
-    console.log('🔐 OTP Request Body:', req.body);
     console.log('🔐 OTP Request Headers:', {
       'content-type': req.get('content-type'),
       'authorization': req.get('authorization') ? 'Bearer ***' : 'none'
@@ -158,6 +162,8 @@ app.use((req, res, next) => {
 });
 
 // Body parsing middleware
+// The Razorpay webhook is signed over the raw body, so it must skip JSON parsing
+app.use('/api/payment/webhook', express.raw({ type: 'application/json' }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
@@ -258,6 +264,13 @@ const socketUtils = initializeSocket(io);
 // Make socket utilities available to routes
 app.set('socketUtils', socketUtils);
 
+// Background job for scheduled ride bookings
+startRideScheduler({ io, dispatcher: socketUtils.dispatcher });
+startWalletReconciliation();
+startRefundRetries({ io });
+startPayoutReconciliation({ io });
+startDocumentExpiryMonitor({ io });
+
 // ==========================
 // Routes
 // ==========================
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const CancellationPolicy = require('../models/CancellationPolicy');
+const {
+  getCancellationPolicy,
+  invalidateCancellationPolicyCache,
+  evaluateCancellation
+} = require('../utils/cancellationPolicy');
+
+const NOW = new Date('2026-03-02T10:00:00Z');
+const PICKUP = [77.6, 12.9];
+
+const rideIn = (status, { acceptedMinutesAgo = 5, fare = 30000 } = {}) => ({
+  driver: new mongoose.Types.ObjectId(),
+  status,
+  pricing: { finalAmount: fare },
+  pickup: { coordinates: { coordinates: PICKUP } },
+  statusHistory: [{ to: 'accepted', timestamp: new Date(NOW.getTime() - acceptedMinutesAgo * 60000) }]
+});
+
+const evaluate = (ride, cancelledBy, options = {}) => evaluateCancellation({
+  ride,
+  cancelledBy,
+  policy: new CancellationPolicy(options.policy || {}),
+  driverLocation: options.driverLocation || PICKUP,
+  priorStrikes: options.priorStrikes || 0,
+  now: NOW
+});
+
+describe('evaluateCancellation', () => {
+  it('is free before a driver accepts', () => {
+    const ride = { status: 'searching', pricing: { finalAmount: 30000 } };
+    expect(evaluate(ride, 'user')).toMatchObject({ fee: 0, refundAmount: 30000, strikes: 0, waivedReason: 'before_acceptance' });
+  });
+
+  it('is free within the rider grace window', () => {
+    expect(evaluate(rideIn('accepted', { acceptedMinutesAgo: 1 }), 'user')).toMatchObject({ fee: 0, waivedReason: 'grace_period' });
+  });
+
+  it('is free while the driver is still far from the pickup', () => {
+    const outcome = evaluate(rideIn('accepted'), 'user', { driverLocation: [77.7, 13.0] });
+    expect(outcome).toMatchObject({ fee: 0, waivedReason: 'driver_far_from_pickup' });
+    expect(outcome.driverDistanceKm).toBeGreaterThan(3);
+  });
+
+  it('charges the fee rule and splits it with the driver', () => {
+    const outcome = evaluate(rideIn('arrived'), 'user');
+    // 10% of ₹300, 80% of it to the driver
+    expect(outcome).toMatchObject({
+      fee: 3000,
+      feeSplit: { driver: 2400, platform: 600 },
+      refundAmount: 27000,
+      strikes: 1,
+      waivedReason: null
+    });
+  });
+
+  it('caps the fee at the rule\'s maximum', () => {
+    expect(evaluate(rideIn('arrived', { fare: 80000 }), 'user').fee).toBe(5000);
+  });
+
+  it('takes the grace window away from riders with too many strikes', () => {
+    const ride = rideIn('arrived', { acceptedMinutesAgo: 1 });
+    expect(evaluate(ride, 'user', { priorStrikes: 3 }).fee).toBe(3000);
+  });
+
+  it('gives drivers strikes and a penalty after their grace window', () => {
+    const outcome = evaluate(rideIn('arrived'), 'driver', { policy: { driver: { penalty: 25 } } });
+    expect(outcome).toMatchObject({ fee: 0, refundAmount: 30000, strikes: 2, penalty: 2500 });
+    expect(evaluate(rideIn('accepted', { acceptedMinutesAgo: 0.5 }), 'driver')).toMatchObject({ strikes: 0, waivedReason: 'grace_period' });
+  });
+});
+
+describe('getCancellationPolicy', () => {
+  beforeEach(() => invalidateCancellationPolicyCache());
+  afterEach(() => jest.restoreAllMocks());
+
+  it('prefers the city and vehicle policy over the fallbacks', async () => {
+    const policies = [
+      new CancellationPolicy({ city: 'default', vehicleType: 'all' }),
+      new CancellationPolicy({ city: 'pune', vehicleType: 'all' }),
+      new CancellationPolicy({ city: 'pune', vehicleType: 'Auto' })
+    ];
+    jest.spyOn(CancellationPolicy, 'find').mockResolvedValue(policies);
+
+    expect(await getCancellationPolicy({ city: 'Pune', vehicleType: 'auto' })).toBe(policies[2]);
+    expect(await getCancellationPolicy({ city: 'pune', vehicleType: 'car' })).toBe(policies[1]);
+  });
+
+  it('falls back to the built-in defaults and caches the result', async () => {
+    const find = jest.spyOn(CancellationPolicy, 'find').mockResolvedValue([]);
+
+    const policy = await getCancellationPolicy({ city: 'nagpur', vehicleType: 'bike' });
+    expect(policy.isNew).toBe(true);
+    expect(policy.findFeeRule('accepted')).toMatchObject({ percentOfFare: 10, maxFee: 50 });
+
+    await getCancellationPolicy({ city: 'nagpur', vehicleType: 'bike' });
+    expect(find).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { rankCandidates, offerFilterFor, isOfferedTo } = require('../utils/dispatch');
+
+const driverId = new mongoose.Types.ObjectId();
+
+const ride = {
+  rideType: 'bike',
+  serviceType: 'ride',
+  pickup: { coordinates: { coordinates: [77.6, 12.9] } }
+};
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('offerFilterFor and isOfferedTo', () => {
+  it('only lets the drivers holding the current offer accept', () => {
+    expect(offerFilterFor(driverId)).toEqual({ status: 'searching', 'dispatch.currentOffer.drivers': driverId });
+
+    const offered = { status: 'searching', dispatch: { currentOffer: { drivers: [driverId] } } };
+    expect(isOfferedTo(offered, String(driverId))).toBe(true);
+    expect(isOfferedTo(offered, new mongoose.Types.ObjectId())).toBe(false);
+  });
+
+  it('does not treat a ride waiting for dispatch as offered', () => {
+    expect(isOfferedTo({ status: 'pending' }, driverId)).toBe(false);
+  });
+});
+
+describe('rankCandidates', () => {
+  it('skips drivers whose active-ride slots are all held by live rides', async () => {
+    jest.spyOn(User, 'aggregate').mockResolvedValue([]);
+
+    await rankCandidates(ride, [driverId]);
+
+    const pipeline = User.aggregate.mock.calls[0][0];
+    const stages = pipeline.map((stage) => Object.keys(stage)[0]);
+    expect(stages).toEqual(['$geoNear', '$lookup', '$match', '$limit', '$project']);
+    expect(pipeline[0].$geoNear.query._id).toEqual({ $nin: [driverId] });
+    expect(pipeline[1].$lookup.pipeline[0].$match.status).toEqual({ $in: ['accepted', 'arrived', 'started'] });
+  });
+
+  it('ranks the remaining drivers best first', async () => {
+    jest.spyOn(User, 'aggregate').mockResolvedValue([
+      { _id: 'far', distance: 9000, driverInfo: { vehicleType: 'Bike', rating: 4 } },
+      { _id: 'near', distance: 500, driverInfo: { vehicleType: 'Bike', rating: 4.8 } }
+    ]);
+
+    const candidates = await rankCandidates(ride);
+
+    expect(candidates.map((driver) => driver._id)).toEqual(['near', 'far']);
+    expect(candidates[0].score).toBeGreaterThan(candidates[1].score);
+  });
+});
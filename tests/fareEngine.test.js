@@ -0,0 +1,126 @@
+const FareConfig = require('../models/FareConfig');
+const Ride = require('../models/Ride');
+const {
+  getActiveFareConfig,
+  invalidateFareConfigCache,
+  priceWithConfig,
+  quoteFare,
+  finalizeFare
+} = require('../utils/fareEngine');
+
+const puneConfig = (card = {}) => new FareConfig({
+  city: 'pune',
+  version: 3,
+  rateCards: [{ vehicleType: 'Bike', baseFare: 25, perKm: 5, perMinute: 0, minimumFare: 30, nightMultiplier: 1.5, ...card }]
+});
+
+// 10:00 and 23:00 in Asia/Kolkata
+const DAY = new Date('2026-03-02T04:30:00Z');
+const NIGHT = new Date('2026-03-02T17:30:00Z');
+
+const route = { distance: 10, duration: 20 };
+
+beforeEach(() => {
+  invalidateFareConfigCache();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('priceWithConfig', () => {
+  it('falls back to the built-in rate card without a config', () => {
+    const { pricing } = priceWithConfig(null, { rideType: 'bike', ...route });
+    // ₹20 base + 10 km × ₹4 + 20 min × ₹0.5
+    expect(pricing.totalFare).toBe(7000);
+    expect(pricing.rateCard).toEqual({ config: null, city: null, version: 0 });
+  });
+
+  it('prices with the city card and stamps its version', () => {
+    const config = puneConfig();
+    const { pricing } = priceWithConfig(config, { rideType: 'bike', at: DAY, ...route });
+    expect(pricing.totalFare).toBe(7500);
+    expect(pricing.nightMultiplier).toBe(1);
+    expect(pricing.rateCard).toEqual({ config: config._id, city: 'pune', version: 3 });
+  });
+
+  it('applies the night multiplier inside the config\'s night hours', () => {
+    const { pricing } = priceWithConfig(puneConfig(), { rideType: 'bike', at: NIGHT, ...route });
+    expect(pricing.nightMultiplier).toBe(1.5);
+    expect(pricing.totalFare).toBe(11250);
+  });
+
+  it('applies surge after the night multiplier and keeps the minimum fare', () => {
+    expect(priceWithConfig(puneConfig(), { rideType: 'bike', at: NIGHT, surgeMultiplier: 2, ...route }).pricing.totalFare).toBe(22500);
+    expect(priceWithConfig(puneConfig(), { rideType: 'bike', at: DAY, distance: 0.1, duration: 1 }).pricing.totalFare).toBe(3000);
+  });
+
+  it('uses the built-in card for vehicles the config does not price', () => {
+    const { pricing } = priceWithConfig(puneConfig(), { rideType: 'car', ...route });
+    expect(pricing.rateCard.version).toBe(0);
+  });
+});
+
+describe('getActiveFareConfig', () => {
+  it('falls back to the default city and caches the result', async () => {
+    const defaultConfig = puneConfig();
+    const findOne = jest.spyOn(FareConfig, 'findOne')
+      .mockImplementation(async ({ city }) => (city === 'default' ? defaultConfig : null));
+
+    expect(await getActiveFareConfig('Nagpur')).toBe(defaultConfig);
+    expect(await getActiveFareConfig('nagpur')).toBe(defaultConfig);
+    expect(findOne.mock.calls.map(([filter]) => filter.city)).toEqual(['nagpur', 'default']);
+
+    invalidateFareConfigCache();
+    await getActiveFareConfig('nagpur');
+    expect(findOne).toHaveBeenCalledTimes(4);
+  });
+
+  it('quotes with the active config', async () => {
+    jest.spyOn(FareConfig, 'findOne').mockResolvedValue(puneConfig());
+    const { pricing } = await quoteFare({ city: 'pune', rideType: 'bike', at: DAY, ...route });
+    expect(pricing.rateCard.version).toBe(3);
+  });
+});
+
+describe('finalizeFare', () => {
+  const rideWithWait = (waitedMinutes) => {
+    const arrivedAt = new Date('2026-03-02T05:00:00Z');
+    return new Ride({
+      city: 'pune',
+      rideType: 'bike',
+      status: 'completed',
+      pricing: { baseFare: 2500, distanceFare: 5000, timeFare: 0, surgeMultiplier: 1, totalFare: 7500, finalAmount: 7500 },
+      statusHistory: [
+        { from: 'accepted', to: 'arrived', actor: 'driver', timestamp: arrivedAt },
+        { from: 'arrived', to: 'started', actor: 'driver', timestamp: new Date(arrivedAt.getTime() + waitedMinutes * 60000) }
+      ]
+    });
+  };
+
+  it('charges waiting time beyond the free minutes', async () => {
+    jest.spyOn(FareConfig, 'findOne').mockResolvedValue(puneConfig({ waitingChargePerMinute: 2, freeWaitingMinutes: 3 }));
+    const ride = rideWithWait(8);
+
+    const pricing = await finalizeFare(ride);
+    expect(pricing.waitingCharge).toBe(1000);
+    expect(pricing.finalAmount).toBe(8500);
+  });
+
+  it('leaves the fare alone within the free minutes', async () => {
+    jest.spyOn(FareConfig, 'findOne').mockResolvedValue(puneConfig({ waitingChargePerMinute: 2, freeWaitingMinutes: 3 }));
+    const pricing = await finalizeFare(rideWithWait(2));
+    expect(pricing.waitingCharge || 0).toBe(0);
+    expect(pricing.finalAmount).toBe(7500);
+  });
+
+  it('keeps a promo that brought the fare to 0', async () => {
+    jest.spyOn(FareConfig, 'findOne').mockResolvedValue(puneConfig());
+    const ride = rideWithWait(2);
+    ride.pricing.discount = 7500;
+    ride.pricing.finalAmount = 0;
+
+    const pricing = await finalizeFare(ride);
+    // Not priced again: the booked breakdown is untouched
+    expect(pricing).toMatchObject({ distanceFare: 5000, totalFare: 7500, discount: 7500, finalAmount: 0 });
+  });
+});
@@ -0,0 +1,249 @@
+const mongoose = require('mongoose');
+
+jest.mock('../utils/sms', () => ({ sendSMS: jest.fn() }));
+
+const Ride = require('../models/Ride');
+const { sendSMS } = require('../utils/sms');
+const {
+  HANDOVER_OTP_CONFIG,
+  HANDOVER_OTP_ERROR_CODES,
+  hashOtp,
+  otpMatches,
+  generateOtp,
+  requiresHandoverOtp,
+  canIssueHandoverOtp,
+  issueHandoverOtp,
+  verifyHandoverOtp
+} = require('../utils/handoverOtp');
+
+const MINUTE = 60 * 1000;
+const now = new Date('2026-03-01T10:00:00Z');
+
+const fakeIo = () => {
+  const emit = jest.fn();
+  return { emit, to: jest.fn(() => ({ emit })) };
+};
+
+// What verifyHandoverOtp reads back through Ride.findById(...).select(...)
+const storedRide = (rideId, { otp = '4321', ...state } = {}, extra = {}) => ({
+  _id: rideId,
+  user: 'rider1',
+  otpVerified: false,
+  handoverOtp: {
+    hash: hashOtp(rideId, otp),
+    expiresAt: new Date(now.getTime() + 10 * MINUTE),
+    attempts: 0,
+    ...state
+  },
+  ...extra
+});
+
+const stubStoredRide = (stored) => jest.spyOn(Ride, 'findById').mockReturnValue({
+  select: jest.fn().mockResolvedValue(stored)
+});
+
+// The attempt counter as the atomic $inc leaves it
+const countAttempts = (attempts) => jest.spyOn(Ride, 'findOneAndUpdate').mockResolvedValue({ handoverOtp: { attempts } });
+
+beforeEach(() => {
+  jest.spyOn(Ride, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  sendSMS.mockReset();
+});
+
+describe('generateOtp and otpMatches', () => {
+  it('generates codes of the configured length', () => {
+    expect(generateOtp()).toMatch(new RegExp(`^\\d{${HANDOVER_OTP_CONFIG.length}}$`));
+  });
+
+  it('matches a code only against the ride it was issued for', () => {
+    const hash = hashOtp('ride1', '1234');
+    expect(otpMatches(hash, 'ride1', ' 1234 ')).toBe(true);
+    expect(otpMatches(hash, 'ride1', '1235')).toBe(false);
+    expect(otpMatches(hash, 'ride2', '1234')).toBe(false);
+  });
+});
+
+describe('requiresHandoverOtp', () => {
+  const issued = { handoverOtp: { expiresAt: now } };
+
+  it('guards the start of a ride and the completion of a delivery', () => {
+    expect(requiresHandoverOtp({ ...issued, serviceType: 'ride' }, 'started')).toBe(true);
+    expect(requiresHandoverOtp({ ...issued, serviceType: 'ride' }, 'completed')).toBe(false);
+    expect(requiresHandoverOtp({ ...issued, serviceType: 'delivery' }, 'completed')).toBe(true);
+    expect(requiresHandoverOtp({ ...issued, serviceType: 'delivery' }, 'started')).toBe(false);
+  });
+
+  it('lets through verified rides only', () => {
+    expect(requiresHandoverOtp({ ...issued, otpVerified: true }, 'started')).toBe(false);
+    expect(requiresHandoverOtp({ serviceType: 'ride' }, 'started')).toBe(true);
+    expect(requiresHandoverOtp({ serviceType: 'delivery' }, 'completed')).toBe(true);
+  });
+});
+
+describe('canIssueHandoverOtp', () => {
+  it('issues codes while a driver is on the way, and for deliveries until the handover', () => {
+    expect(canIssueHandoverOtp({ driver: 'driver1', status: 'arrived', serviceType: 'ride' })).toBe(true);
+    expect(canIssueHandoverOtp({ driver: 'driver1', status: 'started', serviceType: 'ride' })).toBe(false);
+    expect(canIssueHandoverOtp({ driver: 'driver1', status: 'started', serviceType: 'delivery' })).toBe(true);
+    expect(canIssueHandoverOtp({ status: 'accepted', serviceType: 'ride' })).toBe(false);
+    expect(canIssueHandoverOtp({ driver: 'driver1', status: 'accepted', otpVerified: true })).toBe(false);
+  });
+});
+
+describe('issueHandoverOtp', () => {
+  it('stores a hash with a fresh expiry and sends the code to the rider', async () => {
+    const rideId = new mongoose.Types.ObjectId();
+    const io = fakeIo();
+
+    const { otp, expiresAt, purpose } = await issueHandoverOtp({ _id: rideId, user: 'rider1', serviceType: 'ride' }, { io }, now);
+
+    expect(purpose).toBe('start');
+    expect(expiresAt).toEqual(new Date(now.getTime() + HANDOVER_OTP_CONFIG.ttlMinutes * MINUTE));
+    const [filter, { $set }] = Ride.updateOne.mock.calls[0];
+    expect(filter).toEqual({ _id: rideId });
+    expect($set['handoverOtp.hash']).toBe(hashOtp(rideId, otp));
+    expect($set).toMatchObject({ 'handoverOtp.attempts': 0, otpVerified: false });
+    expect(io.to).toHaveBeenCalledWith('user_rider1');
+    expect(io.emit).toHaveBeenCalledWith('handover-otp', expect.objectContaining({ otp, purpose: 'start' }));
+    expect(sendSMS).not.toHaveBeenCalled();
+  });
+
+  it('texts a delivery code to the recipient', async () => {
+    const ride = { _id: new mongoose.Types.ObjectId(), user: 'rider1', serviceType: 'delivery', delivery: { recipientPhone: '9999999999' } };
+
+    const { otp, purpose } = await issueHandoverOtp(ride, {}, now);
+
+    expect(purpose).toBe('handover');
+    expect(sendSMS).toHaveBeenCalledWith('9999999999', expect.stringContaining(otp));
+  });
+});
+
+describe('verifyHandoverOtp', () => {
+  it('marks the ride verified and drops the hash', async () => {
+    const rideId = new mongoose.Types.ObjectId();
+    const stored = storedRide(rideId);
+    stubStoredRide(stored);
+    countAttempts(1);
+    const ride = { _id: rideId };
+
+    await verifyHandoverOtp(ride, '4321', {}, now);
+
+    expect(ride).toMatchObject({ otpVerified: true, otpVerifiedAt: now });
+    expect(Ride.updateOne).toHaveBeenCalledWith(
+      { _id: rideId, 'handoverOtp.hash': stored.handoverOtp.hash, otpVerified: { $ne: true } },
+      { $set: { otpVerified: true, otpVerifiedAt: now }, $unset: { 'handoverOtp.hash': 1 } }
+    );
+  });
+
+  it('counts a wrong code atomically and reports the attempts left', async () => {
+    const rideId = new mongoose.Types.ObjectId();
+    const stored = storedRide(rideId, { attempts: 1 });
+    stubStoredRide(stored);
+    countAttempts(2);
+
+    await expect(verifyHandoverOtp({ _id: rideId }, '0000', {}, now)).rejects.toMatchObject({
+      code: HANDOVER_OTP_ERROR_CODES.INVALID,
+      statusCode: 400,
+      details: { attemptsLeft: HANDOVER_OTP_CONFIG.maxAttempts - 2 }
+    });
+    const [filter, update] = Ride.findOneAndUpdate.mock.calls[0];
+    expect(filter).toMatchObject({ _id: rideId, 'handoverOtp.hash': stored.handoverOtp.hash });
+    expect(update).toEqual({ $inc: { 'handoverOtp.attempts': 1 } });
+    expect(Ride.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('refuses the right code once parallel guesses used up the attempts', async () => {
+    const rideId = new mongoose.Types.ObjectId();
+    stubStoredRide(storedRide(rideId));
+    countAttempts(HANDOVER_OTP_CONFIG.maxAttempts + 1);
+
+    await expect(verifyHandoverOtp({ _id: rideId }, '4321', {}, now)).rejects.toMatchObject({ code: HANDOVER_OTP_ERROR_CODES.LOCKED });
+    expect(Ride.updateOne.mock.calls[0][1].$set).toMatchObject({ 'handoverOtp.attempts': 0 });
+  });
+
+  it('refuses a try that lost the race to a lockout', async () => {
+    const rideId = new mongoose.Types.ObjectId();
+    const lockedUntil = new Date(now.getTime() + MINUTE);
+    jest.spyOn(Ride, 'findById')
+      .mockReturnValueOnce({ select: jest.fn().mockResolvedValue(storedRide(rideId)) })
+      .mockReturnValueOnce({ select: jest.fn().mockResolvedValue({ handoverOtp: { lockedUntil } }) });
+    jest.spyOn(Ride, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await expect(verifyHandoverOtp({ _id: rideId }, '4321', {}, now)).rejects.toMatchObject({
+      code: HANDOVER_OTP_ERROR_CODES.LOCKED,
+      details: { lockedUntil }
+    });
+    expect(Ride.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('locks verification on the last wrong attempt and tells the rider', async () => {
+    const rideId = new mongoose.Types.ObjectId();
+    stubStoredRide(storedRide(rideId, { attempts: HANDOVER_OTP_CONFIG.maxAttempts - 1 }));
+    countAttempts(HANDOVER_OTP_CONFIG.maxAttempts);
+    const io = fakeIo();
+
+    const lockedUntil = new Date(now.getTime() + HANDOVER_OTP_CONFIG.lockoutMinutes * MINUTE);
+    await expect(verifyHandoverOtp({ _id: rideId }, '0000', { io }, now)).rejects.toMatchObject({
+      code: HANDOVER_OTP_ERROR_CODES.LOCKED,
+      statusCode: 429,
+      details: { lockedUntil }
+    });
+    expect(Ride.updateOne.mock.calls[0][1].$set).toEqual({ 'handoverOtp.attempts': 0, 'handoverOtp.lockedUntil': lockedUntil });
+    expect(io.emit).toHaveBeenCalledWith('handover-otp-locked', { rideId, lockedUntil });
+  });
+
+  it('refuses even the right code while locked', async () => {
+    const rideId = new mongoose.Types.ObjectId();
+    stubStoredRide(storedRide(rideId, { lockedUntil: new Date(now.getTime() + MINUTE) }));
+    jest.spyOn(Ride, 'findOneAndUpdate');
+
+    await expect(verifyHandoverOtp({ _id: rideId }, '4321', {}, now)).rejects.toMatchObject({ code: HANDOVER_OTP_ERROR_CODES.LOCKED });
+    expect(Ride.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(Ride.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('refuses an expired code', async () => {
+    const rideId = new mongoose.Types.ObjectId();
+    stubStoredRide(storedRide(rideId, { expiresAt: now }));
+
+    await expect(verifyHandoverOtp({ _id: rideId }, '4321', {}, now)).rejects.toMatchObject({ code: HANDOVER_OTP_ERROR_CODES.EXPIRED });
+  });
+
+  it('refuses a ride that is already verified', async () => {
+    const rideId = new mongoose.Types.ObjectId();
+    stubStoredRide(storedRide(rideId, {}, { otpVerified: true }));
+
+    await expect(verifyHandoverOtp({ _id: rideId }, '4321', {}, now)).rejects.toMatchObject({ code: HANDOVER_OTP_ERROR_CODES.ALREADY_VERIFIED, statusCode: 409 });
+  });
+
+  it('refuses the second of two concurrent verifications', async () => {
+    const rideId = new mongoose.Types.ObjectId();
+    stubStoredRide(storedRide(rideId));
+    countAttempts(1);
+    Ride.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+    await expect(verifyHandoverOtp({ _id: rideId }, '4321', {}, now)).rejects.toMatchObject({ code: HANDOVER_OTP_ERROR_CODES.ALREADY_VERIFIED });
+  });
+
+  it('needs an issued code', async () => {
+    const rideId = new mongoose.Types.ObjectId();
+    stubStoredRide({ _id: rideId, status: 'completed', handoverOtp: {} });
+
+    await expect(verifyHandoverOtp({ _id: rideId }, '4321', {}, now)).rejects.toMatchObject({ code: HANDOVER_OTP_ERROR_CODES.NOT_ISSUED });
+    expect(Ride.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('sends a new code when issuing one on acceptance failed', async () => {
+    const rideId = new mongoose.Types.ObjectId();
+    stubStoredRide({ _id: rideId, user: 'rider1', driver: 'driver1', status: 'accepted', serviceType: 'ride', handoverOtp: {} });
+    const io = fakeIo();
+
+    await expect(verifyHandoverOtp({ _id: rideId }, '4321', { io }, now)).rejects.toMatchObject({ code: HANDOVER_OTP_ERROR_CODES.NOT_ISSUED });
+    expect(Ride.updateOne.mock.calls[0][1].$set).toHaveProperty(['handoverOtp.hash']);
+    expect(io.emit).toHaveBeenCalledWith('handover-otp', expect.objectContaining({ rideId, purpose: 'start' }));
+  });
+});
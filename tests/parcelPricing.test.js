@@ -0,0 +1,132 @@
+const {
+  PARCEL_CONFIG,
+  PARCEL_ERROR_CODES,
+  sizeClassForDimensions,
+  canCarryParcel,
+  resolveParcel,
+  applyParcelCharges,
+  parcelFromRide
+} = require('../utils/parcelPricing');
+
+// A quote as calculateDynamicPricing returns it (paise)
+const quote = () => ({ totalFare: 10000, finalAmount: 10000, breakdown: { totalFareRs: 100 } });
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('sizeClassForDimensions', () => {
+  it('picks the smallest class that holds the parcel in any orientation', () => {
+    expect(sizeClassForDimensions({ length: 15, width: 25, height: 35 })).toBe('small');
+    expect(sizeClassForDimensions({ length: 45, width: 20, height: 20 })).toBe('medium');
+    expect(sizeClassForDimensions({ length: 200, width: 100, height: 100 })).toBe('extra_large');
+    expect(sizeClassForDimensions({ length: 300, width: 10, height: 10 })).toBeNull();
+  });
+});
+
+describe('canCarryParcel', () => {
+  it('checks weight and size against the vehicle', () => {
+    expect(canCarryParcel('Bike', { itemWeight: 8, sizeClass: 'medium' })).toBe(true);
+    expect(canCarryParcel('Bike', { itemWeight: 12 })).toBe(false);
+    expect(canCarryParcel('Car', { sizeClass: 'extra_large' })).toBe(false);
+    expect(canCarryParcel('Truck', { itemWeight: 500, sizeClass: 'extra_large' })).toBe(true);
+  });
+
+  it('treats a ride without parcel details as a small parcel', () => {
+    expect(canCarryParcel('bike')).toBe(true);
+    expect(canCarryParcel('bike', null)).toBe(true);
+  });
+
+  it('refuses vehicles it has no limits for', () => {
+    expect(canCarryParcel('any', {})).toBe(false);
+    expect(canCarryParcel(undefined, {})).toBe(false);
+  });
+});
+
+describe('resolveParcel', () => {
+  it('picks the smallest vehicle that fits', () => {
+    expect(resolveParcel({ itemWeight: 4 })).toMatchObject({ rideType: 'bike', autoSelected: true });
+    expect(resolveParcel({ itemWeight: 40 }).rideType).toBe('auto');
+    expect(resolveParcel({ itemWeight: 20, sizeClass: 'extra_large' }).rideType).toBe('truck');
+  });
+
+  it('picks a vehicle for the old catch-all delivery ride type', () => {
+    expect(resolveParcel({ itemWeight: 4 }, { rideType: 'Delivery' })).toMatchObject({ rideType: 'bike', autoSelected: true });
+  });
+
+  it('lets measured dimensions raise a smaller declared class', () => {
+    const { delivery } = resolveParcel({ sizeClass: 'small', dimensions: { length: 80, width: 50, height: 40 } });
+    expect(delivery.sizeClass).toBe('large');
+    expect(delivery.dimensions).toEqual({ length: 80, width: 50, height: 40 });
+  });
+
+  it('refuses a parcel over the chosen vehicle\'s limits and suggests one that fits', () => {
+    expect(() => resolveParcel({ itemWeight: 30 }, { rideType: 'bike' })).toThrow(expect.objectContaining({
+      code: PARCEL_ERROR_CODES.EXCEEDS_VEHICLE,
+      statusCode: 400,
+      details: expect.objectContaining({ suggestedRideType: 'auto', limits: { rideType: 'bike', maxWeightKg: 10, maxSizeClass: 'medium' } })
+    }));
+  });
+
+  it('refuses parcels nothing can carry', () => {
+    expect(() => resolveParcel({ itemWeight: 1000 })).toThrow(expect.objectContaining({ code: PARCEL_ERROR_CODES.TOO_LARGE }));
+    expect(() => resolveParcel({ dimensions: { length: 300, width: 10, height: 10 } }))
+      .toThrow(expect.objectContaining({ code: PARCEL_ERROR_CODES.TOO_LARGE }));
+  });
+
+  it('validates the request fields', () => {
+    expect(() => resolveParcel({ itemWeight: -1 })).toThrow(expect.objectContaining({ code: PARCEL_ERROR_CODES.INVALID_WEIGHT }));
+    expect(() => resolveParcel({ sizeClass: 'huge' })).toThrow(expect.objectContaining({ code: PARCEL_ERROR_CODES.INVALID_SIZE }));
+    expect(() => resolveParcel({ dimensions: { length: 10, width: 0, height: 10 } }))
+      .toThrow(expect.objectContaining({ code: PARCEL_ERROR_CODES.INVALID_SIZE }));
+    expect(() => resolveParcel({}, { rideType: 'boat' })).toThrow(expect.objectContaining({ code: PARCEL_ERROR_CODES.INVALID_VEHICLE }));
+  });
+
+  it('needs a declared value within the limit to insure', () => {
+    expect(() => resolveParcel({ insurance: true })).toThrow(expect.objectContaining({ code: PARCEL_ERROR_CODES.INVALID_VALUE }));
+    expect(() => resolveParcel({ insurance: true, itemValue: PARCEL_CONFIG.maxDeclaredValue + 1 }))
+      .toThrow(expect.objectContaining({ code: PARCEL_ERROR_CODES.INVALID_VALUE }));
+    expect(resolveParcel({ insurance: 'true', itemValue: 2000 }).delivery.insured).toBe(true);
+  });
+});
+
+describe('applyParcelCharges', () => {
+  it('adds nothing for a small, light, uninsured parcel', () => {
+    const pricing = applyParcelCharges(quote(), resolveParcel({ itemWeight: 2 }));
+    expect(pricing).toMatchObject({ weightSurcharge: 0, sizeSurcharge: 0, insuranceFee: 0, totalFare: 10000, finalAmount: 10000 });
+  });
+
+  it('charges weight over the free allowance, bulk and insurance', () => {
+    // Auto: 15 kg free then ₹3/kg; large adds ₹40
+    const parcel = resolveParcel({ itemWeight: 25, sizeClass: 'large', itemValue: 5000, insurance: true });
+    const pricing = applyParcelCharges(quote(), parcel);
+
+    const insuranceFeeRs = Math.max(5000 * PARCEL_CONFIG.insurancePercent / 100, PARCEL_CONFIG.insuranceMinimum);
+    expect(pricing.weightSurcharge).toBe(3000);
+    expect(pricing.sizeSurcharge).toBe(4000);
+    expect(pricing.insuranceFee).toBe(Math.round(insuranceFeeRs * 100));
+    expect(pricing.finalAmount).toBe(10000 + 3000 + 4000 + pricing.insuranceFee);
+    expect(pricing.breakdown.parcel).toMatchObject({ rideType: 'auto', chargeableWeightKg: 10, perKgRate: 3, insured: true });
+    expect(pricing.breakdown.totalFareRs).toBe(pricing.totalFare / 100);
+  });
+
+  it('charges at least the minimum premium', () => {
+    const pricing = applyParcelCharges(quote(), resolveParcel({ itemValue: 1, insurance: true }));
+    expect(pricing.insuranceFee).toBe(PARCEL_CONFIG.insuranceMinimum * 100);
+  });
+});
+
+describe('parcelFromRide', () => {
+  it('rebuilds the parcel a delivery was booked with', () => {
+    const parcel = parcelFromRide({
+      serviceType: 'delivery',
+      rideType: 'auto',
+      delivery: { itemWeight: 20, sizeClass: 'large', itemValue: 3000, insured: true, dimensions: {} }
+    });
+    expect(parcel).toMatchObject({ rideType: 'auto', autoSelected: false, delivery: { itemWeight: 20, insured: true } });
+  });
+
+  it('returns null for rides and parcels that no longer fit', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(parcelFromRide({ serviceType: 'ride', rideType: 'bike' })).toBeNull();
+    expect(parcelFromRide({ serviceType: 'delivery', rideType: 'bike', delivery: { itemWeight: 50 } })).toBeNull();
+  });
+});
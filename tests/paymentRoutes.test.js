@@ -0,0 +1,176 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+
+const mockUserId = new mongoose.Types.ObjectId();
+
+jest.mock('razorpay', () => jest.fn().mockImplementation(() => ({ orders: {}, payments: {}, refunds: {} })));
+jest.mock('../middleware/auth', () => ({
+  ...jest.requireActual('../middleware/auth'),
+  authenticateToken: (req, res, next) => {
+    req.user = { _id: mockUserId };
+    next();
+  }
+}));
+jest.mock('../utils/razorpay', () => ({
+  ...jest.requireActual('../utils/razorpay'),
+  createRefund: jest.fn(),
+  verifyPayment: jest.fn()
+}));
+jest.mock('../utils/walletLedger', () => ({
+  ...jest.requireActual('../utils/walletLedger'),
+  creditWallet: jest.fn(),
+  debitWallet: jest.fn()
+}));
+
+const Payment = require('../models/Payment');
+const WalletLedger = require('../models/WalletLedger');
+const { createRefund, verifyPayment } = require('../utils/razorpay');
+const { creditWallet, debitWallet } = require('../utils/walletLedger');
+const paymentRoutes = require('../routes/payment');
+
+const app = express();
+app.use(express.json());
+app.use('/api/payment', paymentRoutes);
+
+const topup = (fields = {}) => new Payment({
+  user: mockUserId,
+  type: 'wallet_topup',
+  amount: 500,
+  method: 'razorpay',
+  status: 'completed',
+  razorpay: { orderId: 'order_1', paymentId: 'pay_1' },
+  ...fields
+});
+
+// What the conditional claim returns: the payment moved to `processing` with the amount counted
+const claimOf = (payment, amount) => new Payment({
+  ...payment.toObject(),
+  status: 'processing',
+  refund: { refundAmount: (payment.refund?.refundAmount || 0) + amount }
+});
+
+const requestRefund = (body) => request(app).post('/api/payment/refund').send(body);
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(Payment.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+  jest.spyOn(Payment, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(WalletLedger, 'countDocuments').mockResolvedValue(0);
+
+  debitWallet.mockResolvedValue({ entry: { _id: 'entry_1', amount: 50000 }, balance: 0, duplicate: false });
+  creditWallet.mockResolvedValue({ entry: { _id: 'entry_2' }, balance: 50000, duplicate: false });
+  createRefund.mockResolvedValue({ success: true, refund: { id: 'rfnd_1', status: 'processed' } });
+  verifyPayment.mockReturnValue({ success: true });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  creditWallet.mockReset();
+  debitWallet.mockReset();
+  createRefund.mockReset();
+  verifyPayment.mockReset();
+});
+
+describe('POST /api/payment/verify', () => {
+  const verify = (payment, orderId) => request(app).post('/api/payment/verify').send({
+    paymentId: payment._id,
+    razorpay_order_id: orderId,
+    razorpay_payment_id: 'pay_2',
+    razorpay_signature: 'signature'
+  });
+
+  it('completes the payment its order was created for', async () => {
+    const payment = topup({ status: 'pending', razorpay: { orderId: 'order_1' } });
+    jest.spyOn(Payment, 'findById').mockResolvedValue(payment);
+
+    const res = await verify(payment, 'order_1');
+
+    expect(res.status).toBe(200);
+    expect(payment.status).toBe('completed');
+    expect(creditWallet).toHaveBeenCalledWith(expect.objectContaining({ amount: 50000, key: `topup:${payment._id}` }));
+  });
+
+  it('refuses a signature for some other order', async () => {
+    const payment = topup({ status: 'pending', razorpay: { orderId: 'order_1' } });
+    jest.spyOn(Payment, 'findById').mockResolvedValue(payment);
+
+    const res = await verify(payment, 'order_cheap');
+
+    expect(res.status).toBe(400);
+    expect(payment.status).toBe('pending');
+    expect(creditWallet).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/payment/refund', () => {
+  it('claims the payment, debits the wallet and refunds through the gateway once', async () => {
+    const payment = topup();
+    const claimed = claimOf(payment, 500);
+    jest.spyOn(Payment, 'findById').mockResolvedValue(payment);
+    jest.spyOn(Payment, 'findOneAndUpdate').mockResolvedValue(claimed);
+
+    const res = await requestRefund({ paymentId: payment._id, reason: 'Not needed' });
+
+    expect(res.status).toBe(200);
+    const [filter, update] = Payment.findOneAndUpdate.mock.calls[0];
+    expect(filter).toMatchObject({ _id: payment._id, status: 'completed' });
+    expect(update).toEqual({ $set: { status: 'processing' }, $inc: { 'refund.refundAmount': 500 } });
+    expect(debitWallet).toHaveBeenCalledWith(expect.objectContaining({ amount: 50000, key: `topup_refund:${payment._id}` }));
+    expect(createRefund).toHaveBeenCalledTimes(1);
+    expect(claimed).toMatchObject({ status: 'refunded' });
+    expect(claimed.refund).toMatchObject({ refundId: 'rfnd_1', refundAmount: 500 });
+  });
+
+  it('turns away a request while another one holds the refund', async () => {
+    jest.spyOn(Payment, 'findById').mockResolvedValue(topup());
+    jest.spyOn(Payment, 'findOneAndUpdate').mockResolvedValue(null);
+
+    const res = await requestRefund({ paymentId: new mongoose.Types.ObjectId() });
+
+    expect(res.status).toBe(409);
+    expect(debitWallet).not.toHaveBeenCalled();
+    expect(createRefund).not.toHaveBeenCalled();
+  });
+
+  it('does not go to the gateway again for a debit an earlier attempt took', async () => {
+    const payment = topup();
+    jest.spyOn(Payment, 'findById').mockResolvedValue(payment);
+    jest.spyOn(Payment, 'findOneAndUpdate').mockResolvedValue(claimOf(payment, 500));
+    debitWallet.mockResolvedValue({ entry: { _id: 'entry_1', amount: 50000 }, balance: 0, duplicate: true });
+
+    const res = await requestRefund({ paymentId: payment._id });
+
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe('Refund already requested');
+    expect(createRefund).not.toHaveBeenCalled();
+  });
+
+  it('restores the wallet and releases the claim when the gateway refuses', async () => {
+    const payment = topup();
+    jest.spyOn(Payment, 'findById').mockResolvedValue(payment);
+    jest.spyOn(Payment, 'findOneAndUpdate').mockResolvedValue(claimOf(payment, 200));
+    createRefund.mockResolvedValue({ success: false, error: 'Gateway down' });
+    debitWallet.mockResolvedValue({ entry: { _id: 'entry_1', amount: 20000 }, balance: 30000, duplicate: false });
+
+    const res = await requestRefund({ paymentId: payment._id, amount: 200 });
+
+    expect(res.status).toBe(400);
+    expect(creditWallet).toHaveBeenCalledWith(expect.objectContaining({ amount: 20000, type: 'reversal', key: 'reversal:entry_1' }));
+    expect(Payment.updateOne).toHaveBeenCalledWith(
+      { _id: payment._id, status: 'processing' },
+      { $set: { status: 'completed' }, $inc: { 'refund.refundAmount': -200 } }
+    );
+  });
+
+  it('refuses more than what is left to refund', async () => {
+    jest.spyOn(Payment, 'findById').mockResolvedValue(topup({ refund: { refundAmount: 400 } }));
+    jest.spyOn(Payment, 'findOneAndUpdate');
+
+    const res = await requestRefund({ paymentId: new mongoose.Types.ObjectId(), amount: 200 });
+
+    expect(res.status).toBe(400);
+    expect(Payment.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
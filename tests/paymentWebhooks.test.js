@@ -0,0 +1,242 @@
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+
+jest.mock('razorpay', () => jest.fn().mockImplementation(() => ({ orders: {}, payments: {}, refunds: {} })));
+jest.mock('../utils/walletLedger', () => ({
+  ...jest.requireActual('../utils/walletLedger'),
+  creditWallet: jest.fn(),
+  debitWallet: jest.fn()
+}));
+
+const Payment = require('../models/Payment');
+const Ride = require('../models/Ride');
+const WebhookEvent = require('../models/WebhookEvent');
+const { creditWallet, debitWallet } = require('../utils/walletLedger');
+const paymentRoutes = require('../routes/payment');
+
+const SECRET = 'webhook-test-secret';
+
+const app = express();
+app.use('/api/payment', paymentRoutes);
+
+// In-memory stand-ins for the collections the webhook touches
+let payments;
+let webhookEvents;
+
+const matches = (doc, filter) => Object.entries(filter).every(([path, value]) => String(doc.get(path)) === String(value));
+
+const addPayment = (fields) => {
+  const payment = new Payment({ user: new mongoose.Types.ObjectId(), method: 'razorpay', ...fields });
+  payments.push(payment);
+  return payment;
+};
+
+const sign = (body, secret = SECRET) => crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+const deliver = (event, payload, { eventId = `evt_${crypto.randomBytes(6).toString('hex')}`, signature } = {}) => {
+  const body = JSON.stringify({ entity: 'event', event, payload });
+  return request(app)
+    .post('/api/payment/webhook')
+    .set('Content-Type', 'application/json')
+    .set('x-razorpay-event-id', eventId)
+    .set('x-razorpay-signature', signature || sign(body))
+    .send(body);
+};
+
+const paymentEntity = (status, extra = {}) => ({
+  payment: { entity: { id: 'pay_1', entity: 'payment', amount: 50000, currency: 'INR', status, order_id: 'order_1', ...extra } }
+});
+
+const refundEntity = (status) => ({
+  refund: { entity: { id: 'rfnd_1', entity: 'refund', amount: 50000, payment_id: 'pay_1', status, notes: { reason: 'Changed my mind' } } }
+});
+
+beforeAll(() => {
+  process.env.RAZORPAY_WEBHOOK_SECRET = SECRET;
+});
+
+beforeEach(() => {
+  payments = [];
+  webhookEvents = new Map();
+
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  jest.spyOn(Payment, 'findOne').mockImplementation(async (filter) => payments.find((payment) => matches(payment, filter)) || null);
+  jest.spyOn(Payment.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+  jest.spyOn(Ride, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+  // eventId is unique, like the collection's index
+  jest.spyOn(WebhookEvent, 'create').mockImplementation(async ({ eventId, event }) => {
+    if (webhookEvents.has(eventId)) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    const record = new WebhookEvent({ eventId, event });
+    webhookEvents.set(eventId, record);
+    return record;
+  });
+  jest.spyOn(WebhookEvent, 'findOneAndUpdate').mockImplementation(async ({ eventId, status }) => {
+    const record = webhookEvents.get(eventId);
+    if (!record || record.status !== status) return null;
+    record.status = 'processing';
+    record.attempts += 1;
+    return record;
+  });
+  jest.spyOn(WebhookEvent.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+
+  creditWallet.mockResolvedValue({ entry: { _id: 'entry_1' }, balance: 50000, duplicate: false });
+  debitWallet.mockResolvedValue({ entry: { _id: 'entry_2' }, balance: 0, duplicate: false });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  creditWallet.mockReset();
+  debitWallet.mockReset();
+});
+
+describe('POST /api/payment/webhook', () => {
+  it('rejects a delivery with a bad signature before recording it', async () => {
+    const topup = addPayment({ type: 'wallet_topup', amount: 500, razorpay: { orderId: 'order_1' } });
+
+    const res = await deliver('payment.captured', paymentEntity('captured'), { signature: sign('{}') });
+
+    expect(res.status).toBe(400);
+    expect(WebhookEvent.create).not.toHaveBeenCalled();
+    expect(topup.status).toBe('pending');
+  });
+
+  it('completes a captured top-up and credits the wallet', async () => {
+    const topup = addPayment({ type: 'wallet_topup', amount: 500, razorpay: { orderId: 'order_1' } });
+
+    const res = await deliver('payment.captured', paymentEntity('captured'), { eventId: 'evt_captured' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.duplicate).toBe(false);
+    expect(topup.status).toBe('completed');
+    expect(topup.razorpay.paymentId).toBe('pay_1');
+    expect(creditWallet).toHaveBeenCalledWith(expect.objectContaining({ amount: 50000, type: 'topup', key: `topup:${topup._id}` }));
+    expect(webhookEvents.get('evt_captured')).toMatchObject({ status: 'processed', outcome: 'completed' });
+  });
+
+  it('applies a retried event id only once', async () => {
+    addPayment({ type: 'wallet_topup', amount: 500, razorpay: { orderId: 'order_1' } });
+
+    await deliver('payment.captured', paymentEntity('captured'), { eventId: 'evt_retry' });
+    const res = await deliver('payment.captured', paymentEntity('captured'), { eventId: 'evt_retry' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.duplicate).toBe(true);
+    expect(creditWallet).toHaveBeenCalledTimes(1);
+  });
+
+  it('retries an event whose first delivery failed', async () => {
+    addPayment({ type: 'wallet_topup', amount: 500, razorpay: { orderId: 'order_1' } });
+    creditWallet.mockRejectedValueOnce(new Error('Wallet is busy'));
+
+    const first = await deliver('payment.captured', paymentEntity('captured'), { eventId: 'evt_flaky' });
+    expect(first.status).toBe(500);
+    expect(webhookEvents.get('evt_flaky').status).toBe('failed');
+
+    const second = await deliver('payment.captured', paymentEntity('captured'), { eventId: 'evt_flaky' });
+    expect(second.body.duplicate).toBe(false);
+    expect(webhookEvents.get('evt_flaky')).toMatchObject({ status: 'processed', attempts: 2 });
+  });
+
+  it('ignores a capture whose amount does not match the payment', async () => {
+    const topup = addPayment({ type: 'wallet_topup', amount: 400, razorpay: { orderId: 'order_1' } });
+
+    await deliver('payment.captured', paymentEntity('captured'), { eventId: 'evt_mismatch' });
+
+    expect(topup.status).toBe('pending');
+    expect(creditWallet).not.toHaveBeenCalled();
+    expect(webhookEvents.get('evt_mismatch')).toMatchObject({ status: 'ignored', outcome: 'amount_mismatch' });
+  });
+
+  it('fails a ride payment and the ride\'s pending payment', async () => {
+    const ride = new mongoose.Types.ObjectId();
+    const payment = addPayment({ type: 'ride', ride, amount: 500, razorpay: { orderId: 'order_1' } });
+
+    await deliver('payment.failed', paymentEntity('failed', {
+      error_code: 'BAD_REQUEST_ERROR',
+      error_description: 'Payment was declined by the bank'
+    }));
+
+    expect(payment.status).toBe('failed');
+    expect(payment.error.message).toBe('Payment was declined by the bank');
+    expect(Ride.updateOne).toHaveBeenCalledWith({ _id: ride, 'payment.status': 'pending' }, { 'payment.status': 'failed' });
+  });
+
+  it('refunds a tip captured after the rider replaced it to the wallet', async () => {
+    const ride = new mongoose.Types.ObjectId();
+    const tip = addPayment({ type: 'tip', ride, amount: 500, method: 'upi', status: 'cancelled', razorpay: { orderId: 'order_1' } });
+    jest.spyOn(Ride, 'findOneAndUpdate');
+
+    await deliver('payment.captured', paymentEntity('captured'), { eventId: 'evt_late_tip' });
+
+    expect(Ride.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(creditWallet).toHaveBeenCalledWith(expect.objectContaining({ userId: tip.user, amount: 50000, type: 'refund', key: `tip_refund:${tip._id}` }));
+    expect(tip.status).toBe('refunded');
+    expect(tip.razorpay.paymentId).toBe('pay_1');
+    expect(webhookEvents.get('evt_late_tip').outcome).toBe('tip_refunded_to_wallet');
+  });
+
+  it('refunds a tip captured after the ride was tipped with another payment', async () => {
+    const ride = new mongoose.Types.ObjectId();
+    const tip = addPayment({ type: 'tip', ride, amount: 500, method: 'upi', razorpay: { orderId: 'order_1' } });
+    jest.spyOn(Ride, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(Ride, 'findById').mockReturnValue({
+      select: jest.fn().mockResolvedValue({ tip: { payment: new mongoose.Types.ObjectId() } })
+    });
+
+    await deliver('payment.captured', paymentEntity('captured'));
+
+    expect(creditWallet).toHaveBeenCalledWith(expect.objectContaining({ amount: 50000, key: `tip_refund:${tip._id}` }));
+    expect(tip.status).toBe('refunded');
+  });
+
+  it('takes a dashboard refund of a top-up out of the wallet', async () => {
+    const topup = addPayment({ type: 'wallet_topup', amount: 500, status: 'completed', razorpay: { orderId: 'order_1', paymentId: 'pay_1' } });
+
+    await deliver('refund.processed', refundEntity('processed'), { eventId: 'evt_refund' });
+
+    expect(debitWallet).toHaveBeenCalledWith(expect.objectContaining({ amount: 50000, type: 'topup_refund', key: 'refund:rfnd_1' }));
+    expect(topup.status).toBe('refunded');
+    expect(topup.refund).toMatchObject({ refundId: 'rfnd_1', refundAmount: 500 });
+    expect(webhookEvents.get('evt_refund').outcome).toBe('refunded');
+  });
+
+  it('does not debit the wallet again for a refund requested through the API', async () => {
+    const topup = addPayment({
+      type: 'wallet_topup',
+      amount: 500,
+      status: 'processing',
+      razorpay: { orderId: 'order_1', paymentId: 'pay_1' },
+      refund: { refundAmount: 500 }
+    });
+
+    await deliver('refund.processed', refundEntity('processed'));
+
+    expect(debitWallet).not.toHaveBeenCalled();
+    expect(topup.status).toBe('refunded');
+    expect(topup.refund).toMatchObject({ refundId: 'rfnd_1', refundAmount: 500 });
+  });
+
+  it('restores the wallet when a top-up refund fails', async () => {
+    const topup = addPayment({
+      type: 'wallet_topup',
+      amount: 500,
+      status: 'refunded',
+      razorpay: { orderId: 'order_1', paymentId: 'pay_1' },
+      refund: { refundId: 'rfnd_1', refundAmount: 500 }
+    });
+
+    await deliver('refund.failed', refundEntity('failed'));
+
+    expect(creditWallet).toHaveBeenCalledWith(expect.objectContaining({ amount: 50000, type: 'reversal', key: 'refund_failed:rfnd_1' }));
+    expect(topup.status).toBe('completed');
+    expect(topup.refund.refundAmount).toBe(0);
+    expect(topup.error.code).toBe('REFUND_FAILED');
+  });
+});
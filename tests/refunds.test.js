@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+
+jest.mock('razorpay', () => jest.fn().mockImplementation(() => ({ orders: {}, payments: {}, refunds: {} })));
+jest.mock('../utils/razorpay', () => ({
+  ...jest.requireActual('../utils/razorpay'),
+  createRefund: jest.fn(),
+  findRefundByReceipt: jest.fn()
+}));
+
+const Notification = require('../models/Notification');
+const Payment = require('../models/Payment');
+const Ride = require('../models/Ride');
+const { createRefund, findRefundByReceipt } = require('../utils/razorpay');
+const { REFUND_CONFIG, attemptRefund, retryFailedRefunds } = require('../utils/refunds');
+
+const MINUTE = 60 * 1000;
+
+const original = () => new Payment({
+  user: new mongoose.Types.ObjectId(),
+  ride: new mongoose.Types.ObjectId(),
+  type: 'ride',
+  amount: 250,
+  method: 'razorpay',
+  status: 'completed',
+  razorpay: { orderId: 'order_1', paymentId: 'pay_1' }
+});
+
+// The refund payment as attemptRefund's claim returns it
+const claimedRefund = (paid, attempts) => new Payment({
+  user: paid.user,
+  ride: paid.ride,
+  type: 'refund',
+  amount: 250,
+  method: 'razorpay',
+  status: 'processing',
+  refund: { originalPaymentId: paid._id, refundAmount: 250, reason: 'Driver cancelled' },
+  retry: { attempts, lastAttemptAt: new Date() }
+});
+
+const stubClaim = (paid, claimed) => {
+  jest.spyOn(Payment, 'findOneAndUpdate').mockResolvedValue(claimed);
+  jest.spyOn(Payment, 'findById').mockResolvedValue(paid);
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(Ride, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(Payment.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+  jest.spyOn(Notification.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  createRefund.mockReset();
+  findRefundByReceipt.mockReset();
+});
+
+describe('attemptRefund', () => {
+  it('sends the refund payment id to Razorpay as the receipt', async () => {
+    const paid = original();
+    const claimed = claimedRefund(paid, 1);
+    stubClaim(paid, claimed);
+    createRefund.mockResolvedValue({ success: true, refund: { id: 'rfnd_1' } });
+
+    const result = await attemptRefund(claimed);
+
+    expect(result).toEqual({ refunded: true, amount: 250, refundId: 'rfnd_1' });
+    expect(findRefundByReceipt).not.toHaveBeenCalled();
+    expect(createRefund).toHaveBeenCalledWith('pay_1', 250, expect.objectContaining({ refundPaymentId: String(claimed._id) }), String(claimed._id));
+    expect(claimed.status).toBe('completed');
+    expect(paid.status).toBe('refunded');
+  });
+
+  it('picks up a refund Razorpay already made instead of refunding again', async () => {
+    const paid = original();
+    const claimed = claimedRefund(paid, 2);
+    stubClaim(paid, claimed);
+    findRefundByReceipt.mockResolvedValue({ success: true, refund: { id: 'rfnd_1', receipt: String(claimed._id) } });
+
+    const result = await attemptRefund(claimed);
+
+    expect(findRefundByReceipt).toHaveBeenCalledWith('pay_1', String(claimed._id));
+    expect(createRefund).not.toHaveBeenCalled();
+    expect(result.refundId).toBe('rfnd_1');
+    expect(claimed.refund.refundId).toBe('rfnd_1');
+  });
+
+  it('does not refund blind when the earlier refunds cannot be looked up', async () => {
+    const paid = original();
+    const claimed = claimedRefund(paid, 2);
+    stubClaim(paid, claimed);
+    findRefundByReceipt.mockResolvedValue({ success: false, error: 'Gateway timeout' });
+
+    const result = await attemptRefund(claimed);
+
+    expect(result).toEqual({ refunded: false, error: 'Gateway timeout' });
+    expect(createRefund).not.toHaveBeenCalled();
+    expect(claimed.status).toBe('failed');
+  });
+
+  it('can claim an attempt that was left processing', async () => {
+    const paid = original();
+    jest.spyOn(Payment, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(Payment, 'findById').mockResolvedValue(claimedRefund(paid, 1));
+
+    await attemptRefund({ _id: paid._id });
+
+    const [filter] = Payment.findOneAndUpdate.mock.calls[0];
+    expect(filter.$or).toContainEqual({
+      status: 'processing',
+      'retry.lastAttemptAt': { $lt: expect.any(Date) }
+    });
+  });
+});
+
+describe('retryFailedRefunds', () => {
+  it('retries due failures and attempts stuck in processing', async () => {
+    const now = new Date('2026-03-01T10:00:00Z');
+    jest.spyOn(Payment, 'find').mockReturnValue({ limit: jest.fn().mockResolvedValue([]) });
+
+    await retryFailedRefunds({}, now);
+
+    const [filter] = Payment.find.mock.calls[0];
+    expect(filter.$or).toEqual([
+      { status: 'failed', 'retry.nextAttemptAt': { $lte: now } },
+      {
+        status: 'processing',
+        'retry.lastAttemptAt': { $lt: new Date(now.getTime() - REFUND_CONFIG.staleMinutes * MINUTE) }
+      }
+    ]);
+  });
+});
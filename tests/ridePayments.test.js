@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+jest.mock('razorpay', () => jest.fn().mockImplementation(() => ({ orders: {}, payments: {}, refunds: {} })));
+jest.mock('../utils/walletLedger', () => ({
+  ...jest.requireActual('../utils/walletLedger'),
+  debitWallet: jest.fn()
+}));
+
+const Notification = require('../models/Notification');
+const Payment = require('../models/Payment');
+const Ride = require('../models/Ride');
+const { debitWallet, WALLET_ERROR_CODES } = require('../utils/walletLedger');
+const { collectCancellationFee, getOutstandingDues } = require('../utils/ridePayments');
+
+const cancelledRide = (method, fee = 3000) => new Ride({
+  user: new mongoose.Types.ObjectId(),
+  status: 'cancelled',
+  payment: { method, status: 'pending' },
+  cancellation: { cancelledBy: 'user', cancellationFee: fee, feeSplit: { driver: 2400, platform: 600 } }
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(Ride, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(Payment.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+  jest.spyOn(Notification.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  debitWallet.mockReset();
+});
+
+describe('collectCancellationFee', () => {
+  it('debits the fee from the wallet on wallet rides', async () => {
+    const ride = cancelledRide('wallet');
+    debitWallet.mockResolvedValue({ entry: { _id: 'entry_1', amount: 3000 }, balance: 7000, duplicate: false });
+
+    const result = await collectCancellationFee(ride);
+
+    expect(result.status).toBe('paid');
+    expect(debitWallet).toHaveBeenCalledWith(expect.objectContaining({ amount: 3000, key: `ride_payment:${ride._id}` }));
+    expect(ride.payment).toMatchObject({ status: 'completed', amountDue: 0 });
+  });
+
+  it('leaves the fee as a due when the wallet is short', async () => {
+    const ride = cancelledRide('wallet');
+    debitWallet.mockRejectedValue(Object.assign(new Error('Insufficient wallet balance'), {
+      name: 'WalletError',
+      code: WALLET_ERROR_CODES.INSUFFICIENT_BALANCE
+    }));
+
+    const result = await collectCancellationFee(ride);
+
+    expect(result).toEqual({ status: 'due', amountDue: 3000 });
+    expect(ride.payment.status).toBe('pending');
+    expect(Ride.updateOne).toHaveBeenCalledWith(
+      { _id: ride._id },
+      { 'payment.amountDue': 3000, 'payment.dueSince': ride.payment.dueSince }
+    );
+  });
+
+  it('makes cash riders owe the fee as a due', async () => {
+    const ride = cancelledRide('cash');
+    const result = await collectCancellationFee(ride);
+
+    expect(result).toEqual({ status: 'due', amountDue: 3000 });
+    expect(debitWallet).not.toHaveBeenCalled();
+    expect(Notification.prototype.save).toHaveBeenCalled();
+  });
+
+  it('does nothing without a fee', async () => {
+    const result = await collectCancellationFee(cancelledRide('cash', 0));
+    expect(result).toEqual({ status: 'paid', amountDue: 0 });
+    expect(Ride.updateOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('getOutstandingDues', () => {
+  it('lists unpaid fares and cancellation fees, oldest due first', async () => {
+    const endedAt = new Date('2026-03-01T10:00:00Z');
+    const completed = new Ride({ status: 'completed', actualEndTime: endedAt, payment: { method: 'upi', status: 'failed', amountDue: 12000 } });
+    const cancelled = cancelledRide('cash');
+    cancelled.payment.amountDue = 3000;
+
+    const query = { select: jest.fn().mockReturnThis(), sort: jest.fn().mockResolvedValue([completed, cancelled]) };
+    const find = jest.spyOn(Ride, 'find').mockReturnValue(query);
+    const userId = new mongoose.Types.ObjectId();
+
+    const dues = await getOutstandingDues(userId);
+
+    expect(find).toHaveBeenCalledWith(expect.objectContaining({ user: userId, status: { $in: ['completed', 'cancelled'] } }));
+    expect(query.select.mock.calls[0][0]).toContain('actualEndTime');
+    expect(query.sort).toHaveBeenCalledWith({ 'payment.dueSince': 1 });
+    expect(dues.total).toBe(15000);
+    expect(dues.rides[0]).toMatchObject({ status: 'completed', completedAt: endedAt, amountDue: 12000 });
+    expect(dues.rides[1]).toMatchObject({ status: 'cancelled', amountDue: 3000 });
+  });
+});
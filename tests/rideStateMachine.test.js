@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+const {
+  ERROR_CODES,
+  canTransition,
+  getSourceStatuses,
+  buildTransition,
+  applyTransition,
+  buildAtomicTransition,
+  getDriverActor
+} = require('../utils/rideStateMachine');
+
+const rideIn = (status, extra = {}) => ({ status, statusHistory: [], ...extra });
+
+describe('canTransition', () => {
+  it('follows the ride lifecycle', () => {
+    expect(canTransition('searching', 'accepted')).toBe(true);
+    expect(canTransition('accepted', 'arrived')).toBe(true);
+    expect(canTransition('arrived', 'started')).toBe(true);
+    expect(canTransition('started', 'completed')).toBe(true);
+    expect(canTransition('accepted', 'completed')).toBe(false);
+    expect(canTransition('completed', 'cancelled')).toBe(false);
+  });
+
+  it('limits who can make a transition', () => {
+    expect(canTransition('started', 'cancelled', 'user')).toBe(false);
+    expect(canTransition('started', 'cancelled', 'admin')).toBe(true);
+    expect(canTransition('searching', 'accepted', 'user')).toBe(false);
+    expect(canTransition('searching', 'cancelled', 'user')).toBe(true);
+  });
+});
+
+describe('getSourceStatuses', () => {
+  it('lists the statuses a ride can be completed from', () => {
+    expect(getSourceStatuses('completed', 'driver')).toEqual(['started']);
+  });
+
+  it('excludes statuses the actor cannot leave', () => {
+    expect(getSourceStatuses('cancelled', 'user')).not.toContain('started');
+    expect(getSourceStatuses('cancelled', 'system')).toContain('started');
+  });
+});
+
+describe('buildTransition', () => {
+  it('rejects an illegal transition with 409', () => {
+    expect.assertions(3);
+    try {
+      buildTransition('accepted', 'completed', { actor: 'driver' });
+    } catch (error) {
+      expect(error.code).toBe(ERROR_CODES.INVALID_TRANSITION);
+      expect(error.statusCode).toBe(409);
+      expect(error.details.allowed).toEqual(['arrived', 'cancelled']);
+    }
+  });
+
+  it('rejects a legal transition made by the wrong actor with 403', () => {
+    expect.assertions(2);
+    try {
+      buildTransition('started', 'cancelled', { actor: 'user' });
+    } catch (error) {
+      expect(error.code).toBe(ERROR_CODES.ACTOR_NOT_ALLOWED);
+      expect(error.statusCode).toBe(403);
+    }
+  });
+
+  it('rejects unknown statuses and actors', () => {
+    expect(() => buildTransition('accepted', 'teleported')).toThrow(expect.objectContaining({ code: ERROR_CODES.INVALID_STATUS }));
+    expect(() => buildTransition('accepted', 'arrived', { actor: 'robot' })).toThrow(expect.objectContaining({ code: ERROR_CODES.INVALID_ACTOR }));
+  });
+
+  it('normalises the location to [longitude, latitude]', () => {
+    const entry = buildTransition('accepted', 'arrived', { actor: 'driver', location: { latitude: 12.9, longitude: 77.6 } });
+    expect(entry).toMatchObject({ from: 'accepted', to: 'arrived', actor: 'driver', location: [77.6, 12.9] });
+  });
+});
+
+describe('applyTransition', () => {
+  it('records the transition in statusHistory', () => {
+    const ride = rideIn('accepted');
+    applyTransition(ride, 'arrived', { actor: 'driver', actorId: 'd1', reason: 'At pickup' });
+    expect(ride.status).toBe('arrived');
+    expect(ride.statusHistory).toHaveLength(1);
+    expect(ride.statusHistory[0]).toMatchObject({ from: 'accepted', to: 'arrived', actorId: 'd1', reason: 'At pickup' });
+  });
+
+  it('stamps acceptance on accept and pickup when the trip starts', () => {
+    const ride = rideIn('searching');
+    applyTransition(ride, 'accepted', { actor: 'driver' });
+    expect(ride.acceptedAt).toBeInstanceOf(Date);
+    expect(ride.actualPickupTime).toBeUndefined();
+
+    applyTransition(ride, 'arrived', { actor: 'driver' });
+    applyTransition(ride, 'started', { actor: 'driver' });
+    expect(ride.actualPickupTime).toBeInstanceOf(Date);
+    expect(ride.actualStartTime).toEqual(ride.actualPickupTime);
+
+    applyTransition(ride, 'completed', { actor: 'driver' });
+    expect(ride.actualEndTime).toBeInstanceOf(Date);
+  });
+
+  it('refuses to complete a ride with pending stops', () => {
+    const ride = rideIn('started', {
+      route: { waypoints: [{ sequence: 1, status: 'completed' }, { sequence: 2, status: 'arrived' }] }
+    });
+    expect(() => applyTransition(ride, 'completed', { actor: 'driver' }))
+      .toThrow(expect.objectContaining({ code: ERROR_CODES.STOPS_PENDING, details: { pendingStops: [2] } }));
+    expect(ride.status).toBe('started');
+  });
+
+  it('leaves the ride untouched when the transition is illegal', () => {
+    const ride = rideIn('completed');
+    expect(() => applyTransition(ride, 'cancelled', { actor: 'admin' })).toThrow();
+    expect(ride.status).toBe('completed');
+    expect(ride.statusHistory).toHaveLength(0);
+  });
+});
+
+describe('buildAtomicTransition', () => {
+  it('filters on the legal source statuses', () => {
+    const { filter } = buildAtomicTransition('arrived', { actor: 'driver' });
+    expect(filter).toEqual({ status: { $in: ['accepted'] } });
+  });
+
+  it('sets the status, timestamps and history in one pipeline stage', () => {
+    const driverId = new mongoose.Types.ObjectId();
+    const { update, entry } = buildAtomicTransition('accepted', { actor: 'driver', actorId: driverId }, { driver: driverId });
+    const set = update[0].$set;
+
+    expect(set.status).toBe('accepted');
+    expect(set.driver).toBe(driverId);
+    expect(set.acceptedAt).toBe(entry.timestamp);
+    expect(set.actualPickupTime).toBeUndefined();
+
+    const historyEntry = set.statusHistory.$concatArrays[1][0];
+    expect(historyEntry.from).toBe('$status');
+    expect(String(historyEntry.actorId)).toBe(String(driverId));
+    expect(historyEntry).not.toHaveProperty('location');
+  });
+
+  it('throws when no status can reach the target', () => {
+    expect(() => buildAtomicTransition('scheduled', { actor: 'driver' }))
+      .toThrow(expect.objectContaining({ code: ERROR_CODES.INVALID_TRANSITION }));
+  });
+});
+
+describe('getDriverActor', () => {
+  const driver = {
+    _id: 'owner',
+    subDrivers: [{ _id: 'sub1', isActive: true }, { _id: 'sub2', isActive: false }]
+  };
+
+  it('acts as an active sub-driver', () => {
+    expect(getDriverActor(driver, 'sub1')).toEqual({ actor: 'sub-driver', actorId: 'sub1' });
+  });
+
+  it('falls back to the main driver for inactive or unknown sub-drivers', () => {
+    expect(getDriverActor(driver, 'sub2')).toEqual({ actor: 'driver', actorId: 'owner' });
+    expect(getDriverActor(driver)).toEqual({ actor: 'driver', actorId: 'owner' });
+  });
+});
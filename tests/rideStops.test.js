@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+const Ride = require('../models/Ride');
+const { HANDOVER_OTP_CONFIG } = require('../utils/handoverOtp');
+const { STOP_ERROR_CODES, normalizeStops, issueStopOtps, advanceStop, summarizeStops } = require('../utils/rideStops');
+
+const drop = (sequence) => ({
+  address: `Drop ${sequence}`,
+  coordinates: [77.6, 12.9],
+  recipientName: `Recipient ${sequence}`,
+  recipientPhone: '9999999999'
+});
+
+const deliveryWithStops = (count = 2) => {
+  const { waypoints } = normalizeStops(Array.from({ length: count }, (_, i) => drop(i + 1)), { isDelivery: true });
+  return new Ride({ status: 'started', route: { waypoints } });
+};
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('issueStopOtps', () => {
+  it('stores only a hash of each drop OTP', () => {
+    const ride = deliveryWithStops();
+    const otps = issueStopOtps(ride);
+
+    expect(otps.map((entry) => entry.sequence)).toEqual([1, 2]);
+    ride.route.waypoints.forEach((stop, index) => {
+      expect(stop.otpHash).toMatch(/^[0-9a-f]{64}$/);
+      expect(stop.otpHash).not.toContain(otps[index].otp);
+      expect(stop.otpExpiresAt).toBeInstanceOf(Date);
+    });
+    expect(JSON.stringify(ride.toJSON())).not.toContain('otpHash');
+  });
+
+  it('runs the expiry from the scheduled time', () => {
+    const scheduledTime = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    const ride = deliveryWithStops(1);
+    ride.scheduledTime = scheduledTime;
+    issueStopOtps(ride);
+    expect(ride.route.waypoints[0].otpExpiresAt.getTime())
+      .toBe(scheduledTime.getTime() + HANDOVER_OTP_CONFIG.ttlMinutes * 60 * 1000);
+  });
+
+  it('shares the codes only when asked', () => {
+    const ride = deliveryWithStops(1);
+    const otps = issueStopOtps(ride);
+    expect(summarizeStops(ride)[0].otp).toBeUndefined();
+    expect(summarizeStops(ride, { otps })[0].otp).toBe(otps[0].otp);
+  });
+});
+
+describe('advanceStop', () => {
+  const arrivedRide = () => {
+    const ride = deliveryWithStops(1);
+    const [{ otp }] = issueStopOtps(ride);
+    ride.route.waypoints[0].status = 'arrived';
+    return { ride, otp };
+  };
+
+  // Stands in for the conditional $inc, returning the stop's new attempt count
+  const countAttempts = (attempts = 1) => jest.spyOn(Ride, 'findOneAndUpdate')
+    .mockResolvedValue({ route: { waypoints: [{ otpAttempts: attempts }] } });
+
+  it('completes a drop with the right OTP', async () => {
+    countAttempts();
+    const { ride, otp } = arrivedRide();
+    const stop = await advanceStop(ride, 'completed', { otp });
+    expect(stop.status).toBe('completed');
+    expect(stop.otpVerifiedAt).toBeInstanceOf(Date);
+    expect(stop.otpHash).toBeUndefined();
+  });
+
+  it('counts every try with one conditional update', async () => {
+    countAttempts();
+    const { ride } = arrivedRide();
+    const stop = ride.route.waypoints[0];
+
+    await expect(advanceStop(ride, 'completed', { otp: '0' }))
+      .rejects.toMatchObject({ code: STOP_ERROR_CODES.INVALID_STOP_OTP, details: { attemptsLeft: HANDOVER_OTP_CONFIG.maxAttempts - 1 } });
+
+    const [filter, update] = Ride.findOneAndUpdate.mock.calls[0];
+    expect(filter._id).toBe(ride._id);
+    expect(filter['route.waypoints'].$elemMatch._id).toBe(stop._id);
+    expect(update).toEqual({ $inc: { 'route.waypoints.$.otpAttempts': 1 } });
+  });
+
+  it('locks the stop when the count reaches the limit', async () => {
+    countAttempts(HANDOVER_OTP_CONFIG.maxAttempts);
+    const updateOne = jest.spyOn(Ride, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    const { ride } = arrivedRide();
+    const stop = ride.route.waypoints[0];
+
+    await expect(advanceStop(ride, 'completed')).rejects.toMatchObject({ code: STOP_ERROR_CODES.STOP_OTP_LOCKED, statusCode: 429 });
+    expect(updateOne.mock.calls[0][1].$set).toMatchObject({ 'route.waypoints.$.otpAttempts': 0 });
+    expect(updateOne.mock.calls[0][1].$set['route.waypoints.$.otpLockedUntil']).toBeInstanceOf(Date);
+    expect(stop.status).toBe('arrived');
+  });
+
+  it('refuses the right code once parallel guesses used up the attempts', async () => {
+    countAttempts(HANDOVER_OTP_CONFIG.maxAttempts + 1);
+    jest.spyOn(Ride, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    const { ride, otp } = arrivedRide();
+
+    await expect(advanceStop(ride, 'completed', { otp })).rejects.toMatchObject({ code: STOP_ERROR_CODES.STOP_OTP_LOCKED });
+  });
+
+  it('refuses a stop another request locked after the ride was loaded', async () => {
+    const lockedUntil = new Date(Date.now() + 60 * 1000);
+    jest.spyOn(Ride, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(Ride, 'findOne').mockResolvedValue({ route: { waypoints: [{ otpLockedUntil: lockedUntil }] } });
+    const { ride, otp } = arrivedRide();
+
+    await expect(advanceStop(ride, 'completed', { otp })).rejects.toMatchObject({
+      code: STOP_ERROR_CODES.STOP_OTP_LOCKED,
+      details: { lockedUntil }
+    });
+  });
+
+  it('refuses a locked or expired stop without checking the code', async () => {
+    const findOneAndUpdate = jest.spyOn(Ride, 'findOneAndUpdate');
+    const { ride, otp } = arrivedRide();
+    const stop = ride.route.waypoints[0];
+
+    stop.otpLockedUntil = new Date(Date.now() + 60 * 1000);
+    await expect(advanceStop(ride, 'completed', { otp })).rejects.toMatchObject({ code: STOP_ERROR_CODES.STOP_OTP_LOCKED });
+
+    stop.otpLockedUntil = null;
+    stop.otpExpiresAt = new Date(Date.now() - 1000);
+    await expect(advanceStop(ride, 'completed', { otp })).rejects.toMatchObject({ code: STOP_ERROR_CODES.STOP_OTP_EXPIRED });
+    expect(findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('binds the stored hash to its ride', async () => {
+    countAttempts();
+    const { ride, otp } = arrivedRide();
+    ride._id = new mongoose.Types.ObjectId();
+    await expect(advanceStop(ride, 'completed', { otp })).rejects.toMatchObject({ code: STOP_ERROR_CODES.INVALID_STOP_OTP });
+  });
+
+  it('gives the drop a fresh expiry when the driver arrives', async () => {
+    const ride = deliveryWithStops(1);
+    const [{ otp }] = issueStopOtps(ride);
+    const stop = ride.route.waypoints[0];
+    stop.otpExpiresAt = new Date(Date.now() - 1000);
+
+    await advanceStop(ride, 'arrived');
+    expect(stop.otpExpiresAt.getTime()).toBeGreaterThan(Date.now() + (HANDOVER_OTP_CONFIG.ttlMinutes - 1) * 60 * 1000);
+
+    countAttempts();
+    await expect(advanceStop(ride, 'completed', { otp })).resolves.toMatchObject({ status: 'completed' });
+  });
+});
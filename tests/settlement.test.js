@@ -0,0 +1,166 @@
+const mongoose = require('mongoose');
+const FareConfig = require('../models/FareConfig');
+const Payment = require('../models/Payment');
+const Ride = require('../models/Ride');
+const User = require('../models/User');
+const { invalidateFareConfigCache } = require('../utils/fareEngine');
+const { ERROR_CODES } = require('../utils/rideStateMachine');
+const {
+  driverNetOf,
+  calculateSettlement,
+  settleRide,
+  recordSettlement
+} = require('../utils/settlement');
+
+const PRICING = { totalFare: 10000, discount: 1000, finalAmount: 9000 };
+
+const completedRide = (fields = {}) => new Ride({
+  driver: new mongoose.Types.ObjectId(),
+  status: 'completed',
+  pricing: PRICING,
+  payment: { method: 'cash' },
+  ...fields
+});
+
+beforeEach(() => {
+  invalidateFareConfigCache();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('calculateSettlement', () => {
+  it('takes commission and tax on the undiscounted fare', () => {
+    const settlement = calculateSettlement({ pricing: PRICING, paymentMethod: 'upi', commissionPercent: 20 });
+    expect(settlement).toMatchObject({
+      grossFare: 10000,
+      riderPaid: 9000,
+      commission: 2000,
+      taxes: 360,
+      driverNet: 7640,
+      collectedBy: 'platform',
+      cashCollected: 0,
+      driverOwes: 0,
+      platformOwes: 7640
+    });
+  });
+
+  it('nets cash the driver collected against their earnings', () => {
+    const settlement = calculateSettlement({ pricing: PRICING, paymentMethod: 'cash', commissionPercent: 20 });
+    expect(settlement).toMatchObject({ collectedBy: 'driver', cashCollected: 9000, driverOwes: 1360, platformOwes: 0 });
+  });
+
+  it('adds incentives and tips and leaves parcel insurance with the platform', () => {
+    const settlement = calculateSettlement({
+      pricing: { totalFare: 10500, finalAmount: 10500, insuranceFee: 500 },
+      paymentMethod: 'wallet',
+      commissionPercent: 20,
+      incentives: 300,
+      tips: 200
+    });
+    expect(settlement).toMatchObject({ grossFare: 10000, insuranceFee: 500, driverNet: 8140 });
+  });
+});
+
+describe('driverNetOf', () => {
+  it('falls back to the default rates for rides settled before settlements existed', () => {
+    expect(driverNetOf({ settlement: { driverNet: 5000 } })).toBe(5000);
+    expect(driverNetOf({ pricing: { finalAmount: 10000 } })).toBe(7640);
+  });
+});
+
+describe('settleRide', () => {
+  it('uses the commission of the rate card the ride was priced with', async () => {
+    const config = new FareConfig({
+      city: 'pune',
+      version: 2,
+      rateCards: [{ vehicleType: 'Bike', baseFare: 20, perKm: 4, commissionPercent: 10 }]
+    });
+    jest.spyOn(FareConfig, 'findById').mockResolvedValue(config);
+    const ride = completedRide({ rideType: 'bike', pricing: { ...PRICING, rateCard: { config: config._id, version: 2 } } });
+
+    const settlement = await settleRide(ride);
+
+    expect(settlement).toMatchObject({ commissionPercent: 10, commission: 1000, taxes: 180, driverNet: 8820 });
+    expect(settlement.settledAt).toBeInstanceOf(Date);
+  });
+
+  it('does not settle a ride twice', async () => {
+    const findOne = jest.spyOn(FareConfig, 'findOne').mockResolvedValue(null);
+    const settledAt = new Date('2026-03-02T10:00:00Z');
+    const ride = completedRide({ settlement: { driverNet: 1234, settledAt } });
+
+    expect((await settleRide(ride)).driverNet).toBe(1234);
+    expect(findOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('recordSettlement', () => {
+  const settledRide = () => completedRide({
+    settlement: { ...calculateSettlement({ pricing: PRICING, paymentMethod: 'cash', commissionPercent: 20 }), settledAt: new Date() }
+  });
+
+  it('credits the driver once per settlement', async () => {
+    const claim = jest.spyOn(Ride, 'updateOne').mockResolvedValueOnce({ modifiedCount: 1 }).mockResolvedValueOnce({ modifiedCount: 0 });
+    const credit = jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Payment, 'findOne').mockResolvedValue(null);
+    const ride = settledRide();
+
+    expect(await recordSettlement(ride)).toBe(true);
+    expect(await recordSettlement(ride)).toBe(false);
+
+    expect(claim).toHaveBeenCalledWith(
+      { _id: ride._id, 'settlement.settledAt': ride.settlement.settledAt, 'settlement.recordedAt': null },
+      { $set: { 'settlement.recordedAt': expect.any(Date) } }
+    );
+    expect(credit).toHaveBeenCalledTimes(1);
+    expect(credit).toHaveBeenCalledWith({ _id: ride.driver }, { $inc: { 'driverInfo.totalEarnings': 7640 } });
+  });
+
+  it('ignores rides that have not been settled', async () => {
+    const claim = jest.spyOn(Ride, 'updateOne');
+    expect(await recordSettlement(completedRide())).toBe(false);
+    expect(claim).not.toHaveBeenCalled();
+  });
+});
+
+describe('Ride#completeAtomically', () => {
+  const startedRide = () => new Ride({ status: 'started', driver: new mongoose.Types.ObjectId() });
+
+  it('completes the ride with a conditional update', async () => {
+    const ride = startedRide();
+    const actualEndTime = new Date();
+    const update = jest.spyOn(Ride, 'findOneAndUpdate').mockResolvedValue(new Ride({
+      _id: ride._id,
+      status: 'completed',
+      actualEndTime,
+      statusHistory: [{ from: 'started', to: 'completed', actor: 'driver', timestamp: actualEndTime }]
+    }));
+
+    await ride.completeAtomically({ actor: 'driver', actorId: ride.driver });
+
+    expect(update.mock.calls[0][0]).toEqual({ _id: ride._id, status: { $in: ['started'] } });
+    expect(ride.status).toBe('completed');
+    expect(ride.actualEndTime).toEqual(actualEndTime);
+    expect(ride.statusHistory).toHaveLength(1);
+    expect(ride.isModified('status')).toBe(false);
+  });
+
+  it('refuses when another request completed the ride first', async () => {
+    jest.spyOn(Ride, 'findOneAndUpdate').mockResolvedValue(null);
+    const ride = startedRide();
+
+    await expect(ride.completeAtomically({ actor: 'driver' }))
+      .rejects.toMatchObject({ code: ERROR_CODES.INVALID_TRANSITION, statusCode: 409 });
+    expect(ride.status).toBe('started');
+  });
+
+  it('refuses before touching the database while stops are pending', async () => {
+    const update = jest.spyOn(Ride, 'findOneAndUpdate');
+    const ride = startedRide();
+    ride.route = { waypoints: [{ sequence: 1, address: 'Stop', coordinates: [77.6, 12.9], status: 'arrived' }] };
+
+    await expect(ride.completeAtomically({ actor: 'driver' })).rejects.toMatchObject({ code: ERROR_CODES.STOPS_PENDING });
+    expect(update).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,254 @@
+/**
+ * Cancellation policy engine for IdharUdhar
+ * Works out what a cancellation costs from the policy for the ride's city
+ * and vehicle type: who cancelled, the ride status, time since a driver
+ * accepted, how far the driver was from the pickup and the free-cancel
+ * grace window. Produces the rider fee (in paise), how much of it goes to
+ * the driver, and strikes that lead to consequences when they pile up.
+ */
+
+const mongoose = require('mongoose');
+const CancellationPolicy = require('../models/CancellationPolicy');
+const Ride = require('../models/Ride');
+const User = require('../models/User');
+const { calculateDistance } = require('./pricingCalculator');
+const { normalizeVehicleType } = require('./surge');
+
+const POLICY_CONFIG = {
+  defaultCity: (process.env.DEFAULT_FARE_CITY || 'default').toLowerCase(),
+  cacheMs: parseInt(process.env.CANCELLATION_POLICY_CACHE_MS || '60000', 10)
+};
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Resolved policy per city|vehicleType: { policy, loadedAt }
+const policyCache = new Map();
+
+/**
+ * Policy for a city and vehicle type. Falls back to the city-wide policy,
+ * then the default city's, then the built-in defaults.
+ * @param {Object} params
+ * @param {string} [params.city]
+ * @param {string} [params.vehicleType] - Ride type (bike, auto, ...)
+ * @returns {Promise<Object>} CancellationPolicy document (unsaved for the built-in defaults)
+ */
+const getCancellationPolicy = async ({ city, vehicleType } = {}) => {
+  const cityKey = city ? String(city).trim().toLowerCase() : POLICY_CONFIG.defaultCity;
+  const vehicle = normalizeVehicleType(vehicleType);
+  const cacheKey = `${cityKey}|${vehicle}`;
+
+  const cached = policyCache.get(cacheKey);
+  if (cached && Date.now() - cached.loadedAt < POLICY_CONFIG.cacheMs) return cached.policy;
+
+  const candidates = [
+    { city: cityKey, vehicleType: vehicle },
+    { city: cityKey, vehicleType: 'all' },
+    { city: POLICY_CONFIG.defaultCity, vehicleType: vehicle },
+    { city: POLICY_CONFIG.defaultCity, vehicleType: 'all' }
+  ];
+  const policies = await CancellationPolicy.find({ $or: candidates, isActive: true });
+
+  const policy = candidates
+    .map((candidate) => policies.find((p) => p.city === candidate.city && p.vehicleType === candidate.vehicleType))
+    .find(Boolean) || new CancellationPolicy({ city: POLICY_CONFIG.defaultCity });
+
+  policyCache.set(cacheKey, { policy, loadedAt: Date.now() });
+  return policy;
+};
+
+// Called after an admin edits a policy
+const invalidateCancellationPolicyCache = () => policyCache.clear();
+
+// When the driver accepted the ride, if one has
+const acceptedAt = (ride) => {
+  const entry = (ride.statusHistory || []).filter((item) => item.to === 'accepted').pop();
+  return entry?.timestamp || ride.acceptedAt || null;
+};
+
+/**
+ * Strikes a rider or driver has collected within the policy window
+ * @param {Object} params
+ * @param {string} params.role - 'user' | 'driver'
+ * @param {*} params.userId
+ * @param {number} params.windowDays
+ * @param {Date} [params.now]
+ * @returns {Promise<number>}
+ */
+const countStrikes = async ({ role, userId, windowDays, now = new Date() }) => {
+  const [row] = await Ride.aggregate([
+    {
+      $match: {
+        [role === 'driver' ? 'driver' : 'user']: new mongoose.Types.ObjectId(String(userId)),
+        'cancellation.cancelledBy': role,
+        'cancellation.strikes': { $gt: 0 },
+        'cancellation.cancelledAt': { $gte: new Date(now.getTime() - windowDays * DAY) }
+      }
+    },
+    { $group: { _id: null, strikes: { $sum: '$cancellation.strikes' } } }
+  ]);
+  return row?.strikes || 0;
+};
+
+/**
+ * Work out the consequences of cancelling a ride (does not change anything)
+ * @param {Object} params
+ * @param {Object} params.ride - Ride document, before cancellation
+ * @param {string} params.cancelledBy - 'user' | 'driver'
+ * @param {Object} params.policy - CancellationPolicy document
+ * @param {Array} [params.driverLocation] - Driver's [longitude, latitude]
+ * @param {number} [params.priorStrikes] - Canceller's strikes in the policy window
+ * @param {Date} [params.now]
+ * @returns {Object} { fee, feeSplit, refundAmount, strikes, penalty, waivedReason, minutesSinceAcceptance, driverDistanceKm, policy }
+ */
+const evaluateCancellation = ({ ride, cancelledBy, policy, driverLocation, priorStrikes = 0, now = new Date() }) => {
+  const fare = ride.pricing?.finalAmount || 0;
+  const accepted = acceptedAt(ride);
+  const minutesSinceAcceptance = accepted ? Math.round((now - new Date(accepted)) / MINUTE * 10) / 10 : null;
+
+  const pickup = ride.pickup?.coordinates?.coordinates;
+  const driverDistanceKm = driverLocation && pickup ? calculateDistance(driverLocation, pickup) : null;
+
+  const outcome = {
+    cancelledBy,
+    fee: 0,
+    feeSplit: { driver: 0, platform: 0 },
+    refundAmount: fare,
+    strikes: 0,
+    penalty: 0,
+    waivedReason: null,
+    minutesSinceAcceptance,
+    driverDistanceKm,
+    policy: { policy: policy._id && !policy.isNew ? policy._id : null, city: policy.city, vehicleType: policy.vehicleType }
+  };
+
+  // Nothing is owed before a driver is committed to the ride
+  if (!ride.driver || !['accepted', 'arrived'].includes(ride.status)) {
+    outcome.waivedReason = 'before_acceptance';
+    return outcome;
+  }
+
+  if (cancelledBy === 'driver') {
+    if (minutesSinceAcceptance !== null && minutesSinceAcceptance < policy.driver.graceMinutes) {
+      outcome.waivedReason = 'grace_period';
+      return outcome;
+    }
+    outcome.strikes = policy.driver.strikes[ride.status] || 0;
+    outcome.penalty = Math.round(policy.driver.penalty * 100);
+    return outcome;
+  }
+
+  // Riders who keep cancelling lose the free window
+  const graceApplies = priorStrikes < policy.maxStrikes;
+  if (graceApplies && minutesSinceAcceptance !== null && minutesSinceAcceptance < policy.rider.graceMinutes) {
+    outcome.waivedReason = 'grace_period';
+    return outcome;
+  }
+
+  // A driver who is nowhere near the pickup has not lost anything
+  const waiveBeyond = policy.rider.waiveIfDriverBeyondKm;
+  if (ride.status === 'accepted' && waiveBeyond !== null && waiveBeyond !== undefined &&
+    driverDistanceKm !== null && driverDistanceKm > waiveBeyond) {
+    outcome.waivedReason = 'driver_far_from_pickup';
+    return outcome;
+  }
+
+  const rule = policy.findFeeRule(ride.status);
+  if (!rule) {
+    outcome.waivedReason = 'no_fee_rule';
+    return outcome;
+  }
+
+  let fee = Math.round(rule.flat * 100 + fare * rule.percentOfFare / 100);
+  if (rule.maxFee !== null && rule.maxFee !== undefined) {
+    fee = Math.min(fee, Math.round(rule.maxFee * 100));
+  }
+  fee = Math.max(0, Math.min(fee, fare));
+
+  const driverShare = Math.round(fee * policy.rider.driverSharePercent / 100);
+  outcome.fee = fee;
+  outcome.feeSplit = { driver: driverShare, platform: fee - driverShare };
+  outcome.refundAmount = fare - fee;
+  outcome.strikes = fee > 0 ? 1 : 0;
+  return outcome;
+};
+
+/**
+ * Resolve the policy for a ride and evaluate a cancellation
+ * @param {Object} ride - Ride document
+ * @param {string} cancelledBy - 'user' | 'driver'
+ * @param {Object} [options]
+ * @param {Array} [options.driverLocation] - Driver's [longitude, latitude] (looked up when omitted)
+ * @param {Date} [options.now]
+ * @returns {Promise<Object>} See evaluateCancellation, plus the policy document
+ */
+const assessCancellation = async (ride, cancelledBy, { driverLocation, now = new Date() } = {}) => {
+  const policy = await getCancellationPolicy({ city: ride.city, vehicleType: ride.rideType });
+
+  let location = driverLocation;
+  if (!location && ride.driver) {
+    const driver = await User.findById(ride.driver).select('driverInfo.currentLocation');
+    location = driver?.driverInfo?.currentLocation?.coordinates;
+  }
+
+  const priorStrikes = cancelledBy === 'user'
+    ? await countStrikes({ role: 'user', userId: ride.user, windowDays: policy.strikeWindowDays, now })
+    : 0;
+
+  const outcome = evaluateCancellation({ ride, cancelledBy, policy, driverLocation: location, priorStrikes, now });
+  return { ...outcome, policyDocument: policy };
+};
+
+/**
+ * After a driver cancels with strikes, suspend them if they reached the limit
+ * @param {*} driverId
+ * @param {Object} policy - CancellationPolicy document
+ * @param {Date} [now]
+ * @returns {Promise<Object>} { strikes, maxStrikes, suspendedUntil }
+ */
+const applyDriverStrikes = async (driverId, policy, now = new Date()) => {
+  const strikes = await countStrikes({ role: 'driver', userId: driverId, windowDays: policy.strikeWindowDays, now });
+
+  let suspendedUntil = null;
+  if (strikes >= policy.maxStrikes && policy.suspensionHours > 0) {
+    suspendedUntil = new Date(now.getTime() + policy.suspensionHours * 60 * MINUTE);
+    await User.updateOne(
+      { _id: driverId },
+      { 'driverInfo.suspendedUntil': suspendedUntil, 'driverInfo.isAvailable': false }
+    );
+    console.log(`⛔ Driver ${driverId} suspended until ${suspendedUntil.toISOString()} after ${strikes} cancellation strikes`);
+  }
+
+  return { strikes, maxStrikes: policy.maxStrikes, suspendedUntil };
+};
+
+/**
+ * Aggregation expression for the driver's share of a cancelled ride's fee,
+ * counted only once the rider has paid it (prepaid rides keep it out of the
+ * refund; other riders clear it as a due)
+ * @returns {Object}
+ */
+const driverCancellationFeeExpression = () => ({
+  $cond: [
+    { $in: ['$payment.status', ['completed', 'refunded']] },
+    { $ifNull: ['$cancellation.feeSplit.driver', 0] },
+    0
+  ]
+});
+
+// Whether a driver is serving a cancellation suspension
+const isDriverSuspended = (driver, now = new Date()) => {
+  const until = driver?.driverInfo?.suspendedUntil;
+  return !!until && new Date(until) > now;
+};
+
+module.exports = {
+  getCancellationPolicy,
+  invalidateCancellationPolicyCache,
+  evaluateCancellation,
+  assessCancellation,
+  countStrikes,
+  applyDriverStrikes,
+  isDriverSuspended,
+  driverCancellationFeeExpression
+};
@@ -0,0 +1,222 @@
+/**
+ * Proof of delivery for IdharUdhar
+ * When a driver completes a delivery they attach a drop-off photo, the
+ * recipient's signature (required when `delivery.requiresSignature` is set),
+ * the name of the person who took the parcel and the GPS position at
+ * handover. Images are saved through the document storage backend and kept
+ * on `delivery.proof`; the sender and admins (for disputes) read them back
+ * through the API, never from a public URL.
+ */
+
+const crypto = require('crypto');
+const { getDocumentStorage } = require('./documentStorage');
+
+const DELIVERY_PROOF_CONFIG = {
+  maxFileSize: parseFloat(process.env.DELIVERY_PROOF_MAX_FILE_MB || '5') * 1024 * 1024,
+  mimeTypes: ['image/jpeg', 'image/png', 'image/webp', 'image/heic'],
+  requirePhoto: process.env.DELIVERY_PROOF_REQUIRE_PHOTO === 'true'
+};
+
+// Files a proof can hold, by form field
+const PROOF_FILES = ['photo', 'signature'];
+
+const DELIVERY_PROOF_ERROR_CODES = {
+  SIGNATURE_REQUIRED: 'DELIVERY_SIGNATURE_REQUIRED',
+  PHOTO_REQUIRED: 'DELIVERY_PHOTO_REQUIRED',
+  RECIPIENT_NAME_REQUIRED: 'DELIVERY_RECIPIENT_NAME_REQUIRED',
+  INVALID_LOCATION: 'DELIVERY_PROOF_INVALID_LOCATION',
+  NOT_FOUND: 'DELIVERY_PROOF_NOT_FOUND',
+  STORAGE_FAILED: 'DELIVERY_PROOF_STORAGE_FAILED'
+};
+
+const createDeliveryProofError = (code, message, details = {}) => {
+  const error = new Error(message);
+  error.name = 'DeliveryProofError';
+  error.code = code;
+  error.statusCode = code === DELIVERY_PROOF_ERROR_CODES.NOT_FOUND ? 404
+    : code === DELIVERY_PROOF_ERROR_CODES.STORAGE_FAILED ? 502 : 400;
+  error.details = details;
+  return error;
+};
+
+const isDeliveryProofError = (error) => !!error && error.name === 'DeliveryProofError';
+
+// Send the standard error response for a rejected proof of delivery
+const sendDeliveryProofError = (res, error) => {
+  return res.status(error.statusCode).json({
+    status: 'error',
+    code: error.code,
+    message: error.message,
+    details: error.details
+  });
+};
+
+// Multipart forms send the location as JSON text or as latitude/longitude fields
+const parseProofLocation = (body = {}) => {
+  let location = body.location;
+  if (typeof location === 'string') {
+    try {
+      location = JSON.parse(location);
+    } catch (error) {
+      throw createDeliveryProofError(DELIVERY_PROOF_ERROR_CODES.INVALID_LOCATION, 'Location must be JSON with latitude and longitude');
+    }
+  }
+  if (!location && body.latitude !== undefined && body.longitude !== undefined) {
+    location = { latitude: body.latitude, longitude: body.longitude, accuracy: body.accuracy };
+  }
+  if (!location) return null;
+
+  let coordinates;
+  if (Array.isArray(location)) {
+    coordinates = location;
+  } else if (Array.isArray(location.coordinates)) {
+    coordinates = location.coordinates;
+  } else {
+    coordinates = [location.longitude, location.latitude];
+  }
+  const [longitude, latitude] = coordinates.map(Number);
+  if (!Number.isFinite(longitude) || !Number.isFinite(latitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    throw createDeliveryProofError(DELIVERY_PROOF_ERROR_CODES.INVALID_LOCATION, 'Location must have a valid latitude and longitude', { location });
+  }
+
+  const accuracy = Number(location.accuracy);
+  return {
+    coordinates: [longitude, latitude],
+    accuracy: Number.isFinite(accuracy) && accuracy >= 0 ? accuracy : undefined
+  };
+};
+
+/**
+ * Check the proof a driver sent with a delivery before anything is stored
+ * @param {Object} ride - Ride with delivery.requiresSignature
+ * @param {Object} params
+ * @param {Object} [params.files] - multer files by field ({ photo: [file], signature: [file] })
+ * @param {Object} [params.body] - recipientName and location
+ * @returns {Object} { files: { photo, signature }, recipientName, location }
+ */
+const validateDeliveryProof = (ride, { files = {}, body = {} } = {}) => {
+  const photo = files.photo?.[0] || null;
+  const signature = files.signature?.[0] || null;
+  const recipientName = String(body.recipientName || '').trim();
+
+  if (ride.delivery?.requiresSignature) {
+    if (!signature?.buffer) {
+      throw createDeliveryProofError(DELIVERY_PROOF_ERROR_CODES.SIGNATURE_REQUIRED, 'This delivery needs the recipient\'s signature');
+    }
+    if (!recipientName) {
+      throw createDeliveryProofError(DELIVERY_PROOF_ERROR_CODES.RECIPIENT_NAME_REQUIRED, 'Recipient name is required with a signature');
+    }
+  }
+  if (DELIVERY_PROOF_CONFIG.requirePhoto && !photo?.buffer) {
+    throw createDeliveryProofError(DELIVERY_PROOF_ERROR_CODES.PHOTO_REQUIRED, 'A drop-off photo is required');
+  }
+
+  return {
+    files: { photo, signature },
+    recipientName: recipientName || null,
+    location: parseProofLocation(body)
+  };
+};
+
+/**
+ * Save a validated proof's images and put the proof on the ride
+ * (the caller saves the ride)
+ * @param {Object} ride - Ride mongoose document
+ * @param {Object} proof - Result of validateDeliveryProof
+ * @param {Object} capturedBy - { actor, actorId }
+ * @param {Date} [now]
+ * @returns {Promise<Object>} ride.delivery.proof
+ */
+const attachDeliveryProof = async (ride, proof, capturedBy, now = new Date()) => {
+  const storage = getDocumentStorage();
+  const stored = {};
+
+  for (const kind of PROOF_FILES) {
+    const file = proof.files[kind];
+    if (!file?.buffer) continue;
+    try {
+      const saved = await storage.save({
+        buffer: file.buffer,
+        mimeType: file.mimetype,
+        folder: `delivery-proofs/${ride._id}`,
+        name: `${kind}_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`
+      });
+      stored[kind] = { storage: storage.name, storageKey: saved.key, mimeType: file.mimetype, size: file.size };
+    } catch (error) {
+      console.error(`📁 Failed to store delivery ${kind} for ride ${ride._id}:`, error.message);
+      throw createDeliveryProofError(DELIVERY_PROOF_ERROR_CODES.STORAGE_FAILED, 'Failed to store the proof of delivery', { error: error.message });
+    }
+  }
+
+  ride.delivery = ride.delivery || {};
+  ride.delivery.proof = {
+    photo: stored.photo,
+    signature: stored.signature,
+    recipientName: proof.recipientName,
+    location: proof.location || undefined,
+    capturedAt: now,
+    capturedBy: capturedBy.actor,
+    capturedById: capturedBy.actorId
+  };
+
+  console.log(`📦 Proof of delivery for ride ${ride._id}: ${Object.keys(stored).join(', ') || 'no files'}`);
+  return ride.delivery.proof;
+};
+
+/**
+ * What the sender and admins see of a ride's proof of delivery
+ * @param {Object} ride
+ * @param {string} [filePath] - Base path the files are served under
+ * @returns {Object|null}
+ */
+const deliveryProofView = (ride, filePath) => {
+  const proof = ride.delivery?.proof;
+  if (!proof?.capturedAt) return null;
+
+  const fileView = (kind) => (proof[kind]?.storageKey ? {
+    mimeType: proof[kind].mimeType,
+    size: proof[kind].size,
+    url: filePath ? `${filePath}/${kind}` : undefined
+  } : null);
+
+  return {
+    photo: fileView('photo'),
+    signature: fileView('signature'),
+    recipientName: proof.recipientName || null,
+    location: proof.location?.coordinates?.length ? {
+      latitude: proof.location.coordinates[1],
+      longitude: proof.location.coordinates[0],
+      accuracy: proof.location.accuracy
+    } : null,
+    capturedAt: proof.capturedAt,
+    capturedBy: proof.capturedBy,
+    signatureRequired: !!ride.delivery?.requiresSignature
+  };
+};
+
+/**
+ * The stored image behind a ride's proof of delivery
+ * @param {Object} ride
+ * @param {string} kind - 'photo' | 'signature'
+ * @returns {Promise<Object>} { buffer, mimeType }
+ */
+const readDeliveryProofFile = async (ride, kind) => {
+  const file = PROOF_FILES.includes(kind) ? ride.delivery?.proof?.[kind] : null;
+  if (!file?.storageKey) {
+    throw createDeliveryProofError(DELIVERY_PROOF_ERROR_CODES.NOT_FOUND, 'No such proof of delivery file', { kind });
+  }
+  const buffer = await getDocumentStorage(file.storage).read(file.storageKey);
+  return { buffer, mimeType: file.mimeType || 'application/octet-stream' };
+};
+
+module.exports = {
+  DELIVERY_PROOF_CONFIG,
+  DELIVERY_PROOF_ERROR_CODES,
+  PROOF_FILES,
+  validateDeliveryProof,
+  attachDeliveryProof,
+  deliveryProofView,
+  readDeliveryProofFile,
+  isDeliveryProofError,
+  sendDeliveryProofError
+};
@@ -0,0 +1,513 @@
+/**
+ * Driver dispatch engine for IdharUdhar
+ * Ranks nearby drivers for a ride and offers it to one driver (or a small
+ * batch) at a time. Offers expire after a timeout and cascade to the next
+ * candidates; declines cascade immediately. When candidates run out the
+ * ride is cancelled by the system.
+ */
+
+const Ride = require('../models/Ride');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { applyTransition } = require('./rideStateMachine');
+const { fleetRoom } = require('./subDrivers');
+const { recordFleetOffer } = require('./fleet');
+const { canCarryParcel } = require('./parcelPricing');
+
+const DISPATCH_CONFIG = {
+  offerTimeoutMs: parseInt(process.env.DISPATCH_OFFER_TIMEOUT_MS || '20000', 10),
+  batchSize: parseInt(process.env.DISPATCH_BATCH_SIZE || '1', 10),
+  maxRadiusMeters: parseInt(process.env.DISPATCH_MAX_RADIUS_M || '10000', 10),
+  maxCandidates: parseInt(process.env.DISPATCH_MAX_CANDIDATES || '20', 10),
+  sweepIntervalMs: 30000
+};
+
+// Relative importance of each ranking signal (sums to 1)
+const RANKING_WEIGHTS = {
+  distance: 0.4,
+  rating: 0.2,
+  vehicle: 0.2,
+  acceptance: 0.2
+};
+
+// Statuses in which a ride holds its driver's active-ride slot
+const ACTIVE_RIDE_STATUSES = ['accepted', 'arrived', 'started'];
+
+// Vehicles that may carry a delivery, mirroring the accept-ride check
+const DELIVERY_VEHICLES = ['Bike', 'Auto', 'Car', 'Truck'];
+
+const capitalize = (value = '') => value.charAt(0).toUpperCase() + value.slice(1).toLowerCase();
+
+const isDelivery = (ride) => String(ride.serviceType || '').toLowerCase() === 'delivery';
+
+// Delivery vehicles that can carry the parcel, plus the vehicle it was priced for
+const deliveryVehicleTypes = (ride) => {
+  const carriers = DELIVERY_VEHICLES.filter((type) => canCarryParcel(type, ride.delivery));
+  const booked = capitalize(ride.rideType);
+  return booked === 'Delivery' || carriers.includes(booked) ? carriers : [...carriers, booked];
+};
+
+/**
+ * Score a single driver for a ride (0..1, higher is better)
+ * @param {Object} ride - Ride document
+ * @param {Object} driver - Driver document with a `distance` field in meters
+ * @returns {number}
+ */
+const scoreDriver = (ride, driver) => {
+  const info = driver.driverInfo || {};
+
+  const distanceScore = Math.max(0, 1 - (driver.distance || 0) / DISPATCH_CONFIG.maxRadiusMeters);
+  const ratingScore = Math.min(Math.max(info.rating || 0, 0), 5) / 5;
+  const vehicleScore = info.vehicleType === capitalize(ride.rideType) ? 1 : 0.5;
+
+  // Smoothed acceptance rate so new drivers start in the middle
+  const stats = info.dispatchStats || {};
+  const acceptanceScore = ((stats.accepted || 0) + 1) / ((stats.offered || 0) + 2);
+
+  const score =
+    RANKING_WEIGHTS.distance * distanceScore +
+    RANKING_WEIGHTS.rating * ratingScore +
+    RANKING_WEIGHTS.vehicle * vehicleScore +
+    RANKING_WEIGHTS.acceptance * acceptanceScore;
+
+  return Math.round(score * 1000) / 1000;
+};
+
+/**
+ * Find and rank candidate drivers for a ride
+ * @param {Object} ride - Ride document
+ * @param {Array} excludeDriverIds - Drivers already offered or who declined
+ * @returns {Promise<Array>} Drivers sorted best first, each with `distance` and `score`
+ */
+const rankCandidates = async (ride, excludeDriverIds = []) => {
+  const vehicleTypes = isDelivery(ride) ? deliveryVehicleTypes(ride) : [capitalize(ride.rideType)];
+
+  const drivers = await User.aggregate([
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates: ride.pickup.coordinates.coordinates },
+        distanceField: 'distance',
+        maxDistance: DISPATCH_CONFIG.maxRadiusMeters,
+        key: 'driverInfo.currentLocation',
+        spherical: true,
+        query: {
+          role: 'Driver',
+          isActive: true,
+          isOnline: true,
+          'driverInfo.isAvailable': true,
+          'driverInfo.vehicleType': { $in: vehicleTypes },
+          // Drivers suspended for cancellation strikes get no offers
+          $or: [{ 'driverInfo.suspendedUntil': null }, { 'driverInfo.suspendedUntil': { $lte: new Date() } }],
+          _id: { $nin: excludeDriverIds }
+        }
+      }
+    },
+    // Slots can point at rides that have since ended, so look the rides up
+    {
+      $lookup: {
+        from: 'rides',
+        let: { slots: { $concatArrays: [['$driverInfo.activeRide'], { $ifNull: ['$subDrivers.activeRide', []] }] } },
+        pipeline: [
+          { $match: { $expr: { $in: ['$_id', '$$slots'] }, status: { $in: ACTIVE_RIDE_STATUSES } } },
+          { $project: { _id: 1 } }
+        ],
+        as: 'heldRides'
+      }
+    },
+    // Skip drivers on a ride; fleet owners stay in while an active sub-driver is free
+    {
+      $match: {
+        $expr: {
+          $or: [
+            { $not: [{ $in: ['$driverInfo.activeRide', '$heldRides._id'] }] },
+            {
+              $anyElementTrue: [{
+                $map: {
+                  input: { $ifNull: ['$subDrivers', []] },
+                  as: 'sub',
+                  in: { $and: ['$$sub.isActive', { $not: [{ $in: ['$$sub.activeRide', '$heldRides._id'] }] }] }
+                }
+              }]
+            }
+          ]
+        }
+      }
+    },
+    { $limit: DISPATCH_CONFIG.maxCandidates },
+    {
+      $project: {
+        fullName: 1,
+        phone: 1,
+        distance: 1,
+        'driverInfo.vehicleType': 1,
+        'driverInfo.rating': 1,
+        'driverInfo.dispatchStats': 1
+      }
+    }
+  ]);
+
+  return drivers
+    .map((driver) => ({ ...driver, score: scoreDriver(ride, driver) }))
+    .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Filter clause matching rides a driver may accept: searching rides
+ * currently offered to that driver (pending rides wait for dispatch)
+ * @param {*} driverId - Driver user id
+ * @returns {Object}
+ */
+const offerFilterFor = (driverId) => ({
+  status: 'searching',
+  'dispatch.currentOffer.drivers': driverId
+});
+
+/**
+ * Whether a loaded ride may be accepted by the given driver
+ * @param {Object} ride - Ride document
+ * @param {*} driverId - Driver user id
+ * @returns {boolean}
+ */
+const isOfferedTo = (ride, driverId) => {
+  if (ride.status !== 'searching') return false;
+  const offered = ride.dispatch?.currentOffer?.drivers || [];
+  return offered.some((id) => String(id) === String(driverId));
+};
+
+/**
+ * Rides currently offered to a driver
+ * @param {*} driverId - Driver user id
+ * @param {Object} [filter] - Extra ride filter (e.g. serviceType)
+ * @returns {Promise<Array>}
+ */
+const getOffersForDriver = (driverId, filter = {}) => {
+  return Ride.find({
+    ...filter,
+    status: 'searching',
+    'dispatch.currentOffer.drivers': driverId,
+    'dispatch.currentOffer.expiresAt': { $gt: new Date() }
+  })
+    .populate('user', 'fullName phone')
+    .sort({ createdAt: -1 });
+};
+
+const buildOfferPayload = (ride, expiresAt) => ({
+  rideId: ride._id,
+  rideType: ride.rideType,
+  serviceType: ride.serviceType,
+  pickup: {
+    address: ride.pickup.address,
+    coordinates: ride.pickup.coordinates.coordinates
+  },
+  destination: {
+    address: ride.destination.address,
+    coordinates: ride.destination.coordinates.coordinates
+  },
+  stops: (ride.route?.waypoints || []).map((stop) => ({
+    sequence: stop.sequence,
+    address: stop.address,
+    coordinates: stop.coordinates
+  })),
+  fare: ride.pricing?.finalAmount,
+  distance: ride.route?.distance,
+  duration: ride.route?.duration,
+  specialRequests: ride.specialRequests,
+  customerName: ride.user?.fullName || 'Customer',
+  customerPhone: ride.user?.phone || '',
+  offerExpiresAt: expiresAt,
+  offerTimeoutMs: DISPATCH_CONFIG.offerTimeoutMs,
+  timestamp: new Date()
+});
+
+/**
+ * Create a dispatcher bound to a Socket.IO server
+ * @param {Object} io - Socket.IO server
+ * @returns {Object} Dispatcher API
+ */
+const createDispatcher = (io) => {
+  // rideId -> { timer, pending: Set<driverId> }
+  const activeOffers = new Map();
+
+  const clearOffer = (rideId) => {
+    const active = activeOffers.get(String(rideId));
+    if (active) {
+      clearTimeout(active.timer);
+      activeOffers.delete(String(rideId));
+    }
+    return active;
+  };
+
+  // Offers reach the driver and any sub-drivers signed in to their fleet
+  const emitToDriver = (driverId, event, data) => {
+    if (io) io.to([`user_${driverId}`, fleetRoom(driverId)]).emit(event, data);
+  };
+
+  const incrementStat = (driverIds, stat) => {
+    if (!driverIds.length) return Promise.resolve();
+    return User.updateMany(
+      { _id: { $in: driverIds } },
+      { $inc: { [`driverInfo.dispatchStats.${stat}`]: 1 } }
+    );
+  };
+
+  // Cancel a ride that nobody could take. Scheduled rides are held and
+  // retried by the scheduler until their cancel cut-off instead.
+  const exhaustCandidates = async (ride) => {
+    if (ride.schedule?.cancelAt && ride.schedule.cancelAt > new Date()) {
+      await Ride.updateOne(
+        { _id: ride._id, status: 'searching' },
+        {
+          $set: {
+            'dispatch.currentOffer': { drivers: [], offeredAt: null, expiresAt: null },
+            'dispatch.offeredDrivers': []
+          }
+        }
+      );
+      console.log(`⏸️ No drivers yet for scheduled ride ${ride._id}, holding until ${ride.schedule.cancelAt.toISOString()}`);
+      return null;
+    }
+
+    const reason = 'No drivers available';
+    const cancelled = await Ride.cancelBySystem(ride._id, reason, ['searching'], {
+      'dispatch.currentOffer.drivers': [],
+      'dispatch.exhaustedAt': new Date()
+    });
+    if (!cancelled) return null;
+
+    console.log(`🚫 Dispatch exhausted for ride ${ride._id}, cancelled by system`);
+
+    await new Notification({
+      user: cancelled.user,
+      title: 'No drivers available',
+      message: 'We could not find a driver for your request. Please try again shortly.',
+      type: 'ride_update',
+      priority: 'high',
+      data: { rideId: cancelled._id }
+    }).save();
+
+    if (io) {
+      const payload = { rideId: cancelled._id, status: 'cancelled', cancelledBy: 'system', reason };
+      io.to(`user_${cancelled.user}`).emit('ride-cancelled', payload);
+      io.to(`ride_${cancelled._id}`).emit('ride-cancelled', payload);
+    }
+
+    return cancelled;
+  };
+
+  // Offer the ride to the next best batch of drivers
+  const offerNextBatch = async (rideId) => {
+    clearOffer(rideId);
+
+    const ride = await Ride.findById(rideId).populate('user', 'fullName phone');
+    if (!ride || ride.status !== 'searching') return null;
+
+    const exclude = [
+      ...(ride.declinedDrivers || []),
+      ...(ride.dispatch?.offeredDrivers || [])
+    ];
+    const candidates = await rankCandidates(ride, exclude);
+
+    if (candidates.length === 0) {
+      await exhaustCandidates(ride);
+      return [];
+    }
+
+    const batch = candidates.slice(0, Math.max(1, DISPATCH_CONFIG.batchSize));
+    const batchIds = batch.map((d) => d._id);
+    const offeredAt = new Date();
+    const expiresAt = new Date(offeredAt.getTime() + DISPATCH_CONFIG.offerTimeoutMs);
+
+    const updated = await Ride.findOneAndUpdate(
+      { _id: ride._id, status: 'searching' },
+      {
+        $set: {
+          'dispatch.currentOffer': { drivers: batchIds, offeredAt, expiresAt }
+        },
+        $push: { 'dispatch.offeredDrivers': { $each: batchIds } },
+        $inc: { 'dispatch.attempts': 1 }
+      },
+      { new: true }
+    );
+    if (!updated) return null;
+
+    await incrementStat(batchIds, 'offered');
+
+    const payload = buildOfferPayload(ride, expiresAt);
+    batch.forEach((driver) => {
+      emitToDriver(driver._id, 'new-ride-request', { ...payload, rank: driver.score });
+      recordFleetOffer(io, driver._id, ride._id).catch((error) => {
+        console.error('❌ Could not record fleet offer:', error.message);
+      });
+      console.log(`📨 Offered ride ${ride._id} to ${driver.fullName} (score ${driver.score}, ${Math.round(driver.distance)}m)`);
+    });
+
+    const timer = setTimeout(() => {
+      handleOfferTimeout(ride._id).catch((error) => {
+        console.error('❌ Dispatch timeout error:', error);
+      });
+    }, DISPATCH_CONFIG.offerTimeoutMs);
+    if (timer.unref) timer.unref();
+
+    activeOffers.set(String(ride._id), {
+      timer,
+      pending: new Set(batchIds.map(String))
+    });
+
+    return batch;
+  };
+
+  const handleOfferTimeout = async (rideId) => {
+    const active = clearOffer(rideId);
+
+    const ride = await Ride.findById(rideId).select('status dispatch');
+    if (!ride || ride.status !== 'searching') return;
+
+    const expired = active
+      ? Array.from(active.pending)
+      : (ride.dispatch?.currentOffer?.drivers || []).map(String);
+
+    await incrementStat(expired, 'timedOut');
+    expired.forEach((driverId) => {
+      emitToDriver(driverId, 'ride-offer-expired', { rideId });
+    });
+
+    console.log(`⏱️ Offer for ride ${rideId} expired, cascading to next candidates`);
+    await offerNextBatch(rideId);
+  };
+
+  /**
+   * Start dispatching a ride (pending/scheduled -> searching, then first offer).
+   * Errors are logged rather than thrown so ride creation never fails on dispatch.
+   * @param {*} rideId - Ride id
+   * @returns {Promise<Object|null>} { status, offeredTo } after the first round
+   */
+  const dispatchRide = async (rideId) => {
+    try {
+      const ride = await Ride.findById(rideId);
+      if (!ride) return null;
+
+      if (['pending', 'scheduled'].includes(ride.status)) {
+        applyTransition(ride, 'searching', { actor: 'system', reason: 'Dispatch started' });
+        ride.set('dispatch.startedAt', new Date());
+        await ride.save();
+      }
+
+      if (ride.status !== 'searching') {
+        return { status: ride.status, offeredTo: 0 };
+      }
+
+      const batch = await offerNextBatch(ride._id);
+      const latest = await Ride.findById(ride._id).select('status');
+      return { status: latest ? latest.status : ride.status, offeredTo: batch ? batch.length : 0 };
+    } catch (error) {
+      console.error('❌ Dispatch error:', error);
+      return null;
+    }
+  };
+
+  /**
+   * Record a driver declining an offer and cascade if the batch is done
+   * @param {*} rideId - Ride id
+   * @param {*} driverId - Declining driver id
+   */
+  const handleDecline = async (rideId, driverId) => {
+    await Ride.updateOne({ _id: rideId }, { $addToSet: { declinedDrivers: driverId } });
+    await incrementStat([driverId], 'declined');
+
+    const active = activeOffers.get(String(rideId));
+    if (active) {
+      active.pending.delete(String(driverId));
+      if (active.pending.size > 0) return;
+    } else {
+      // No in-memory offer (e.g. after a restart): only cascade if this driver held it
+      const ride = await Ride.findById(rideId).select('status dispatch');
+      if (!ride || !isOfferedTo(ride, driverId) || ride.status !== 'searching') return;
+    }
+
+    console.log(`↪️ Driver ${driverId} declined ride ${rideId}, cascading`);
+    await offerNextBatch(rideId);
+  };
+
+  /**
+   * Record an acceptance, stop the offer timer and withdraw the other offers
+   * @param {*} rideId - Ride id
+   * @param {*} driverId - Accepting driver id
+   */
+  const handleAccepted = async (rideId, driverId) => {
+    const active = clearOffer(rideId);
+    await incrementStat([driverId], 'accepted');
+
+    if (active) {
+      active.pending.forEach((otherId) => {
+        if (otherId !== String(driverId)) {
+          emitToDriver(otherId, 'ride-offer-withdrawn', { rideId, reason: 'accepted' });
+        }
+      });
+    }
+  };
+
+  /**
+   * Withdraw outstanding offers for a ride (e.g. rider cancelled)
+   * @param {*} rideId - Ride id
+   * @param {string} reason - Reason sent to drivers
+   */
+  const withdrawOffers = (rideId, reason = 'cancelled') => {
+    const active = clearOffer(rideId);
+    if (active) {
+      active.pending.forEach((driverId) => {
+        emitToDriver(driverId, 'ride-offer-withdrawn', { rideId, reason });
+      });
+    }
+  };
+
+  // Offers whose timers were lost (e.g. server restart) are expired by a periodic sweep
+  const sweepStaleOffers = async () => {
+    try {
+      const stale = await Ride.find({
+        status: 'searching',
+        'dispatch.currentOffer.expiresAt': { $lt: new Date() }
+      }).select('_id').limit(50);
+
+      for (const ride of stale) {
+        if (!activeOffers.has(String(ride._id))) {
+          await handleOfferTimeout(ride._id);
+        }
+      }
+
+      // Bookings whose dispatch failed would otherwise stay pending for good
+      const undispatched = await Ride.find({
+        status: 'pending',
+        createdAt: { $lt: new Date(Date.now() - DISPATCH_CONFIG.sweepIntervalMs) }
+      }).select('_id').limit(50);
+
+      for (const ride of undispatched) {
+        await dispatchRide(ride._id);
+      }
+    } catch (error) {
+      console.error('❌ Dispatch sweep error:', error.message);
+    }
+  };
+
+  const sweepTimer = setInterval(sweepStaleOffers, DISPATCH_CONFIG.sweepIntervalMs);
+  if (sweepTimer.unref) sweepTimer.unref();
+
+  return {
+    dispatchRide,
+    handleDecline,
+    handleAccepted,
+    withdrawOffers,
+    getOffersForDriver,
+    rankCandidates
+  };
+};
+
+module.exports = {
+  DISPATCH_CONFIG,
+  ACTIVE_RIDE_STATUSES,
+  createDispatcher,
+  rankCandidates,
+  scoreDriver,
+  offerFilterFor,
+  isOfferedTo,
+  getOffersForDriver
+};
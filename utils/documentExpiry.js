@@ -0,0 +1,239 @@
+/**
+ * Driver document expiry monitoring for IdharUdhar
+ * Every hour the job looks for driver documents (see utils/driverDocuments.js)
+ * that are close to or past their expiry date:
+ *  - drivers are warned DOCUMENT_EXPIRY_WARNING_DAYS before a document
+ *    expires (by notification, email and SMS), once per threshold
+ *  - when a required document lapses the driver is taken offline; going
+ *    available stays blocked until a renewed document is approved
+ * Sent warnings are kept in `driverInfo.expiryNotices`, keyed on the expiry
+ * date, so uploading a renewed document starts the warnings afresh.
+ */
+
+const cron = require('node-cron');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { DOCUMENT_TYPES, getDocumentExpiries } = require('./driverDocuments');
+const { sendDocumentExpiryEmail } = require('./email');
+const { sendSMS } = require('./sms');
+
+const DOCUMENT_EXPIRY_CONFIG = {
+  warningDays: String(process.env.DOCUMENT_EXPIRY_WARNING_DAYS || '30,7,1')
+    .split(',')
+    .map((days) => parseInt(days, 10))
+    .filter((days) => days > 0)
+    .sort((a, b) => a - b),
+  cronExpression: process.env.DOCUMENT_EXPIRY_CRON || '0 * * * *'
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const daysUntil = (date, now) => Math.ceil((new Date(date) - now) / DAY);
+
+// Drivers with a document expiring by the given date
+const expiringFilter = (horizon, type) => {
+  const types = type ? [type] : Object.keys(DOCUMENT_TYPES);
+  const conditions = types.map((t) => ({ [`driverInfo.documents.${t}.expiryDate`]: { $lte: horizon } }));
+  if (types.includes('license')) {
+    conditions.push({ 'driverInfo.licenseExpiry': { $lte: horizon } });
+  }
+  return { role: 'Driver', isActive: true, $or: conditions };
+};
+
+/**
+ * The warning a document is due, if any: 0 once it has expired, otherwise
+ * the smallest threshold it is inside
+ * @returns {number|null} Days before expiry
+ */
+const dueThreshold = (expiryDate, now) => {
+  const daysLeft = daysUntil(expiryDate, now);
+  if (daysLeft <= 0) return 0;
+  const threshold = DOCUMENT_EXPIRY_CONFIG.warningDays.find((days) => daysLeft <= days);
+  return threshold === undefined ? null : threshold;
+};
+
+const alreadySent = (driver, notice) => (driver.driverInfo?.expiryNotices || []).some((sent) =>
+  sent.type === notice.type &&
+  sent.daysBefore === notice.daysBefore &&
+  new Date(sent.expiryDate).getTime() === notice.expiryDate.getTime()
+);
+
+const warnDriver = async (io, driver, documents, expired) => {
+  const summary = documents.map((document) => document.daysLeft > 0
+    ? `${document.label} expires in ${document.daysLeft} day${document.daysLeft === 1 ? '' : 's'}`
+    : `${document.label} has expired`).join(', ');
+  const message = expired
+    ? `${summary}. You have been taken offline until a renewed document is approved.`
+    : `${summary}. Upload the renewed document to keep taking rides.`;
+
+  await new Notification({
+    user: driver._id,
+    title: expired ? 'Documents expired' : 'Documents expiring soon',
+    message,
+    type: 'driver_update',
+    priority: expired ? 'high' : 'medium',
+    data: { metadata: { documents: documents.map(({ type, expiryDate }) => ({ type, expiryDate })) } }
+  }).save();
+
+  if (io) {
+    io.to(`user_${driver._id}`).emit('documents-expiring', { documents, expired, message });
+  }
+
+  const preferences = driver.preferences?.notifications || {};
+  if (driver.email && preferences.email !== false) {
+    await sendDocumentExpiryEmail(driver.email, { fullName: driver.fullName, documents, expired });
+  }
+  if (driver.phone && preferences.sms !== false) {
+    await sendSMS(driver.phone, `Idhar Udhar: ${message}`);
+  }
+};
+
+/**
+ * Warn drivers about documents close to expiry and take drivers whose
+ * required documents have lapsed offline
+ * @param {Object} [deps] - { io }
+ * @param {Date} [now]
+ * @returns {Promise<Object>} { warned, suspended }
+ */
+const runDocumentExpiryCheck = async ({ io } = {}, now = new Date()) => {
+  const report = { warned: 0, suspended: 0 };
+  const maxDays = DOCUMENT_EXPIRY_CONFIG.warningDays[DOCUMENT_EXPIRY_CONFIG.warningDays.length - 1] || 0;
+
+  const drivers = await User.find(expiringFilter(new Date(now.getTime() + maxDays * DAY)))
+    .select('fullName email phone preferences driverInfo.documents driverInfo.licenseExpiry driverInfo.isAvailable driverInfo.expiryNotices')
+    .lean();
+
+  for (const driver of drivers) {
+    try {
+      const expiries = getDocumentExpiries(driver);
+      const lapsedRequired = expiries.filter((entry) => entry.required && entry.expiryDate <= now);
+
+      if (lapsedRequired.length && driver.driverInfo?.isAvailable) {
+        await User.updateOne({ _id: driver._id }, { 'driverInfo.isAvailable': false, isOnline: false });
+        report.suspended += 1;
+        console.log(`📄 Driver ${driver._id} taken offline: ${lapsedRequired.map((entry) => entry.type).join(', ')} expired`);
+      }
+
+      const notices = expiries
+        .map((entry) => ({ ...entry, daysBefore: dueThreshold(entry.expiryDate, now) }))
+        .filter((entry) => entry.daysBefore !== null && !alreadySent(driver, entry));
+      if (!notices.length) continue;
+
+      const documents = notices.map(({ type, label, expiryDate }) => ({
+        type,
+        label,
+        expiryDate,
+        daysLeft: Math.max(0, daysUntil(expiryDate, now))
+      }));
+      await warnDriver(io, driver, documents, notices.some((notice) => notice.daysBefore === 0));
+
+      await User.updateOne(
+        { _id: driver._id },
+        {
+          $push: {
+            'driverInfo.expiryNotices': {
+              $each: notices.map(({ type, expiryDate, daysBefore }) => ({ type, expiryDate, daysBefore, sentAt: now }))
+            }
+          }
+        }
+      );
+      report.warned += 1;
+    } catch (error) {
+      console.error(`❌ Document expiry check failed for driver ${driver._id}:`, error.message);
+    }
+  }
+
+  return report;
+};
+
+/**
+ * Lapsed and upcoming document expiries across the fleet
+ * @param {Object} [params] - { days = 30, type, now }
+ * @returns {Promise<Object>} { summary, lapsed, upcoming }
+ */
+const getExpiryReport = async ({ days = 30, type, now = new Date() } = {}) => {
+  const horizon = new Date(now.getTime() + days * DAY);
+
+  const drivers = await User.find(expiringFilter(horizon, type))
+    .select('fullName phone driverInfo.documents driverInfo.licenseExpiry driverInfo.isAvailable')
+    .lean();
+
+  const entries = [];
+  for (const driver of drivers) {
+    for (const entry of getDocumentExpiries(driver)) {
+      if ((type && entry.type !== type) || entry.expiryDate > horizon) continue;
+      entries.push({
+        driver: {
+          _id: driver._id,
+          fullName: driver.fullName,
+          phone: driver.phone,
+          isAvailable: !!driver.driverInfo?.isAvailable
+        },
+        type: entry.type,
+        label: entry.label,
+        required: entry.required,
+        status: driver.driverInfo?.documents?.[entry.type]?.status || 'missing',
+        expiryDate: entry.expiryDate,
+        daysLeft: daysUntil(entry.expiryDate, now)
+      });
+    }
+  }
+  entries.sort((a, b) => a.expiryDate - b.expiryDate);
+
+  const lapsed = entries.filter((entry) => entry.expiryDate <= now);
+  const upcoming = entries.filter((entry) => entry.expiryDate > now);
+
+  const byType = {};
+  for (const documentType of Object.keys(DOCUMENT_TYPES)) {
+    byType[documentType] = {
+      lapsed: lapsed.filter((entry) => entry.type === documentType).length,
+      upcoming: upcoming.filter((entry) => entry.type === documentType).length
+    };
+  }
+
+  return {
+    summary: {
+      days,
+      lapsed: lapsed.length,
+      upcoming: upcoming.length,
+      driversWithLapsed: new Set(lapsed.map((entry) => String(entry.driver._id))).size,
+      byType
+    },
+    lapsed,
+    upcoming
+  };
+};
+
+/**
+ * Start the document expiry job
+ * @param {Object} deps - { io }
+ * @returns {Object} node-cron task
+ */
+const startDocumentExpiryMonitor = (deps = {}) => {
+  let running = false;
+
+  const task = cron.schedule(DOCUMENT_EXPIRY_CONFIG.cronExpression, async () => {
+    if (running) return;
+    running = true;
+    try {
+      const report = await runDocumentExpiryCheck(deps);
+      if (report.warned || report.suspended) {
+        console.log(`📄 Document expiry check: ${report.warned} drivers warned, ${report.suspended} taken offline`);
+      }
+    } catch (error) {
+      console.error('❌ Document expiry job error:', error.message);
+    } finally {
+      running = false;
+    }
+  });
+
+  console.log('📄 Document expiry monitor scheduled');
+  return task;
+};
+
+module.exports = {
+  DOCUMENT_EXPIRY_CONFIG,
+  runDocumentExpiryCheck,
+  getExpiryReport,
+  startDocumentExpiryMonitor
+};
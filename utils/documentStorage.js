@@ -0,0 +1,117 @@
+/**
+ * Document storage for IdharUdhar
+ * Driver KYC files are saved through a backend chosen with DOCUMENT_STORAGE.
+ * A backend implements:
+ *   save({ buffer, mimeType, folder, name }) -> { key, url }
+ *   read(key) -> Buffer
+ * The key is what gets stored on the document; files are always read back
+ * through the backend, so they never need to be publicly reachable. The
+ * built-in 'local' backend writes under DOCUMENT_STORAGE_DIR (outside the
+ * public uploads folder); 'cloudinary' keeps files as private assets.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const axios = require('axios');
+const cloudinary = require('cloudinary').v2;
+
+const backends = new Map();
+
+const EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'image/heic': '.heic',
+  'application/pdf': '.pdf'
+};
+
+const localRoot = () => path.resolve(process.env.DOCUMENT_STORAGE_DIR || 'storage/documents');
+
+// Resolve a key inside the storage directory, refusing anything that escapes it
+const localPath = (key) => {
+  const root = localRoot();
+  const filePath = path.resolve(root, key);
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error(`Invalid document key: ${key}`);
+  }
+  return filePath;
+};
+
+const localBackend = {
+  save: async ({ buffer, mimeType, folder, name }) => {
+    const key = `${folder}/${name}${EXTENSIONS[mimeType] || ''}`;
+    const filePath = localPath(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+    return { key, url: null };
+  },
+  read: async (key) => fs.readFile(localPath(key))
+};
+
+// Keys look like '<resource type>/<public id>.<format>'
+const cloudinaryBackend = {
+  save: async ({ buffer, folder, name }) => {
+    cloudinary.config({
+      cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+      api_key: process.env.CLOUDINARY_API_KEY,
+      api_secret: process.env.CLOUDINARY_API_SECRET
+    });
+
+    const result = await new Promise((resolve, reject) => {
+      cloudinary.uploader.upload_stream(
+        {
+          resource_type: 'auto',
+          type: 'private',
+          folder: `idhar-udhar/${folder}`,
+          public_id: name
+        },
+        (error, result) => {
+          if (error) reject(error);
+          else resolve(result);
+        }
+      ).end(buffer);
+    });
+
+    return { key: `${result.resource_type}/${result.public_id}.${result.format}`, url: null };
+  },
+  read: async (key) => {
+    const slash = key.indexOf('/');
+    const dot = key.lastIndexOf('.');
+    const downloadUrl = cloudinary.utils.private_download_url(key.slice(slash + 1, dot), key.slice(dot + 1), {
+      resource_type: key.slice(0, slash)
+    });
+    const response = await axios.get(downloadUrl, { responseType: 'arraybuffer' });
+    return Buffer.from(response.data);
+  }
+};
+
+/**
+ * Register a storage backend
+ * @param {string} name - Value of DOCUMENT_STORAGE that selects it
+ * @param {Object} backend - { save, read }
+ */
+const registerDocumentStorage = (name, backend) => {
+  backends.set(name, { name, ...backend });
+};
+
+registerDocumentStorage('local', localBackend);
+registerDocumentStorage('cloudinary', cloudinaryBackend);
+
+/**
+ * A storage backend by name, or the configured one (falls back to local)
+ * @param {string} [name]
+ * @returns {Object}
+ */
+const getDocumentStorage = (name = process.env.DOCUMENT_STORAGE || 'local') => {
+  const backend = backends.get(name);
+  if (!backend) {
+    console.warn(`📁 Unknown DOCUMENT_STORAGE '${name}', using local storage`);
+    return backends.get('local');
+  }
+  return backend;
+};
+
+module.exports = {
+  registerDocumentStorage,
+  getDocumentStorage
+};
@@ -0,0 +1,389 @@
+/**
+ * Driver KYC documents for IdharUdhar
+ * Drivers upload each document in `driverInfo.documents` with its number and
+ * expiry date. Uploads wait for admin review: pending -> approved | rejected
+ * (with a reason); uploading again replaces the file and goes back to
+ * pending. A driver can only go online once every document in
+ * DRIVER_REQUIRED_DOCUMENTS is approved and unexpired.
+ */
+
+const crypto = require('crypto');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { getDocumentStorage } = require('./documentStorage');
+
+const DOCUMENT_TYPES = {
+  license: 'Driving licence',
+  vehicleRC: 'Vehicle registration certificate',
+  insurance: 'Vehicle insurance',
+  pollution: 'Pollution under control certificate'
+};
+
+const DOCUMENT_CONFIG = {
+  requiredDocuments: (process.env.DRIVER_REQUIRED_DOCUMENTS || Object.keys(DOCUMENT_TYPES).join(','))
+    .split(',')
+    .map((type) => type.trim())
+    .filter((type) => DOCUMENT_TYPES[type]),
+  maxFileSize: parseFloat(process.env.DOCUMENT_MAX_FILE_MB || '5') * 1024 * 1024,
+  mimeTypes: ['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'application/pdf']
+};
+
+const DOCUMENT_ERROR_CODES = {
+  INVALID_TYPE: 'DOCUMENT_INVALID_TYPE',
+  FILE_REQUIRED: 'DOCUMENT_FILE_REQUIRED',
+  NUMBER_REQUIRED: 'DOCUMENT_NUMBER_REQUIRED',
+  INVALID_EXPIRY: 'DOCUMENT_INVALID_EXPIRY',
+  DRIVER_NOT_FOUND: 'DOCUMENT_DRIVER_NOT_FOUND',
+  NOT_FOUND: 'DOCUMENT_NOT_FOUND',
+  INVALID_STATUS: 'DOCUMENT_INVALID_STATUS',
+  STORAGE_FAILED: 'DOCUMENT_STORAGE_FAILED'
+};
+
+const createDocumentError = (code, message, details = {}) => {
+  const error = new Error(message);
+  error.name = 'DocumentError';
+  error.code = code;
+  error.statusCode = [DOCUMENT_ERROR_CODES.DRIVER_NOT_FOUND, DOCUMENT_ERROR_CODES.NOT_FOUND].includes(code) ? 404
+    : code === DOCUMENT_ERROR_CODES.INVALID_STATUS ? 409
+      : code === DOCUMENT_ERROR_CODES.STORAGE_FAILED ? 502 : 400;
+  error.details = details;
+  return error;
+};
+
+const isDocumentError = (error) => !!error && error.name === 'DocumentError';
+
+// Send the standard error response for a rejected document action
+const sendDocumentError = (res, error) => {
+  return res.status(error.statusCode).json({
+    status: 'error',
+    code: error.code,
+    message: error.message,
+    details: error.details
+  });
+};
+
+const assertDocumentType = (type) => {
+  if (!DOCUMENT_TYPES[type]) {
+    throw createDocumentError(DOCUMENT_ERROR_CODES.INVALID_TYPE, `Document type must be one of: ${Object.keys(DOCUMENT_TYPES).join(', ')}`, { type });
+  }
+};
+
+// When a document lapses; the licence falls back to `driverInfo.licenseExpiry`
+const expiryDateOf = (driver, type) => {
+  const expiryDate = driver?.driverInfo?.documents?.[type]?.expiryDate
+    || (type === 'license' ? driver?.driverInfo?.licenseExpiry : null);
+  return expiryDate ? new Date(expiryDate) : null;
+};
+
+/**
+ * Every document with a known expiry date
+ * @param {Object} driver - Driver user
+ * @returns {Array<Object>} [{ type, label, required, expiryDate }]
+ */
+const getDocumentExpiries = (driver) => Object.entries(DOCUMENT_TYPES)
+  .map(([type, label]) => ({
+    type,
+    label,
+    required: DOCUMENT_CONFIG.requiredDocuments.includes(type),
+    expiryDate: expiryDateOf(driver, type)
+  }))
+  .filter((entry) => entry.expiryDate);
+
+/**
+ * Where each document stands, without file locations
+ * @param {Object} driver - Driver user
+ * @param {Date} [now]
+ * @returns {Object} { documents: [...], missing: [types that block going online], expired: [...], canGoOnline }
+ */
+const getDocumentStatus = (driver, now = new Date()) => {
+  const uploaded = driver?.driverInfo?.documents || {};
+
+  const documents = Object.entries(DOCUMENT_TYPES).map(([type, label]) => {
+    const document = uploaded[type];
+    const required = DOCUMENT_CONFIG.requiredDocuments.includes(type);
+    if (!document?.uploadedAt) {
+      return { type, label, required, status: 'missing' };
+    }
+    const expiryDate = expiryDateOf(driver, type);
+    return {
+      type,
+      label,
+      required,
+      status: document.status === 'approved' && expiryDate && expiryDate < now ? 'expired' : document.status,
+      number: document.number,
+      expiryDate,
+      rejectionReason: document.rejectionReason,
+      uploadedAt: document.uploadedAt,
+      reviewedAt: document.reviewedAt
+    };
+  });
+
+  const blocking = documents.filter((document) => document.required && document.status !== 'approved');
+  return {
+    documents,
+    missing: blocking.map((document) => document.type),
+    expired: blocking.filter((document) => document.status === 'expired').map((document) => document.type),
+    canGoOnline: blocking.length === 0
+  };
+};
+
+// Whether every required document is approved and unexpired
+const hasApprovedDocuments = (driver, now = new Date()) => getDocumentStatus(driver, now).canGoOnline;
+
+const notifyDriver = async (io, driverId, { title, message, type, status }) => {
+  await new Notification({
+    user: driverId,
+    title,
+    message,
+    type: 'driver_update',
+    data: { metadata: { documentType: type, status } }
+  }).save();
+
+  if (io) {
+    io.to(`user_${driverId}`).emit('document-reviewed', { type, status, message });
+  }
+};
+
+/**
+ * Upload (or replace) a driver's document; it goes to the review queue
+ * @param {Object} params
+ * @param {string} params.driverId
+ * @param {string} params.type - Key of DOCUMENT_TYPES
+ * @param {Object} params.file - multer file ({ buffer, mimetype })
+ * @param {string} params.number - Document number
+ * @param {string|Date} [params.expiryDate]
+ * @param {Date} [params.now]
+ * @returns {Promise<Object>} The driver's document status
+ */
+const uploadDriverDocument = async ({ driverId, type, file, number, expiryDate, now = new Date() }) => {
+  assertDocumentType(type);
+  if (!file?.buffer) {
+    throw createDocumentError(DOCUMENT_ERROR_CODES.FILE_REQUIRED, 'A document file is required');
+  }
+  if (!number || !String(number).trim()) {
+    throw createDocumentError(DOCUMENT_ERROR_CODES.NUMBER_REQUIRED, 'Document number is required', { type });
+  }
+
+  let expiry = null;
+  if (expiryDate) {
+    expiry = new Date(expiryDate);
+    if (isNaN(expiry.getTime()) || expiry <= now) {
+      throw createDocumentError(DOCUMENT_ERROR_CODES.INVALID_EXPIRY, 'Expiry date must be a valid date in the future', { expiryDate });
+    }
+  }
+
+  const driver = await User.findOne({ _id: driverId, role: 'Driver' }).select('_id');
+  if (!driver) {
+    throw createDocumentError(DOCUMENT_ERROR_CODES.DRIVER_NOT_FOUND, 'Driver not found');
+  }
+
+  const storage = getDocumentStorage();
+  let stored;
+  try {
+    stored = await storage.save({
+      buffer: file.buffer,
+      mimeType: file.mimetype,
+      folder: `driver-documents/${driverId}`,
+      name: `${type}_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`
+    });
+  } catch (error) {
+    console.error(`📁 Failed to store ${type} for driver ${driverId}:`, error.message);
+    throw createDocumentError(DOCUMENT_ERROR_CODES.STORAGE_FAILED, 'Failed to store the document', { error: error.message });
+  }
+
+  const update = {
+    [`driverInfo.documents.${type}`]: {
+      storage: storage.name,
+      storageKey: stored.key,
+      url: stored.url,
+      mimeType: file.mimetype,
+      number: String(number).trim(),
+      expiryDate: expiry,
+      status: 'pending',
+      uploadedAt: now
+    }
+  };
+  // Keep the profile's licence fields in step with the uploaded licence
+  if (type === 'license') {
+    update['driverInfo.licenseNumber'] = String(number).trim();
+    update['driverInfo.licenseExpiry'] = expiry;
+  }
+
+  const updated = await User.findByIdAndUpdate(driverId, update, { new: true })
+    .select('driverInfo.documents driverInfo.licenseExpiry');
+
+  console.log(`📄 Driver ${driverId} uploaded ${type} for review`);
+  return getDocumentStatus(updated, now);
+};
+
+/**
+ * The stored file behind a driver's document
+ * @param {string} driverId
+ * @param {string} type
+ * @returns {Promise<Object>} { buffer, mimeType }, or { url } for a legacy document
+ */
+const readDriverDocument = async (driverId, type) => {
+  assertDocumentType(type);
+  const driver = await User.findOne({ _id: driverId, role: 'Driver' }).select('driverInfo.documents');
+  if (!driver) {
+    throw createDocumentError(DOCUMENT_ERROR_CODES.DRIVER_NOT_FOUND, 'Driver not found');
+  }
+  const document = driver.driverInfo?.documents?.[type];
+  if (!document?.storageKey) {
+    // Documents from before the storage backends only have a URL
+    if (document?.url) return { url: document.url };
+    throw createDocumentError(DOCUMENT_ERROR_CODES.NOT_FOUND, 'Document has not been uploaded', { type });
+  }
+
+  const buffer = await getDocumentStorage(document.storage).read(document.storageKey);
+  return { buffer, mimeType: document.mimeType || 'application/octet-stream' };
+};
+
+// Move a pending document to its review outcome
+const reviewDocument = async ({ driverId, type, adminId, update }) => {
+  assertDocumentType(type);
+  const path = `driverInfo.documents.${type}`;
+
+  const driver = await User.findOneAndUpdate(
+    { _id: driverId, role: 'Driver', [`${path}.status`]: 'pending' },
+    {
+      [`${path}.status`]: update.status,
+      [`${path}.rejectionReason`]: update.rejectionReason,
+      [`${path}.reviewedBy`]: adminId,
+      [`${path}.reviewedAt`]: new Date()
+    },
+    { new: true }
+  ).select('fullName driverInfo.documents driverInfo.licenseExpiry driverInfo.isAvailable');
+
+  if (!driver) {
+    const existing = await User.findOne({ _id: driverId, role: 'Driver' }).select('driverInfo.documents');
+    if (!existing) {
+      throw createDocumentError(DOCUMENT_ERROR_CODES.DRIVER_NOT_FOUND, 'Driver not found');
+    }
+    const document = existing.driverInfo?.documents?.[type];
+    if (!document?.uploadedAt) {
+      throw createDocumentError(DOCUMENT_ERROR_CODES.NOT_FOUND, 'Document has not been uploaded', { type });
+    }
+    throw createDocumentError(DOCUMENT_ERROR_CODES.INVALID_STATUS, `Document is already ${document.status}`, {
+      type,
+      status: document.status
+    });
+  }
+
+  return driver;
+};
+
+/**
+ * Approve a pending document
+ * @param {Object} params - { driverId, type, adminId, io }
+ * @returns {Promise<Object>} The driver's document status
+ */
+const approveDriverDocument = async ({ driverId, type, adminId, io }) => {
+  const driver = await reviewDocument({ driverId, type, adminId, update: { status: 'approved', rejectionReason: null } });
+  const status = getDocumentStatus(driver);
+
+  await notifyDriver(io, driverId, {
+    title: 'Document approved',
+    message: status.canGoOnline
+      ? `Your ${DOCUMENT_TYPES[type].toLowerCase()} was approved. All your documents are approved and you can go online.`
+      : `Your ${DOCUMENT_TYPES[type].toLowerCase()} was approved.`,
+    type,
+    status: 'approved'
+  });
+
+  console.log(`✅ ${type} approved for driver ${driverId} by ${adminId}`);
+  return status;
+};
+
+/**
+ * Reject a pending document. A driver who is online loses a required
+ * document, so they are taken offline until it is approved again.
+ * @param {Object} params - { driverId, type, reason, adminId, io }
+ * @returns {Promise<Object>} The driver's document status
+ */
+const rejectDriverDocument = async ({ driverId, type, reason, adminId, io }) => {
+  const driver = await reviewDocument({ driverId, type, adminId, update: { status: 'rejected', rejectionReason: reason } });
+
+  if (driver.driverInfo?.isAvailable && DOCUMENT_CONFIG.requiredDocuments.includes(type)) {
+    await User.updateOne({ _id: driverId }, { 'driverInfo.isAvailable': false, isOnline: false });
+  }
+
+  await notifyDriver(io, driverId, {
+    title: 'Document rejected',
+    message: `Your ${DOCUMENT_TYPES[type].toLowerCase()} was rejected: ${reason}. Please upload it again.`,
+    type,
+    status: 'rejected'
+  });
+
+  console.log(`❌ ${type} rejected for driver ${driverId} by ${adminId}: ${reason}`);
+  return getDocumentStatus(driver);
+};
+
+/**
+ * Documents waiting for (or past) review, oldest upload first
+ * @param {Object} [params] - { status = 'pending', type, page = 1, limit = 20 }
+ * @returns {Promise<Object>} { documents, total }
+ */
+const getReviewQueue = async ({ status = 'pending', type, page = 1, limit = 20 } = {}) => {
+  const types = type ? [type] : Object.keys(DOCUMENT_TYPES);
+  const skip = (page - 1) * limit;
+
+  const [result] = await User.aggregate([
+    { $match: { role: 'Driver', $or: types.map((t) => ({ [`driverInfo.documents.${t}.status`]: status })) } },
+    {
+      $project: {
+        fullName: 1,
+        phone: 1,
+        'driverInfo.vehicleType': 1,
+        'driverInfo.vehicleNumber': 1,
+        document: { $objectToArray: '$driverInfo.documents' }
+      }
+    },
+    { $unwind: '$document' },
+    { $match: { 'document.k': { $in: types }, 'document.v.status': status } },
+    { $sort: { 'document.v.uploadedAt': 1 } },
+    {
+      $facet: {
+        documents: [{ $skip: skip }, { $limit: parseInt(limit) }],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  const documents = result.documents.map((entry) => ({
+    driver: {
+      _id: entry._id,
+      fullName: entry.fullName,
+      phone: entry.phone,
+      vehicleType: entry.driverInfo?.vehicleType,
+      vehicleNumber: entry.driverInfo?.vehicleNumber
+    },
+    type: entry.document.k,
+    label: DOCUMENT_TYPES[entry.document.k],
+    number: entry.document.v.number,
+    expiryDate: entry.document.v.expiryDate,
+    mimeType: entry.document.v.mimeType,
+    status: entry.document.v.status,
+    rejectionReason: entry.document.v.rejectionReason,
+    uploadedAt: entry.document.v.uploadedAt,
+    reviewedAt: entry.document.v.reviewedAt
+  }));
+
+  return { documents, total: result.total[0]?.count || 0 };
+};
+
+module.exports = {
+  DOCUMENT_TYPES,
+  DOCUMENT_CONFIG,
+  DOCUMENT_ERROR_CODES,
+  getDocumentExpiries,
+  getDocumentStatus,
+  hasApprovedDocuments,
+  uploadDriverDocument,
+  readDriverDocument,
+  approveDriverDocument,
+  rejectDriverDocument,
+  getReviewQueue,
+  isDocumentError,
+  sendDocumentError
+};
@@ -49,6 +49,18 @@ const getAntiSpamHeaders = () => {
   };
 };
 
+// Nodemailer-style attachments ({ filename, content, contentType }) in SendGrid's format
+const toSendGridAttachments = (attachments) => {
+  return attachments.map((file) => ({
+    filename: file.filename,
+    type: file.contentType,
+    disposition: "attachment",
+    content: Buffer.isBuffer(file.content)
+      ? file.content.toString("base64")
+      : Buffer.from(String(file.content)).toString("base64"),
+  }));
+};
+
 // Create transporter with dev-safe fallback
 const createTransporter = () => {
   const hasSendGridKey = !!process.env.SENDGRID_API_KEY;
@@ -56,7 +68,7 @@ const createTransporter = () => {
   if (hasSendGridKey) {
     return {
       async sendMail(mailOptions) {
-        const { to, subject, html, text } = mailOptions || {};
+        const { to, subject, html, text, attachments } = mailOptions || {};
 
         // Safety: ensure API key is set (idempotent) in case initializeSendGrid wasn't called yet
         try { if (process.env.SENDGRID_API_KEY) sgMail.setApiKey(process.env.SENDGRID_API_KEY); } catch {}
@@ -78,6 +90,9 @@ const createTransporter = () => {
             "X-Mailer": "Idhar Udhar App",
           },
         };
+        if (attachments && attachments.length) {
+          msg.attachments = toSendGridAttachments(attachments);
+        }
 
         try {
           const result = await sgMail.send(msg);
@@ -125,6 +140,7 @@ const createTransporter = () => {
                   "Reply-To": process.env.EMAIL_USER,
                   "Return-Path": process.env.EMAIL_USER,
                 },
+                attachments,
               };
               const result = await gmailTransporter.sendMail(gmailMsg);
               console.warn("✉️  Fell back to Gmail SMTP due to SendGrid failure. MessageId:", result?.messageId);
@@ -148,10 +164,13 @@ const createTransporter = () => {
   if (!hasGmailConfig) {
     return {
       async sendMail(mailOptions) {
-        const { to, subject } = mailOptions || {};
+        const { to, subject, attachments } = mailOptions || {};
         console.log("📨 [DEV] Email config missing. Simulating email send.");
         console.log("📧 To:", to);
         console.log("📝 Subject:", subject);
+        if (attachments && attachments.length) {
+          console.log("📎 Attachments:", attachments.map((file) => file.filename).join(", "));
+        }
         return { messageId: "dev-mock-message-id" };
       },
     };
@@ -162,7 +181,7 @@ const createTransporter = () => {
 
   return {
     async sendMail(mailOptions) {
-      const { from, to, subject, html, text } = mailOptions || {};
+      const { from, to, subject, html, text, attachments } = mailOptions || {};
 
       const msg = {
         from: {
@@ -181,6 +200,7 @@ const createTransporter = () => {
           "Reply-To": process.env.EMAIL_USER,
           "Return-Path": process.env.EMAIL_USER,
         },
+        attachments,
       };
 
       try {
@@ -405,9 +425,108 @@ const sendRideConfirmationEmail = async (email, rideDetails) => {
   }
 };
 
+// Send ride completed email with the invoice attached
+const sendRideCompletedEmail = async (email, rideDetails, attachments = []) => {
+  try {
+    const transporter = createTransporter();
+    const label = rideDetails.serviceType === "delivery" ? "Delivery" : "Ride";
+
+    const mailOptions = {
+      from: `"Idhar Udhar" <${process.env.EMAIL_USER}>`,
+      to: email,
+      subject: `${label} Completed - Invoice ${rideDetails.invoiceNumber} - Idhar Udhar`,
+      text: `${label} Completed! Ride ID: ${rideDetails.rideId}, From: ${rideDetails.pickup}, To: ${rideDetails.destination}, Fare: ₹${rideDetails.fare}. Your tax invoice ${rideDetails.invoiceNumber} is attached.`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background: linear-gradient(135deg, #ff6b35, #f7931e); padding: 20px; text-align: center;">
+            <h1 style="color: white; margin: 0;">Idhar Udhar</h1>
+          </div>
+          <div style="padding: 30px; background: #f9f9f9;">
+            <h2 style="color: #333;">${label} Completed</h2>
+            <p style="color: #666;">Hi ${rideDetails.riderName || "there"}, thank you for travelling with us.</p>
+            <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
+              <p><strong>Ride ID:</strong> ${rideDetails.rideId}</p>
+              <p><strong>Pickup:</strong> ${rideDetails.pickup}</p>
+              <p><strong>Destination:</strong> ${rideDetails.destination}</p>
+              <p><strong>Fare:</strong> ₹${rideDetails.fare}</p>
+              <p><strong>Invoice:</strong> ${rideDetails.invoiceNumber}</p>
+            </div>
+            <p style="color: #666; font-size: 14px;">Your tax invoice is attached to this email.</p>
+          </div>
+          <div style="background: #333; color: white; padding: 20px; text-align: center; font-size: 12px;">
+            <p>© ${new Date().getFullYear()} Idhar Udhar. All rights reserved.</p>
+          </div>
+        </div>
+      `,
+      attachments,
+    };
+
+    const result = await transporter.sendMail(mailOptions);
+    return { success: true, messageId: result.messageId };
+  } catch (error) {
+    console.error("Ride completed email sending failed:", error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Warn a driver that documents are about to expire, or have expired
+const sendDocumentExpiryEmail = async (email, details) => {
+  try {
+    const transporter = createTransporter();
+    const formatDate = (date) => new Date(date).toLocaleDateString("en-IN", { day: "numeric", month: "short", year: "numeric" });
+    const lines = details.documents.map((document) =>
+      document.daysLeft > 0
+        ? `${document.label}: expires on ${formatDate(document.expiryDate)} (${document.daysLeft} day${document.daysLeft === 1 ? "" : "s"} left)`
+        : `${document.label}: expired on ${formatDate(document.expiryDate)}`
+    );
+    const heading = details.expired ? "Your documents have expired" : "Your documents are expiring soon";
+
+    const mailOptions = {
+      from: `"Idhar Udhar" <${process.env.EMAIL_USER}>`,
+      to: email,
+      subject: `${heading} - Idhar Udhar`,
+      text: `Hi ${details.fullName || "there"}, ${lines.join("; ")}. ${
+        details.expired
+          ? "You have been taken offline until you upload renewed documents and they are approved."
+          : "Upload the renewed documents in the app before they expire to keep taking rides."
+      }`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background: linear-gradient(135deg, #ff6b35, #f7931e); padding: 20px; text-align: center;">
+            <h1 style="color: white; margin: 0;">Idhar Udhar</h1>
+          </div>
+          <div style="padding: 30px; background: #f9f9f9;">
+            <h2 style="color: #333;">${heading}</h2>
+            <p style="color: #666;">Hi ${details.fullName || "there"},</p>
+            <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
+              ${lines.map((line) => `<p>${line}</p>`).join("")}
+            </div>
+            <p style="color: #666; font-size: 14px;">${
+              details.expired
+                ? "You have been taken offline until you upload renewed documents and they are approved."
+                : "Upload the renewed documents in the app before they expire to keep taking rides."
+            }</p>
+          </div>
+          <div style="background: #333; color: white; padding: 20px; text-align: center; font-size: 12px;">
+            <p>© ${new Date().getFullYear()} Idhar Udhar. All rights reserved.</p>
+          </div>
+        </div>
+      `,
+    };
+
+    const result = await transporter.sendMail(mailOptions);
+    return { success: true, messageId: result.messageId };
+  } catch (error) {
+    console.error("Document expiry email sending failed:", error);
+    return { success: false, error: error.message };
+  }
+};
+
 module.exports = {
   sendOTPEmail,
+  sendDocumentExpiryEmail,
   sendRideConfirmationEmail,
+  sendRideCompletedEmail,
   sendWelcomeEmail,
   verifyEmailTransport,
 };
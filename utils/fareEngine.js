@@ -0,0 +1,183 @@
+/**
+ * Fare engine for IdharUdhar
+ * Every quote and booking is priced here from the city's active FareConfig
+ * version (falling back to the built-in rate cards), and the rate-card
+ * version used is stamped onto the ride. Amounts on rides are in paise.
+ */
+
+const FareConfig = require('../models/FareConfig');
+const { getDefaultRateCard, calculateCompletePricing } = require('./pricingCalculator');
+const { normalizeVehicleType } = require('./surge');
+const { applyParcelCharges, parcelFromRide } = require('./parcelPricing');
+
+const FARE_CONFIG = {
+  defaultCity: (process.env.DEFAULT_FARE_CITY || 'default').toLowerCase(),
+  cacheMs: parseInt(process.env.FARE_CONFIG_CACHE_MS || '60000', 10)
+};
+
+// Active config per city: { config, loadedAt }
+const configCache = new Map();
+
+const normalizeCity = (city) => (city ? String(city).trim().toLowerCase() : FARE_CONFIG.defaultCity);
+
+/**
+ * Active fare config for a city, or the default city's, or null
+ * @param {string} [city]
+ * @returns {Promise<Object|null>} FareConfig document
+ */
+const getActiveFareConfig = async (city) => {
+  const key = normalizeCity(city);
+  const cached = configCache.get(key);
+  if (cached && Date.now() - cached.loadedAt < FARE_CONFIG.cacheMs) return cached.config;
+
+  let config = await FareConfig.findOne({ city: key, status: 'active' });
+  if (!config && key !== FARE_CONFIG.defaultCity) {
+    config = await getActiveFareConfig(FARE_CONFIG.defaultCity);
+  }
+
+  configCache.set(key, { config, loadedAt: Date.now() });
+  return config;
+};
+
+// Called after a version is activated so new bookings pick it up at once
+const invalidateFareConfigCache = () => configCache.clear();
+
+/**
+ * Rate card, night flag and version stamp for a ride
+ * @param {Object|null} config - FareConfig document
+ * @param {string} rideType
+ * @param {string} serviceType
+ * @param {Date} at - Pickup time (drives the night multiplier)
+ * @returns {{ rateCard: Object, isNight: boolean, stamp: Object }}
+ */
+const resolveRateCard = (config, rideType, serviceType, at = new Date()) => {
+  const card = config ? config.findRateCard(normalizeVehicleType(rideType), serviceType) : null;
+  if (!card) {
+    return {
+      rateCard: getDefaultRateCard(rideType),
+      isNight: false,
+      stamp: { config: null, city: null, version: 0 }
+    };
+  }
+  return {
+    rateCard: card.toObject(),
+    isNight: config.isNightTime(at),
+    stamp: { config: config._id, city: config.city, version: config.version }
+  };
+};
+
+/**
+ * Price a route with a specific fare config (used for admin previews of drafts)
+ * @param {Object|null} config - FareConfig document
+ * @param {Object} params - See quoteFare
+ * @returns {Object} { route, pricing } with pricing.rateCard stamped
+ */
+const priceWithConfig = (config, params) => {
+  const { rideType = 'bike', serviceType = 'ride', at = new Date() } = params;
+  const { rateCard, isNight, stamp } = resolveRateCard(config, rideType, serviceType, at);
+
+  const result = calculateCompletePricing({
+    pickupCoords: params.pickupCoords,
+    destinationCoords: params.destinationCoords,
+    waypoints: params.waypoints || [],
+    distance: params.distance,
+    duration: params.duration,
+    rideType,
+    serviceType,
+    surgeMultiplier: params.surgeMultiplier || 1,
+    rateCard,
+    isNight
+  });
+
+  result.pricing.rateCard = stamp;
+  if (params.parcel) {
+    applyParcelCharges(result.pricing, params.parcel);
+  }
+  return result;
+};
+
+/**
+ * Price a ride or delivery with the city's active rate card
+ * @param {Object} params
+ * @param {string} [params.city] - City of the pickup (default city when omitted)
+ * @param {string} params.rideType
+ * @param {string} params.serviceType
+ * @param {Array} params.pickupCoords - [longitude, latitude]
+ * @param {Array} params.destinationCoords - [longitude, latitude]
+ * @param {Array} [params.waypoints] - Intermediate stops as [longitude, latitude]
+ * @param {number} [params.distance] - Measured distance in km (single-leg routes)
+ * @param {number} [params.duration] - Measured duration in minutes
+ * @param {number} [params.surgeMultiplier]
+ * @param {Date} [params.at] - Pickup time
+ * @param {Object} [params.parcel] - Deliveries: resolved parcel (see utils/parcelPricing.js)
+ * @returns {Promise<Object>} { route, pricing } with amounts in paise
+ */
+const quoteFare = async (params) => {
+  const config = await getActiveFareConfig(params.city);
+  return priceWithConfig(config, params);
+};
+
+// Rate card a ride was priced with (its stamped version, if any)
+const rateCardForRide = async (ride) => {
+  const stamp = ride.pricing?.rateCard;
+  const config = stamp?.config
+    ? await FareConfig.findById(stamp.config)
+    : await getActiveFareConfig(ride.city);
+  return resolveRateCard(config, ride.rideType, ride.serviceType).rateCard;
+};
+
+// When the ride moved into a status, from its history
+const enteredStatusAt = (ride, status) => {
+  const entries = (ride.statusHistory || []).filter((entry) => entry.to === status);
+  return entries.length ? entries[entries.length - 1].timestamp : null;
+};
+
+/**
+ * Settle the fare when a ride completes: price rides that were never
+ * priced and add the waiting charge for time spent at pickup. A fare a
+ * promo brought down to 0 is still a priced fare; any discount is kept.
+ * The caller saves the ride.
+ * @param {Object} ride - Ride mongoose document
+ * @returns {Promise<Object>} ride.pricing
+ */
+const finalizeFare = async (ride) => {
+  if (ride.pricing?.totalFare == null || ride.pricing?.finalAmount == null) {
+    const discount = ride.pricing?.discount || 0;
+    const { pricing } = await quoteFare({
+      city: ride.city,
+      rideType: ride.rideType,
+      serviceType: ride.serviceType,
+      pickupCoords: ride.pickup.coordinates.coordinates,
+      destinationCoords: ride.destination.coordinates.coordinates,
+      waypoints: (ride.route?.waypoints || []).map((stop) => stop.coordinates),
+      surgeMultiplier: ride.pricing?.surgeMultiplier || 1,
+      at: ride.scheduledTime || ride.createdAt,
+      parcel: parcelFromRide(ride)
+    });
+    ride.pricing = { ...pricing, discount, finalAmount: Math.max(0, pricing.totalFare - discount) };
+  }
+
+  const arrivedAt = enteredStatusAt(ride, 'arrived');
+  const startedAt = enteredStatusAt(ride, 'started');
+  if (arrivedAt && startedAt && !ride.pricing.waitingCharge) {
+    const rateCard = await rateCardForRide(ride);
+    const waitedMinutes = Math.floor((startedAt - arrivedAt) / 60000);
+    const billableMinutes = waitedMinutes - (rateCard.freeWaitingMinutes || 0);
+    if (billableMinutes > 0 && rateCard.waitingChargePerMinute > 0) {
+      ride.pricing.waitingCharge = Math.round(billableMinutes * rateCard.waitingChargePerMinute * 100);
+      ride.calculateFare();
+    }
+  }
+
+  return ride.pricing;
+};
+
+module.exports = {
+  FARE_CONFIG,
+  getActiveFareConfig,
+  invalidateFareConfigCache,
+  priceWithConfig,
+  quoteFare,
+  rateCardForRide,
+  finalizeFare
+};
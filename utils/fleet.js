@@ -0,0 +1,499 @@
+/**
+ * Fleet reports for IdharUdhar
+ * Fleet owners see how each sub-driver did over a date range: rides
+ * accepted, completed and cancelled, hours online, acceptance and
+ * cancellation rates, ratings, cash collected and net earnings, and how
+ * those earnings split between owner and sub-driver. Online hours and
+ * offers come from SubDriverActivity, written by the socket layer and the
+ * dispatch engine; everything else comes from the rides. Amounts are in
+ * paise.
+ */
+
+const mongoose = require('mongoose');
+const Ride = require('../models/Ride');
+const SubDriverActivity = require('../models/SubDriverActivity');
+const { driverNetExpression } = require('./settlement');
+const { driverCancellationFeeExpression } = require('./cancellationPolicy');
+const { fleetRoom, subDriverSharePercent } = require('./subDrivers');
+const { createPdfDocument } = require('./pdf');
+
+const FLEET_CONFIG = {
+  // Report range when none is given
+  defaultDays: 30,
+  maxDays: 366,
+  // How often a live session's lastSeenAt is refreshed
+  heartbeatMs: 60 * 1000
+};
+
+const FLEET_ERROR_CODES = {
+  INVALID_RANGE: 'FLEET_INVALID_RANGE',
+  SUB_DRIVER_NOT_FOUND: 'FLEET_SUB_DRIVER_NOT_FOUND',
+  INVALID_SHARE: 'FLEET_INVALID_SHARE'
+};
+
+const createFleetError = (code, message, details = {}) => {
+  const error = new Error(message);
+  error.name = 'FleetError';
+  error.code = code;
+  error.statusCode = code === FLEET_ERROR_CODES.SUB_DRIVER_NOT_FOUND ? 404 : 400;
+  error.details = details;
+  return error;
+};
+
+const isFleetError = (error) => !!error && error.name === 'FleetError';
+
+// Send the standard error response for a rejected fleet request
+const sendFleetError = (res, error) => {
+  return res.status(error.statusCode).json({
+    status: 'error',
+    code: error.code,
+    message: error.message,
+    details: error.details
+  });
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Check a revenue share percentage from a request
+ * @param {*} value
+ * @returns {number|null} null clears the setting
+ */
+const parseSharePercent = (value) => {
+  if (value === null || value === '') return null;
+  const percent = Number(value);
+  if (!Number.isFinite(percent) || percent < 0 || percent > 100) {
+    throw createFleetError(FLEET_ERROR_CODES.INVALID_SHARE, 'Revenue share must be a percentage between 0 and 100', { value });
+  }
+  return percent;
+};
+
+/**
+ * Start an online session for a connected sub-driver socket
+ * @returns {Promise<Object>} SubDriverActivity
+ */
+const startSubDriverSession = ({ ownerId, subDriverId, now = new Date() }) => {
+  return SubDriverActivity.create({
+    owner: ownerId,
+    subDriver: subDriverId,
+    type: 'online',
+    startedAt: now,
+    lastSeenAt: now
+  });
+};
+
+const touchSubDriverSession = (sessionId, now = new Date()) => {
+  return SubDriverActivity.updateOne({ _id: sessionId, endedAt: null }, { lastSeenAt: now });
+};
+
+const endSubDriverSession = (sessionId, now = new Date()) => {
+  return SubDriverActivity.updateOne({ _id: sessionId, endedAt: null }, { endedAt: now, lastSeenAt: now });
+};
+
+/**
+ * Close sessions whose sockets were lost without a disconnect (a restart),
+ * at the last time they were seen. Sockets do not survive a restart, so
+ * this runs when the socket server starts.
+ * @returns {Promise<number>} Sessions closed
+ */
+const closeStaleSubDriverSessions = async () => {
+  const result = await SubDriverActivity.updateMany(
+    { type: 'online', endedAt: null },
+    [{ $set: { endedAt: { $ifNull: ['$lastSeenAt', '$startedAt'] } } }]
+  );
+  return result.modifiedCount || 0;
+};
+
+/**
+ * Record a ride offer for every sub-driver signed in to the fleet it went to
+ * @param {Object} io - Socket.IO server
+ * @param {*} ownerId - Driver the offer was made to
+ * @param {*} rideId
+ */
+const recordFleetOffer = async (io, ownerId, rideId, now = new Date()) => {
+  if (!io) return;
+  const sockets = await io.in(fleetRoom(ownerId)).fetchSockets();
+  const subDriverIds = [...new Set(sockets.map((socket) => socket.data?.subDriverId).filter(Boolean))];
+  if (!subDriverIds.length) return;
+
+  await SubDriverActivity.insertMany(subDriverIds.map((subDriverId) => ({
+    owner: ownerId,
+    subDriver: subDriverId,
+    type: 'offer',
+    ride: rideId,
+    startedAt: now
+  })));
+};
+
+const parseRange = ({ from, to, now = new Date() }) => {
+  const end = to ? new Date(to) : now;
+  const start = from ? new Date(from) : new Date(end.getTime() - FLEET_CONFIG.defaultDays * DAY);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || start >= end) {
+    throw createFleetError(FLEET_ERROR_CODES.INVALID_RANGE, 'from must be a date before to', { from, to });
+  }
+  if (end - start > FLEET_CONFIG.maxDays * DAY) {
+    throw createFleetError(FLEET_ERROR_CODES.INVALID_RANGE, `Reports cover at most ${FLEET_CONFIG.maxDays} days`, { from, to });
+  }
+  return { from: start, to: end };
+};
+
+// Milliseconds covered by a set of intervals inside [from, to], counting overlaps once
+const coveredMs = (intervals, from, to) => {
+  const clipped = intervals
+    .map(([start, end]) => [Math.max(start, from), Math.min(end, to)])
+    .filter(([start, end]) => end > start)
+    .sort((a, b) => a[0] - b[0]);
+
+  let total = 0;
+  let current = null;
+  for (const [start, end] of clipped) {
+    if (current && start <= current[1]) {
+      current[1] = Math.max(current[1], end);
+    } else {
+      if (current) total += current[1] - current[0];
+      current = [start, end];
+    }
+  }
+  if (current) total += current[1] - current[0];
+  return total;
+};
+
+const ratio = (part, whole) => (whole > 0 ? Math.round(Math.min(1, part / whole) * 1000) / 10 : null);
+
+const MONEY_KEYS = ['grossFare', 'tips', 'cashCollected', 'cancellationFees', 'penalties', 'netEarnings', 'subDriverEarnings', 'ownerEarnings', 'balance'];
+
+const withRupees = (row) => {
+  MONEY_KEYS.forEach((key) => {
+    row[`${key}Rs`] = row[key] / 100;
+  });
+  return row;
+};
+
+/**
+ * Per-sub-driver performance and earnings for a fleet owner
+ * @param {Object} params
+ * @param {Object} params.owner - Fleet owner user document (with subDrivers)
+ * @param {*} [params.from]
+ * @param {*} [params.to]
+ * @param {*} [params.subDriverId] - Limit the report to one sub-driver
+ * @param {Date} [params.now]
+ * @returns {Promise<Object>} { period, owner, subDrivers, totals }
+ */
+const getFleetReport = async ({ owner, from, to, subDriverId, now = new Date() }) => {
+  const range = parseRange({ from, to, now });
+
+  let entries = owner.subDrivers || [];
+  if (subDriverId) {
+    entries = entries.filter((sd) => String(sd._id) === String(subDriverId));
+    if (!entries.length) {
+      throw createFleetError(FLEET_ERROR_CODES.SUB_DRIVER_NOT_FOUND, 'Sub-driver not found', { subDriverId });
+    }
+  }
+  const ids = entries.map((sd) => sd._id);
+  const ownerId = new mongoose.Types.ObjectId(String(owner._id));
+
+  const inRange = (field) => ({ $and: [{ $gte: [field, range.from] }, { $lt: [field, range.to] }] });
+  // Rides accepted before acceptedAt existed stamped actualPickupTime on acceptance
+  const acceptedAt = { $ifNull: ['$acceptedAt', '$actualPickupTime'] };
+  const completedInRange = { $and: [{ $eq: ['$status', 'completed'] }, inRange('$actualEndTime')] };
+  const cancelledInRange = {
+    $and: [
+      { $eq: ['$status', 'cancelled'] },
+      { $eq: ['$cancellation.cancelledBy', 'driver'] },
+      inRange('$cancellation.cancelledAt')
+    ]
+  };
+  const sumIf = (condition, value) => ({ $sum: { $cond: [condition, value, 0] } });
+  const rating = '$rating.userRating.rating';
+
+  const [rideRows, sessions, offers] = await Promise.all([
+    Ride.aggregate([
+      {
+        $match: {
+          driver: ownerId,
+          subDriver: { $in: ids },
+          $or: [
+            { acceptedAt: { $gte: range.from, $lt: range.to } },
+            { actualPickupTime: { $gte: range.from, $lt: range.to } },
+            { actualEndTime: { $gte: range.from, $lt: range.to } },
+            { 'cancellation.cancelledAt': { $gte: range.from, $lt: range.to } }
+          ]
+        }
+      },
+      {
+        // Rides settled at different revenue shares are kept apart
+        $group: {
+          _id: { subDriver: '$subDriver', sharePercent: '$settlement.subDriverSharePercent' },
+          accepted: sumIf(inRange(acceptedAt), 1),
+          completed: sumIf(completedInRange, 1),
+          cancelled: sumIf(cancelledInRange, 1),
+          ratingSum: sumIf({ $and: [completedInRange, { $gt: [rating, 0] }] }, rating),
+          ratingCount: sumIf({ $and: [completedInRange, { $gt: [rating, 0] }] }, 1),
+          grossFare: sumIf(completedInRange, { $ifNull: ['$settlement.grossFare', { $ifNull: ['$pricing.finalAmount', 0] }] }),
+          tips: sumIf(completedInRange, { $ifNull: ['$settlement.tips', 0] }),
+          cashCollected: sumIf(completedInRange, { $ifNull: ['$settlement.cashCollected', 0] }),
+          driverNet: sumIf(completedInRange, driverNetExpression()),
+          cancellationFees: sumIf(cancelledInRange, driverCancellationFeeExpression()),
+          penalties: sumIf(cancelledInRange, { $ifNull: ['$cancellation.driverPenalty', 0] })
+        }
+      }
+    ]),
+    SubDriverActivity.find({
+      owner: ownerId,
+      subDriver: { $in: ids },
+      type: 'online',
+      startedAt: { $lt: range.to },
+      $or: [{ endedAt: null }, { endedAt: { $gt: range.from } }]
+    }).select('subDriver startedAt endedAt').lean(),
+    SubDriverActivity.aggregate([
+      {
+        $match: {
+          owner: ownerId,
+          subDriver: { $in: ids },
+          type: 'offer',
+          startedAt: { $gte: range.from, $lt: range.to }
+        }
+      },
+      { $group: { _id: '$subDriver', offers: { $sum: 1 } } }
+    ])
+  ]);
+
+  const offersBy = new Map(offers.map((row) => [String(row._id), row.offers]));
+  const liveUntil = Math.min(now.getTime(), range.to.getTime());
+
+  const subDrivers = entries.map((entry) => {
+    const key = String(entry._id);
+    const currentShare = subDriverSharePercent(owner, entry);
+    const row = {
+      subDriver: {
+        _id: entry._id,
+        name: entry.name,
+        phone: entry.phone,
+        vehicleNumber: entry.vehicleNumber,
+        isActive: entry.isActive
+      },
+      sharePercent: currentShare,
+      offers: offersBy.get(key) || 0,
+      accepted: 0,
+      completed: 0,
+      cancelled: 0,
+      ratingCount: 0,
+      grossFare: 0,
+      tips: 0,
+      cashCollected: 0,
+      cancellationFees: 0,
+      penalties: 0,
+      netEarnings: 0,
+      subDriverEarnings: 0
+    };
+
+    let ratingSum = 0;
+    rideRows.filter((ride) => String(ride._id.subDriver) === key).forEach((ride) => {
+      ['accepted', 'completed', 'cancelled', 'ratingCount', 'grossFare', 'tips', 'cashCollected', 'cancellationFees', 'penalties']
+        .forEach((field) => {
+          row[field] += ride[field];
+        });
+      ratingSum += ride.ratingSum;
+
+      // Tips are the sub-driver's; the rest is shared
+      const net = ride.driverNet + ride.cancellationFees - ride.penalties;
+      const percent = ride._id.sharePercent ?? currentShare;
+      row.netEarnings += net;
+      row.subDriverEarnings += Math.round((net - ride.tips) * percent / 100) + ride.tips;
+    });
+
+    const onlineMs = coveredMs(
+      sessions
+        .filter((session) => String(session.subDriver) === key)
+        .map((session) => [session.startedAt.getTime(), session.endedAt ? session.endedAt.getTime() : liveUntil]),
+      range.from.getTime(),
+      liveUntil
+    );
+
+    row.onlineHours = Math.round(onlineMs / HOUR * 100) / 100;
+    row.acceptanceRate = ratio(row.accepted, row.offers);
+    row.cancellationRate = ratio(row.cancelled, row.accepted);
+    row.rating = row.ratingCount ? Math.round(ratingSum / row.ratingCount * 100) / 100 : null;
+    row.ownerEarnings = row.netEarnings - row.subDriverEarnings;
+    // Positive: the owner owes the sub-driver; negative: the sub-driver holds the owner's cash
+    row.balance = row.subDriverEarnings - row.cashCollected;
+    row.ratingSum = ratingSum;
+    return row;
+  });
+
+  const totals = { subDrivers: subDrivers.length, onlineHours: 0, ratingSum: 0 };
+  ['offers', 'accepted', 'completed', 'cancelled', 'ratingCount', ...MONEY_KEYS].forEach((key) => {
+    totals[key] = 0;
+  });
+  subDrivers.forEach((row) => {
+    Object.keys(totals).forEach((key) => {
+      if (key !== 'subDrivers') totals[key] += row[key];
+    });
+  });
+  totals.onlineHours = Math.round(totals.onlineHours * 100) / 100;
+  totals.acceptanceRate = ratio(totals.accepted, totals.offers);
+  totals.cancellationRate = ratio(totals.cancelled, totals.accepted);
+  totals.rating = totals.ratingCount ? Math.round(totals.ratingSum / totals.ratingCount * 100) / 100 : null;
+
+  [...subDrivers, totals].forEach((row) => {
+    delete row.ratingSum;
+    withRupees(row);
+  });
+
+  return {
+    period: range,
+    owner: { _id: owner._id, fullName: owner.fullName, phone: owner.phone },
+    subDrivers,
+    totals
+  };
+};
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const rupees = (paise) => ((paise || 0) / 100).toFixed(2);
+
+/**
+ * Render a fleet report as CSV, one row per sub-driver plus a total
+ * @param {Object} report - From getFleetReport
+ * @returns {string}
+ */
+const fleetReportToCsv = (report) => {
+  const header = [
+    'Sub-driver', 'Phone', 'Vehicle', 'Offers', 'Accepted', 'Completed', 'Cancelled', 'Online hours',
+    'Acceptance %', 'Cancellation %', 'Rating', 'Gross fare (INR)', 'Tips (INR)', 'Cash collected (INR)',
+    'Net earnings (INR)', 'Share %', 'Sub-driver earnings (INR)', 'Owner earnings (INR)', 'Balance (INR)'
+  ];
+  const line = (row, label) => [
+    label || row.subDriver.name,
+    row.subDriver?.phone,
+    row.subDriver?.vehicleNumber,
+    row.offers,
+    row.accepted,
+    row.completed,
+    row.cancelled,
+    row.onlineHours,
+    row.acceptanceRate,
+    row.cancellationRate,
+    row.rating,
+    rupees(row.grossFare),
+    rupees(row.tips),
+    rupees(row.cashCollected),
+    rupees(row.netEarnings),
+    row.sharePercent,
+    rupees(row.subDriverEarnings),
+    rupees(row.ownerEarnings),
+    rupees(row.balance)
+  ];
+  const rows = [...report.subDrivers.map((row) => line(row)), line(report.totals, 'Total')];
+  return [header, ...rows].map((row) => row.map(csvCell).join(',')).join('\n');
+};
+
+const formatDate = (date) => new Intl.DateTimeFormat('en-IN', { dateStyle: 'medium', timeZone: 'Asia/Kolkata' }).format(date);
+
+/**
+ * Render a fleet report as a PDF statement
+ * @param {Object} report - From getFleetReport
+ * @returns {Buffer}
+ */
+const renderFleetStatementPdf = (report) => {
+  const doc = createPdfDocument();
+  const left = 40;
+  const right = doc.width - 40;
+  const bottom = doc.height - 60;
+  let y = 60;
+
+  doc.text(left, y, 'FLEET STATEMENT', { size: 18, font: 'bold' });
+  doc.text(right, y, `${formatDate(report.period.from)} - ${formatDate(report.period.to)}`, { size: 9, font: 'mono', align: 'right' });
+  doc.text(left, y += 18, report.owner.fullName || '', { size: 11, font: 'bold' });
+  if (report.owner.phone) doc.text(left, y += 13, report.owner.phone, { size: 9 });
+
+  const columns = [
+    { label: 'Sub-driver', x: left },
+    { label: 'Rides', x: 215, value: (row) => String(row.completed) },
+    { label: 'Hours', x: 255, value: (row) => row.onlineHours.toFixed(1) },
+    { label: 'Acc %', x: 295, value: (row) => (row.acceptanceRate === null ? '-' : String(row.acceptanceRate)) },
+    { label: 'Can %', x: 335, value: (row) => (row.cancellationRate === null ? '-' : String(row.cancellationRate)) },
+    { label: 'Rating', x: 375, value: (row) => (row.rating === null ? '-' : row.rating.toFixed(2)) },
+    { label: 'Cash', x: 430, value: (row) => rupees(row.cashCollected) },
+    { label: 'Net', x: 485, value: (row) => rupees(row.netEarnings) },
+    { label: 'Share', x: right, value: (row) => rupees(row.subDriverEarnings) }
+  ];
+
+  const heading = () => {
+    columns.forEach((column, index) => {
+      doc.text(column.x, y, column.label, { size: 8, font: index ? 'mono' : 'bold', align: index ? 'right' : 'left' });
+    });
+    doc.line(left, y += 5, right, y);
+  };
+
+  const row = (values, label, options = {}) => {
+    if (y > bottom) {
+      doc.addPage();
+      y = 60;
+      heading();
+    }
+    y += 14;
+    doc.text(left, y, label.slice(0, 32), { size: 8, font: options.bold ? 'bold' : 'regular' });
+    columns.slice(1).forEach((column) => {
+      doc.text(column.x, y, column.value(values), { size: 8, font: 'mono', align: 'right' });
+    });
+  };
+
+  y += 30;
+  heading();
+  report.subDrivers.forEach((entry) => row(entry, entry.subDriver.name || String(entry.subDriver._id)));
+  doc.line(left, y += 6, right, y);
+  row(report.totals, 'Total', { bold: true });
+
+  y += 30;
+  if (y > bottom - 60) {
+    doc.addPage();
+    y = 60;
+  }
+  const totals = report.totals;
+  doc.text(left, y, 'Summary (Rs.)', { size: 10, font: 'bold' });
+  [
+    ['Gross fares', totals.grossFare],
+    ['Tips', totals.tips],
+    ['Net earnings', totals.netEarnings],
+    ['Sub-drivers\' share', totals.subDriverEarnings],
+    ['Owner\'s share', totals.ownerEarnings],
+    ['Cash held by sub-drivers', totals.cashCollected],
+    ['Owed to sub-drivers (negative: owed to owner)', totals.balance]
+  ].forEach(([label, amount]) => {
+    doc.text(left, y += 14, label, { size: 9 });
+    doc.text(right, y, rupees(amount), { size: 9, font: 'mono', align: 'right' });
+  });
+
+  doc.text(left, y += 26, 'Rides: completed rides. Hours: time signed in. Share: the sub-driver\'s part of the net plus their tips.', { size: 7 });
+  doc.text(left, y += 10, 'Amounts are after platform commission. This is a computer generated statement.', { size: 7 });
+
+  return doc.toBuffer();
+};
+
+// File name for a downloaded statement
+const fleetStatementFileName = (report, extension) => {
+  const day = (date) => date.toISOString().slice(0, 10);
+  return `fleet-statement-${day(report.period.from)}-to-${day(report.period.to)}.${extension}`;
+};
+
+module.exports = {
+  FLEET_CONFIG,
+  FLEET_ERROR_CODES,
+  parseSharePercent,
+  startSubDriverSession,
+  touchSubDriverSession,
+  endSubDriverSession,
+  closeStaleSubDriverSessions,
+  recordFleetOffer,
+  getFleetReport,
+  fleetReportToCsv,
+  renderFleetStatementPdf,
+  fleetStatementFileName,
+  isFleetError,
+  sendFleetError
+};
@@ -476,42 +476,6 @@ const getDistanceAndDuration = async (origin, destination, mode = 'driving') =>
 
 // getDirections function already exists above, no need to duplicate
 
-// Calculate fare based on distance and time (₹4 per km universal rate)
-const calculateFare = (distance, duration, vehicleType, surgeMultiplier = 1) => {
-  const baseFares = {
-    'bike': { base: 20, perKm: 4, perMin: 1 },
-    'Bike': { base: 20, perKm: 4, perMin: 1 },
-    'auto': { base: 30, perKm: 4, perMin: 1.5 },
-    'Auto': { base: 30, perKm: 4, perMin: 1.5 },
-    'car': { base: 50, perKm: 4, perMin: 2 },
-    'Car': { base: 50, perKm: 4, perMin: 2 },
-    'truck': { base: 100, perKm: 4, perMin: 3 },
-    'Truck': { base: 100, perKm: 4, perMin: 3 },
-    'delivery': { base: 25, perKm: 4, perMin: 1.2 },
-    'Delivery': { base: 25, perKm: 4, perMin: 1.2 }
-  };
-
-  const fareConfig = baseFares[vehicleType] || baseFares['bike'];
-
-  const baseFare = fareConfig.base;
-  const distanceFare = distance * fareConfig.perKm;
-  const timeFare = duration * fareConfig.perMin;
-
-  const subtotal = baseFare + distanceFare + timeFare;
-  const finalAmount = Math.round(subtotal * surgeMultiplier);
-
-  return {
-    baseFare,
-    distanceFare: Math.round(distanceFare),
-    timeFare: Math.round(timeFare),
-    subtotal: Math.round(subtotal),
-    surgeMultiplier,
-    finalAmount,
-    distance,
-    duration
-  };
-};
-
 module.exports = {
   getDistanceAndDuration,
   getDirections,
@@ -520,6 +484,5 @@ module.exports = {
   getNearbyPlaces,
   getPlaceDetails: getNearbyPlaces,
   autocompletePlaces: getNearbyPlaces,
-  calculateFare,
   getDistanceMatrix,
 };
@@ -0,0 +1,253 @@
+/**
+ * Handover OTPs for IdharUdhar
+ * When a driver accepts a ride the server generates an OTP and only the
+ * rider (and, for deliveries, the recipient by SMS) ever sees it. The
+ * driver has to enter it to start a ride, or to hand over a delivery.
+ * Only an HMAC of the code is stored, with an expiry and an attempt limit;
+ * too many wrong codes lock verification for a while and the rider is told.
+ */
+
+const crypto = require('crypto');
+const Ride = require('../models/Ride');
+const { sendSMS } = require('./sms');
+
+const HANDOVER_OTP_CONFIG = {
+  length: parseInt(process.env.HANDOVER_OTP_LENGTH || '4', 10),
+  ttlMinutes: parseInt(process.env.HANDOVER_OTP_TTL_MINUTES || '240', 10),
+  maxAttempts: parseInt(process.env.HANDOVER_OTP_MAX_ATTEMPTS || '5', 10),
+  lockoutMinutes: parseInt(process.env.HANDOVER_OTP_LOCKOUT_MINUTES || '15', 10)
+};
+
+const HANDOVER_OTP_ERROR_CODES = {
+  NOT_ISSUED: 'HANDOVER_OTP_NOT_ISSUED',
+  REQUIRED: 'HANDOVER_OTP_REQUIRED',
+  INVALID: 'HANDOVER_OTP_INVALID',
+  EXPIRED: 'HANDOVER_OTP_EXPIRED',
+  LOCKED: 'HANDOVER_OTP_LOCKED',
+  ALREADY_VERIFIED: 'HANDOVER_OTP_ALREADY_VERIFIED'
+};
+
+const createHandoverOtpError = (code, message, details = {}) => {
+  const error = new Error(message);
+  error.name = 'HandoverOtpError';
+  error.code = code;
+  error.statusCode = code === HANDOVER_OTP_ERROR_CODES.LOCKED ? 429
+    : code === HANDOVER_OTP_ERROR_CODES.ALREADY_VERIFIED ? 409 : 400;
+  error.details = details;
+  return error;
+};
+
+const isHandoverOtpError = (error) => !!error && error.name === 'HandoverOtpError';
+
+// Send the standard error response for a rejected OTP
+const sendHandoverOtpError = (res, error) => {
+  return res.status(error.statusCode).json({
+    status: 'error',
+    code: error.code,
+    message: error.message,
+    details: error.details
+  });
+};
+
+const MINUTE = 60 * 1000;
+
+// Bound to the ride (or ride stop) so a code cannot be replayed on another one
+const hashOtp = (scope, otp) => crypto
+  .createHmac('sha256', process.env.HANDOVER_OTP_SECRET || process.env.JWT_SECRET || 'handover-otp')
+  .update(`${scope}:${otp}`)
+  .digest('hex');
+
+// Constant-time check of an entered code against a stored hash
+const otpMatches = (hash, scope, otp) => crypto.timingSafeEqual(
+  Buffer.from(hash, 'hex'),
+  Buffer.from(hashOtp(scope, String(otp).trim()), 'hex')
+);
+
+const generateOtp = () => {
+  const max = 10 ** HANDOVER_OTP_CONFIG.length;
+  return String(crypto.randomInt(max / 10, max));
+};
+
+const isDelivery = (ride) => String(ride.serviceType || '').toLowerCase() === 'delivery';
+
+/**
+ * What the OTP guards: starting a ride, or handing over a delivery
+ * @param {Object} ride
+ * @returns {string} 'start' | 'handover'
+ */
+const otpPurposeOf = (ride) => (isDelivery(ride) ? 'handover' : 'start');
+
+/**
+ * Whether a ride still needs its OTP before the given status. Every ride
+ * does, even one whose code was never issued: verifying it sends a new one.
+ * @param {Object} ride
+ * @param {string} status - Status the driver is moving the ride to
+ * @returns {boolean}
+ */
+const requiresHandoverOtp = (ride, status) => {
+  if (ride.otpVerified) return false;
+  return otpPurposeOf(ride) === 'start' ? status === 'started' : status === 'completed';
+};
+
+/**
+ * Whether a ride can be given a (new) OTP: a driver is assigned and the
+ * code is still needed. Ride OTPs are for starting the trip; delivery OTPs
+ * last until the handover.
+ * @param {Object} ride - Ride with driver, status, serviceType and otpVerified
+ * @returns {boolean}
+ */
+const canIssueHandoverOtp = (ride) => {
+  const openStatuses = otpPurposeOf(ride) === 'start' ? ['accepted', 'arrived'] : ['accepted', 'arrived', 'started'];
+  return !!ride.driver && !ride.otpVerified && openStatuses.includes(ride.status);
+};
+
+/**
+ * Generate a ride's OTP and send it to the rider (socket) and, for
+ * deliveries, to the recipient (SMS). Replaces any earlier code but keeps
+ * a running lockout.
+ * @param {Object} ride - Ride with user, serviceType and delivery
+ * @param {Object} [deps] - { io }
+ * @returns {Promise<Object>} { otp, expiresAt, purpose }
+ */
+const issueHandoverOtp = async (ride, { io } = {}, now = new Date()) => {
+  const otp = generateOtp();
+  const expiresAt = new Date(now.getTime() + HANDOVER_OTP_CONFIG.ttlMinutes * MINUTE);
+  const purpose = otpPurposeOf(ride);
+
+  await Ride.updateOne(
+    { _id: ride._id },
+    {
+      $set: {
+        'handoverOtp.hash': hashOtp(ride._id, otp),
+        'handoverOtp.purpose': purpose,
+        'handoverOtp.issuedAt': now,
+        'handoverOtp.expiresAt': expiresAt,
+        'handoverOtp.attempts': 0,
+        otpVerified: false,
+        otpVerifiedAt: null
+      }
+    }
+  );
+
+  if (io) {
+    io.to(`user_${ride.user?._id || ride.user}`).emit('handover-otp', { rideId: ride._id, otp, purpose, expiresAt });
+  }
+
+  const recipientPhone = ride.delivery?.recipientPhone;
+  if (purpose === 'handover' && recipientPhone) {
+    await sendSMS(recipientPhone, `Idhar Udhar: Your delivery OTP is ${otp}. Share it with the driver only when you receive the parcel.`);
+  }
+
+  return { otp, expiresAt, purpose };
+};
+
+const lockedError = (lockedUntil) => createHandoverOtpError(
+  HANDOVER_OTP_ERROR_CODES.LOCKED,
+  'Too many wrong attempts. Try again later',
+  { lockedUntil }
+);
+
+/**
+ * Check the OTP a driver entered. Every try is counted atomically, so
+ * parallel guesses cannot get past the limit; reaching it locks
+ * verification for HANDOVER_OTP_LOCKOUT_MINUTES. A ride without a code
+ * (issuing it on acceptance failed) is refused and a new code is sent.
+ * On success the ride is marked otpVerified (the caller saves any status change).
+ * @param {Object} ride - Ride mongoose document
+ * @param {string} otp
+ * @param {Object} [deps] - { io }
+ * @returns {Promise<Object>} ride
+ */
+const verifyHandoverOtp = async (ride, otp, { io } = {}, now = new Date()) => {
+  const stored = await Ride.findById(ride._id)
+    .select('+handoverOtp.hash handoverOtp otpVerified user driver status serviceType delivery');
+  const state = stored?.handoverOtp || {};
+
+  if (stored?.otpVerified) {
+    throw createHandoverOtpError(HANDOVER_OTP_ERROR_CODES.ALREADY_VERIFIED, 'OTP has already been verified');
+  }
+  if (!state.hash) {
+    if (stored && canIssueHandoverOtp(stored)) {
+      await issueHandoverOtp(stored, { io }, now);
+      throw createHandoverOtpError(HANDOVER_OTP_ERROR_CODES.NOT_ISSUED, 'No OTP had been issued for this ride. A new one has been sent to the rider');
+    }
+    throw createHandoverOtpError(HANDOVER_OTP_ERROR_CODES.NOT_ISSUED, 'No OTP has been issued for this ride');
+  }
+  if (state.lockedUntil && state.lockedUntil > now) {
+    throw lockedError(state.lockedUntil);
+  }
+  if (state.expiresAt <= now) {
+    throw createHandoverOtpError(HANDOVER_OTP_ERROR_CODES.EXPIRED, 'OTP has expired. Ask the rider to generate a new one');
+  }
+  if (!otp) {
+    throw createHandoverOtpError(HANDOVER_OTP_ERROR_CODES.REQUIRED, 'OTP is required');
+  }
+
+  const counted = await Ride.findOneAndUpdate(
+    {
+      _id: ride._id,
+      'handoverOtp.hash': state.hash,
+      $or: [{ 'handoverOtp.lockedUntil': null }, { 'handoverOtp.lockedUntil': { $lte: now } }]
+    },
+    { $inc: { 'handoverOtp.attempts': 1 } },
+    { new: true, projection: { handoverOtp: 1 } }
+  );
+  if (!counted) {
+    // Locked, replaced or used by a parallel request since it was read
+    const latest = await Ride.findById(ride._id).select('handoverOtp otpVerified');
+    if (latest?.otpVerified) {
+      throw createHandoverOtpError(HANDOVER_OTP_ERROR_CODES.ALREADY_VERIFIED, 'OTP has already been verified');
+    }
+    if (latest?.handoverOtp?.lockedUntil > now) {
+      throw lockedError(latest.handoverOtp.lockedUntil);
+    }
+    throw createHandoverOtpError(HANDOVER_OTP_ERROR_CODES.EXPIRED, 'OTP has been replaced. Ask the rider for the new one');
+  }
+
+  const attempts = counted.handoverOtp.attempts;
+  if (attempts > HANDOVER_OTP_CONFIG.maxAttempts || !otpMatches(state.hash, ride._id, otp)) {
+    // Attempts start again from zero once a lockout has run out
+    if (attempts >= HANDOVER_OTP_CONFIG.maxAttempts) {
+      const lockedUntil = new Date(now.getTime() + HANDOVER_OTP_CONFIG.lockoutMinutes * MINUTE);
+      await Ride.updateOne(
+        { _id: ride._id, 'handoverOtp.hash': state.hash },
+        { $set: { 'handoverOtp.attempts': 0, 'handoverOtp.lockedUntil': lockedUntil } }
+      );
+      if (io) {
+        io.to(`user_${stored.user}`).emit('handover-otp-locked', { rideId: ride._id, lockedUntil });
+      }
+      throw lockedError(lockedUntil);
+    }
+    throw createHandoverOtpError(HANDOVER_OTP_ERROR_CODES.INVALID, 'Invalid OTP', {
+      attemptsLeft: HANDOVER_OTP_CONFIG.maxAttempts - attempts
+    });
+  }
+
+  const verifiedAt = now;
+  const result = await Ride.updateOne(
+    { _id: ride._id, 'handoverOtp.hash': state.hash, otpVerified: { $ne: true } },
+    { $set: { otpVerified: true, otpVerifiedAt: verifiedAt }, $unset: { 'handoverOtp.hash': 1 } }
+  );
+  if (!result.modifiedCount) {
+    throw createHandoverOtpError(HANDOVER_OTP_ERROR_CODES.ALREADY_VERIFIED, 'OTP has already been verified');
+  }
+
+  ride.otpVerified = true;
+  ride.otpVerifiedAt = verifiedAt;
+  return ride;
+};
+
+module.exports = {
+  HANDOVER_OTP_CONFIG,
+  HANDOVER_OTP_ERROR_CODES,
+  hashOtp,
+  otpMatches,
+  generateOtp,
+  otpPurposeOf,
+  requiresHandoverOtp,
+  canIssueHandoverOtp,
+  issueHandoverOtp,
+  verifyHandoverOtp,
+  isHandoverOtpError,
+  sendHandoverOtpError
+};
@@ -0,0 +1,355 @@
+/**
+ * Trip invoices for IdharUdhar
+ * Issues a GST tax invoice for each completed ride or delivery, numbered
+ * sequentially within the Indian financial year (April to March). Fares
+ * are GST inclusive: the invoice itemises the fare components, discount
+ * and the platform fee included in them, and splits out the taxable value
+ * and CGST/SGST. Invoices are stored as snapshots and rendered as JSON or
+ * PDF. Amounts are in paise.
+ */
+
+const Invoice = require('../models/Invoice');
+const InvoiceSequence = require('../models/InvoiceSequence');
+const Payment = require('../models/Payment');
+const Ride = require('../models/Ride');
+const { createPdfDocument } = require('./pdf');
+const { sendRideCompletedEmail } = require('./email');
+
+const INVOICE_CONFIG = {
+  prefix: process.env.INVOICE_PREFIX || 'IU',
+  timezone: 'Asia/Kolkata',
+  supplier: {
+    name: process.env.COMPANY_NAME || 'IdharUdhar',
+    gstin: process.env.COMPANY_GSTIN || '',
+    address: process.env.COMPANY_ADDRESS || '',
+    state: process.env.COMPANY_STATE || ''
+  },
+  gstRates: {
+    ride: parseFloat(process.env.GST_RATE_RIDE || '5'),
+    delivery: parseFloat(process.env.GST_RATE_DELIVERY || '18')
+  },
+  sacCodes: {
+    ride: '996411', // Local land transport of passengers
+    delivery: '996813' // Local delivery services
+  }
+};
+
+const rupees = (paise) => ((paise || 0) / 100).toFixed(2);
+
+/**
+ * Financial year a date falls in, e.g. '2026-27'
+ * @param {Date} [date]
+ * @returns {string}
+ */
+const financialYearOf = (date = new Date()) => {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    year: 'numeric',
+    month: 'numeric',
+    timeZone: INVOICE_CONFIG.timezone
+  }).formatToParts(date);
+  const year = parseInt(parts.find((part) => part.type === 'year').value, 10);
+  const month = parseInt(parts.find((part) => part.type === 'month').value, 10);
+  const start = month >= 4 ? year : year - 1;
+  return `${start}-${String((start + 1) % 100).padStart(2, '0')}`;
+};
+
+// IU/26-27/000042 (GST allows at most 16 characters)
+const formatInvoiceNumber = (financialYear, sequence) =>
+  `${INVOICE_CONFIG.prefix}/${financialYear.slice(2)}/${String(sequence).padStart(6, '0')}`;
+
+// Next number in the financial year's series
+const nextSequence = async (financialYear) => {
+  const update = () => InvoiceSequence.findOneAndUpdate(
+    { financialYear },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true }
+  );
+  try {
+    return (await update()).seq;
+  } catch (error) {
+    // Two first invoices of the year raced to create the counter
+    if (error.code !== 11000) throw error;
+    return (await update()).seq;
+  }
+};
+
+/**
+ * Fare components of a ride's pricing, adding up to its total fare
+ * @param {Object} pricing - Ride pricing (paise)
+ * @returns {Array} [{ code, description, amount }]
+ */
+const fareLineItems = (pricing) => {
+  const baseFare = pricing.baseFare || 0;
+  const distanceFare = pricing.distanceFare || 0;
+  const timeFare = pricing.timeFare || 0;
+  const subtotal = baseFare + distanceFare + timeFare;
+  const night = pricing.nightMultiplier || 1;
+  const surge = pricing.surgeMultiplier || 1;
+
+  const items = [
+    { code: 'base', description: 'Base fare', amount: baseFare },
+    { code: 'distance', description: 'Distance fare', amount: distanceFare },
+    { code: 'time', description: 'Time fare', amount: timeFare }
+  ];
+
+  const nightCharge = Math.round(subtotal * (night - 1));
+  if (nightCharge > 0) {
+    items.push({ code: 'night', description: `Night charge (${night}x)`, amount: nightCharge });
+  }
+  const surgeCharge = Math.round(subtotal * night * surge) - subtotal - nightCharge;
+  if (surgeCharge > 0) {
+    items.push({ code: 'surge', description: `Surge (${surge}x)`, amount: surgeCharge });
+  }
+  if (pricing.waitingCharge) {
+    items.push({ code: 'waiting', description: 'Waiting charge', amount: pricing.waitingCharge });
+  }
+  if (pricing.weightSurcharge) {
+    items.push({ code: 'parcel_weight', description: 'Heavy parcel surcharge', amount: pricing.weightSurcharge });
+  }
+  if (pricing.sizeSurcharge) {
+    items.push({ code: 'parcel_size', description: 'Bulky parcel surcharge', amount: pricing.sizeSurcharge });
+  }
+  if (pricing.insuranceFee) {
+    items.push({ code: 'insurance', description: 'Parcel insurance', amount: pricing.insuranceFee });
+  }
+
+  // Minimum fare top-up (and rounding) so the items match the charged fare
+  const itemised = items.reduce((sum, item) => sum + item.amount, 0);
+  const adjustment = (pricing.totalFare || 0) - itemised;
+  if (adjustment !== 0) {
+    items.push({ code: 'minimum_fare', description: 'Minimum fare adjustment', amount: adjustment });
+  }
+
+  return items.filter((item) => item.amount !== 0);
+};
+
+/**
+ * Invoice contents for a completed ride (without a number)
+ * @param {Object} ride - Ride with user and driver populated
+ * @param {Object} [payment] - Completed ride Payment, if prepaid
+ * @returns {Object}
+ */
+const buildInvoice = (ride, payment = null) => {
+  const service = ride.serviceType === 'delivery' ? 'delivery' : 'ride';
+  const rate = INVOICE_CONFIG.gstRates[service];
+  const pricing = ride.pricing;
+  const user = ride.user || {};
+  const driver = ride.driver || {};
+
+  const total = pricing.finalAmount || 0;
+  const taxableValue = Math.round(total * 100 / (100 + rate));
+  const gstTotal = total - taxableValue;
+  const cgst = Math.round(gstTotal / 2);
+
+  return {
+    ride: ride._id,
+    user: user._id || ride.user,
+    serviceType: ride.serviceType,
+    supplier: INVOICE_CONFIG.supplier,
+    billTo: {
+      name: user.fullName,
+      email: user.email,
+      phone: user.phone,
+      businessName: user.billing?.businessName,
+      gstin: user.billing?.gstin,
+      address: user.billing?.address || user.address
+    },
+    trip: {
+      pickup: ride.pickup?.address,
+      destination: ride.destination?.address,
+      distanceKm: ride.route?.distance,
+      durationMinutes: ride.route?.duration,
+      vehicleType: ride.rideType,
+      driverName: driver.fullName,
+      vehicleNumber: driver.driverInfo?.vehicleNumber,
+      startedAt: ride.actualStartTime,
+      endedAt: ride.actualEndTime
+    },
+    lineItems: fareLineItems(pricing),
+    grossFare: pricing.totalFare || total,
+    discount: pricing.discount || 0,
+    platformFee: ride.settlement?.commission || 0,
+    taxableValue,
+    gst: {
+      rate,
+      sacCode: INVOICE_CONFIG.sacCodes[service],
+      cgst,
+      sgst: gstTotal - cgst,
+      igst: 0,
+      total: gstTotal
+    },
+    total,
+    payment: {
+      method: ride.payment?.method,
+      status: ride.payment?.method === 'cash' ? 'completed' : ride.payment?.status,
+      reference: payment?.razorpay?.paymentId || (payment ? String(payment._id) : undefined)
+    }
+  };
+};
+
+/**
+ * The invoice for a completed ride, issuing it on first request
+ * @param {*} rideId
+ * @returns {Promise<Object|null>} Invoice document, or null if the ride is not completed
+ */
+const issueRideInvoice = async (rideId) => {
+  const existing = await Invoice.findOne({ ride: rideId });
+  if (existing) return existing;
+
+  const ride = await Ride.findById(rideId)
+    .populate('user', 'fullName email phone address billing')
+    .populate('driver', 'fullName driverInfo.vehicleNumber');
+  if (!ride || ride.status !== 'completed') return null;
+
+  const payment = await Payment.findOne({ ride: ride._id, type: 'ride', status: 'completed' });
+  const issuedAt = new Date();
+  const financialYear = financialYearOf(issuedAt);
+  const sequence = await nextSequence(financialYear);
+
+  try {
+    const invoice = await Invoice.create({
+      ...buildInvoice(ride, payment),
+      invoiceNumber: formatInvoiceNumber(financialYear, sequence),
+      financialYear,
+      sequence,
+      issuedAt
+    });
+    console.log(`🧾 Invoice ${invoice.invoiceNumber} issued for ride ${ride._id}`);
+    return invoice;
+  } catch (error) {
+    // Issued concurrently (e.g. completion email and a download)
+    if (error.code !== 11000) throw error;
+    return Invoice.findOne({ ride: rideId });
+  }
+};
+
+// Break text into lines of at most `width` characters
+const wrap = (text, width) => String(text || '').split(/\s+/).filter(Boolean).reduce((lines, word) => {
+  const last = lines[lines.length - 1];
+  if (last !== undefined && (last + ' ' + word).length <= width) {
+    lines[lines.length - 1] = `${last} ${word}`;
+  } else {
+    lines.push(word);
+  }
+  return lines;
+}, []);
+
+/**
+ * Render an invoice as a one-page PDF
+ * @param {Object} invoice - Invoice document
+ * @returns {Buffer}
+ */
+const renderInvoicePdf = (invoice) => {
+  const doc = createPdfDocument();
+  const left = 40;
+  const right = doc.width - 40;
+  const issued = new Intl.DateTimeFormat('en-IN', { dateStyle: 'medium', timeZone: INVOICE_CONFIG.timezone })
+    .format(invoice.issuedAt);
+  let y = 60;
+
+  doc.text(left, y, 'TAX INVOICE', { size: 18, font: 'bold' });
+  doc.text(right, y, invoice.invoiceNumber, { size: 11, font: 'mono', align: 'right' });
+  y += 18;
+  doc.text(right, y, `Date: ${issued}`, { size: 9, font: 'mono', align: 'right' });
+
+  y += 14;
+  doc.text(left, y, invoice.supplier.name, { size: 11, font: 'bold' });
+  if (invoice.supplier.gstin) doc.text(left, y += 13, `GSTIN: ${invoice.supplier.gstin}`, { size: 9 });
+  wrap(invoice.supplier.address, 80).forEach((line) => doc.text(left, y += 12, line, { size: 9 }));
+
+  y += 26;
+  doc.text(left, y, 'Bill to', { size: 10, font: 'bold' });
+  const billTo = invoice.billTo;
+  [billTo.businessName, billTo.name, billTo.gstin && `GSTIN: ${billTo.gstin}`, billTo.email, billTo.phone]
+    .filter(Boolean)
+    .forEach((line) => doc.text(left, y += 13, line, { size: 9 }));
+  wrap(billTo.address, 80).forEach((line) => doc.text(left, y += 12, line, { size: 9 }));
+
+  y += 26;
+  doc.text(left, y, invoice.serviceType === 'delivery' ? 'Delivery' : 'Trip', { size: 10, font: 'bold' });
+  wrap(`From: ${invoice.trip.pickup || '-'}`, 95).forEach((line) => doc.text(left, y += 13, line, { size: 9 }));
+  wrap(`To: ${invoice.trip.destination || '-'}`, 95).forEach((line) => doc.text(left, y += 13, line, { size: 9 }));
+  const tripLine = [
+    invoice.trip.vehicleType && `Vehicle: ${invoice.trip.vehicleType}${invoice.trip.vehicleNumber ? ` (${invoice.trip.vehicleNumber})` : ''}`,
+    invoice.trip.distanceKm && `Distance: ${invoice.trip.distanceKm} km`,
+    invoice.trip.driverName && `Driver: ${invoice.trip.driverName}`
+  ].filter(Boolean).join('   ');
+  if (tripLine) doc.text(left, y += 13, tripLine, { size: 9 });
+
+  y += 28;
+  doc.text(left, y, 'Description', { size: 10, font: 'bold' });
+  doc.text(right, y, 'Amount (Rs.)', { size: 10, font: 'mono', align: 'right' });
+  doc.line(left, y += 6, right, y);
+
+  const row = (label, amount, options = {}) => {
+    y += 16;
+    doc.text(left, y, label, { size: 10, font: options.bold ? 'bold' : 'regular' });
+    doc.text(right, y, amount, { size: 10, font: 'mono', align: 'right' });
+  };
+
+  invoice.lineItems.forEach((item) => row(item.description, rupees(item.amount)));
+  if (invoice.discount) row('Discount', `-${rupees(invoice.discount)}`);
+  doc.line(left, y += 8, right, y);
+  row('Total (inclusive of GST)', rupees(invoice.total), { bold: true });
+
+  y += 10;
+  row('Taxable value', rupees(invoice.taxableValue));
+  row(`CGST @ ${invoice.gst.rate / 2}%`, rupees(invoice.gst.cgst));
+  row(`SGST @ ${invoice.gst.rate / 2}%`, rupees(invoice.gst.sgst));
+  if (invoice.platformFee) row('Platform fee (included above)', rupees(invoice.platformFee));
+
+  y += 30;
+  const payment = invoice.payment || {};
+  doc.text(left, y, `Payment: ${payment.method || '-'} (${payment.status || '-'})${payment.reference ? `, ref ${payment.reference}` : ''}`, { size: 9 });
+  doc.text(left, y += 13, `SAC: ${invoice.gst.sacCode}   Ride ID: ${invoice.ride}`, { size: 9 });
+  doc.text(left, y += 24, 'This is a computer generated invoice and does not need a signature.', { size: 8 });
+
+  return doc.toBuffer();
+};
+
+// File name for a downloaded or attached invoice
+const invoiceFileName = (invoice) => `invoice-${invoice.invoiceNumber.replace(/\//g, '-')}.pdf`;
+
+/**
+ * Issue a completed ride's invoice and email it to the rider as a PDF
+ * @param {*} rideId
+ * @returns {Promise<Object>} { sent, invoice?, error? }
+ */
+const sendRideInvoice = async (rideId) => {
+  const invoice = await issueRideInvoice(rideId);
+  if (!invoice) return { sent: false, error: 'Ride is not completed' };
+  if (invoice.emailedAt) return { sent: true, invoice };
+  if (!invoice.billTo.email) return { sent: false, invoice, error: 'Rider has no email address' };
+
+  const result = await sendRideCompletedEmail(invoice.billTo.email, {
+    rideId: invoice.ride,
+    invoiceNumber: invoice.invoiceNumber,
+    serviceType: invoice.serviceType,
+    pickup: invoice.trip.pickup,
+    destination: invoice.trip.destination,
+    fare: rupees(invoice.total),
+    riderName: invoice.billTo.name
+  }, [{
+    filename: invoiceFileName(invoice),
+    content: renderInvoicePdf(invoice),
+    contentType: 'application/pdf'
+  }]);
+
+  if (result.success) {
+    invoice.emailedAt = new Date();
+    await invoice.save();
+  }
+  return { sent: result.success, invoice, error: result.error };
+};
+
+module.exports = {
+  INVOICE_CONFIG,
+  financialYearOf,
+  formatInvoiceNumber,
+  fareLineItems,
+  buildInvoice,
+  issueRideInvoice,
+  renderInvoicePdf,
+  invoiceFileName,
+  sendRideInvoice
+};
@@ -0,0 +1,311 @@
+/**
+ * Parcel pricing for IdharUdhar
+ * Deliveries are priced for what is being sent: the parcel's weight and size
+ * class pick the smallest vehicle that can carry it (or are checked against
+ * the vehicle the sender chose), heavy and bulky parcels pay a surcharge, and
+ * senders can insure the declared value for a percentage of it. Charges are
+ * flat rupee amounts added after surge; amounts on rides are in paise.
+ */
+
+const PARCEL_CONFIG = {
+  insurancePercent: parseFloat(process.env.PARCEL_INSURANCE_PERCENT || '2'),
+  insuranceMinimum: parseFloat(process.env.PARCEL_INSURANCE_MIN_RS || '10'),
+  maxDeclaredValue: parseFloat(process.env.PARCEL_MAX_DECLARED_VALUE_RS || '50000')
+};
+
+/**
+ * Size classes, smallest first. maxDimensionsCm is sorted longest side first;
+ * surcharge (rupees) is added for bulky parcels.
+ */
+const PARCEL_SIZE_CLASSES = {
+  small: { label: 'Fits in a backpack', maxDimensionsCm: [35, 25, 15], surcharge: 0 },
+  medium: { label: 'Fits on a bike carrier', maxDimensionsCm: [50, 40, 30], surcharge: 0 },
+  large: { label: 'Needs a boot or cargo space', maxDimensionsCm: [90, 60, 50], surcharge: 40 },
+  extra_large: { label: 'Needs a truck', maxDimensionsCm: [240, 150, 150], surcharge: 150 }
+};
+
+/**
+ * What each vehicle can carry, smallest vehicle first. Weight above
+ * freeWeightKg is charged at perKgRate (rupees per kg).
+ */
+const PARCEL_VEHICLE_LIMITS = [
+  { rideType: 'bike', maxWeightKg: 10, maxSizeClass: 'medium', freeWeightKg: 5, perKgRate: 5 },
+  { rideType: 'auto', maxWeightKg: 50, maxSizeClass: 'large', freeWeightKg: 15, perKgRate: 3 },
+  { rideType: 'car', maxWeightKg: 100, maxSizeClass: 'large', freeWeightKg: 30, perKgRate: 3 },
+  { rideType: 'truck', maxWeightKg: 750, maxSizeClass: 'extra_large', freeWeightKg: 100, perKgRate: 2 }
+];
+
+const PARCEL_ERROR_CODES = {
+  INVALID_WEIGHT: 'PARCEL_INVALID_WEIGHT',
+  INVALID_SIZE: 'PARCEL_INVALID_SIZE',
+  INVALID_VALUE: 'PARCEL_INVALID_VALUE',
+  INVALID_VEHICLE: 'PARCEL_INVALID_VEHICLE',
+  TOO_LARGE: 'PARCEL_TOO_LARGE',
+  EXCEEDS_VEHICLE: 'PARCEL_EXCEEDS_VEHICLE_LIMITS'
+};
+
+const createParcelError = (code, message, details = {}) => {
+  const error = new Error(message);
+  error.name = 'ParcelError';
+  error.code = code;
+  error.statusCode = 400;
+  error.details = details;
+  return error;
+};
+
+const isParcelError = (error) => !!error && error.name === 'ParcelError';
+
+// Send the standard error response for a rejected parcel
+const sendParcelError = (res, error) => {
+  return res.status(error.statusCode).json({
+    status: 'error',
+    code: error.code,
+    message: error.message,
+    details: error.details
+  });
+};
+
+const SIZE_ORDER = Object.keys(PARCEL_SIZE_CLASSES);
+
+const toPaise = (rupees) => Math.round(rupees * 100);
+const roundRs = (rupees) => Math.round(rupees * 100) / 100;
+
+// Optional non-negative number from a request body
+const optionalNumber = (value, code, field) => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw createParcelError(code, `${field} must be a non-negative number`, { [field]: value });
+  }
+  return number;
+};
+
+/**
+ * Smallest size class that holds the given dimensions
+ * @param {Object} dimensions - { length, width, height } in cm
+ * @returns {string|null} Size class, or null when nothing holds it
+ */
+const sizeClassForDimensions = (dimensions) => {
+  const sides = [dimensions.length, dimensions.width, dimensions.height].sort((a, b) => b - a);
+  return SIZE_ORDER.find((sizeClass) =>
+    PARCEL_SIZE_CLASSES[sizeClass].maxDimensionsCm.every((max, i) => sides[i] <= max)) || null;
+};
+
+const vehicleLimits = (rideType) => PARCEL_VEHICLE_LIMITS.find((vehicle) => vehicle.rideType === rideType);
+
+const fitsVehicle = (vehicle, { itemWeight, sizeClass }) =>
+  (itemWeight || 0) <= vehicle.maxWeightKg &&
+  SIZE_ORDER.indexOf(sizeClass) <= SIZE_ORDER.indexOf(vehicle.maxSizeClass);
+
+// What a vehicle can take, for error details and quotes
+const limitsView = (vehicle) => ({
+  rideType: vehicle.rideType,
+  maxWeightKg: vehicle.maxWeightKg,
+  maxSizeClass: vehicle.maxSizeClass
+});
+
+/**
+ * Whether a vehicle can carry a delivery's parcel (as stored on the ride)
+ * @param {string} rideType - bike | auto | car | truck
+ * @param {Object} [delivery] - Ride delivery with itemWeight and sizeClass
+ * @returns {boolean}
+ */
+const canCarryParcel = (rideType, delivery = {}) => {
+  const vehicle = vehicleLimits(String(rideType).toLowerCase());
+  return !!vehicle && fitsVehicle(vehicle, {
+    itemWeight: delivery?.itemWeight,
+    sizeClass: delivery?.sizeClass || 'small'
+  });
+};
+
+/**
+ * Validate a delivery's parcel and pick the vehicle for it
+ * @param {Object} [input] - Request `delivery`: itemType, itemDescription,
+ *   itemWeight (kg), sizeClass, dimensions { length, width, height } (cm),
+ *   itemValue (declared, rupees), insurance, and the recipient fields
+ * @param {Object} [options]
+ * @param {string} [options.rideType] - Vehicle the sender chose; picked automatically when omitted
+ * @returns {Object} { rideType, autoSelected, vehicle, delivery } where delivery is what is stored on the ride
+ */
+const resolveParcel = (input, { rideType } = {}) => {
+  input = input || {};
+  const itemWeight = optionalNumber(input.itemWeight, PARCEL_ERROR_CODES.INVALID_WEIGHT, 'itemWeight');
+  const itemValue = optionalNumber(input.itemValue, PARCEL_ERROR_CODES.INVALID_VALUE, 'itemValue');
+
+  let dimensions = null;
+  if (input.dimensions) {
+    dimensions = {};
+    for (const side of ['length', 'width', 'height']) {
+      const value = Number(input.dimensions[side]);
+      if (!Number.isFinite(value) || value <= 0) {
+        throw createParcelError(PARCEL_ERROR_CODES.INVALID_SIZE, 'dimensions need a positive length, width and height in cm', {
+          dimensions: input.dimensions
+        });
+      }
+      dimensions[side] = value;
+    }
+  }
+
+  if (input.sizeClass && !PARCEL_SIZE_CLASSES[input.sizeClass]) {
+    throw createParcelError(PARCEL_ERROR_CODES.INVALID_SIZE, `sizeClass must be one of ${SIZE_ORDER.join(', ')}`, {
+      sizeClass: input.sizeClass
+    });
+  }
+
+  // Measured dimensions win over a smaller declared class
+  let sizeClass = input.sizeClass || 'small';
+  if (dimensions) {
+    const measured = sizeClassForDimensions(dimensions);
+    if (!measured) {
+      throw createParcelError(PARCEL_ERROR_CODES.TOO_LARGE, 'Parcel is too large for any vehicle', {
+        dimensions,
+        maxDimensionsCm: PARCEL_SIZE_CLASSES.extra_large.maxDimensionsCm
+      });
+    }
+    if (SIZE_ORDER.indexOf(measured) > SIZE_ORDER.indexOf(sizeClass)) sizeClass = measured;
+  }
+
+  const insured = input.insurance === true || input.insurance === 'true';
+  if (insured && !(itemValue > 0)) {
+    throw createParcelError(PARCEL_ERROR_CODES.INVALID_VALUE, 'Insurance needs the declared itemValue');
+  }
+  if (insured && itemValue > PARCEL_CONFIG.maxDeclaredValue) {
+    throw createParcelError(PARCEL_ERROR_CODES.INVALID_VALUE, `Declared value can be insured up to ₹${PARCEL_CONFIG.maxDeclaredValue}`, {
+      itemValue,
+      maxDeclaredValue: PARCEL_CONFIG.maxDeclaredValue
+    });
+  }
+
+  const parcel = { itemWeight, sizeClass };
+
+  // 'delivery' is the old catch-all ride type: pick the vehicle for it
+  const requested = rideType && String(rideType).toLowerCase() !== 'delivery' ? String(rideType).toLowerCase() : null;
+  let vehicle;
+  if (requested) {
+    vehicle = vehicleLimits(requested);
+    if (!vehicle) {
+      throw createParcelError(PARCEL_ERROR_CODES.INVALID_VEHICLE, `rideType must be one of ${PARCEL_VEHICLE_LIMITS.map((v) => v.rideType).join(', ')}`, {
+        rideType
+      });
+    }
+    if (!fitsVehicle(vehicle, parcel)) {
+      const suggested = PARCEL_VEHICLE_LIMITS.find((candidate) => fitsVehicle(candidate, parcel));
+      throw createParcelError(PARCEL_ERROR_CODES.EXCEEDS_VEHICLE, `Parcel is over the ${vehicle.rideType}'s limits`, {
+        itemWeight,
+        sizeClass,
+        limits: limitsView(vehicle),
+        suggestedRideType: suggested ? suggested.rideType : null
+      });
+    }
+  } else {
+    vehicle = PARCEL_VEHICLE_LIMITS.find((candidate) => fitsVehicle(candidate, parcel));
+    if (!vehicle) {
+      const largest = PARCEL_VEHICLE_LIMITS[PARCEL_VEHICLE_LIMITS.length - 1];
+      throw createParcelError(PARCEL_ERROR_CODES.TOO_LARGE, 'Parcel is too heavy or too large for any vehicle', {
+        itemWeight,
+        sizeClass,
+        limits: limitsView(largest)
+      });
+    }
+  }
+
+  return {
+    rideType: vehicle.rideType,
+    autoSelected: !requested,
+    vehicle,
+    delivery: {
+      itemType: input.itemType,
+      itemDescription: input.itemDescription,
+      itemWeight,
+      sizeClass,
+      dimensions: dimensions || undefined,
+      itemValue,
+      insured,
+      recipientName: input.recipientName,
+      recipientPhone: input.recipientPhone,
+      deliveryInstructions: input.deliveryInstructions,
+      requiresSignature: input.requiresSignature === true || input.requiresSignature === 'true'
+    }
+  };
+};
+
+/**
+ * Add a parcel's surcharges and insurance to a quoted fare
+ * (called by the fare engine after surge and the minimum fare)
+ * @param {Object} pricing - Quote from calculateDynamicPricing (paise, with a rupee breakdown)
+ * @param {Object} parcel - Result of resolveParcel
+ * @returns {Object} pricing
+ */
+const applyParcelCharges = (pricing, parcel) => {
+  const { vehicle, delivery } = parcel;
+
+  const chargeableWeightKg = Math.max(0, (delivery.itemWeight || 0) - vehicle.freeWeightKg);
+  const weightSurchargeRs = roundRs(chargeableWeightKg * vehicle.perKgRate);
+  const sizeSurchargeRs = PARCEL_SIZE_CLASSES[delivery.sizeClass].surcharge;
+  const insuranceFeeRs = delivery.insured
+    ? roundRs(Math.max(delivery.itemValue * PARCEL_CONFIG.insurancePercent / 100, PARCEL_CONFIG.insuranceMinimum))
+    : 0;
+
+  pricing.weightSurcharge = toPaise(weightSurchargeRs);
+  pricing.sizeSurcharge = toPaise(sizeSurchargeRs);
+  pricing.insuranceFee = toPaise(insuranceFeeRs);
+
+  const charges = pricing.weightSurcharge + pricing.sizeSurcharge + pricing.insuranceFee;
+  pricing.totalFare += charges;
+  pricing.finalAmount += charges;
+
+  pricing.breakdown = {
+    ...pricing.breakdown,
+    weightSurchargeRs,
+    sizeSurchargeRs,
+    insuranceFeeRs,
+    totalFareRs: pricing.totalFare / 100,
+    parcel: {
+      rideType: vehicle.rideType,
+      autoSelected: parcel.autoSelected,
+      itemWeight: delivery.itemWeight,
+      sizeClass: delivery.sizeClass,
+      chargeableWeightKg,
+      perKgRate: vehicle.perKgRate,
+      declaredValueRs: delivery.itemValue,
+      insured: delivery.insured,
+      insurancePercent: delivery.insured ? PARCEL_CONFIG.insurancePercent : 0,
+      limits: limitsView(vehicle)
+    }
+  };
+  return pricing;
+};
+
+/**
+ * The parcel a delivery was booked with, for pricing it again
+ * @param {Object} ride
+ * @returns {Object|null} Result of resolveParcel, or null for rides it no longer fits
+ */
+const parcelFromRide = (ride) => {
+  if (String(ride.serviceType || '').toLowerCase() !== 'delivery') return null;
+  const delivery = (typeof ride.toObject === 'function' ? ride.toObject().delivery : ride.delivery) || {};
+  try {
+    return resolveParcel({
+      ...delivery,
+      insurance: delivery.insured,
+      dimensions: delivery.dimensions?.length ? delivery.dimensions : undefined
+    }, { rideType: ride.rideType });
+  } catch (error) {
+    console.warn(`📦 Ride ${ride._id} parcel cannot be priced:`, error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  PARCEL_CONFIG,
+  PARCEL_SIZE_CLASSES,
+  PARCEL_VEHICLE_LIMITS,
+  PARCEL_ERROR_CODES,
+  sizeClassForDimensions,
+  canCarryParcel,
+  resolveParcel,
+  applyParcelCharges,
+  parcelFromRide,
+  isParcelError,
+  sendParcelError
+};
@@ -0,0 +1,320 @@
+/**
+ * Razorpay payment events for IdharUdhar
+ * Applies gateway outcomes (captures, failures, refunds) to Payment, Ride
+ * and the wallet ledger. The webhook is the source of truth; `/verify`
+ * uses the same completion step so whichever arrives first wins and the
+ * other is a no-op.
+ */
+
+const Payment = require('../models/Payment');
+const Ride = require('../models/Ride');
+const WebhookEvent = require('../models/WebhookEvent');
+const {
+  LEDGER_ACCOUNTS,
+  toPaise,
+  creditWallet,
+  debitWallet,
+  isWalletError
+} = require('./walletLedger');
+const { markRefundFailed } = require('./refunds');
+const { applyTip, failTip, refundUnappliedTip } = require('./tips');
+
+const HANDLED_EVENTS = [
+  'payment.captured',
+  'order.paid',
+  'payment.failed',
+  'refund.created',
+  'refund.processed',
+  'refund.failed'
+];
+
+const findPayment = async ({ orderId, paymentId }) => {
+  if (paymentId) {
+    const payment = await Payment.findOne({ 'razorpay.paymentId': paymentId });
+    if (payment) return payment;
+  }
+  return orderId ? Payment.findOne({ 'razorpay.orderId': orderId }) : null;
+};
+
+/**
+ * Mark a payment completed and apply it: credit the wallet for top-ups,
+ * credit tips to the driver (or refund a tip paid too late) and mark the ride
+ * paid. Safe to call more than once.
+ * @param {Object} payment - Payment document
+ * @param {Object} razorpayData - { orderId, paymentId, signature }
+ * @param {Object} [deps] - { io } for live updates
+ * @returns {Promise<string>} Outcome
+ */
+const completePayment = async (payment, razorpayData = {}, { io } = {}) => {
+  // The rider retried the tip and then paid the old order anyway
+  if (payment.type === 'tip' && payment.status === 'cancelled') {
+    await payment.markCompleted(razorpayData);
+    return refundUnappliedTip(payment);
+  }
+  if (payment.status === 'refunded' || payment.status === 'cancelled') {
+    return `already_${payment.status}`;
+  }
+
+  const alreadyCompleted = payment.status === 'completed';
+  if (!alreadyCompleted) {
+    await payment.markCompleted(razorpayData);
+  }
+
+  if (payment.type === 'wallet_topup') {
+    // Keyed on the payment, so the webhook and /verify credit it once between them
+    const amount = toPaise(payment.amount);
+    const { balance, duplicate } = await creditWallet({
+      userId: payment.user,
+      amount,
+      type: 'topup',
+      key: `topup:${payment._id}`,
+      counterAccount: LEDGER_ACCOUNTS.GATEWAY,
+      description: 'Wallet top-up via Razorpay',
+      payment: payment._id
+    });
+
+    if (!duplicate) {
+      payment.wallet = {
+        previousBalance: (balance - amount) / 100,
+        newBalance: balance / 100,
+        transactionType: 'credit'
+      };
+      await payment.save();
+    }
+  }
+
+  if (payment.type === 'tip') {
+    await applyTip(payment, { io });
+  } else if (payment.ride) {
+    // Clears any outstanding due the ride was holding (see utils/ridePayments.js)
+    const update = { 'payment.status': 'completed', 'payment.amountDue': 0 };
+    if (!alreadyCompleted) update['payment.paidAt'] = new Date();
+    if (razorpayData.paymentId) update['payment.razorpayPaymentId'] = razorpayData.paymentId;
+    if (razorpayData.orderId) update['payment.razorpayOrderId'] = razorpayData.orderId;
+    if (razorpayData.signature) update['payment.razorpaySignature'] = razorpayData.signature;
+    const ride = await Ride.findByIdAndUpdate(payment.ride, update, { new: true }).select('settlement');
+
+    // Paid after the ride completed: take the fees from its settlement
+    if (!alreadyCompleted && payment.type === 'ride' && ride?.settlement?.settledAt) {
+      await payment.calculateFees(ride.settlement).save();
+    }
+  }
+
+  return alreadyCompleted ? 'already_completed' : 'completed';
+};
+
+const failPayment = async (payment, entity = {}) => {
+  if (!['pending', 'processing'].includes(payment.status)) {
+    return `already_${payment.status}`;
+  }
+
+  if (entity.id) payment.razorpay.paymentId = entity.id;
+  await payment.markFailed({
+    code: entity.error_code,
+    message: entity.error_description,
+    details: { reason: entity.error_reason, source: entity.error_source }
+  });
+
+  if (payment.type === 'tip') {
+    await failTip(payment);
+  } else if (payment.ride) {
+    await Ride.updateOne({ _id: payment.ride, 'payment.status': 'pending' }, { 'payment.status': 'failed' });
+  }
+  return 'failed';
+};
+
+const recordRefundCreated = async (payment, refund) => {
+  if (payment.refund?.refundId) return 'refund_already_recorded';
+  payment.refund.refundId = refund.id;
+  await payment.save();
+  return 'refund_recorded';
+};
+
+const applyRefundProcessed = async (payment, refund) => {
+  if (payment.status === 'refunded') {
+    if (!payment.refund?.refundId) {
+      payment.refund.refundId = refund.id;
+      await payment.save();
+    }
+    return 'already_refunded';
+  }
+
+  let outcome = 'refunded';
+
+  // Refunds claimed through /refund already took the wallet debit and counted the amount
+  const claimed = payment.status === 'processing';
+
+  // Refunds started from the Razorpay dashboard still have to leave the wallet
+  if (payment.type === 'wallet_topup' && !claimed) {
+    try {
+      await debitWallet({
+        userId: payment.user,
+        amount: refund.amount,
+        type: 'topup_refund',
+        key: `refund:${refund.id}`,
+        counterAccount: LEDGER_ACCOUNTS.GATEWAY,
+        description: `Refund for payment ${payment._id}`,
+        payment: payment._id
+      });
+    } catch (error) {
+      if (!isWalletError(error)) throw error;
+      console.error(`❌ Could not debit wallet for refund ${refund.id}:`, error.message);
+      outcome = 'refunded_wallet_debit_failed';
+    }
+  }
+
+  if (claimed) {
+    payment.status = 'refunded';
+    payment.refund.processedAt = new Date();
+  } else {
+    await payment.processRefund(refund.amount / 100, refund.notes?.reason || 'Refunded via Razorpay');
+  }
+  payment.refund.refundId = refund.id;
+  await payment.save();
+
+  if (payment.ride && payment.type === 'ride') {
+    await Ride.updateOne({ _id: payment.ride }, { 'payment.status': 'refunded' });
+  }
+  return outcome;
+};
+
+const applyRefundFailed = async (payment, refund) => {
+  if (payment.status !== 'refunded' || (payment.refund?.refundId && payment.refund.refundId !== refund.id)) {
+    return 'refund_not_applied';
+  }
+
+  // Top-up refunds took the money out of the wallet up front; put it back
+  if (payment.type === 'wallet_topup') {
+    await creditWallet({
+      userId: payment.user,
+      amount: refund.amount,
+      type: 'reversal',
+      key: `refund_failed:${refund.id}`,
+      counterAccount: LEDGER_ACCOUNTS.GATEWAY,
+      description: `Refund for payment ${payment._id} failed, amount restored`,
+      payment: payment._id
+    });
+  }
+
+  payment.status = 'completed';
+  payment.refund.refundAmount = Math.max(0, (payment.refund.refundAmount || 0) - refund.amount / 100);
+  payment.error = {
+    code: 'REFUND_FAILED',
+    message: `Refund ${refund.id} failed`,
+    details: { refundId: refund.id }
+  };
+  await payment.save();
+
+  if (payment.ride && payment.type === 'ride') {
+    await Ride.updateOne({ _id: payment.ride, 'payment.status': 'refunded' }, { 'payment.status': 'completed' });
+  }
+
+  // Automatic ride refunds go back on the retry schedule
+  const refundPayment = await Payment.findOne({ type: 'refund', 'refund.refundId': refund.id, status: 'completed' });
+  if (refundPayment) {
+    await markRefundFailed(refundPayment, { code: 'GATEWAY_REFUND_FAILED', message: `Refund ${refund.id} failed at the gateway` });
+  }
+  return 'refund_failed';
+};
+
+/**
+ * Apply one webhook event
+ * @param {Object} event - Parsed Razorpay webhook body
+ * @returns {Promise<Object>} { status: 'processed' | 'ignored', outcome, payment, razorpay }
+ */
+const handleWebhookEvent = async (event) => {
+  const paymentEntity = event.payload?.payment?.entity;
+  const orderEntity = event.payload?.order?.entity;
+  const refundEntity = event.payload?.refund?.entity;
+
+  const razorpay = {
+    orderId: paymentEntity?.order_id || orderEntity?.id,
+    paymentId: paymentEntity?.id || refundEntity?.payment_id,
+    refundId: refundEntity?.id
+  };
+
+  if (!HANDLED_EVENTS.includes(event.event)) {
+    return { status: 'ignored', outcome: 'unhandled_event', razorpay };
+  }
+
+  const payment = await findPayment(razorpay);
+  if (!payment) {
+    return { status: 'ignored', outcome: 'payment_not_found', razorpay };
+  }
+
+  let outcome;
+  switch (event.event) {
+    case 'payment.captured':
+    case 'order.paid': {
+      const paid = paymentEntity?.amount ?? orderEntity?.amount_paid;
+      if (paid !== undefined && paid !== toPaise(payment.amount)) {
+        console.error(`❌ Webhook amount ${paid} does not match payment ${payment._id} (${toPaise(payment.amount)})`);
+        return { status: 'ignored', outcome: 'amount_mismatch', payment, razorpay };
+      }
+      outcome = await completePayment(payment, { orderId: razorpay.orderId, paymentId: razorpay.paymentId });
+      break;
+    }
+    case 'payment.failed':
+      outcome = await failPayment(payment, paymentEntity);
+      break;
+    case 'refund.created':
+      outcome = await recordRefundCreated(payment, refundEntity);
+      break;
+    case 'refund.processed':
+      outcome = await applyRefundProcessed(payment, refundEntity);
+      break;
+    case 'refund.failed':
+      outcome = await applyRefundFailed(payment, refundEntity);
+      break;
+  }
+
+  return { status: 'processed', outcome, payment, razorpay };
+};
+
+/**
+ * Record and apply a verified webhook delivery. Events already processed
+ * (or being processed) are skipped; failed ones are retried.
+ * @param {Object} params
+ * @param {string} params.eventId - x-razorpay-event-id
+ * @param {Object} params.event - Parsed webhook body
+ * @returns {Promise<Object>} { duplicate, status?, outcome? }
+ */
+const processWebhookEvent = async ({ eventId, event }) => {
+  let record;
+  try {
+    record = await WebhookEvent.create({ eventId, event: event.event });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    record = await WebhookEvent.findOneAndUpdate(
+      { eventId, status: 'failed' },
+      { status: 'processing', error: null, $inc: { attempts: 1 } },
+      { new: true }
+    );
+    if (!record) return { duplicate: true };
+  }
+
+  try {
+    const result = await handleWebhookEvent(event);
+
+    record.status = result.status;
+    record.outcome = result.outcome;
+    record.payment = result.payment?._id || null;
+    record.razorpay = result.razorpay;
+    record.processedAt = new Date();
+    await record.save();
+
+    return { duplicate: false, status: result.status, outcome: result.outcome };
+  } catch (error) {
+    record.status = 'failed';
+    record.error = error.message;
+    await record.save();
+    throw error;
+  }
+};
+
+module.exports = {
+  HANDLED_EVENTS,
+  completePayment,
+  handleWebhookEvent,
+  processWebhookEvent
+};
@@ -0,0 +1,56 @@
+/**
+ * Payout providers for IdharUdhar
+ * Bank transfers for driver payouts go through a provider chosen with
+ * PAYOUT_PROVIDER. A provider implements:
+ *   createTransfer({ payoutId, amount, bankDetails, narration })
+ *     -> { success, reference, status: 'processed' | 'processing', error }
+ *   getTransferStatus(reference)
+ *     -> { success, status: 'processed' | 'processing' | 'failed', error }
+ * Amounts are in paise. The built-in 'local' provider is a stand-in for
+ * development that settles every transfer at once.
+ */
+
+const crypto = require('crypto');
+
+const providers = new Map();
+
+// Stand-in provider: no money moves, transfers succeed immediately
+const localProvider = {
+  name: 'local',
+  createTransfer: async ({ payoutId, amount, bankDetails }) => {
+    const reference = `local_${crypto.randomBytes(6).toString('hex')}`;
+    console.log(`🏦 [DEV PAYOUT] ₹${amount / 100} to ${bankDetails.accountHolderName} (****${String(bankDetails.accountNumber).slice(-4)}, ${bankDetails.ifscCode}) for payout ${payoutId}: ${reference}`);
+    return { success: true, reference, status: 'processed', simulated: true };
+  },
+  getTransferStatus: async () => ({ success: true, status: 'processed' })
+};
+
+/**
+ * Register a payout provider
+ * @param {string} name - Value of PAYOUT_PROVIDER that selects it
+ * @param {Object} provider - { createTransfer, getTransferStatus }
+ */
+const registerPayoutProvider = (name, provider) => {
+  providers.set(name, { name, ...provider });
+};
+
+registerPayoutProvider('local', localProvider);
+
+/**
+ * The configured payout provider (falls back to the local stand-in)
+ * @returns {Object}
+ */
+const getPayoutProvider = () => {
+  const name = process.env.PAYOUT_PROVIDER || 'local';
+  const provider = providers.get(name);
+  if (!provider) {
+    console.warn(`🏦 Unknown PAYOUT_PROVIDER '${name}', using the local stand-in`);
+    return providers.get('local');
+  }
+  return provider;
+};
+
+module.exports = {
+  registerPayoutProvider,
+  getPayoutProvider
+};
@@ -0,0 +1,515 @@
+/**
+ * Driver payouts for IdharUdhar
+ * Drivers withdraw their earnings to the bank account in
+ * `driverInfo.bankDetails`. The withdrawable balance is net ride earnings
+ * (see utils/settlement.js) plus cancellation compensation, less cash the
+ * driver already collected, penalties, earlier payouts and earnings still
+ * inside the hold window. A request
+ * waits for admin approval, then goes out through the payout provider:
+ * requested -> approved -> processing -> paid | failed (or rejected).
+ * Payout amounts are in paise.
+ */
+
+const cron = require('node-cron');
+const mongoose = require('mongoose');
+const Payout = require('../models/Payout');
+const Payment = require('../models/Payment');
+const Ride = require('../models/Ride');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { getPayoutProvider } = require('./payoutProvider');
+const { driverNetExpression } = require('./settlement');
+const { driverCancellationFeeExpression } = require('./cancellationPolicy');
+
+const PAYOUT_CONFIG = {
+  minAmount: parseFloat(process.env.PAYOUT_MIN_AMOUNT || '100'), // rupees
+  cooldownHours: parseFloat(process.env.PAYOUT_COOLDOWN_HOURS || '24'),
+  holdHours: parseFloat(process.env.PAYOUT_HOLD_HOURS || '24'),
+  stuckMinutes: 30,
+  reconcileCron: process.env.PAYOUT_RECONCILE_CRON || '*/15 * * * *'
+};
+
+const HOUR = 60 * 60 * 1000;
+
+// Payouts that count against the balance
+const COMMITTED_STATUSES = ['requested', 'approved', 'processing', 'paid'];
+
+const PAYOUT_ERROR_CODES = {
+  INVALID_AMOUNT: 'PAYOUT_INVALID_AMOUNT',
+  BANK_DETAILS_MISSING: 'PAYOUT_BANK_DETAILS_MISSING',
+  BELOW_MINIMUM: 'PAYOUT_BELOW_MINIMUM',
+  COOLDOWN_ACTIVE: 'PAYOUT_COOLDOWN_ACTIVE',
+  IN_PROGRESS: 'PAYOUT_IN_PROGRESS',
+  INSUFFICIENT_BALANCE: 'PAYOUT_INSUFFICIENT_BALANCE',
+  NOT_FOUND: 'PAYOUT_NOT_FOUND',
+  INVALID_STATUS: 'PAYOUT_INVALID_STATUS'
+};
+
+const createPayoutError = (code, message, details = {}) => {
+  const error = new Error(message);
+  error.name = 'PayoutError';
+  error.code = code;
+  error.statusCode = code === PAYOUT_ERROR_CODES.NOT_FOUND ? 404
+    : [PAYOUT_ERROR_CODES.IN_PROGRESS, PAYOUT_ERROR_CODES.INVALID_STATUS].includes(code) ? 409 : 400;
+  error.details = details;
+  return error;
+};
+
+const isPayoutError = (error) => !!error && error.name === 'PayoutError';
+
+// Send the standard error response for a rejected payout action
+const sendPayoutError = (res, error) => {
+  return res.status(error.statusCode).json({
+    status: 'error',
+    code: error.code,
+    message: error.message,
+    details: error.details
+  });
+};
+
+const hasBankDetails = (bankDetails) =>
+  !!(bankDetails && bankDetails.accountNumber && bankDetails.ifscCode && bankDetails.accountHolderName);
+
+const notifyDriver = async (io, payout, { title, message }) => {
+  await new Notification({
+    user: payout.driver,
+    title,
+    message,
+    type: 'payment',
+    data: { paymentId: payout.payment || undefined, metadata: { payoutId: payout._id } }
+  }).save();
+
+  if (io) {
+    io.to(`user_${payout.driver}`).emit('payout-updated', {
+      payoutId: payout._id,
+      amount: payout.amount,
+      amountRs: payout.amount / 100,
+      status: payout.status,
+      message
+    });
+  }
+};
+
+/**
+ * What a driver can withdraw right now
+ * @param {*} driverId
+ * @param {Date} [now]
+ * @returns {Promise<Object>} { earned, cashCollected, held, penalties, paidOut, pending, available } in paise, plus *Rs figures
+ */
+const getPayoutBalance = async (driverId, now = new Date()) => {
+  const driver = new mongoose.Types.ObjectId(String(driverId));
+  const holdSince = new Date(now.getTime() - PAYOUT_CONFIG.holdHours * HOUR);
+  const isCompleted = { $eq: ['$status', 'completed'] };
+
+  const [[rides], payouts] = await Promise.all([
+    Ride.aggregate([
+      { $match: { driver, status: { $in: ['completed', 'cancelled'] } } },
+      {
+        $project: {
+          earned: {
+            $cond: [isCompleted, driverNetExpression(), driverCancellationFeeExpression()]
+          },
+          // Fares the driver took in cash are already in their hands
+          cashCollected: { $cond: [isCompleted, { $ifNull: ['$settlement.cashCollected', 0] }, 0] },
+          penalty: { $cond: [isCompleted, 0, { $ifNull: ['$cancellation.driverPenalty', 0] }] },
+          earnedAt: {
+            $cond: [
+              isCompleted,
+              { $ifNull: ['$actualEndTime', '$updatedAt'] },
+              // A fee paid after the cancellation is held from when it was paid
+              { $ifNull: [{ $max: ['$payment.paidAt', '$cancellation.cancelledAt'] }, '$updatedAt'] }
+            ]
+          }
+        }
+      },
+      { $addFields: { owed: { $subtract: ['$earned', '$cashCollected'] } } },
+      {
+        $group: {
+          _id: null,
+          earned: { $sum: '$earned' },
+          cashCollected: { $sum: '$cashCollected' },
+          // Only money still owing is held; cash dues count straight away
+          held: { $sum: { $cond: [{ $and: [{ $gt: ['$earnedAt', holdSince] }, { $gt: ['$owed', 0] }] }, '$owed', 0] } },
+          penalties: { $sum: '$penalty' }
+        }
+      }
+    ]),
+    Payout.aggregate([
+      { $match: { driver, status: { $in: COMMITTED_STATUSES } } },
+      { $group: { _id: '$status', amount: { $sum: '$amount' } } }
+    ])
+  ]);
+
+  const earned = Math.round(rides?.earned || 0);
+  const cashCollected = Math.round(rides?.cashCollected || 0);
+  const held = Math.round(rides?.held || 0);
+  const penalties = Math.round(rides?.penalties || 0);
+  const paidOut = payouts.find((row) => row._id === 'paid')?.amount || 0;
+  const pending = payouts.filter((row) => row._id !== 'paid').reduce((sum, row) => sum + row.amount, 0);
+  const balance = earned - cashCollected - penalties - paidOut - pending;
+  const available = Math.max(0, balance - held);
+  // Negative balance: cash the driver holds that belongs to the platform
+  const outstandingDues = Math.max(0, -balance);
+
+  return {
+    earned,
+    cashCollected,
+    held,
+    penalties,
+    paidOut,
+    pending,
+    available,
+    outstandingDues,
+    earnedRs: earned / 100,
+    cashCollectedRs: cashCollected / 100,
+    heldRs: held / 100,
+    penaltiesRs: penalties / 100,
+    paidOutRs: paidOut / 100,
+    pendingRs: pending / 100,
+    availableRs: available / 100,
+    outstandingDuesRs: outstandingDues / 100,
+    holdHours: PAYOUT_CONFIG.holdHours,
+    minAmountRs: PAYOUT_CONFIG.minAmount
+  };
+};
+
+/**
+ * Queue a withdrawal for admin approval
+ * @param {Object} params
+ * @param {*} params.driverId
+ * @param {number} params.amount - Paise
+ * @param {Object} [params.io] - Socket.IO server for driver updates
+ * @returns {Promise<Object>} Payout document
+ * @throws PayoutError
+ */
+const requestPayout = async ({ driverId, amount, io }) => {
+  if (!Number.isInteger(amount) || amount <= 0) {
+    throw createPayoutError(PAYOUT_ERROR_CODES.INVALID_AMOUNT, 'Invalid withdrawal amount');
+  }
+
+  const driver = await User.findById(driverId).select('driverInfo.bankDetails');
+  const bankDetails = driver?.driverInfo?.bankDetails;
+  if (!hasBankDetails(bankDetails)) {
+    throw createPayoutError(PAYOUT_ERROR_CODES.BANK_DETAILS_MISSING, 'Add your bank account details before withdrawing');
+  }
+
+  const minAmount = Math.round(PAYOUT_CONFIG.minAmount * 100);
+  if (amount < minAmount) {
+    throw createPayoutError(PAYOUT_ERROR_CODES.BELOW_MINIMUM,
+      `The minimum withdrawal is ₹${PAYOUT_CONFIG.minAmount}`, { minAmount });
+  }
+
+  const now = new Date();
+  const last = await Payout.findOne({ driver: driverId, status: { $in: COMMITTED_STATUSES } })
+    .sort({ createdAt: -1 });
+  if (last?.open) {
+    throw createPayoutError(PAYOUT_ERROR_CODES.IN_PROGRESS,
+      'You already have a withdrawal in progress', { payoutId: last._id, status: last.status });
+  }
+  const nextAllowedAt = last ? new Date(last.createdAt.getTime() + PAYOUT_CONFIG.cooldownHours * HOUR) : null;
+  if (nextAllowedAt && nextAllowedAt > now) {
+    throw createPayoutError(PAYOUT_ERROR_CODES.COOLDOWN_ACTIVE,
+      `You can only withdraw once every ${PAYOUT_CONFIG.cooldownHours} hours`, { nextAllowedAt });
+  }
+
+  const balance = await getPayoutBalance(driverId, now);
+  if (amount > balance.available) {
+    throw createPayoutError(PAYOUT_ERROR_CODES.INSUFFICIENT_BALANCE,
+      'Insufficient earnings for withdrawal', { available: balance.available, availableRs: balance.availableRs });
+  }
+
+  let payout;
+  try {
+    payout = await Payout.create({
+      driver: driverId,
+      amount,
+      bankAccount: {
+        accountHolderName: bankDetails.accountHolderName,
+        accountNumberLast4: String(bankDetails.accountNumber).slice(-4),
+        ifscCode: bankDetails.ifscCode,
+        bankName: bankDetails.bankName
+      },
+      statusHistory: [{ status: 'requested', by: driverId }]
+    });
+  } catch (error) {
+    // Another request from the same driver won the race
+    if (error.code !== 11000) throw error;
+    throw createPayoutError(PAYOUT_ERROR_CODES.IN_PROGRESS, 'You already have a withdrawal in progress');
+  }
+
+  await notifyDriver(io, payout, {
+    title: 'Withdrawal requested',
+    message: `Your withdrawal of ₹${amount / 100} is waiting for approval.`
+  });
+
+  console.log(`🏦 Driver ${driverId} requested a payout of ₹${amount / 100}`);
+  return payout;
+};
+
+// Move a payout between statuses if it is still in one of `from`
+const transition = (payoutId, from, to, { by = null, note, set = {} } = {}) => {
+  return Payout.findOneAndUpdate(
+    { _id: payoutId, status: { $in: from } },
+    {
+      $set: { status: to, ...set },
+      $push: { statusHistory: { status: to, at: new Date(), by, note } }
+    },
+    { new: true }
+  );
+};
+
+const invalidStatus = async (payoutId, action) => {
+  const current = await Payout.findById(payoutId).select('status');
+  if (!current) return createPayoutError(PAYOUT_ERROR_CODES.NOT_FOUND, 'Payout not found');
+  return createPayoutError(PAYOUT_ERROR_CODES.INVALID_STATUS,
+    `Cannot ${action} a payout that is ${current.status}`, { status: current.status });
+};
+
+// Withdrawal Payment (rupees) that puts a paid payout in the payment history
+const recordPayoutPayment = async (payout) => {
+  const payment = await new Payment({
+    user: payout.driver,
+    type: 'withdrawal',
+    amount: payout.amount / 100,
+    method: 'bank_transfer',
+    status: 'completed',
+    completedAt: payout.paidAt,
+    description: `Payout to bank account ****${payout.bankAccount.accountNumberLast4}`,
+    metadata: { payoutId: payout._id, provider: payout.provider, providerReference: payout.providerReference }
+  }).save();
+
+  payout.payment = payment._id;
+  await payout.save();
+  return payment;
+};
+
+/**
+ * Record a transfer that went through
+ * @param {Object} payout - Payout document in `processing`
+ * @param {Object} [deps] - { io }
+ * @returns {Promise<Object>} Updated payout
+ */
+const markPayoutPaid = async (payout, { io } = {}) => {
+  const paid = await transition(payout._id, ['processing'], 'paid', {
+    set: { open: false, paidAt: new Date() }
+  });
+  if (!paid) return Payout.findById(payout._id);
+
+  await recordPayoutPayment(paid);
+
+  await notifyDriver(io, paid, {
+    title: 'Withdrawal paid',
+    message: `₹${paid.amount / 100} has been sent to your bank account ending ${paid.bankAccount.accountNumberLast4}.`
+  });
+
+  console.log(`🏦 Payout ${paid._id} paid: ₹${paid.amount / 100} (${paid.providerReference})`);
+  return paid;
+};
+
+/**
+ * Record a transfer that did not go through. The amount returns to the
+ * driver's balance and they can request again.
+ * @param {Object} payout - Payout document in `processing`
+ * @param {string} reason
+ * @param {Object} [deps] - { io }
+ * @returns {Promise<Object>} Updated payout
+ */
+const markPayoutFailed = async (payout, reason, { io } = {}) => {
+  const failed = await transition(payout._id, ['processing'], 'failed', {
+    note: reason,
+    set: { open: false, failedAt: new Date(), failureReason: reason }
+  });
+  if (!failed) return Payout.findById(payout._id);
+
+  await notifyDriver(io, failed, {
+    title: 'Withdrawal failed',
+    message: `We could not send ₹${failed.amount / 100} to your bank account. The amount is back in your balance; please check your bank details.`
+  });
+
+  console.error(`❌ Payout ${failed._id} failed: ${reason}`);
+  return failed;
+};
+
+/**
+ * Send an approved payout through the payout provider
+ * @param {Object} payout - Payout document in `approved`
+ * @param {Object} [deps] - { io }
+ * @returns {Promise<Object>} Updated payout
+ */
+const processPayout = async (payout, { io } = {}) => {
+  const provider = getPayoutProvider();
+  const claimed = await transition(payout._id, ['approved'], 'processing', {
+    set: { processedAt: new Date(), provider: provider.name }
+  });
+  if (!claimed) throw await invalidStatus(payout._id, 'process');
+
+  const driver = await User.findById(claimed.driver).select('driverInfo.bankDetails');
+  const bankDetails = driver?.driverInfo?.bankDetails;
+  if (!hasBankDetails(bankDetails)) {
+    return markPayoutFailed(claimed, 'Bank account details missing', { io });
+  }
+
+  let result;
+  try {
+    result = await provider.createTransfer({
+      payoutId: String(claimed._id),
+      amount: claimed.amount,
+      bankDetails,
+      narration: 'IdharUdhar driver payout'
+    });
+  } catch (error) {
+    result = { success: false, error: error.message };
+  }
+
+  if (!result.success) {
+    return markPayoutFailed(claimed, result.error || 'Transfer failed', { io });
+  }
+
+  claimed.providerReference = result.reference;
+  await claimed.save();
+
+  // Transfers the provider settles later are picked up by the reconciliation job
+  if (result.status !== 'processed') return claimed;
+  return markPayoutPaid(claimed, { io });
+};
+
+/**
+ * Approve a requested payout and send it
+ * @param {Object} params
+ * @param {*} params.payoutId
+ * @param {*} params.adminId
+ * @param {Object} [params.io]
+ * @returns {Promise<Object>} Updated payout
+ * @throws PayoutError
+ */
+const approvePayout = async ({ payoutId, adminId, io }) => {
+  const approved = await transition(payoutId, ['requested'], 'approved', {
+    by: adminId,
+    set: { approvedBy: adminId, approvedAt: new Date() }
+  });
+  if (!approved) throw await invalidStatus(payoutId, 'approve');
+
+  await notifyDriver(io, approved, {
+    title: 'Withdrawal approved',
+    message: `Your withdrawal of ₹${approved.amount / 100} has been approved and is being sent to your bank.`
+  });
+
+  return processPayout(approved, { io });
+};
+
+/**
+ * Reject a payout before any money is sent
+ * @param {Object} params
+ * @param {*} params.payoutId
+ * @param {*} params.adminId
+ * @param {string} params.reason
+ * @param {Object} [params.io]
+ * @returns {Promise<Object>} Updated payout
+ * @throws PayoutError
+ */
+const rejectPayout = async ({ payoutId, adminId, reason, io }) => {
+  const rejected = await transition(payoutId, ['requested', 'approved'], 'rejected', {
+    by: adminId,
+    note: reason,
+    set: { open: false, rejectionReason: reason }
+  });
+  if (!rejected) throw await invalidStatus(payoutId, 'reject');
+
+  await notifyDriver(io, rejected, {
+    title: 'Withdrawal rejected',
+    message: `Your withdrawal of ₹${rejected.amount / 100} was rejected: ${reason}`
+  });
+
+  return rejected;
+};
+
+/**
+ * Settle transfers still pending with the provider and repair paid payouts
+ * that are missing their Payment record
+ * @param {Object} [deps] - { io }
+ * @param {Date} [now]
+ * @returns {Promise<Object>} { checked, paid, failed, stuck, repaired }
+ */
+const reconcilePayouts = async ({ io } = {}, now = new Date()) => {
+  const report = { checked: 0, paid: 0, failed: 0, stuck: [], repaired: 0 };
+  const provider = getPayoutProvider();
+
+  const processing = await Payout.find({ status: 'processing' }).limit(100);
+  for (const payout of processing) {
+    report.checked += 1;
+
+    // Crashed between claiming and calling the provider; needs a human to check the bank
+    if (!payout.providerReference) {
+      if (now - payout.processedAt > PAYOUT_CONFIG.stuckMinutes * 60 * 1000) report.stuck.push(payout._id);
+      continue;
+    }
+
+    try {
+      const status = await provider.getTransferStatus(payout.providerReference);
+      if (!status.success) continue;
+      if (status.status === 'processed') {
+        await markPayoutPaid(payout, { io });
+        report.paid += 1;
+      } else if (status.status === 'failed') {
+        await markPayoutFailed(payout, status.error || 'Transfer failed', { io });
+        report.failed += 1;
+      }
+    } catch (error) {
+      console.error(`❌ Payout ${payout._id} status check error:`, error.message);
+    }
+  }
+
+  const missingPayment = await Payout.find({ status: 'paid', payment: null }).limit(100);
+  for (const payout of missingPayment) {
+    await recordPayoutPayment(payout);
+    report.repaired += 1;
+  }
+
+  if (report.stuck.length) {
+    console.warn(`⚠️ ${report.stuck.length} payouts stuck in processing without a transfer reference:`, report.stuck.map(String));
+  }
+  return report;
+};
+
+/**
+ * Start the payout reconciliation job
+ * @param {Object} deps - { io }
+ * @returns {Object} node-cron task
+ */
+const startPayoutReconciliation = (deps = {}) => {
+  let running = false;
+
+  const task = cron.schedule(PAYOUT_CONFIG.reconcileCron, async () => {
+    if (running) return;
+    running = true;
+    try {
+      const report = await reconcilePayouts(deps);
+      if (report.paid || report.failed || report.repaired) {
+        console.log(`🏦 Payout reconciliation: ${report.paid} paid, ${report.failed} failed, ${report.repaired} repaired`);
+      }
+    } catch (error) {
+      console.error('❌ Payout reconciliation job error:', error.message);
+    } finally {
+      running = false;
+    }
+  });
+
+  console.log('🏦 Payout reconciliation scheduled');
+  return task;
+};
+
+module.exports = {
+  PAYOUT_CONFIG,
+  PAYOUT_ERROR_CODES,
+  getPayoutBalance,
+  requestPayout,
+  approvePayout,
+  processPayout,
+  rejectPayout,
+  markPayoutPaid,
+  markPayoutFailed,
+  reconcilePayouts,
+  startPayoutReconciliation,
+  isPayoutError,
+  sendPayoutError
+};
@@ -0,0 +1,116 @@
+/**
+ * Minimal PDF writer for IdharUdhar
+ * Enough of the PDF format to lay out text and rules on A4 pages with the
+ * standard Helvetica and Courier fonts (no embedding, no dependencies).
+ * Coordinates are in points from the top-left corner. Text is limited to
+ * Latin-1, so callers write "Rs." rather than the rupee sign.
+ */
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+
+const FONTS = {
+  regular: { id: 'F1', base: 'Helvetica' },
+  bold: { id: 'F2', base: 'Helvetica-Bold' },
+  mono: { id: 'F3', base: 'Courier' }
+};
+
+// Escape a string for a PDF literal and drop characters outside Latin-1
+const escapeText = (value) => String(value)
+  .replace(/₹/g, 'Rs.')
+  .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+  .replace(/\\/g, '\\\\')
+  .replace(/\(/g, '\\(')
+  .replace(/\)/g, '\\)');
+
+const num = (value) => Number(value.toFixed(2)).toString();
+
+/**
+ * Create a document. Draw with text()/line(), then call toBuffer().
+ * @returns {Object}
+ */
+const createPdfDocument = () => {
+  const pages = [[]];
+  const current = () => pages[pages.length - 1];
+
+  const doc = {
+    width: PAGE_WIDTH,
+    height: PAGE_HEIGHT,
+
+    addPage() {
+      pages.push([]);
+      return doc;
+    },
+
+    /**
+     * @param {number} x
+     * @param {number} y - Baseline, from the top
+     * @param {string} value
+     * @param {Object} [options] - { size = 10, font: 'regular'|'bold'|'mono', align: 'left'|'right' }
+     */
+    text(x, y, value, { size = 10, font = 'regular', align = 'left' } = {}) {
+      const text = escapeText(value);
+      let left = x;
+      // Only Courier has a fixed advance (0.6 em) we can right-align against
+      if (align === 'right') {
+        const width = font === 'mono' ? String(value).replace(/₹/g, 'Rs.').length * size * 0.6 : text.length * size * 0.5;
+        left = x - width;
+      }
+      current().push(`BT /${FONTS[font].id} ${size} Tf ${num(left)} ${num(PAGE_HEIGHT - y)} Td (${text}) Tj ET`);
+      return doc;
+    },
+
+    line(x1, y1, x2, y2, { width = 0.5 } = {}) {
+      current().push(`${width} w ${num(x1)} ${num(PAGE_HEIGHT - y1)} m ${num(x2)} ${num(PAGE_HEIGHT - y2)} l S`);
+      return doc;
+    },
+
+    /**
+     * Serialise the document
+     * @returns {Buffer}
+     */
+    toBuffer() {
+      const objects = [];
+      const add = (body) => {
+        objects.push(body);
+        return objects.length;
+      };
+
+      const catalogId = add(null);
+      const pagesId = add(null);
+      const fontIds = Object.values(FONTS).map((font) =>
+        add(`<< /Type /Font /Subtype /Type1 /BaseFont /${font.base} /Encoding /WinAnsiEncoding >>`));
+      const fontResources = Object.values(FONTS).map((font, index) => `/${font.id} ${fontIds[index]} 0 R`).join(' ');
+
+      const pageIds = pages.map((operations) => {
+        const stream = operations.join('\n');
+        const contentId = add(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+        return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+          `/Resources << /Font << ${fontResources} >> >> /Contents ${contentId} 0 R >>`);
+      });
+
+      objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+      objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+      let output = '%PDF-1.4\n';
+      const offsets = objects.map((body, index) => {
+        const offset = Buffer.byteLength(output, 'latin1');
+        output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+      });
+
+      const xrefOffset = Buffer.byteLength(output, 'latin1');
+      output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+      output += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+      output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+      return Buffer.from(output, 'latin1');
+    }
+  };
+
+  return doc;
+};
+
+module.exports = {
+  createPdfDocument
+};
@@ -4,13 +4,38 @@
  */
 
 /**
- * Calculate dynamic pricing for rides/deliveries
+ * Built-in rate cards (rupees), used until an admin activates a FareConfig
+ * for the city (see models/FareConfig.js and utils/fareEngine.js)
+ */
+const DEFAULT_RATE_CARDS = {
+    bike: { baseFare: 20, perKm: 4, perMinute: 0.5, minimumFare: 20, waitingChargePerMinute: 0, freeWaitingMinutes: 3, nightMultiplier: 1 },
+    auto: { baseFare: 30, perKm: 4, perMinute: 1, minimumFare: 30, waitingChargePerMinute: 0, freeWaitingMinutes: 3, nightMultiplier: 1 },
+    car: { baseFare: 50, perKm: 4, perMinute: 1.5, minimumFare: 50, waitingChargePerMinute: 0, freeWaitingMinutes: 3, nightMultiplier: 1 },
+    truck: { baseFare: 80, perKm: 4, perMinute: 2, minimumFare: 80, waitingChargePerMinute: 0, freeWaitingMinutes: 3, nightMultiplier: 1 }
+};
+
+const toPaise = (rupees) => Math.round(rupees * 100);
+
+/**
+ * Built-in rate card for a ride type
+ * @param {string} rideType - Type of ride (bike, auto, car, truck, delivery)
+ * @returns {Object} Rate card in rupees
+ */
+function getDefaultRateCard(rideType = 'bike') {
+    return DEFAULT_RATE_CARDS[rideType.toLowerCase()] || DEFAULT_RATE_CARDS.bike;
+}
+
+/**
+ * Calculate dynamic pricing for rides/deliveries.
+ * Rate cards are in rupees; every stored amount is returned in paise.
  * @param {Object} params - Pricing parameters
  * @param {number} params.distance - Distance in kilometers
  * @param {number} params.duration - Duration in minutes (optional)
  * @param {string} params.rideType - Type of ride (bike, auto, car, truck)
  * @param {string} params.serviceType - Service type (ride, delivery)
  * @param {number} params.surgeMultiplier - Surge pricing multiplier (default: 1)
+ * @param {Object} params.rateCard - Rate card to price with (default: built-in card for the ride type)
+ * @param {boolean} params.isNight - Apply the rate card's night multiplier
  * @returns {Object} Pricing breakdown
  */
 function calculateDynamicPricing({
@@ -18,68 +43,54 @@ function calculateDynamicPricing({
     duration = 0,
     rideType = 'bike',
     serviceType = 'delivery',
-    surgeMultiplier = 1
+    surgeMultiplier = 1,
+    rateCard = null,
+    isNight = false
 }) {
-    console.log('🧮 Calculating dynamic pricing:', { distance, duration, rideType, serviceType, surgeMultiplier });
-
-    // Base fare configuration
-    const baseFareConfig = {
-        bike: 20,
-        auto: 30,
-        car: 50,
-        truck: 80
-    };
-
-    // Per kilometer rate configuration (₹4 per Km universal)
-    const perKmRateConfig = {
-        bike: 4,
-        auto: 4,
-        car: 4,
-        truck: 4
-    };
-
-    // Per minute rate configuration (optional time-based pricing)
-    const perMinuteRateConfig = {
-        bike: 0.5,
-        auto: 1,
-        car: 1.5,
-        truck: 2
-    };
+    console.log('🧮 Calculating dynamic pricing:', { distance, duration, rideType, serviceType, surgeMultiplier, isNight });
 
     // Get rates for the specified ride type
-    const baseFare = baseFareConfig[rideType.toLowerCase()] || baseFareConfig.bike;
-    const perKmRate = perKmRateConfig[rideType.toLowerCase()] || perKmRateConfig.bike;
-    const perMinuteRate = perMinuteRateConfig[rideType.toLowerCase()] || perMinuteRateConfig.bike;
+    const card = rateCard || getDefaultRateCard(rideType);
+    const baseFare = card.baseFare;
+    const perKmRate = card.perKm;
+    const perMinuteRate = card.perMinute;
+    const nightMultiplier = isNight ? (card.nightMultiplier || 1) : 1;
 
     // Calculate fare components
     const distanceFare = Math.round(distance * perKmRate * 100) / 100; // Round to 2 decimal places
     const timeFare = Math.round(duration * perMinuteRate * 100) / 100;
 
-    // Calculate total before surge
+    // Calculate total before night charge and surge
     const subtotal = baseFare + distanceFare + timeFare;
 
-    // Apply surge multiplier
-    const totalFare = Math.round(subtotal * surgeMultiplier * 100) / 100;
+    // Apply night and surge multipliers, then the minimum fare
+    const multipliedFare = Math.round(subtotal * nightMultiplier * surgeMultiplier * 100) / 100;
+    const minimumFare = card.minimumFare || 0;
+    const totalFare = Math.max(multipliedFare, minimumFare);
 
     // Convert to paise for storage (multiply by 100)
-    const totalFareInPaise = Math.round(totalFare * 100);
+    const totalFareInPaise = toPaise(totalFare);
 
     const pricingBreakdown = {
-        baseFare: baseFare,
-        distanceFare: distanceFare,
-        timeFare: timeFare,
+        baseFare: toPaise(baseFare),
+        distanceFare: toPaise(distanceFare),
+        timeFare: toPaise(timeFare),
         surgeMultiplier: surgeMultiplier,
+        nightMultiplier: nightMultiplier,
+        minimumFare: toPaise(minimumFare),
         totalFare: totalFareInPaise, // in paise for database storage
-        finalAmount: totalFareInPaise, // same as totalFare for now
-        // Additional info for debugging
+        finalAmount: totalFareInPaise, // same as totalFare until discounts apply
+        // Rupee breakdown for display
         breakdown: {
             baseFareRs: baseFare,
             distanceFareRs: distanceFare,
             timeFareRs: timeFare,
             subtotalRs: subtotal,
+            minimumFareRs: minimumFare,
             totalFareRs: totalFare,
             perKmRate: perKmRate,
-            perMinuteRate: perMinuteRate
+            perMinuteRate: perMinuteRate,
+            nightMultiplier: nightMultiplier
         }
     };
 
@@ -142,28 +153,62 @@ function estimateDuration(distance, rideType = 'bike') {
     return durationInMinutes;
 }
 
+/**
+ * Measure each leg of a route through an ordered list of points
+ * @param {Array} points - [[longitude, latitude], ...] from pickup to destination
+ * @param {string} rideType - Type of ride
+ * @returns {Array} Legs as { distance, duration }
+ */
+function calculateRouteLegs(points, rideType = 'bike') {
+    const legs = [];
+    for (let i = 1; i < points.length; i++) {
+        const distance = calculateDistance(points[i - 1], points[i]);
+        legs.push({
+            distance,
+            duration: estimateDuration(distance, rideType)
+        });
+    }
+    return legs;
+}
+
 /**
  * Calculate complete pricing with distance calculation
  * @param {Object} params - Parameters
  * @param {Array} params.pickupCoords - [longitude, latitude]
  * @param {Array} params.destinationCoords - [longitude, latitude]
+ * @param {Array} params.waypoints - Intermediate stops as [longitude, latitude] (optional)
+ * @param {number} params.distance - Measured route distance in km, overrides the estimate (single-leg routes only)
+ * @param {number} params.duration - Measured route duration in minutes (with distance)
  * @param {string} params.rideType - Type of ride
  * @param {string} params.serviceType - Service type
  * @param {number} params.surgeMultiplier - Surge multiplier
+ * @param {Object} params.rateCard - Rate card to price with (optional)
+ * @param {boolean} params.isNight - Apply the night multiplier
  * @returns {Object} Complete pricing with route info
  */
 function calculateCompletePricing({
     pickupCoords,
     destinationCoords,
+    waypoints = [],
+    distance: measuredDistance,
+    duration: measuredDuration,
     rideType = 'bike',
     serviceType = 'delivery',
-    surgeMultiplier = 1
+    surgeMultiplier = 1,
+    rateCard = null,
+    isNight = false
 }) {
-    // Calculate distance
-    const distance = calculateDistance(pickupCoords, destinationCoords);
+    // Measure every leg: pickup -> stops -> destination (or use the measured single leg)
+    const legs = waypoints.length === 0 && measuredDistance > 0
+        ? [{
+            distance: measuredDistance,
+            duration: measuredDuration || estimateDuration(measuredDistance, rideType)
+        }]
+        : calculateRouteLegs([pickupCoords, ...waypoints, destinationCoords], rideType);
 
-    // Estimate duration
-    const duration = estimateDuration(distance, rideType);
+    // Total distance and duration across all legs
+    const distance = Math.round(legs.reduce((sum, leg) => sum + leg.distance, 0) * 100) / 100;
+    const duration = legs.reduce((sum, leg) => sum + leg.duration, 0);
 
     // Calculate pricing
     const pricing = calculateDynamicPricing({
@@ -171,18 +216,30 @@ function calculateCompletePricing({
         duration,
         rideType,
         serviceType,
-        surgeMultiplier
+        surgeMultiplier,
+        rateCard,
+        isNight
     });
 
+    // Per-leg share of the distance and time fare
+    pricing.breakdown.legs = legs.map((leg) => ({
+        distance: leg.distance,
+        duration: leg.duration,
+        distanceFareRs: Math.round(leg.distance * pricing.breakdown.perKmRate * 100) / 100,
+        timeFareRs: Math.round(leg.duration * pricing.breakdown.perMinuteRate * 100) / 100
+    }));
+
     return {
         route: {
             distance,
-            duration
+            duration,
+            legs
         },
         pricing,
         calculations: {
             pickupCoords,
             destinationCoords,
+            waypoints,
             calculatedDistance: distance,
             estimatedDuration: duration
         }
@@ -190,8 +247,11 @@ function calculateCompletePricing({
 }
 
 module.exports = {
+    DEFAULT_RATE_CARDS,
+    getDefaultRateCard,
     calculateDynamicPricing,
     calculateDistance,
     estimateDuration,
+    calculateRouteLegs,
     calculateCompletePricing
 };
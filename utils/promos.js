@@ -0,0 +1,236 @@
+/**
+ * Promo code engine for IdharUdhar
+ * Validates codes against a fare, redeems them at booking (filling
+ * Ride.pricing.discount) and gives the use back when the ride is cancelled.
+ */
+
+const Promo = require('../models/Promo');
+const PromoRedemption = require('../models/PromoRedemption');
+const Ride = require('../models/Ride');
+const { normalizeVehicleType } = require('./surge');
+
+const PROMO_ERROR_CODES = {
+  NOT_FOUND: 'PROMO_NOT_FOUND',
+  INACTIVE: 'PROMO_INACTIVE',
+  NOT_STARTED: 'PROMO_NOT_STARTED',
+  EXPIRED: 'PROMO_EXPIRED',
+  USAGE_LIMIT_REACHED: 'PROMO_USAGE_LIMIT_REACHED',
+  USER_LIMIT_REACHED: 'PROMO_USER_LIMIT_REACHED',
+  FIRST_RIDE_ONLY: 'PROMO_FIRST_RIDE_ONLY',
+  NOT_APPLICABLE: 'PROMO_NOT_APPLICABLE',
+  MIN_FARE_NOT_MET: 'PROMO_MIN_FARE_NOT_MET'
+};
+
+const createPromoError = (code, message, details = {}) => {
+  const error = new Error(message);
+  error.name = 'PromoError';
+  error.code = code;
+  error.statusCode = code === PROMO_ERROR_CODES.NOT_FOUND ? 404 : 400;
+  error.details = details;
+  return error;
+};
+
+const isPromoError = (error) => !!error && error.name === 'PromoError';
+
+// Send the standard error response for a rejected promo
+const sendPromoError = (res, error) => {
+  return res.status(error.statusCode).json({
+    status: 'error',
+    code: error.code,
+    message: error.message,
+    details: error.details
+  });
+};
+
+// Lowest per-user slot not taken by an active redemption, or null if all are used
+const findFreeSlot = async (promo, userId) => {
+  const active = await PromoRedemption.find({ promo: promo._id, user: userId, status: 'redeemed' }).select('slot');
+  const taken = new Set(active.map((redemption) => redemption.slot));
+  for (let slot = 1; slot <= promo.perUserLimit; slot++) {
+    if (!taken.has(slot)) return slot;
+  }
+  return null;
+};
+
+/**
+ * Check a promo code against a fare and work out the discount
+ * @param {Object} params
+ * @param {string} params.code - Promo code (case-insensitive)
+ * @param {*} params.userId - Rider
+ * @param {number} params.fare - Fare before discount, in paise
+ * @param {string} params.rideType
+ * @param {string} params.serviceType
+ * @param {Date} [params.at]
+ * @returns {Promise<{ promo: Object, discount: number, slot: number }>} discount in paise
+ */
+const validatePromo = async ({ code, userId, fare, rideType, serviceType = 'ride', at = new Date() }) => {
+  const promo = await Promo.findOne({ code: String(code || '').trim().toUpperCase() });
+  if (!promo) {
+    throw createPromoError(PROMO_ERROR_CODES.NOT_FOUND, 'Promo code not found');
+  }
+  if (!promo.isActive) {
+    throw createPromoError(PROMO_ERROR_CODES.INACTIVE, 'This promo code is no longer active');
+  }
+  if (promo.validFrom && promo.validFrom > at) {
+    throw createPromoError(PROMO_ERROR_CODES.NOT_STARTED, 'This promo code is not valid yet', { validFrom: promo.validFrom });
+  }
+  if (promo.validUntil && promo.validUntil < at) {
+    throw createPromoError(PROMO_ERROR_CODES.EXPIRED, 'This promo code has expired', { validUntil: promo.validUntil });
+  }
+  if (promo.usageLimit !== null && promo.usedCount >= promo.usageLimit) {
+    throw createPromoError(PROMO_ERROR_CODES.USAGE_LIMIT_REACHED, 'This promo code has been fully redeemed');
+  }
+
+  const vehicleType = normalizeVehicleType(rideType);
+  const service = String(serviceType).toLowerCase();
+  if ((promo.vehicleTypes.length && !promo.vehicleTypes.includes(vehicleType)) ||
+    (promo.serviceTypes.length && !promo.serviceTypes.includes(service))) {
+    throw createPromoError(PROMO_ERROR_CODES.NOT_APPLICABLE, 'This promo code does not apply to this ride', {
+      vehicleTypes: promo.vehicleTypes,
+      serviceTypes: promo.serviceTypes
+    });
+  }
+
+  if (fare < Math.round(promo.minFare * 100)) {
+    throw createPromoError(PROMO_ERROR_CODES.MIN_FARE_NOT_MET, `This promo code needs a fare of at least ₹${promo.minFare}`, {
+      minFare: promo.minFare
+    });
+  }
+
+  if (promo.firstRideOnly) {
+    const hasRidden = await Ride.exists({ user: userId, status: 'completed' });
+    if (hasRidden) {
+      throw createPromoError(PROMO_ERROR_CODES.FIRST_RIDE_ONLY, 'This promo code is only valid on your first ride');
+    }
+  }
+
+  const slot = await findFreeSlot(promo, userId);
+  if (!slot) {
+    throw createPromoError(PROMO_ERROR_CODES.USER_LIMIT_REACHED, 'You have already used this promo code', {
+      perUserLimit: promo.perUserLimit
+    });
+  }
+
+  return { promo, discount: promo.computeDiscount(fare), slot };
+};
+
+/**
+ * Redeem a promo on a ride that is about to be booked. Applies the
+ * discount to ride.pricing and records the redemption; the caller saves
+ * the ride (and calls reversePromoRedemption if that fails).
+ * @param {Object} params
+ * @param {string} params.code
+ * @param {*} params.userId
+ * @param {Object} params.ride - Unsaved Ride document with pricing
+ * @returns {Promise<Object>} { code, discount }
+ */
+const redeemPromo = async ({ code, userId, ride }) => {
+  const { promo, discount, slot } = await validatePromo({
+    code,
+    userId,
+    fare: ride.pricing.totalFare,
+    rideType: ride.rideType,
+    serviceType: ride.serviceType,
+    at: ride.scheduledTime || new Date()
+  });
+
+  // Take a global use atomically so the usage limit cannot be overshot
+  const claimed = await Promo.findOneAndUpdate(
+    {
+      _id: promo._id,
+      isActive: true,
+      $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }]
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  );
+  if (!claimed) {
+    throw createPromoError(PROMO_ERROR_CODES.USAGE_LIMIT_REACHED, 'This promo code has been fully redeemed');
+  }
+
+  let redemption;
+  try {
+    redemption = await PromoRedemption.create({
+      promo: promo._id,
+      code: promo.code,
+      user: userId,
+      ride: ride._id,
+      discount,
+      slot
+    });
+  } catch (error) {
+    await Promo.updateOne({ _id: promo._id, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+    if (error.code === 11000) {
+      throw createPromoError(PROMO_ERROR_CODES.USER_LIMIT_REACHED, 'You have already used this promo code', {
+        perUserLimit: promo.perUserLimit
+      });
+    }
+    throw error;
+  }
+
+  ride.pricing.discount = discount;
+  ride.pricing.finalAmount = Math.max(0, ride.pricing.totalFare - discount);
+  ride.promo = { promo: promo._id, code: promo.code, redemption: redemption._id };
+
+  return { code: promo.code, discount };
+};
+
+/**
+ * Give a ride's promo use back (idempotent)
+ * @param {Object} ride - Ride (or { _id })
+ * @param {string} [reason]
+ * @returns {Promise<boolean>} Whether a redemption was reversed
+ */
+const reversePromoRedemption = async (ride, reason = 'Ride cancelled') => {
+  const redemption = await PromoRedemption.findOneAndUpdate(
+    { ride: ride._id, status: 'redeemed' },
+    { status: 'reversed', reversedAt: new Date(), reversalReason: reason },
+    { new: true }
+  );
+  if (!redemption) return false;
+
+  await Promo.updateOne({ _id: redemption.promo, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+  console.log(`🎟️ Reversed promo ${redemption.code} for ride ${ride._id}`);
+  return true;
+};
+
+/**
+ * Redemption stats per promo
+ * @param {Array} promoIds
+ * @returns {Promise<Object>} promoId -> { redeemed, reversed, totalDiscount, uniqueUsers }
+ */
+const getRedemptionStats = async (promoIds) => {
+  const rows = await PromoRedemption.aggregate([
+    { $match: { promo: { $in: promoIds } } },
+    {
+      $group: {
+        _id: '$promo',
+        redeemed: { $sum: { $cond: [{ $eq: ['$status', 'redeemed'] }, 1, 0] } },
+        reversed: { $sum: { $cond: [{ $eq: ['$status', 'reversed'] }, 1, 0] } },
+        totalDiscount: { $sum: { $cond: [{ $eq: ['$status', 'redeemed'] }, '$discount', 0] } },
+        users: { $addToSet: '$user' }
+      }
+    }
+  ]);
+
+  return rows.reduce((stats, row) => {
+    stats[String(row._id)] = {
+      redeemed: row.redeemed,
+      reversed: row.reversed,
+      totalDiscount: row.totalDiscount,
+      totalDiscountRs: row.totalDiscount / 100,
+      uniqueUsers: row.users.length
+    };
+    return stats;
+  }, {});
+};
+
+module.exports = {
+  PROMO_ERROR_CODES,
+  validatePromo,
+  redeemPromo,
+  reversePromoRedemption,
+  getRedemptionStats,
+  isPromoError,
+  sendPromoError
+};
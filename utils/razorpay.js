@@ -97,12 +97,13 @@ const capturePayment = async (paymentId, amount) => {
   }
 };
 
-// Create refund
-const createRefund = async (paymentId, amount, notes = {}) => {
+// Create refund; a receipt lets a retry find the refund it already made
+const createRefund = async (paymentId, amount, notes = {}, receipt) => {
   try {
     const refund = await razorpay.payments.refund(paymentId, {
       amount: Math.round(amount * 100), // Convert to paise
-      notes: notes
+      notes: notes,
+      ...(receipt && { receipt })
     });
     
     return {
@@ -135,6 +136,23 @@ const getPaymentDetails = async (paymentId) => {
   }
 };
 
+// Find a refund already made for a payment with the given receipt
+const findRefundByReceipt = async (paymentId, receipt) => {
+  try {
+    const refunds = await razorpay.payments.fetchMultipleRefund(paymentId, { count: 100 });
+    return {
+      success: true,
+      refund: (refunds.items || []).find((refund) => refund.receipt === receipt) || null
+    };
+  } catch (error) {
+    console.error('Fetch refunds error:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
 // Get order details
 const getOrderDetails = async (orderId) => {
   try {
@@ -235,6 +253,7 @@ module.exports = {
   verifyPayment,
   capturePayment,
   createRefund,
+  findRefundByReceipt,
   getPaymentDetails,
   getOrderDetails,
   createCustomer,
@@ -0,0 +1,359 @@
+/**
+ * Referral rewards for IdharUdhar
+ * A signup with someone's referral code creates a Referral under the rider
+ * or driver program (by the new account's role), with the terms of that
+ * program's current campaign, or the REFERRAL_* defaults when none is
+ * running. Once the referee completes the qualifying number of rides (taken
+ * as a rider, driven as a driver) both sides get their reward in the wallet
+ * as `referral` ledger entries. Referrers are capped at a number of
+ * rewarded referrals, and referrals from the same phone or device are
+ * blocked as self-referrals. Reward amounts are in paise.
+ */
+
+const mongoose = require('mongoose');
+const Referral = require('../models/Referral');
+const ReferralCampaign = require('../models/ReferralCampaign');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { LEDGER_ACCOUNTS, creditWallet } = require('./walletLedger');
+
+// Program defaults (rupees) used when no campaign is running
+const REFERRAL_CONFIG = {
+  programs: {
+    rider: {
+      referrerReward: parseFloat(process.env.REFERRAL_RIDER_REFERRER_REWARD || '50'),
+      refereeReward: parseFloat(process.env.REFERRAL_RIDER_REFEREE_REWARD || '50'),
+      qualifyingRides: parseInt(process.env.REFERRAL_RIDER_QUALIFYING_RIDES || '1', 10),
+      minFare: 0
+    },
+    driver: {
+      referrerReward: parseFloat(process.env.REFERRAL_DRIVER_REFERRER_REWARD || '200'),
+      refereeReward: parseFloat(process.env.REFERRAL_DRIVER_REFEREE_REWARD || '100'),
+      qualifyingRides: parseInt(process.env.REFERRAL_DRIVER_QUALIFYING_RIDES || '10', 10),
+      minFare: 0
+    }
+  },
+  maxRewardsPerReferrer: parseInt(process.env.REFERRAL_MAX_REWARDS_PER_REFERRER || '20', 10)
+};
+
+const programFor = (user) => (user.role === 'Driver' ? 'driver' : 'rider');
+
+// Last 10 digits, so +91 and 0 prefixes still match
+const normalizePhone = (phone) => String(phone || '').replace(/\D/g, '').slice(-10);
+
+/**
+ * Campaign running for a program right now, if any
+ * @param {string} program - 'rider' or 'driver'
+ * @param {Date} [now]
+ * @returns {Promise<Object|null>} ReferralCampaign document
+ */
+const getActiveCampaign = (program, now = new Date()) => ReferralCampaign.findOne({
+  program,
+  isActive: true,
+  validFrom: { $lte: now },
+  $or: [{ validUntil: null }, { validUntil: { $gt: now } }]
+}).sort({ validFrom: -1, createdAt: -1 });
+
+// Why a referral is a self-referral, or null
+const selfReferralReason = (referrer, referee) => {
+  if (String(referrer._id) === String(referee._id)) return 'self_referral_account';
+  if (normalizePhone(referrer.phone) && normalizePhone(referrer.phone) === normalizePhone(referee.phone)) {
+    return 'self_referral_phone';
+  }
+  if (referrer.deviceId && referrer.deviceId === referee.deviceId) return 'self_referral_device';
+  return null;
+};
+
+/**
+ * Record a referred signup. Self-referrals are kept, blocked, for reporting.
+ * @param {Object} params
+ * @param {Object} params.referee - Newly created User document
+ * @param {*} params.referrerId
+ * @returns {Promise<Object|null>} Referral document
+ */
+const createReferral = async ({ referee, referrerId }) => {
+  if (!referrerId) return null;
+
+  const referrer = await User.findById(referrerId).select('phone deviceId referralCode');
+  if (!referrer) return null;
+
+  const program = programFor(referee);
+  const campaign = await getActiveCampaign(program);
+  const terms = campaign || REFERRAL_CONFIG.programs[program];
+  const blockedReason = selfReferralReason(referrer, referee);
+
+  try {
+    const referral = await Referral.create({
+      referrer: referrer._id,
+      referee: referee._id,
+      program,
+      campaign: campaign?._id || null,
+      code: referrer.referralCode,
+      qualifyingRides: terms.qualifyingRides,
+      minFare: Math.round((terms.minFare || 0) * 100),
+      status: blockedReason ? 'blocked' : 'pending',
+      blockedReason,
+      rewards: {
+        referrer: { amount: Math.round(terms.referrerReward * 100), status: blockedReason ? 'none' : 'pending' },
+        referee: { amount: Math.round(terms.refereeReward * 100), status: blockedReason ? 'none' : 'pending' }
+      }
+    });
+
+    if (blockedReason) {
+      console.log(`🚫 Referral of ${referee._id} by ${referrer._id} blocked: ${blockedReason}`);
+    }
+    return referral;
+  } catch (error) {
+    // Already referred
+    if (error.code === 11000) return Referral.findOne({ referee: referee._id });
+    throw error;
+  }
+};
+
+const notifyReward = async (io, userId, referral, { title, message }) => {
+  await new Notification({
+    user: userId,
+    title,
+    message,
+    type: 'promotion',
+    data: { metadata: { referralId: referral._id } }
+  }).save();
+
+  if (io) {
+    io.to(`user_${userId}`).emit('referral-rewarded', { referralId: referral._id, message });
+  }
+};
+
+// Credit one side of a qualified referral. Keyed on the referral, so it pays once.
+const creditReward = async (referral, side, userId, description) => {
+  const reward = referral.rewards[side];
+  if (reward.status !== 'pending') return false;
+
+  if (reward.amount > 0) {
+    await creditWallet({
+      userId,
+      amount: reward.amount,
+      type: 'referral',
+      key: `referral:${referral._id}:${side}`,
+      counterAccount: LEDGER_ACCOUNTS.PROMOTIONS,
+      description
+    });
+  }
+
+  reward.status = reward.amount > 0 ? 'credited' : 'none';
+  reward.creditedAt = new Date();
+  await referral.save();
+  return reward.status === 'credited';
+};
+
+/**
+ * Pay out a qualified referral: the referee's welcome reward, and the
+ * referrer's unless they have reached their cap
+ * @param {Object} referral - Qualified Referral document
+ * @param {Object} [deps] - { io }
+ */
+const creditReferralRewards = async (referral, { io } = {}) => {
+  if (await creditReward(referral, 'referee', referral.referee, 'Referral reward for joining')) {
+    await notifyReward(io, referral.referee, referral, {
+      title: 'Referral reward',
+      message: `₹${referral.rewards.referee.amount / 100} has been added to your wallet for joining with a referral code.`
+    });
+  }
+
+  if (referral.rewards.referrer.status !== 'pending') return;
+
+  const campaign = referral.campaign ? await ReferralCampaign.findById(referral.campaign) : null;
+  const cap = campaign?.maxRewardsPerReferrer ?? REFERRAL_CONFIG.maxRewardsPerReferrer;
+  const rewarded = await Referral.countDocuments({
+    referrer: referral.referrer,
+    program: referral.program,
+    'rewards.referrer.status': 'credited'
+  });
+  if (cap !== null && rewarded >= cap) {
+    referral.rewards.referrer.status = 'capped';
+    await referral.save();
+    console.log(`🧢 Referrer ${referral.referrer} reached the cap of ${cap} rewarded ${referral.program} referrals`);
+    return;
+  }
+
+  if (await creditReward(referral, 'referrer', referral.referrer, 'Referral reward for inviting a friend')) {
+    await User.updateOne(
+      { _id: referral.referrer },
+      { $inc: { referralEarnings: referral.rewards.referrer.amount / 100 } }
+    );
+    await notifyReward(io, referral.referrer, referral, {
+      title: 'Referral reward',
+      message: `₹${referral.rewards.referrer.amount / 100} has been added to your wallet: someone you referred completed their ${referral.qualifyingRides === 1 ? 'first ride' : `${referral.qualifyingRides} rides`}.`
+    });
+  }
+};
+
+// Count a completed ride towards one referee's referral
+const countRide = async (ride, refereeId, program, { io } = {}) => {
+  if (!refereeId) return;
+
+  const fare = ride.pricing?.finalAmount || 0;
+  const referral = await Referral.findOneAndUpdate(
+    { referee: refereeId, program, status: 'pending', minFare: { $lte: fare } },
+    { $addToSet: { countedRides: ride._id } },
+    { new: true }
+  );
+  if (!referral) return;
+
+  if (referral.countedRides.length === 1 && !referral.firstRideAt) {
+    await Referral.updateOne({ _id: referral._id, firstRideAt: null }, { firstRideAt: new Date() });
+  }
+  if (referral.countedRides.length < referral.qualifyingRides) return;
+
+  // Only one completion gets to qualify it
+  const qualified = await Referral.findOneAndUpdate(
+    { _id: referral._id, status: 'pending' },
+    { status: 'qualified', qualifiedAt: new Date() },
+    { new: true }
+  );
+  if (qualified) {
+    console.log(`🎁 Referral ${qualified._id} qualified after ${qualified.countedRides.length} rides`);
+    await creditReferralRewards(qualified, { io });
+  }
+};
+
+/**
+ * Count a completed ride towards the rider's and the driver's referrals
+ * @param {Object} ride - Completed ride
+ * @param {Object} [deps] - { io }
+ */
+const recordReferralRide = async (ride, { io } = {}) => {
+  if (ride.status !== 'completed') return;
+  await countRide(ride, ride.user?._id || ride.user, 'rider', { io });
+  await countRide(ride, ride.driver?._id || ride.driver, 'driver', { io });
+};
+
+/**
+ * A user's referrals and what they have earned from them
+ * @param {*} userId
+ * @returns {Promise<Object>} { referrals, stats }
+ */
+const getUserReferrals = async (userId) => {
+  const referrals = await Referral.find({ referrer: userId })
+    .sort({ createdAt: -1 })
+    .populate('referee', 'fullName createdAt');
+
+  const stats = { totalReferrals: referrals.length, pending: 0, qualified: 0, blocked: 0, totalEarnings: 0 };
+  referrals.forEach((referral) => {
+    stats[referral.status]++;
+    if (referral.rewards.referrer.status === 'credited') stats.totalEarnings += referral.rewards.referrer.amount;
+  });
+  stats.totalEarningsRs = stats.totalEarnings / 100;
+
+  return {
+    referrals: referrals.map((referral) => ({
+      id: referral._id,
+      referee: referral.referee ? { id: referral.referee._id, fullName: referral.referee.fullName } : null,
+      program: referral.program,
+      status: referral.status,
+      ridesCompleted: Math.min(referral.countedRides.length, referral.qualifyingRides),
+      qualifyingRides: referral.qualifyingRides,
+      reward: referral.rewards.referrer.amount,
+      rewardRs: referral.rewards.referrer.amount / 100,
+      rewardStatus: referral.rewards.referrer.status,
+      createdAt: referral.createdAt,
+      qualifiedAt: referral.qualifiedAt
+    })),
+    stats
+  };
+};
+
+/**
+ * Terms a new referral would get right now, per program (rupees)
+ * @returns {Promise<Object>} { rider, driver }
+ */
+const getCurrentTerms = async () => {
+  const terms = {};
+  for (const program of ['rider', 'driver']) {
+    const campaign = await getActiveCampaign(program);
+    const source = campaign || REFERRAL_CONFIG.programs[program];
+    terms[program] = {
+      campaign: campaign ? { id: campaign._id, name: campaign.name, validUntil: campaign.validUntil } : null,
+      referrerReward: source.referrerReward,
+      refereeReward: source.refereeReward,
+      qualifyingRides: source.qualifyingRides,
+      minFare: source.minFare || 0
+    };
+  }
+  return terms;
+};
+
+const rate = (part, whole) => (whole ? Math.round((part / whole) * 10000) / 100 : 0);
+
+/**
+ * Referral funnel: signups, first rides, qualified, rewarded, and the
+ * conversion between them, per program and campaign
+ * @param {Object} [params]
+ * @param {string} [params.program]
+ * @param {*} [params.campaign] - Campaign id, or 'none' for program defaults
+ * @param {Date|string} [params.from] - Signups from
+ * @param {Date|string} [params.to] - Signups before
+ * @returns {Promise<Array>} One row per program / campaign
+ */
+const getReferralFunnel = async ({ program, campaign, from, to } = {}) => {
+  const match = {};
+  if (program) match.program = program;
+  if (campaign) match.campaign = campaign === 'none' ? null : new mongoose.Types.ObjectId(String(campaign));
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = new Date(from);
+    if (to) match.createdAt.$lt = new Date(to);
+  }
+
+  const credited = (side) => ({ $cond: [{ $eq: [`$rewards.${side}.status`, 'credited'] }, `$rewards.${side}.amount`, 0] });
+
+  const rows = await Referral.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { program: '$program', campaign: '$campaign' },
+        signups: { $sum: 1 },
+        blocked: { $sum: { $cond: [{ $eq: ['$status', 'blocked'] }, 1, 0] } },
+        firstRide: { $sum: { $cond: [{ $gt: [{ $size: '$countedRides' }, 0] }, 1, 0] } },
+        qualified: { $sum: { $cond: [{ $eq: ['$status', 'qualified'] }, 1, 0] } },
+        referrerCapped: { $sum: { $cond: [{ $eq: ['$rewards.referrer.status', 'capped'] }, 1, 0] } },
+        referrerRewards: { $sum: credited('referrer') },
+        refereeRewards: { $sum: credited('referee') }
+      }
+    },
+    { $lookup: { from: 'referralcampaigns', localField: '_id.campaign', foreignField: '_id', as: 'campaign' } },
+    { $sort: { '_id.program': 1, signups: -1 } }
+  ]);
+
+  return rows.map((row) => {
+    const eligible = row.signups - row.blocked;
+    return {
+      program: row._id.program,
+      campaign: row.campaign[0] ? { id: row.campaign[0]._id, name: row.campaign[0].name } : null,
+      signups: row.signups,
+      blocked: row.blocked,
+      firstRide: row.firstRide,
+      qualified: row.qualified,
+      referrerCapped: row.referrerCapped,
+      conversion: {
+        firstRidePercent: rate(row.firstRide, eligible),
+        qualifiedPercent: rate(row.qualified, eligible),
+        firstRideToQualifiedPercent: rate(row.qualified, row.firstRide)
+      },
+      rewardsPaid: row.referrerRewards + row.refereeRewards,
+      rewardsPaidRs: (row.referrerRewards + row.refereeRewards) / 100,
+      referrerRewardsRs: row.referrerRewards / 100,
+      refereeRewardsRs: row.refereeRewards / 100
+    };
+  });
+};
+
+module.exports = {
+  REFERRAL_CONFIG,
+  getActiveCampaign,
+  createReferral,
+  recordReferralRide,
+  getUserReferrals,
+  getCurrentTerms,
+  getReferralFunnel
+};
@@ -0,0 +1,317 @@
+/**
+ * Ride refunds for IdharUdhar
+ * Returns the money for a prepaid ride that will not happen, either through
+ * Razorpay (gateway payments) or back to the rider's wallet. Each refund is
+ * a Payment of type `refund` linked to the original through
+ * `refund.originalPaymentId`; failed refunds are retried with backoff and
+ * flagged to admins once the attempts run out.
+ */
+
+const cron = require('node-cron');
+const Payment = require('../models/Payment');
+const Ride = require('../models/Ride');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { createRefund, findRefundByReceipt } = require('./razorpay');
+const { LEDGER_ACCOUNTS, toPaise, creditWallet } = require('./walletLedger');
+
+const REFUND_CONFIG = {
+  maxAttempts: parseInt(process.env.REFUND_MAX_ATTEMPTS || '5', 10),
+  retryBaseMinutes: parseInt(process.env.REFUND_RETRY_BASE_MINUTES || '5', 10),
+  // An attempt still 'processing' after this long died mid-way and is retried
+  staleMinutes: parseInt(process.env.REFUND_STALE_MINUTES || '15', 10),
+  cronExpression: process.env.REFUND_RETRY_CRON || '*/5 * * * *'
+};
+
+const MINUTE = 60 * 1000;
+
+// Exponential backoff: 5, 10, 20, 40... minutes after each failed attempt
+const nextAttemptAt = (attempts, now = new Date()) =>
+  new Date(now.getTime() + REFUND_CONFIG.retryBaseMinutes * Math.pow(2, Math.max(0, attempts - 1)) * MINUTE);
+
+// A refund whose attempt was claimed but never finished (the process died)
+const staleProcessingFilter = (now) => ({
+  status: 'processing',
+  'retry.lastAttemptAt': { $lt: new Date(now.getTime() - REFUND_CONFIG.staleMinutes * MINUTE) }
+});
+
+const notifyRider = async (io, refund, { title, message, event }) => {
+  await new Notification({
+    user: refund.user,
+    title,
+    message,
+    type: 'payment',
+    data: { rideId: refund.ride, paymentId: refund._id }
+  }).save();
+
+  if (io) {
+    io.to(`user_${refund.user}`).emit(event, {
+      rideId: refund.ride,
+      paymentId: refund._id,
+      amount: refund.amount,
+      status: refund.status,
+      message
+    });
+  }
+};
+
+// Tell every admin about a refund that needs a human
+const notifyAdmins = async (refund) => {
+  const admins = await User.find({ role: 'Admin', isActive: true }).select('_id');
+  if (!admins.length) return;
+
+  await Notification.insertMany(admins.map((admin) => ({
+    user: admin._id,
+    title: 'Refund needs attention',
+    message: `Refund of ₹${refund.amount} for ride ${refund.ride} failed ${refund.retry.attempts} times: ${refund.error?.message || 'unknown error'}`,
+    type: 'payment',
+    priority: 'urgent',
+    data: { rideId: refund.ride, paymentId: refund._id }
+  })));
+};
+
+/**
+ * Record a failed refund attempt and schedule the next one (or give up)
+ * @param {Object} refund - Refund Payment document
+ * @param {Object} error - { code, message }
+ * @param {Object} [deps] - { io }
+ */
+const markRefundFailed = async (refund, error, { io } = {}) => {
+  const attempts = refund.retry?.attempts || 0;
+  const exhausted = attempts >= REFUND_CONFIG.maxAttempts;
+
+  refund.status = 'failed';
+  refund.failedAt = new Date();
+  refund.error = {
+    code: error.code || 'REFUND_FAILED',
+    message: error.message || 'Refund failed',
+    details: error.details || {}
+  };
+  refund.retry.nextAttemptAt = exhausted ? null : nextAttemptAt(attempts);
+  refund.retry.exhausted = exhausted;
+  await refund.save();
+
+  console.error(`❌ Refund ${refund._id} attempt ${attempts} failed:`, refund.error.message);
+
+  if (exhausted) {
+    await notifyAdmins(refund);
+    await notifyRider(io, refund, {
+      title: 'Refund delayed',
+      message: `We could not refund ₹${refund.amount} yet. Our team has been notified and will sort it out.`,
+      event: 'ride-refund-delayed'
+    });
+  }
+};
+
+/**
+ * Make one attempt at a refund payment. Only one attempt runs at a time;
+ * an attempt left 'processing' past `staleMinutes` can be claimed again.
+ * Gateway refunds carry the refund payment id as their receipt, so a retry
+ * picks up a refund Razorpay already made instead of refunding twice.
+ * @param {Object} refund - Refund Payment document
+ * @param {Object} [deps] - { io }
+ * @returns {Promise<Object>} { refunded, amount?, refundId?, pending?, error? }
+ */
+const attemptRefund = async (refund, { io } = {}) => {
+  const now = new Date();
+  const claimed = await Payment.findOneAndUpdate(
+    {
+      _id: refund._id,
+      $or: [{ status: { $in: ['pending', 'failed'] } }, staleProcessingFilter(now)]
+    },
+    {
+      status: 'processing',
+      'retry.lastAttemptAt': now,
+      'retry.nextAttemptAt': null,
+      $inc: { 'retry.attempts': 1 }
+    },
+    { new: true }
+  );
+  if (!claimed) {
+    const current = await Payment.findById(refund._id);
+    return current?.status === 'completed'
+      ? { refunded: true, amount: current.amount, refundId: current.refund?.refundId }
+      : { refunded: false, pending: true };
+  }
+
+  const original = await Payment.findById(claimed.refund.originalPaymentId);
+  const reason = claimed.refund.reason;
+  let refundId = null;
+
+  try {
+    if (original.razorpay?.paymentId) {
+      const receipt = String(claimed._id);
+      let result = { success: true, refund: null };
+      if (claimed.retry.attempts > 1) {
+        result = await findRefundByReceipt(original.razorpay.paymentId, receipt);
+      }
+      if (result.success && !result.refund) {
+        result = await createRefund(original.razorpay.paymentId, claimed.amount, {
+          reason,
+          rideId: String(claimed.ride),
+          refundPaymentId: receipt
+        }, receipt);
+      }
+      if (!result.success) {
+        const error = new Error(result.error);
+        error.code = 'GATEWAY_REFUND_FAILED';
+        throw error;
+      }
+      refundId = result.refund.id;
+    } else if (original.method === 'wallet') {
+      await creditWallet({
+        userId: claimed.user,
+        amount: toPaise(claimed.amount),
+        type: 'refund',
+        key: `ride_refund:${original._id}`,
+        counterAccount: LEDGER_ACCOUNTS.REFUNDS,
+        description: `Refund for ride ${claimed.ride}`,
+        payment: claimed._id,
+        ride: claimed.ride
+      });
+    }
+  } catch (error) {
+    await markRefundFailed(claimed, { code: error.code, message: error.message }, { io });
+    return { refunded: false, error: error.message };
+  }
+
+  claimed.refund.refundId = refundId;
+  claimed.retry.exhausted = false;
+  await claimed.markCompleted();
+
+  await original.processRefund(claimed.amount, reason);
+  if (refundId) {
+    original.refund.refundId = refundId;
+    await original.save();
+  }
+
+  await Ride.updateOne({ _id: claimed.ride }, { 'payment.status': 'refunded' });
+
+  await notifyRider(io, claimed, {
+    title: 'Refund processed',
+    message: refundId
+      ? `₹${claimed.amount} has been refunded to your original payment method.`
+      : `₹${claimed.amount} has been refunded to your wallet.`,
+    event: 'ride-refunded'
+  });
+
+  console.log(`💸 Refunded ₹${claimed.amount} for ride ${claimed.ride}`);
+  return { refunded: true, amount: claimed.amount, refundId };
+};
+
+/**
+ * Refund the completed payment for a ride, if there is one. Creates the
+ * refund payment once and attempts it; failures are retried by the job.
+ * @param {Object} ride - Ride document
+ * @param {string} reason - Reason stored on the payment and sent to Razorpay
+ * @param {Object} [options]
+ * @param {number} [options.amount] - Amount to refund in paise (defaults to the whole payment)
+ * @param {Object} [options.io] - Socket.IO server for rider updates
+ * @returns {Promise<Object>} { refunded, amount?, refundId?, pending?, reason?, error? }
+ */
+const refundRidePayment = async (ride, reason, { amount, io } = {}) => {
+  const original = await Payment.findOne({ ride: ride._id, type: 'ride', status: 'completed' });
+  if (!original) {
+    return { refunded: false, reason: 'no_completed_payment' };
+  }
+  if (!original.razorpay?.paymentId && original.method !== 'wallet') {
+    return { refunded: false, reason: 'unsupported_method' };
+  }
+
+  const refundAmount = amount === undefined
+    ? original.amount
+    : Math.min(original.amount, amount / 100);
+  if (refundAmount <= 0) {
+    return { refunded: false, reason: 'nothing_to_refund' };
+  }
+
+  let refund;
+  try {
+    refund = await Payment.findOneAndUpdate(
+      { type: 'refund', 'refund.originalPaymentId': original._id },
+      {
+        $setOnInsert: {
+          user: original.user,
+          ride: ride._id,
+          type: 'refund',
+          amount: refundAmount,
+          currency: original.currency,
+          method: original.method,
+          status: 'pending',
+          description: `Refund for ride ${ride._id}`,
+          refund: {
+            originalPaymentId: original._id,
+            refundAmount,
+            reason
+          }
+        }
+      },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // A concurrent cancellation created it first
+    if (error.code !== 11000) throw error;
+    refund = await Payment.findOne({ type: 'refund', 'refund.originalPaymentId': original._id });
+  }
+
+  return attemptRefund(refund, { io });
+};
+
+/**
+ * Retry failed refunds that are due, and attempts that went stale
+ * @param {Object} [deps] - { io }
+ * @param {Date} [now]
+ * @returns {Promise<number>} Refunds attempted
+ */
+const retryFailedRefunds = async (deps = {}, now = new Date()) => {
+  const due = await Payment.find({
+    type: 'refund',
+    'retry.exhausted': { $ne: true },
+    $or: [
+      { status: 'failed', 'retry.nextAttemptAt': { $lte: now } },
+      staleProcessingFilter(now)
+    ]
+  }).limit(50);
+
+  for (const refund of due) {
+    try {
+      await attemptRefund(refund, deps);
+    } catch (error) {
+      console.error(`❌ Refund retry ${refund._id} error:`, error.message);
+    }
+  }
+  return due.length;
+};
+
+/**
+ * Start the refund retry job
+ * @param {Object} deps - { io }
+ * @returns {Object} node-cron task
+ */
+const startRefundRetries = (deps = {}) => {
+  let running = false;
+
+  const task = cron.schedule(REFUND_CONFIG.cronExpression, async () => {
+    if (running) return;
+    running = true;
+    try {
+      await retryFailedRefunds(deps);
+    } catch (error) {
+      console.error('❌ Refund retry job error:', error.message);
+    } finally {
+      running = false;
+    }
+  });
+
+  console.log('💸 Refund retries scheduled');
+  return task;
+};
+
+module.exports = {
+  REFUND_CONFIG,
+  refundRidePayment,
+  attemptRefund,
+  markRefundFailed,
+  retryFailedRefunds,
+  startRefundRetries
+};
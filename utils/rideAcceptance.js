@@ -0,0 +1,234 @@
+/**
+ * Atomic ride acceptance for IdharUdhar
+ * A driver (or sub-driver) first claims their own "active ride" slot, then
+ * the ride is assigned with a single conditional update that only matches
+ * while it is still unassigned. Losing drivers get a deterministic
+ * "already taken" error and a socket event. The winner's ride gets its
+ * handover OTP (see utils/handoverOtp.js).
+ */
+
+const mongoose = require('mongoose');
+const Ride = require('../models/Ride');
+const User = require('../models/User');
+const { buildAtomicTransition } = require('./rideStateMachine');
+const { ACTIVE_RIDE_STATUSES, offerFilterFor, isOfferedTo } = require('./dispatch');
+const { subDriverRoom } = require('./subDrivers');
+const { issueHandoverOtp } = require('./handoverOtp');
+
+const ACCEPTANCE_ERROR_CODES = {
+  RIDE_NOT_FOUND: 'RIDE_NOT_FOUND',
+  ALREADY_TAKEN: 'RIDE_ALREADY_TAKEN',
+  NOT_AVAILABLE: 'RIDE_NOT_AVAILABLE',
+  NOT_OFFERED: 'RIDE_NOT_OFFERED',
+  DRIVER_BUSY: 'DRIVER_HAS_ACTIVE_RIDE',
+  DRIVER_NOT_FOUND: 'DRIVER_NOT_FOUND'
+};
+
+const NOT_FOUND_CODES = [ACCEPTANCE_ERROR_CODES.RIDE_NOT_FOUND, ACCEPTANCE_ERROR_CODES.DRIVER_NOT_FOUND];
+
+const createAcceptanceError = (code, message, details = {}) => {
+  const error = new Error(message);
+  error.name = 'RideAcceptanceError';
+  error.code = code;
+  error.statusCode = NOT_FOUND_CODES.includes(code) ? 404 : 409;
+  error.details = details;
+  return error;
+};
+
+const isAcceptanceError = (error) => !!error && error.name === 'RideAcceptanceError';
+
+// Send the standard error response for a rejected acceptance
+const sendAcceptanceError = (res, error) => {
+  return res.status(error.statusCode).json({
+    status: 'error',
+    code: error.code,
+    message: error.message,
+    details: error.details
+  });
+};
+
+const toObjectId = (id) => (id ? new mongoose.Types.ObjectId(String(id)) : null);
+
+// Filter matching the driver (or sub-driver entry) whose slot holds `activeRide`
+const slotFilter = (driverId, subDriverId, activeRide) => {
+  if (subDriverId) {
+    return {
+      _id: driverId,
+      subDrivers: { $elemMatch: { _id: subDriverId, activeRide } }
+    };
+  }
+  return { _id: driverId, 'driverInfo.activeRide': activeRide };
+};
+
+const slotPath = (subDriverId) => (subDriverId ? 'subDrivers.$.activeRide' : 'driverInfo.activeRide');
+
+const getHeldRide = async (driverId, subDriverId) => {
+  const driver = await User.findById(driverId).select('driverInfo.activeRide subDrivers');
+  if (!driver) return null;
+  if (subDriverId) {
+    const entry = (driver.subDrivers || []).find((sd) => String(sd._id) === String(subDriverId));
+    return entry?.activeRide || null;
+  }
+  return driver.driverInfo?.activeRide || null;
+};
+
+/**
+ * Claim the driver's active-ride slot for a ride. Slots pointing at rides
+ * that are no longer active are reclaimed.
+ * @returns {Promise<{ claimed: boolean, activeRideId: * }>}
+ */
+const claimDriverSlot = async (driverId, subDriverId, rideId) => {
+  const path = slotPath(subDriverId);
+
+  const free = await User.updateOne(slotFilter(driverId, subDriverId, null), { $set: { [path]: rideId } });
+  if (free.modifiedCount === 1) return { claimed: true, activeRideId: rideId };
+
+  const heldRideId = await getHeldRide(driverId, subDriverId);
+  if (!heldRideId) {
+    // Driver / sub-driver entry not found (a busy slot always holds a ride id)
+    return { claimed: false, activeRideId: null };
+  }
+  if (String(heldRideId) === String(rideId)) return { claimed: true, activeRideId: rideId };
+
+  const stillActive = await Ride.exists({ _id: heldRideId, status: { $in: ACTIVE_RIDE_STATUSES } });
+  if (stillActive) return { claimed: false, activeRideId: heldRideId };
+
+  const stale = await User.updateOne(slotFilter(driverId, subDriverId, heldRideId), { $set: { [path]: rideId } });
+  return stale.modifiedCount === 1
+    ? { claimed: true, activeRideId: rideId }
+    : { claimed: false, activeRideId: await getHeldRide(driverId, subDriverId) };
+};
+
+/**
+ * Free the active-ride slot held for a ride (no-op if the slot moved on)
+ * @param {Object} ride - Ride with driver / subDriver
+ */
+const releaseDriver = (ride) => {
+  if (!ride?.driver) return Promise.resolve();
+  const driverId = ride.driver._id || ride.driver;
+  return User.updateOne(
+    slotFilter(driverId, ride.subDriver, ride._id),
+    { $set: { [slotPath(ride.subDriver)]: null } }
+  );
+};
+
+/**
+ * Accept a ride for a driver as one conditional update
+ * @param {Object} params
+ * @param {*} params.rideId - Ride id
+ * @param {*} params.driverId - Main driver user id
+ * @param {*} [params.subDriverId] - Sub-driver entry id when a sub-driver accepts
+ * @param {Array|Object} [params.location] - Driver location for the status history
+ * @param {Object} [params.io] - Socket.IO server, used to notify the losing driver
+ * @param {Object} [params.dispatcher] - Dispatch engine, told about the acceptance
+ * @returns {Promise<Object>} The accepted ride document
+ */
+const acceptRide = async ({ rideId, driverId, subDriverId = null, location, io, dispatcher }) => {
+  if (!mongoose.Types.ObjectId.isValid(String(rideId))) {
+    throw createAcceptanceError(ACCEPTANCE_ERROR_CODES.RIDE_NOT_FOUND, 'Ride not found');
+  }
+  const driverObjectId = toObjectId(driverId);
+  const subDriverObjectId = toObjectId(subDriverId);
+
+  const notifyLoser = (error) => {
+    if (io) {
+      const room = subDriverObjectId ? subDriverRoom(subDriverObjectId) : `user_${driverObjectId}`;
+      io.to(room).emit('ride-already-taken', {
+        rideId,
+        code: error.code,
+        message: error.message
+      });
+    }
+    return error;
+  };
+
+  const slot = await claimDriverSlot(driverObjectId, subDriverObjectId, toObjectId(rideId));
+  if (!slot.claimed && !slot.activeRideId) {
+    throw createAcceptanceError(ACCEPTANCE_ERROR_CODES.DRIVER_NOT_FOUND, 'Driver not found');
+  }
+  if (!slot.claimed) {
+    throw notifyLoser(createAcceptanceError(
+      ACCEPTANCE_ERROR_CODES.DRIVER_BUSY,
+      'You already have an active ride',
+      { activeRideId: slot.activeRideId }
+    ));
+  }
+
+  const transition = buildAtomicTransition(
+    'accepted',
+    {
+      actor: subDriverObjectId ? 'sub-driver' : 'driver',
+      actorId: subDriverObjectId || driverObjectId,
+      location
+    },
+    {
+      driver: driverObjectId,
+      subDriver: subDriverObjectId
+    }
+  );
+
+  const ride = await Ride.findOneAndUpdate(
+    {
+      _id: rideId,
+      ...transition.filter,
+      driver: null,
+      $and: [offerFilterFor(driverObjectId)]
+    },
+    transition.update,
+    { new: true }
+  );
+
+  if (!ride) {
+    await releaseDriver({ _id: toObjectId(rideId), driver: driverObjectId, subDriver: subDriverObjectId });
+
+    const existing = await Ride.findById(rideId).select('status driver dispatch');
+    if (!existing) {
+      throw createAcceptanceError(ACCEPTANCE_ERROR_CODES.RIDE_NOT_FOUND, 'Ride not found');
+    }
+    if (existing.driver) {
+      throw notifyLoser(createAcceptanceError(
+        ACCEPTANCE_ERROR_CODES.ALREADY_TAKEN,
+        'Ride already accepted by another driver',
+        { status: existing.status }
+      ));
+    }
+    if (!isOfferedTo(existing, driverObjectId) && existing.status === 'searching') {
+      throw notifyLoser(createAcceptanceError(
+        ACCEPTANCE_ERROR_CODES.NOT_OFFERED,
+        'This ride is not currently offered to you'
+      ));
+    }
+    throw notifyLoser(createAcceptanceError(
+      ACCEPTANCE_ERROR_CODES.NOT_AVAILABLE,
+      'Ride is no longer available',
+      { status: existing.status }
+    ));
+  }
+
+  if (dispatcher) {
+    await dispatcher.handleAccepted(ride._id, driverObjectId);
+  }
+
+  if (io) {
+    io.to('drivers').emit('ride-taken', { rideId: ride._id, takenBy: driverObjectId });
+  }
+
+  // Only the rider (and a delivery's recipient) is told the OTP. The ride
+  // still needs one if this fails: verifying it then sends a new code.
+  try {
+    await issueHandoverOtp(ride, { io });
+  } catch (error) {
+    console.error(`❌ Could not issue OTP for ride ${ride._id}:`, error.message);
+  }
+
+  return ride;
+};
+
+module.exports = {
+  ACTIVE_RIDE_STATUSES,
+  ACCEPTANCE_ERROR_CODES,
+  acceptRide,
+  releaseDriver,
+  isAcceptanceError,
+  sendAcceptanceError
+};
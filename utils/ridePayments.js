@@ -0,0 +1,486 @@
+/**
+ * Ride payment collection for IdharUdhar
+ * Collects the fare once a ride completes, by payment method: wallet rides
+ * are debited straight away, card and UPI rides get a Razorpay order for
+ * the app to pay (completed by /api/payment/verify or the webhook), and
+ * cash rides wait for the driver to confirm they were paid. Cancellation
+ * fees on rides that were not paid up front are collected the same way.
+ * Whatever the rider has not paid is tracked on `ride.payment.amountDue` as
+ * outstanding dues, and new bookings are refused until the dues are cleared.
+ * Amounts are in paise.
+ */
+
+const Payment = require('../models/Payment');
+const Ride = require('../models/Ride');
+const Notification = require('../models/Notification');
+const { createOrder } = require('./razorpay');
+const { LEDGER_ACCOUNTS, debitWallet, isWalletError } = require('./walletLedger');
+
+// Methods the rider can clear a due with
+const PAYABLE_METHODS = ['wallet', 'upi', 'card'];
+
+// Ride payment states that still leave the rider owing
+const UNPAID_STATUSES = ['pending', 'failed'];
+
+// Rides that can carry a due: unpaid fares and unpaid cancellation fees
+const DUE_RIDE_STATUSES = ['completed', 'cancelled'];
+
+const RIDE_PAYMENT_ERROR_CODES = {
+  OUTSTANDING_DUES: 'OUTSTANDING_DUES',
+  NOTHING_DUE: 'RIDE_PAYMENT_NOTHING_DUE',
+  INVALID_METHOD: 'RIDE_PAYMENT_INVALID_METHOD',
+  INVALID_STATUS: 'RIDE_PAYMENT_INVALID_STATUS',
+  ORDER_FAILED: 'RIDE_PAYMENT_ORDER_FAILED'
+};
+
+const createRidePaymentError = (code, message, details = {}) => {
+  const error = new Error(message);
+  error.name = 'RidePaymentError';
+  error.code = code;
+  error.statusCode = code === RIDE_PAYMENT_ERROR_CODES.OUTSTANDING_DUES ? 402
+    : code === RIDE_PAYMENT_ERROR_CODES.ORDER_FAILED ? 502
+    : [RIDE_PAYMENT_ERROR_CODES.NOTHING_DUE, RIDE_PAYMENT_ERROR_CODES.INVALID_STATUS].includes(code) ? 409 : 400;
+  error.details = details;
+  return error;
+};
+
+const isRidePaymentError = (error) => !!error && error.name === 'RidePaymentError';
+
+// Send the standard error response for a rejected ride payment action
+const sendRidePaymentError = (res, error) => {
+  return res.status(error.statusCode).json({
+    status: 'error',
+    code: error.code,
+    message: error.message,
+    details: error.details
+  });
+};
+
+// What the rider pays for a completed ride
+const riderAmountOf = (ride) => {
+  if (ride.settlement?.riderPaid !== undefined && ride.settlement.riderPaid !== null) {
+    return ride.settlement.riderPaid;
+  }
+  return ride.pricing?.finalAmount || 0;
+};
+
+const notifyRider = async (io, ride, { title, message, event, payload = {} }) => {
+  const userId = ride.user?._id || ride.user;
+
+  await new Notification({
+    user: userId,
+    title,
+    message,
+    type: 'payment',
+    data: { rideId: ride._id, paymentId: payload.paymentId }
+  }).save();
+
+  if (io) {
+    io.to(`user_${userId}`).emit(event, {
+      rideId: ride._id,
+      amountDue: ride.payment.amountDue,
+      amountDueRs: ride.payment.amountDue / 100,
+      method: ride.payment.method,
+      message,
+      ...payload
+    });
+  }
+};
+
+// Record that the rider owes the whole fare (or cancellation fee)
+const markRideDue = async (ride, amount) => {
+  ride.payment.amountDue = amount;
+  ride.payment.dueSince = ride.payment.dueSince || new Date();
+  await Ride.updateOne(
+    { _id: ride._id },
+    { 'payment.amountDue': amount, 'payment.dueSince': ride.payment.dueSince }
+  );
+};
+
+/**
+ * Mark a ride paid and put its settlement's fees on the payment
+ * @param {Object} ride - Ride document
+ * @param {Object|null} payment - The completed ride Payment, if there is one
+ */
+const markRidePaid = async (ride, payment) => {
+  ride.payment.status = 'completed';
+  ride.payment.amountDue = 0;
+  ride.payment.paidAt = new Date();
+  await Ride.updateOne(
+    { _id: ride._id },
+    { 'payment.status': 'completed', 'payment.amountDue': 0, 'payment.paidAt': ride.payment.paidAt }
+  );
+
+  if (payment && ride.settlement?.settledAt) {
+    await payment.calculateFees(ride.settlement).save();
+  }
+};
+
+/**
+ * Pay a ride from the rider's wallet. Keyed on the ride, so a retry never
+ * debits twice.
+ * @param {Object} ride - Completed ride document
+ * @returns {Promise<Object>} Completed Payment
+ * @throws WalletError when the balance is too low
+ */
+const payRideFromWallet = async (ride) => {
+  const userId = ride.user?._id || ride.user;
+  const amount = ride.payment.amountDue || riderAmountOf(ride);
+
+  const { entry, balance, duplicate } = await debitWallet({
+    userId,
+    amount,
+    type: 'ride_payment',
+    key: `ride_payment:${ride._id}`,
+    counterAccount: LEDGER_ACCOUNTS.RIDES,
+    description: `Payment for ride ${ride._id}`,
+    ride: ride._id
+  });
+
+  let payment = duplicate
+    ? await Payment.findOne({ ride: ride._id, type: 'ride', method: 'wallet', status: 'completed' })
+    : null;
+  if (!payment) {
+    payment = new Payment({
+      user: userId,
+      ride: ride._id,
+      type: 'ride',
+      amount: entry.amount / 100,
+      method: 'wallet',
+      status: 'completed',
+      completedAt: new Date(),
+      description: `Payment for ride ${ride._id}`,
+      wallet: {
+        previousBalance: (balance + entry.amount) / 100,
+        newBalance: balance / 100,
+        transactionType: 'debit'
+      }
+    });
+    await payment.save();
+  }
+
+  await markRidePaid(ride, payment);
+  return payment;
+};
+
+/**
+ * Razorpay order for what the rider owes on a ride. An order still awaiting
+ * payment is reused rather than creating another.
+ * @param {Object} ride - Completed ride document with amountDue set
+ * @param {string} [method] - 'upi' or 'card' (defaults to the ride's method)
+ * @returns {Promise<Object>} { paymentId, order: { id, amount, currency, receipt } }
+ */
+const createRidePaymentOrder = async (ride, method = ride.payment.method) => {
+  const userId = ride.user?._id || ride.user;
+  const amount = ride.payment.amountDue;
+
+  const open = await Payment.findOne({
+    ride: ride._id,
+    type: 'ride',
+    status: 'pending',
+    'razorpay.orderId': { $exists: true }
+  });
+  if (open && open.method === method && Math.round(open.amount * 100) === amount) {
+    return {
+      paymentId: open._id,
+      order: { id: open.razorpay.orderId, amount, currency: open.currency, receipt: open.razorpay.receipt }
+    };
+  }
+  if (open) {
+    open.status = 'cancelled';
+    await open.save();
+  }
+
+  const orderResult = await createOrder(amount / 100, 'INR', `ride_${ride._id}`, {
+    userId: String(userId),
+    rideId: String(ride._id),
+    method
+  });
+  if (!orderResult.success) {
+    throw createRidePaymentError(RIDE_PAYMENT_ERROR_CODES.ORDER_FAILED, 'Failed to create payment order', {
+      error: orderResult.error
+    });
+  }
+
+  const payment = new Payment({
+    user: userId,
+    ride: ride._id,
+    type: 'ride',
+    amount: amount / 100,
+    method,
+    status: 'pending',
+    description: `Payment for ride ${ride._id}`,
+    razorpay: {
+      orderId: orderResult.order.id,
+      receipt: orderResult.order.receipt,
+      notes: orderResult.order.notes
+    }
+  });
+  await payment.save();
+
+  ride.payment.razorpayOrderId = orderResult.order.id;
+  await Ride.updateOne({ _id: ride._id }, { 'payment.razorpayOrderId': orderResult.order.id });
+
+  return {
+    paymentId: payment._id,
+    order: {
+      id: orderResult.order.id,
+      amount: orderResult.order.amount,
+      currency: orderResult.order.currency,
+      receipt: orderResult.order.receipt
+    }
+  };
+};
+
+/**
+ * Collect the fare for a ride that has just completed (after
+ * recordSettlement). Never throws: anything it cannot collect is left as an
+ * outstanding due the rider clears with POST /api/ride/:rideId/pay.
+ * @param {Object} ride - Saved, settled ride document
+ * @param {Object} [deps] - { io }
+ * @returns {Promise<Object>} { status: 'paid'|'awaiting_cash'|'due', amountDue, paymentId?, order? }
+ */
+const collectRidePayment = async (ride, { io } = {}) => {
+  const amount = riderAmountOf(ride);
+  const method = ride.payment?.method || 'cash';
+
+  try {
+    // Paid up front, or nothing to pay (a fully discounted ride)
+    const prepaid = await Payment.findOne({ ride: ride._id, type: 'ride', status: 'completed' });
+    if (prepaid || amount <= 0) {
+      if (ride.payment.status !== 'completed') await markRidePaid(ride, prepaid);
+      return { status: 'paid', amountDue: 0, paymentId: prepaid?._id };
+    }
+
+    if (method === 'cash') {
+      return { status: 'awaiting_cash', amountDue: 0 };
+    }
+
+    await markRideDue(ride, amount);
+
+    if (method === 'wallet' || method === 'credits') {
+      try {
+        const payment = await payRideFromWallet(ride);
+        console.log(`💳 Ride ${ride._id} paid from wallet: ₹${amount / 100}`);
+        return { status: 'paid', amountDue: 0, paymentId: payment._id };
+      } catch (error) {
+        if (!isWalletError(error)) throw error;
+        await notifyRider(io, ride, {
+          title: 'Payment due',
+          message: `Your wallet balance was not enough for your ride. Please pay ₹${amount / 100} to keep booking.`,
+          event: 'payment-required',
+          payload: { reason: error.code }
+        });
+        return { status: 'due', amountDue: amount, reason: error.code };
+      }
+    }
+
+    const { paymentId, order } = await createRidePaymentOrder(ride, method);
+    await notifyRider(io, ride, {
+      title: 'Payment due',
+      message: `Please pay ₹${amount / 100} for your ride.`,
+      event: 'payment-required',
+      payload: { paymentId, order }
+    });
+    return { status: 'due', amountDue: amount, paymentId, order };
+  } catch (error) {
+    console.error(`❌ Collecting payment for ride ${ride._id} failed:`, error.message);
+    if (!ride.payment.amountDue && method !== 'cash') await markRideDue(ride, amount);
+    return { status: 'due', amountDue: ride.payment.amountDue, error: error.message };
+  }
+};
+
+/**
+ * Charge the rider's cancellation fee on a ride they had not paid for up
+ * front (prepaid rides keep the fee out of the refund). Wallet rides are
+ * debited straight away; otherwise, or when the wallet is short, the fee is
+ * left as an outstanding due. Never throws.
+ * @param {Object} ride - Cancelled ride document with cancellation.cancellationFee
+ * @param {Object} [deps] - { io }
+ * @returns {Promise<Object>} { status: 'paid'|'due', amountDue, paymentId? }
+ */
+const collectCancellationFee = async (ride, { io } = {}) => {
+  const fee = ride.cancellation?.cancellationFee || 0;
+  const method = ride.payment?.method || 'cash';
+  if (fee <= 0) return { status: 'paid', amountDue: 0 };
+
+  try {
+    await markRideDue(ride, fee);
+
+    if (method === 'wallet' || method === 'credits') {
+      try {
+        const payment = await payRideFromWallet(ride);
+        console.log(`💳 Cancellation fee for ride ${ride._id} paid from wallet: ₹${fee / 100}`);
+        return { status: 'paid', amountDue: 0, paymentId: payment._id };
+      } catch (error) {
+        if (!isWalletError(error)) throw error;
+      }
+    }
+
+    await notifyRider(io, ride, {
+      title: 'Cancellation fee due',
+      message: `Please pay the ₹${fee / 100} cancellation fee for your ride to keep booking.`,
+      event: 'payment-required'
+    });
+    return { status: 'due', amountDue: fee };
+  } catch (error) {
+    console.error(`❌ Collecting the cancellation fee for ride ${ride._id} failed:`, error.message);
+    return { status: 'due', amountDue: ride.payment.amountDue, error: error.message };
+  }
+};
+
+/**
+ * Driver's answer on a cash ride. Collected: the ride is paid. Not
+ * collected: the driver no longer holds the fare, so the settlement is
+ * moved to the platform and the rider owes the fare as a due.
+ * @param {Object} params
+ * @param {Object} params.ride - Completed cash ride document
+ * @param {boolean} params.collected
+ * @param {*} params.driverId
+ * @param {Object} [params.io]
+ * @returns {Promise<Object>} { status, amountDue, paymentId? }
+ */
+const confirmCashCollection = async ({ ride, collected, driverId, io }) => {
+  if (ride.status !== 'completed' || ride.payment.method !== 'cash') {
+    throw createRidePaymentError(RIDE_PAYMENT_ERROR_CODES.INVALID_STATUS, 'Only completed cash rides can be confirmed', {
+      status: ride.status,
+      method: ride.payment.method
+    });
+  }
+  if (ride.payment.cashConfirmation?.confirmedAt) {
+    throw createRidePaymentError(RIDE_PAYMENT_ERROR_CODES.INVALID_STATUS, 'Cash collection was already confirmed', {
+      collected: ride.payment.cashConfirmation.collected
+    });
+  }
+
+  const amount = riderAmountOf(ride);
+  ride.payment.cashConfirmation = { collected, confirmedAt: new Date(), confirmedBy: driverId };
+
+  if (collected) {
+    await ride.save();
+    const payment = new Payment({
+      user: ride.user?._id || ride.user,
+      ride: ride._id,
+      type: 'ride',
+      amount: amount / 100,
+      method: 'cash',
+      status: 'completed',
+      completedAt: new Date(),
+      description: `Cash collected for ride ${ride._id}`
+    });
+    await payment.save();
+    await markRidePaid(ride, payment);
+    return { status: 'paid', amountDue: 0, paymentId: payment._id };
+  }
+
+  if (ride.settlement?.settledAt) {
+    ride.settlement.collectedBy = 'platform';
+    ride.settlement.cashCollected = 0;
+    ride.settlement.driverOwes = 0;
+    ride.settlement.platformOwes = ride.settlement.driverNet;
+  }
+  await ride.save();
+  await markRideDue(ride, amount);
+
+  await notifyRider(io, ride, {
+    title: 'Payment due',
+    message: `Your driver did not receive cash for your ride. Please pay ₹${amount / 100} to keep booking.`,
+    event: 'payment-required'
+  });
+  return { status: 'due', amountDue: amount };
+};
+
+/**
+ * Pay an outstanding ride due from the app
+ * @param {Object} params
+ * @param {Object} params.ride - Completed ride document
+ * @param {string} params.method - 'wallet', 'upi' or 'card'
+ * @returns {Promise<Object>} { status: 'paid', paymentId } or { status: 'due', paymentId, order }
+ */
+const payRideDue = async ({ ride, method }) => {
+  if (!PAYABLE_METHODS.includes(method)) {
+    throw createRidePaymentError(RIDE_PAYMENT_ERROR_CODES.INVALID_METHOD, `Method must be one of: ${PAYABLE_METHODS.join(', ')}`, {
+      method
+    });
+  }
+  if (!DUE_RIDE_STATUSES.includes(ride.status) || !(ride.payment.amountDue > 0) || !UNPAID_STATUSES.includes(ride.payment.status)) {
+    throw createRidePaymentError(RIDE_PAYMENT_ERROR_CODES.NOTHING_DUE, 'Nothing is due on this ride', {
+      status: ride.status,
+      paymentStatus: ride.payment.status
+    });
+  }
+
+  if (method === 'wallet') {
+    const payment = await payRideFromWallet(ride);
+    return { status: 'paid', amountDue: 0, paymentId: payment._id };
+  }
+
+  const { paymentId, order } = await createRidePaymentOrder(ride, method);
+  return { status: 'due', amountDue: ride.payment.amountDue, paymentId, order };
+};
+
+/**
+ * Completed rides (and cancellation fees) the rider has not paid for
+ * @param {*} userId
+ * @returns {Promise<Object>} { rides, total, totalRs }
+ */
+const getOutstandingDues = async (userId) => {
+  const rides = await Ride.find({
+    user: userId,
+    status: { $in: DUE_RIDE_STATUSES },
+    'payment.amountDue': { $gt: 0 },
+    'payment.status': { $in: UNPAID_STATUSES }
+  })
+    .select('status serviceType rideType pickup.address destination.address actualEndTime cancellation.cancelledAt payment')
+    .sort({ 'payment.dueSince': 1 });
+
+  const total = rides.reduce((sum, ride) => sum + ride.payment.amountDue, 0);
+  return {
+    rides: rides.map((ride) => ({
+      rideId: ride._id,
+      status: ride.status,
+      serviceType: ride.serviceType,
+      rideType: ride.rideType,
+      pickup: ride.pickup?.address,
+      destination: ride.destination?.address,
+      completedAt: ride.actualEndTime,
+      cancelledAt: ride.cancellation?.cancelledAt,
+      method: ride.payment.method,
+      paymentStatus: ride.payment.status,
+      amountDue: ride.payment.amountDue,
+      amountDueRs: ride.payment.amountDue / 100,
+      dueSince: ride.payment.dueSince
+    })),
+    total,
+    totalRs: total / 100
+  };
+};
+
+/**
+ * Refuse a new booking while the rider has unpaid rides
+ * @param {*} userId
+ * @throws RidePaymentError OUTSTANDING_DUES
+ */
+const assertNoOutstandingDues = async (userId) => {
+  const dues = await getOutstandingDues(userId);
+  if (dues.total > 0) {
+    throw createRidePaymentError(
+      RIDE_PAYMENT_ERROR_CODES.OUTSTANDING_DUES,
+      `Please clear your outstanding dues of ₹${dues.totalRs} before booking`,
+      dues
+    );
+  }
+};
+
+module.exports = {
+  PAYABLE_METHODS,
+  RIDE_PAYMENT_ERROR_CODES,
+  collectRidePayment,
+  collectCancellationFee,
+  confirmCashCollection,
+  payRideDue,
+  getOutstandingDues,
+  assertNoOutstandingDues,
+  isRidePaymentError,
+  sendRidePaymentError
+};
@@ -0,0 +1,215 @@
+/**
+ * Scheduled ride booking scheduler for IdharUdhar
+ * Future rides wait in the `scheduled` status. Every minute the scheduler:
+ *  - starts dispatch a configurable lead time before pickup
+ *  - retries dispatch for rides that have not found a driver yet
+ *  - sends pickup reminders to the rider (Notification + socket)
+ *  - auto-cancels and refunds rides still without a driver at the cut-off
+ */
+
+const cron = require('node-cron');
+const Ride = require('../models/Ride');
+const Notification = require('../models/Notification');
+const { refundRidePayment } = require('./refunds');
+
+const parseMinutesList = (value) =>
+  String(value)
+    .split(',')
+    .map((m) => parseInt(m, 10))
+    .filter((m) => m > 0);
+
+const SCHEDULE_CONFIG = {
+  dispatchLeadMinutes: parseInt(process.env.SCHEDULE_DISPATCH_LEAD_MINUTES || '15', 10),
+  cancelCutoffMinutes: parseInt(process.env.SCHEDULE_CANCEL_CUTOFF_MINUTES || '5', 10),
+  minAdvanceMinutes: parseInt(process.env.SCHEDULE_MIN_ADVANCE_MINUTES || '30', 10),
+  maxAdvanceDays: parseInt(process.env.SCHEDULE_MAX_ADVANCE_DAYS || '7', 10),
+  reminderMinutes: parseMinutesList(process.env.SCHEDULE_REMINDER_MINUTES || '60,15'),
+  cronExpression: '* * * * *'
+};
+
+// Statuses in which an upcoming booking is still live for the rider
+const UPCOMING_STATUSES = ['scheduled', 'searching', 'accepted', 'arrived'];
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Validate a requested pickup time and work out the scheduler fields
+ * @param {string|Date} scheduledTime - Requested pickup time
+ * @param {Date} [now]
+ * @returns {{ error: string } | { scheduledTime: Date, schedule: Object }}
+ */
+const planSchedule = (scheduledTime, now = new Date()) => {
+  const pickupAt = new Date(scheduledTime);
+  if (isNaN(pickupAt.getTime())) {
+    return { error: 'scheduledTime must be a valid date' };
+  }
+
+  const earliest = new Date(now.getTime() + SCHEDULE_CONFIG.minAdvanceMinutes * MINUTE);
+  if (pickupAt < earliest) {
+    return { error: `Rides must be scheduled at least ${SCHEDULE_CONFIG.minAdvanceMinutes} minutes in advance` };
+  }
+
+  const latest = new Date(now.getTime() + SCHEDULE_CONFIG.maxAdvanceDays * 24 * 60 * MINUTE);
+  if (pickupAt > latest) {
+    return { error: `Rides can be scheduled at most ${SCHEDULE_CONFIG.maxAdvanceDays} days in advance` };
+  }
+
+  return {
+    scheduledTime: pickupAt,
+    schedule: {
+      dispatchAt: new Date(pickupAt.getTime() - SCHEDULE_CONFIG.dispatchLeadMinutes * MINUTE),
+      cancelAt: new Date(pickupAt.getTime() - SCHEDULE_CONFIG.cancelCutoffMinutes * MINUTE),
+      remindersSent: []
+    }
+  };
+};
+
+const notifyRider = async (io, ride, { title, message, event, priority = 'medium' }) => {
+  await new Notification({
+    user: ride.user,
+    title,
+    message,
+    type: 'ride_update',
+    priority,
+    data: { rideId: ride._id }
+  }).save();
+
+  if (io) {
+    io.to(`user_${ride.user}`).emit(event, {
+      rideId: ride._id,
+      status: ride.status,
+      scheduledTime: ride.scheduledTime,
+      message
+    });
+  }
+};
+
+// Move due bookings into dispatch
+const startDueDispatches = async ({ dispatcher }, now) => {
+  const due = await Ride.find({
+    status: 'scheduled',
+    'schedule.dispatchAt': { $lte: now },
+    'schedule.cancelAt': { $gt: now }
+  }).select('_id').limit(50);
+
+  for (const ride of due) {
+    console.log(`⏰ Starting dispatch for scheduled ride ${ride._id}`);
+    await dispatcher.dispatchRide(ride._id);
+  }
+};
+
+// Bookings whose first rounds found nobody are offered again until the cut-off
+const retryHeldDispatches = async ({ dispatcher }, now) => {
+  const held = await Ride.find({
+    status: 'searching',
+    driver: null,
+    'schedule.cancelAt': { $gt: now },
+    'dispatch.currentOffer.drivers.0': { $exists: false }
+  }).select('_id').limit(50);
+
+  for (const ride of held) {
+    await dispatcher.dispatchRide(ride._id);
+  }
+};
+
+const sendReminders = async ({ io }, now) => {
+  for (const minutes of SCHEDULE_CONFIG.reminderMinutes) {
+    const rides = await Ride.find({
+      status: { $in: UPCOMING_STATUSES },
+      scheduledTime: { $gt: now, $lte: new Date(now.getTime() + minutes * MINUTE) },
+      'schedule.remindersSent': { $ne: minutes }
+    }).limit(100);
+
+    for (const ride of rides) {
+      // Claim the reminder first so overlapping ticks never send it twice
+      const claimed = await Ride.updateOne(
+        { _id: ride._id, 'schedule.remindersSent': { $ne: minutes } },
+        { $addToSet: { 'schedule.remindersSent': minutes } }
+      );
+      if (claimed.modifiedCount !== 1) continue;
+
+      const minutesLeft = Math.max(1, Math.round((ride.scheduledTime - now) / MINUTE));
+      await notifyRider(io, ride, {
+        title: 'Upcoming ride',
+        message: `Your ride from ${ride.pickup.address} is scheduled in ${minutesLeft} minutes.`,
+        event: 'ride-reminder'
+      });
+    }
+  }
+};
+
+const cancelUnassigned = async ({ io, dispatcher }, now) => {
+  const overdue = await Ride.find({
+    status: { $in: ['scheduled', 'searching'] },
+    driver: null,
+    'schedule.cancelAt': { $lte: now }
+  }).select('_id').limit(50);
+
+  for (const { _id } of overdue) {
+    const reason = 'No driver found for scheduled ride';
+    const ride = await Ride.cancelBySystem(_id, reason, ['scheduled', 'searching'], {
+      'dispatch.currentOffer.drivers': []
+    });
+    if (!ride) continue;
+
+    if (dispatcher) dispatcher.withdrawOffers(ride._id, 'cancelled');
+
+    // The rider is told about the refund separately, including retried ones
+    const refund = await refundRidePayment(ride, reason, { io });
+    console.log(`🚫 Auto-cancelled scheduled ride ${ride._id}`, refund);
+
+    await notifyRider(io, ride, {
+      title: 'Scheduled ride cancelled',
+      message: 'We could not find a driver for your scheduled ride.',
+      event: 'ride-cancelled',
+      priority: 'high'
+    });
+  }
+};
+
+/**
+ * Run one scheduler pass. Each step is isolated so one failure does not
+ * block the others.
+ * @param {Object} deps - { io, dispatcher }
+ * @param {Date} [now]
+ */
+const runSchedulerTick = async (deps, now = new Date()) => {
+  const steps = [cancelUnassigned, startDueDispatches, retryHeldDispatches, sendReminders];
+  for (const step of steps) {
+    try {
+      await step(deps, now);
+    } catch (error) {
+      console.error(`❌ Ride scheduler ${step.name} error:`, error.message);
+    }
+  }
+};
+
+/**
+ * Start the cron job that drives scheduled rides
+ * @param {Object} deps - { io, dispatcher }
+ * @returns {Object} node-cron task
+ */
+const startRideScheduler = (deps) => {
+  let running = false;
+
+  const task = cron.schedule(SCHEDULE_CONFIG.cronExpression, async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runSchedulerTick(deps);
+    } finally {
+      running = false;
+    }
+  });
+
+  console.log('⏰ Ride scheduler started');
+  return task;
+};
+
+module.exports = {
+  SCHEDULE_CONFIG,
+  UPCOMING_STATUSES,
+  planSchedule,
+  runSchedulerTick,
+  startRideScheduler
+};
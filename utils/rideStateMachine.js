@@ -0,0 +1,288 @@
+/**
+ * Ride lifecycle state machine for IdharUdhar
+ * Single source of truth for which status changes a ride may go through
+ * and who is allowed to make them. Every transition is recorded in
+ * ride.statusHistory.
+ */
+
+const mongoose = require('mongoose');
+
+const RIDE_STATUSES = ['scheduled', 'pending', 'searching', 'accepted', 'arrived', 'started', 'completed', 'cancelled'];
+
+const ACTORS = ['user', 'driver', 'sub-driver', 'system', 'admin'];
+
+// Allowed transitions: from -> { to: [actors allowed, or null for anyone] }
+const TRANSITIONS = {
+  // Future bookings wait here until the scheduler starts dispatch
+  scheduled: {
+    searching: ['system', 'admin'],
+    cancelled: null
+  },
+  pending: {
+    searching: null,
+    accepted: ['driver', 'sub-driver', 'admin', 'system'],
+    cancelled: null
+  },
+  searching: {
+    accepted: ['driver', 'sub-driver', 'admin', 'system'],
+    cancelled: null
+  },
+  accepted: {
+    arrived: ['driver', 'sub-driver', 'admin', 'system'],
+    cancelled: null
+  },
+  arrived: {
+    started: ['driver', 'sub-driver', 'admin', 'system'],
+    cancelled: null
+  },
+  started: {
+    completed: ['driver', 'sub-driver', 'admin', 'system'],
+    // Once the trip is under way only support staff or the platform can abort it
+    cancelled: ['admin', 'system']
+  },
+  completed: {},
+  cancelled: {}
+};
+
+// Timestamp fields stamped when a ride enters a status (the rider is
+// picked up when the trip starts, not when the driver accepts)
+const STATUS_TIMESTAMPS = {
+  accepted: ['acceptedAt'],
+  started: ['actualPickupTime', 'actualStartTime'],
+  completed: ['actualEndTime']
+};
+
+const ERROR_CODES = {
+  INVALID_STATUS: 'INVALID_RIDE_STATUS',
+  INVALID_TRANSITION: 'INVALID_STATUS_TRANSITION',
+  ACTOR_NOT_ALLOWED: 'TRANSITION_NOT_ALLOWED_FOR_ACTOR',
+  INVALID_ACTOR: 'INVALID_TRANSITION_ACTOR',
+  STOPS_PENDING: 'RIDE_STOPS_PENDING'
+};
+
+const createTransitionError = (code, message, details = {}, statusCode) => {
+  const error = new Error(message);
+  error.name = 'RideTransitionError';
+  error.code = code;
+  error.statusCode = statusCode || (code === ERROR_CODES.ACTOR_NOT_ALLOWED ? 403 : 409);
+  error.details = details;
+  return error;
+};
+
+const isTransitionError = (error) => !!error && error.name === 'RideTransitionError';
+
+// Send the standard error response for a rejected transition
+const sendTransitionError = (res, error) => {
+  return res.status(error.statusCode).json({
+    status: 'error',
+    code: error.code,
+    message: error.message,
+    details: error.details
+  });
+};
+
+/**
+ * Check whether a transition is allowed, optionally for a given actor
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @param {string} [actor] - Who is making the change
+ * @returns {boolean}
+ */
+const canTransition = (from, to, actor) => {
+  const targets = TRANSITIONS[from];
+  if (!targets || !Object.prototype.hasOwnProperty.call(targets, to)) return false;
+  const allowedActors = targets[to];
+  return !actor || !allowedActors || allowedActors.includes(actor);
+};
+
+/**
+ * Statuses a ride may be in for a transition to `to` to be legal.
+ * Used to build conditional (atomic) updates.
+ * @param {string} to - Target status
+ * @param {string} [actor] - Who is making the change
+ * @returns {string[]}
+ */
+const getSourceStatuses = (to, actor) => {
+  return Object.keys(TRANSITIONS).filter((from) => canTransition(from, to, actor));
+};
+
+const normalizeLocation = (location) => {
+  if (!location) return undefined;
+  if (Array.isArray(location) && location.length === 2) {
+    return location.map(Number);
+  }
+  if (Array.isArray(location.coordinates) && location.coordinates.length === 2) {
+    return location.coordinates.map(Number);
+  }
+  if (location.longitude !== undefined && location.latitude !== undefined) {
+    return [Number(location.longitude), Number(location.latitude)];
+  }
+  return undefined;
+};
+
+/**
+ * Validate a transition and build the statusHistory entry for it
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @param {Object} context - Transition context
+ * @param {string} context.actor - user | driver | sub-driver | system | admin
+ * @param {string} [context.actorId] - Id of the acting user / sub-driver entry
+ * @param {Array|Object} [context.location] - [longitude, latitude] or { latitude, longitude }
+ * @param {string} [context.reason] - Free-form note
+ * @returns {Object} statusHistory entry
+ */
+const buildTransition = (from, to, context = {}) => {
+  const { actor = 'system', actorId = null, location, reason } = context;
+
+  if (!RIDE_STATUSES.includes(to)) {
+    throw createTransitionError(ERROR_CODES.INVALID_STATUS, `Unknown ride status '${to}'`, { from, to });
+  }
+
+  if (!ACTORS.includes(actor)) {
+    throw createTransitionError(ERROR_CODES.INVALID_ACTOR, `Unknown transition actor '${actor}'`, { actor });
+  }
+
+  if (!canTransition(from, to)) {
+    throw createTransitionError(
+      ERROR_CODES.INVALID_TRANSITION,
+      `Ride cannot move from '${from}' to '${to}'`,
+      { from, to, allowed: Object.keys(TRANSITIONS[from] || {}) }
+    );
+  }
+
+  if (!canTransition(from, to, actor)) {
+    throw createTransitionError(
+      ERROR_CODES.ACTOR_NOT_ALLOWED,
+      `A ${actor} cannot move a ride from '${from}' to '${to}'`,
+      { from, to, actor }
+    );
+  }
+
+  return {
+    from,
+    to,
+    actor,
+    actorId,
+    location: normalizeLocation(location),
+    reason,
+    timestamp: new Date()
+  };
+};
+
+/**
+ * Work out whether a driver-side action is made by the main driver or one of
+ * their sub-drivers (identified by the sub-driver entry id)
+ * @param {Object} driver - Main driver user document
+ * @param {string} [subDriverId] - Sub-driver entry id, if acting as sub-driver
+ * @returns {{ actor: string, actorId: * }}
+ */
+const getDriverActor = (driver, subDriverId) => {
+  if (subDriverId) {
+    const match = (driver?.subDrivers || []).find(
+      (sd) => String(sd._id) === String(subDriverId) && sd.isActive !== false
+    );
+    if (match) {
+      return { actor: 'sub-driver', actorId: match._id };
+    }
+  }
+  return { actor: 'driver', actorId: driver?._id || null };
+};
+
+/**
+ * Apply a transition to a ride document in memory (caller saves)
+ * @param {Object} ride - Ride mongoose document
+ * @param {string} to - Target status
+ * @param {Object} context - See buildTransition
+ * @returns {Object} The statusHistory entry that was recorded
+ */
+const applyTransition = (ride, to, context = {}) => {
+  const entry = buildTransition(ride.status, to, context);
+
+  // Multi-stop rides can only finish once every intermediate stop is done
+  if (to === 'completed') {
+    const pendingStops = (ride.route?.waypoints || []).filter((stop) => stop.status !== 'completed');
+    if (pendingStops.length > 0) {
+      throw createTransitionError(
+        ERROR_CODES.STOPS_PENDING,
+        `Ride still has ${pendingStops.length} stop(s) to complete`,
+        { pendingStops: pendingStops.map((stop) => stop.sequence) }
+      );
+    }
+  }
+
+  ride.status = to;
+  (STATUS_TIMESTAMPS[to] || []).forEach((field) => {
+    ride[field] = entry.timestamp;
+  });
+
+  if (!ride.statusHistory) ride.statusHistory = [];
+  ride.statusHistory.push(entry);
+
+  return entry;
+};
+
+/**
+ * Build a conditional update that performs a transition atomically.
+ * The filter only matches rides currently in a legal source status and
+ * the update is a pipeline so the history entry can record the prior status.
+ * @param {string} to - Target status
+ * @param {Object} context - See buildTransition
+ * @param {Object} [extraSet] - Additional fields to set in the same update
+ * @returns {{ filter: Object, update: Array, entry: Object }}
+ */
+const buildAtomicTransition = (to, context = {}, extraSet = {}) => {
+  const sources = getSourceStatuses(to, context.actor);
+  if (sources.length === 0) {
+    throw createTransitionError(ERROR_CODES.INVALID_TRANSITION, `No status can move to '${to}'`, { to });
+  }
+
+  // Validate actor / status using the first legal source; `from` comes from the document
+  const entry = buildTransition(sources[0], to, context);
+
+  const set = { ...extraSet, status: to };
+  (STATUS_TIMESTAMPS[to] || []).forEach((field) => {
+    set[field] = entry.timestamp;
+  });
+
+  const historyEntry = {
+    from: '$status',
+    to,
+    actor: entry.actor,
+    // Pipeline updates bypass schema casting, so cast ids here
+    actorId: entry.actorId && mongoose.Types.ObjectId.isValid(String(entry.actorId))
+      ? new mongoose.Types.ObjectId(String(entry.actorId))
+      : null,
+    location: entry.location,
+    reason: { $literal: entry.reason },
+    timestamp: entry.timestamp
+  };
+  if (historyEntry.location === undefined) delete historyEntry.location;
+  if (entry.reason === undefined) delete historyEntry.reason;
+
+  set.statusHistory = {
+    $concatArrays: [{ $ifNull: ['$statusHistory', []] }, [historyEntry]]
+  };
+
+  return {
+    filter: { status: { $in: sources } },
+    update: [{ $set: set }],
+    entry
+  };
+};
+
+module.exports = {
+  RIDE_STATUSES,
+  ACTORS,
+  TRANSITIONS,
+  STATUS_TIMESTAMPS,
+  ERROR_CODES,
+  createTransitionError,
+  canTransition,
+  getSourceStatuses,
+  buildTransition,
+  applyTransition,
+  buildAtomicTransition,
+  getDriverActor,
+  isTransitionError,
+  sendTransitionError
+};
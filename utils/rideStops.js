@@ -0,0 +1,302 @@
+/**
+ * Multi-stop rides for IdharUdhar
+ * Riders can add an ordered list of intermediate stops (route.waypoints)
+ * before the final destination. Each stop records when the driver arrived
+ * and completed it; delivery drops carry their own recipient and OTP.
+ * Drop OTPs follow the handover OTP rules: only an HMAC is stored, with an
+ * expiry and an attempt limit, and only the booker ever sees the codes.
+ */
+
+const Ride = require('../models/Ride');
+const { createTransitionError } = require('./rideStateMachine');
+const { HANDOVER_OTP_CONFIG, hashOtp, otpMatches, generateOtp } = require('./handoverOtp');
+
+const MAX_STOPS = parseInt(process.env.MAX_RIDE_STOPS || '5', 10);
+
+const STOP_ERROR_CODES = {
+  NOT_STARTED: 'RIDE_NOT_STARTED',
+  NO_PENDING_STOPS: 'NO_PENDING_STOPS',
+  STOP_NOT_ARRIVED: 'STOP_NOT_ARRIVED',
+  STOP_ALREADY_ARRIVED: 'STOP_ALREADY_ARRIVED',
+  INVALID_STOP_ACTION: 'INVALID_STOP_ACTION',
+  INVALID_STOP_OTP: 'INVALID_STOP_OTP',
+  STOP_OTP_EXPIRED: 'STOP_OTP_EXPIRED',
+  STOP_OTP_LOCKED: 'STOP_OTP_LOCKED'
+};
+
+const MINUTE = 60 * 1000;
+
+// Each drop's code is bound to its ride and stop
+const stopOtpScope = (ride, stop) => `${ride._id}:stop:${stop.sequence}`;
+
+const isValidCoordinates = (coordinates) =>
+  Array.isArray(coordinates) &&
+  coordinates.length === 2 &&
+  coordinates.every((value) => value !== null && value !== '' && !isNaN(value));
+
+/**
+ * Validate requested stops and turn them into route.waypoints entries
+ * @param {Array} stops - [{ address, coordinates: [lng, lat], landmark, instructions, recipientName, recipientPhone }]
+ * @param {Object} options
+ * @param {boolean} options.isDelivery - Delivery drops need a recipient (and get an OTP from issueStopOtps)
+ * @returns {{ error: string } | { waypoints: Array }}
+ */
+const normalizeStops = (stops, { isDelivery = false } = {}) => {
+  if (stops === undefined || stops === null) return { waypoints: [] };
+
+  if (!Array.isArray(stops)) {
+    return { error: 'stops must be an array' };
+  }
+  if (stops.length > MAX_STOPS) {
+    return { error: `A ride can have at most ${MAX_STOPS} stops` };
+  }
+
+  const waypoints = [];
+  for (let i = 0; i < stops.length; i++) {
+    const stop = stops[i] || {};
+
+    if (!stop.address || !isValidCoordinates(stop.coordinates)) {
+      return { error: `Stop ${i + 1} must have an address and coordinates [longitude, latitude]` };
+    }
+
+    const waypoint = {
+      sequence: i + 1,
+      address: stop.address,
+      coordinates: stop.coordinates.map(Number),
+      landmark: stop.landmark || '',
+      instructions: stop.instructions || '',
+      status: 'pending'
+    };
+
+    if (isDelivery) {
+      if (!stop.recipientName || !stop.recipientPhone) {
+        return { error: `Stop ${i + 1} needs recipientName and recipientPhone` };
+      }
+      waypoint.recipient = { name: stop.recipientName, phone: stop.recipientPhone };
+    }
+
+    waypoints.push(waypoint);
+  }
+
+  return { waypoints };
+};
+
+/**
+ * Generate the OTP for every delivery drop on a new ride (the caller saves).
+ * Codes run from the scheduled time for rides booked ahead.
+ * @param {Object} ride - Ride mongoose document with route.waypoints
+ * @param {Date} [now]
+ * @returns {Array} [{ sequence, otp }] - Plain codes, for the booker only
+ */
+const issueStopOtps = (ride, now = new Date()) => {
+  const startsAt = ride.scheduledTime > now ? ride.scheduledTime : now;
+  const expiresAt = new Date(startsAt.getTime() + HANDOVER_OTP_CONFIG.ttlMinutes * MINUTE);
+
+  return (ride.route?.waypoints || [])
+    .filter((stop) => stop.recipient?.phone)
+    .map((stop) => {
+      const otp = generateOtp();
+      stop.otpHash = hashOtp(stopOtpScope(ride, stop), otp);
+      stop.otpExpiresAt = expiresAt;
+      stop.otpAttempts = 0;
+      return { sequence: stop.sequence, otp };
+    });
+};
+
+const stopLockedError = (stop, lockedUntil) => createTransitionError(
+  STOP_ERROR_CODES.STOP_OTP_LOCKED,
+  `Too many wrong OTPs for stop ${stop.sequence}. Try again later`,
+  { sequence: stop.sequence, lockedUntil },
+  429
+);
+
+/**
+ * Check the OTP entered for a delivery drop. Every try is counted on the
+ * stop with one conditional update before the code is compared, so parallel
+ * guesses cannot share an attempt; reaching HANDOVER_OTP_MAX_ATTEMPTS locks
+ * the stop for HANDOVER_OTP_LOCKOUT_MINUTES.
+ * @param {Object} ride
+ * @param {Object} stop - route.waypoints entry with otpHash
+ * @param {string} otp
+ * @param {Date} now
+ */
+const verifyStopOtp = async (ride, stop, otp, now) => {
+  const details = { sequence: stop.sequence };
+
+  if (stop.otpLockedUntil && stop.otpLockedUntil > now) {
+    throw stopLockedError(stop, stop.otpLockedUntil);
+  }
+  if (stop.otpExpiresAt && stop.otpExpiresAt <= now) {
+    throw createTransitionError(
+      STOP_ERROR_CODES.STOP_OTP_EXPIRED,
+      `OTP for stop ${stop.sequence} has expired`,
+      details,
+      400
+    );
+  }
+
+  const counted = await Ride.findOneAndUpdate(
+    {
+      _id: ride._id,
+      'route.waypoints': {
+        $elemMatch: { _id: stop._id, $or: [{ otpLockedUntil: null }, { otpLockedUntil: { $lte: now } }] }
+      }
+    },
+    { $inc: { 'route.waypoints.$.otpAttempts': 1 } },
+    { new: true, projection: { 'route.waypoints.$': 1 } }
+  );
+  if (!counted) {
+    // Locked by a parallel attempt since the ride was loaded
+    const latest = await Ride.findOne({ _id: ride._id, 'route.waypoints._id': stop._id }, { 'route.waypoints.$': 1 });
+    throw stopLockedError(stop, latest?.route?.waypoints?.[0]?.otpLockedUntil || null);
+  }
+
+  const attempts = counted.route.waypoints[0].otpAttempts;
+  if (attempts <= HANDOVER_OTP_CONFIG.maxAttempts && otp && otpMatches(stop.otpHash, stopOtpScope(ride, stop), otp)) {
+    return;
+  }
+
+  // Attempts start again from zero once a lockout has run out
+  if (attempts >= HANDOVER_OTP_CONFIG.maxAttempts) {
+    const lockedUntil = new Date(now.getTime() + HANDOVER_OTP_CONFIG.lockoutMinutes * MINUTE);
+    await Ride.updateOne(
+      { _id: ride._id, 'route.waypoints._id': stop._id },
+      { $set: { 'route.waypoints.$.otpAttempts': 0, 'route.waypoints.$.otpLockedUntil': lockedUntil } }
+    );
+    throw stopLockedError(stop, lockedUntil);
+  }
+
+  throw createTransitionError(
+    STOP_ERROR_CODES.INVALID_STOP_OTP,
+    `Invalid OTP for stop ${stop.sequence}`,
+    { ...details, attemptsLeft: HANDOVER_OTP_CONFIG.maxAttempts - attempts },
+    400
+  );
+};
+
+/**
+ * Copy per-leg distance/duration onto the stops each leg ends at
+ * @param {Array} waypoints - route.waypoints entries
+ * @param {Array} legs - { distance, duration } from pickup to destination
+ */
+const attachLegs = (waypoints, legs = []) => {
+  waypoints.forEach((waypoint, index) => {
+    const leg = legs[index];
+    if (leg) {
+      waypoint.distanceFromPrevious = leg.distance;
+      waypoint.durationFromPrevious = leg.duration;
+    }
+  });
+  return waypoints;
+};
+
+/**
+ * The next stop the driver still has to complete, if any
+ * @param {Object} ride - Ride document
+ * @returns {Object|null}
+ */
+const getCurrentStop = (ride) => {
+  return (ride.route?.waypoints || []).find((stop) => stop.status !== 'completed') || null;
+};
+
+/**
+ * Advance the current stop: 'arrived', then 'completed'.
+ * Delivery drops need the recipient's OTP to complete.
+ * @param {Object} ride - Ride mongoose document (caller saves)
+ * @param {string} action - 'arrived' | 'completed'
+ * @param {Object} [options]
+ * @param {string} [options.otp] - Drop OTP (delivery drops only)
+ * @returns {Promise<Object>} The updated stop
+ */
+const advanceStop = async (ride, action, { otp } = {}) => {
+  if (!['arrived', 'completed'].includes(action)) {
+    throw createTransitionError(
+      STOP_ERROR_CODES.INVALID_STOP_ACTION,
+      "Stop action must be 'arrived' or 'completed'",
+      { action },
+      400
+    );
+  }
+
+  if (ride.status !== 'started') {
+    throw createTransitionError(
+      STOP_ERROR_CODES.NOT_STARTED,
+      'Stops can only be updated once the ride has started',
+      { status: ride.status }
+    );
+  }
+
+  const stop = getCurrentStop(ride);
+  if (!stop) {
+    throw createTransitionError(STOP_ERROR_CODES.NO_PENDING_STOPS, 'All stops are already completed');
+  }
+
+  const now = new Date();
+
+  if (action === 'arrived') {
+    if (stop.status === 'arrived') {
+      throw createTransitionError(
+        STOP_ERROR_CODES.STOP_ALREADY_ARRIVED,
+        `Already arrived at stop ${stop.sequence}`,
+        { sequence: stop.sequence }
+      );
+    }
+    stop.status = 'arrived';
+    stop.arrivedAt = now;
+    // A long first leg must not leave the drop with an expired code
+    if (stop.otpHash) {
+      const refreshed = new Date(now.getTime() + HANDOVER_OTP_CONFIG.ttlMinutes * MINUTE);
+      if (!stop.otpExpiresAt || stop.otpExpiresAt < refreshed) stop.otpExpiresAt = refreshed;
+    }
+    return stop;
+  }
+
+  if (stop.status !== 'arrived') {
+    throw createTransitionError(
+      STOP_ERROR_CODES.STOP_NOT_ARRIVED,
+      `Mark arrival at stop ${stop.sequence} before completing it`,
+      { sequence: stop.sequence }
+    );
+  }
+
+  if (stop.otpHash) {
+    await verifyStopOtp(ride, stop, otp, now);
+    stop.otpVerifiedAt = now;
+    stop.otpHash = undefined;
+  }
+
+  stop.status = 'completed';
+  stop.completedAt = now;
+  return stop;
+};
+
+/**
+ * Stop list for API responses
+ * @param {Object} ride - Ride document
+ * @param {Object} [options]
+ * @param {Array} [options.otps] - Codes from issueStopOtps, only for the rider who booked the ride
+ * @returns {Array}
+ */
+const summarizeStops = (ride, { otps = [] } = {}) => {
+  return (ride.route?.waypoints || []).map((stop) => ({
+    sequence: stop.sequence,
+    address: stop.address,
+    coordinates: stop.coordinates,
+    status: stop.status,
+    arrivedAt: stop.arrivedAt,
+    completedAt: stop.completedAt,
+    recipient: stop.recipient?.name ? stop.recipient : undefined,
+    otp: otps.find((entry) => entry.sequence === stop.sequence)?.otp
+  }));
+};
+
+module.exports = {
+  MAX_STOPS,
+  STOP_ERROR_CODES,
+  normalizeStops,
+  attachLegs,
+  issueStopOtps,
+  getCurrentStop,
+  advanceStop,
+  summarizeStops
+};
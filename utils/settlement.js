@@ -0,0 +1,214 @@
+/**
+ * Ride settlement for IdharUdhar
+ * When a ride completes, its fare is split between the platform and the
+ * driver and the breakdown is stored on `ride.settlement`: gross fare,
+ * platform commission (per vehicle type, from the rate card), GST on the
+ * commission, incentives, tips and the driver's net. On cash rides the
+ * driver holds the rider's money, so whatever exceeds their net is owed to
+ * the platform and is netted off their payouts. Amounts are in paise.
+ */
+
+const Ride = require('../models/Ride');
+const User = require('../models/User');
+const Payment = require('../models/Payment');
+const { rateCardForRide } = require('./fareEngine');
+const { subDriverSharePercent } = require('./subDrivers');
+
+const SETTLEMENT_CONFIG = {
+  // Used when the rate card does not set its own commission
+  commissionPercent: parseFloat(process.env.PLATFORM_COMMISSION_PERCENT || '20'),
+  commissionTaxPercent: parseFloat(process.env.COMMISSION_GST_PERCENT || '18')
+};
+
+// Share of the gross fare a driver keeps at the default rates (rides settled before settlements existed)
+const legacyNetShare = () =>
+  1 - (SETTLEMENT_CONFIG.commissionPercent / 100) * (1 + SETTLEMENT_CONFIG.commissionTaxPercent / 100);
+
+/**
+ * Aggregation expression for a completed ride's driver earnings
+ * @returns {Object}
+ */
+const driverNetExpression = () => ({
+  $ifNull: [
+    '$settlement.driverNet',
+    { $round: [{ $multiply: [{ $ifNull: ['$pricing.finalAmount', 0] }, legacyNetShare()] }, 0] }
+  ]
+});
+
+/**
+ * Driver earnings for a completed ride document
+ * @param {Object} ride
+ * @returns {number} Paise
+ */
+const driverNetOf = (ride) => {
+  if (ride?.settlement?.driverNet !== undefined && ride.settlement.driverNet !== null) {
+    return ride.settlement.driverNet;
+  }
+  return Math.round((ride?.pricing?.finalAmount || 0) * legacyNetShare());
+};
+
+/**
+ * Totals of the settlements of the completed rides matching a filter
+ * @param {Object} match - Ride filter (status 'completed' is added)
+ * @returns {Promise<Object>} Paise totals plus *Rs figures
+ */
+const getSettlementSummary = async (match) => {
+  const legacy = (percent) => ({
+    $round: [{ $multiply: [{ $ifNull: ['$pricing.finalAmount', 0] }, percent / 100] }, 0]
+  });
+  const legacyCommission = SETTLEMENT_CONFIG.commissionPercent;
+  const legacyTaxes = legacyCommission * SETTLEMENT_CONFIG.commissionTaxPercent / 100;
+
+  const [row] = await Ride.aggregate([
+    { $match: { ...match, status: 'completed' } },
+    {
+      $group: {
+        _id: null,
+        rides: { $sum: 1 },
+        grossFare: { $sum: { $ifNull: ['$settlement.grossFare', '$pricing.finalAmount'] } },
+        commission: { $sum: { $ifNull: ['$settlement.commission', legacy(legacyCommission)] } },
+        taxes: { $sum: { $ifNull: ['$settlement.taxes', legacy(legacyTaxes)] } },
+        incentives: { $sum: { $ifNull: ['$settlement.incentives', 0] } },
+        tips: { $sum: { $ifNull: ['$settlement.tips', 0] } },
+        driverNet: { $sum: driverNetExpression() },
+        cashCollected: { $sum: { $ifNull: ['$settlement.cashCollected', 0] } },
+        driverOwes: { $sum: { $ifNull: ['$settlement.driverOwes', 0] } }
+      }
+    }
+  ]);
+
+  const summary = { rides: row?.rides || 0 };
+  ['grossFare', 'commission', 'taxes', 'incentives', 'tips', 'driverNet', 'cashCollected', 'driverOwes'].forEach((key) => {
+    summary[key] = row?.[key] || 0;
+    summary[`${key}Rs`] = summary[key] / 100;
+  });
+  return summary;
+};
+
+/**
+ * Split a fare between the platform and the driver
+ * @param {Object} params
+ * @param {Object} params.pricing - Ride pricing (paise)
+ * @param {string} params.paymentMethod - Ride payment method
+ * @param {number} params.commissionPercent
+ * @param {number} [params.commissionTaxPercent]
+ * @param {number} [params.incentives] - Paise
+ * @param {number} [params.tips] - Paise
+ * @returns {Object} Settlement breakdown
+ */
+const calculateSettlement = ({
+  pricing,
+  paymentMethod,
+  commissionPercent,
+  commissionTaxPercent = SETTLEMENT_CONFIG.commissionTaxPercent,
+  incentives = 0,
+  tips = 0
+}) => {
+  // Promo discounts are funded by the platform, so commission is on the undiscounted fare.
+  // Parcel insurance is the platform's, so it is not part of the driver's fare.
+  const insuranceFee = pricing.insuranceFee || 0;
+  const grossFare = (pricing.totalFare || pricing.finalAmount || 0) - insuranceFee;
+  const riderPaid = pricing.finalAmount || 0;
+  const commission = Math.round(grossFare * commissionPercent / 100);
+  const taxes = Math.round(commission * commissionTaxPercent / 100);
+  const driverNet = grossFare - commission - taxes + incentives + tips;
+
+  const collectedBy = paymentMethod === 'cash' ? 'driver' : 'platform';
+  const cashCollected = collectedBy === 'driver' ? riderPaid : 0;
+
+  return {
+    grossFare,
+    discount: pricing.discount || 0,
+    riderPaid,
+    insuranceFee,
+    commissionPercent,
+    commission,
+    commissionTaxPercent,
+    taxes,
+    incentives,
+    tips,
+    driverNet,
+    collectedBy,
+    cashCollected,
+    driverOwes: Math.max(0, cashCollected - driverNet),
+    platformOwes: Math.max(0, driverNet - cashCollected)
+  };
+};
+
+/**
+ * Work out the settlement for a ride that has just completed (after
+ * finalizeFare). The caller saves the ride, then calls recordSettlement.
+ * @param {Object} ride - Ride mongoose document
+ * @returns {Promise<Object>} ride.settlement
+ */
+const settleRide = async (ride) => {
+  if (ride.settlement?.settledAt) return ride.settlement;
+
+  const rateCard = await rateCardForRide(ride);
+  const commissionPercent = rateCard.commissionPercent !== undefined && rateCard.commissionPercent !== null
+    ? rateCard.commissionPercent
+    : SETTLEMENT_CONFIG.commissionPercent;
+
+  ride.settlement = {
+    ...calculateSettlement({
+      pricing: ride.pricing,
+      paymentMethod: ride.payment?.method,
+      commissionPercent,
+      incentives: ride.settlement?.incentives || 0,
+      tips: ride.settlement?.tips || 0
+    }),
+    settledAt: new Date()
+  };
+
+  // Sub-driver rides keep the revenue share in force when they settled
+  if (ride.subDriver) {
+    const owner = await User.findById(ride.driver?._id || ride.driver)
+      .select('driverInfo.subDriverSharePercent subDrivers');
+    const entry = owner?.subDrivers?.find((sd) => String(sd._id) === String(ride.subDriver));
+    ride.settlement.subDriverSharePercent = subDriverSharePercent(owner, entry);
+  }
+  return ride.settlement;
+};
+
+/**
+ * Apply a saved settlement: add the driver's net to their lifetime earnings
+ * and put the commission on the ride's payment record. Only the first call
+ * for a settlement does anything.
+ * @param {Object} ride - Saved ride with a settlement
+ * @returns {Promise<boolean>} Whether this call recorded it
+ */
+const recordSettlement = async (ride) => {
+  const settlement = ride.settlement;
+  if (!settlement?.settledAt || !ride.driver) return false;
+
+  const recordedAt = new Date();
+  const claim = await Ride.updateOne(
+    { _id: ride._id, 'settlement.settledAt': settlement.settledAt, 'settlement.recordedAt': null },
+    { $set: { 'settlement.recordedAt': recordedAt } }
+  );
+  if (!claim.modifiedCount) return false;
+  settlement.recordedAt = recordedAt;
+
+  await User.updateOne(
+    { _id: ride.driver._id || ride.driver },
+    { $inc: { 'driverInfo.totalEarnings': settlement.driverNet } }
+  );
+
+  const payment = await Payment.findOne({ ride: ride._id, type: 'ride', status: 'completed' });
+  if (payment) {
+    await payment.calculateFees(settlement).save();
+  }
+
+  console.log(`💰 Ride ${ride._id} settled: gross ₹${settlement.grossFare / 100}, commission ₹${settlement.commission / 100}, driver ₹${settlement.driverNet / 100}${settlement.driverOwes ? `, driver owes ₹${settlement.driverOwes / 100}` : ''}`);
+  return true;
+};
+
+module.exports = {
+  SETTLEMENT_CONFIG,
+  driverNetExpression,
+  driverNetOf,
+  getSettlementSummary,
+  calculateSettlement,
+  settleRide,
+  recordSettlement
+};
@@ -31,6 +31,16 @@ const normalizePhone = (phone) => {
 
 // Send OTP via SMS using Twilio
 const sendOTPSMS = async (phone, otp, type = 'signup') => {
+  let heading = 'Account Verification';
+  if (type === 'login') heading = 'Login Verification';
+  else if (type === 'reset_password') heading = 'Password Reset';
+
+  const body = `Idhar Udhar - ${heading}: Your OTP is ${otp}. It expires in 10 minutes. Do not share this code.`;
+  return sendSMS(phone, body);
+};
+
+// Send a text message via Twilio (simulated in dev when Twilio is not configured)
+const sendSMS = async (phone, body) => {
   try {
     const client = getTwilioClient();
     const fromNumber = process.env.TWILIO_FROM_NUMBER;
@@ -38,19 +48,13 @@ const sendOTPSMS = async (phone, otp, type = 'signup') => {
 
     if (!client || (!fromNumber && !messagingServiceSid)) {
       console.warn('📱 Twilio not fully configured (missing SID/TOKEN or FROM/MESSAGING_SERVICE_SID). In dev, simulating SMS send.');
-      console.log('📲 [DEV SMS] To:', phone, 'OTP:', otp, 'Type:', type);
+      console.log('📲 [DEV SMS] To:', phone, 'Body:', body);
       return { success: true, simulated: true };
     }
 
     const to = normalizePhone(phone);
     if (!to) throw new Error('Invalid phone number');
 
-    let heading = 'Account Verification';
-    if (type === 'login') heading = 'Login Verification';
-    else if (type === 'reset_password') heading = 'Password Reset';
-
-    const body = `Idhar Udhar - ${heading}: Your OTP is ${otp}. It expires in 10 minutes. Do not share this code.`;
-
     const msgPayload = {
       to,
       body,
@@ -89,4 +93,4 @@ const verifySMSConfig = () => {
   return ok;
 };
 
-module.exports = { sendOTPSMS, verifySMSConfig };
+module.exports = { sendOTPSMS, sendSMS, verifySMSConfig };
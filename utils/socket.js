@@ -1,8 +1,30 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { createDispatcher } = require('./dispatch');
+const { acceptRide, isAcceptanceError } = require('./rideAcceptance');
+const { getDriverActor, isTransitionError } = require('./rideStateMachine');
+const { isDriverSuspended } = require('./cancellationPolicy');
+const { getDocumentStatus } = require('./driverDocuments');
+const { subDriverRoom, fleetRoom, resolveSubDriver, canActOnRide } = require('./subDrivers');
+const Ride = require('../models/Ride');
+const {
+  FLEET_CONFIG,
+  startSubDriverSession,
+  touchSubDriverSession,
+  endSubDriverSession,
+  closeStaleSubDriverSessions
+} = require('./fleet');
 
 // Initialize Socket.IO handlers
 const initializeSocket = (io) => {
+  // Ride offers are ranked and sent to individual drivers by the dispatch engine
+  const dispatcher = createDispatcher(io);
+
+  // Sub-driver sessions from before a restart never got their disconnect
+  closeStaleSubDriverSessions().catch((error) => {
+    console.error('❌ Could not close stale sub-driver sessions:', error.message);
+  });
+
   // Authentication middleware for Socket.IO
   io.use(async (socket, next) => {
     try {
@@ -27,6 +49,16 @@ const initializeSocket = (io) => {
         return next(new Error('Authentication error: Invalid user'));
       }
 
+      // Sub-driver sessions run as the owner's account (see utils/subDrivers.js)
+      if (decoded.subDriverId) {
+        const subDriver = resolveSubDriver(user, decoded);
+        if (!subDriver) {
+          return next(new Error('Authentication error: Sub-driver session revoked'));
+        }
+        socket.subDriver = subDriver;
+        socket.data.subDriverId = String(subDriver._id);
+      }
+
       socket.userId = user._id.toString();
       socket.user = user;
       next();
@@ -45,8 +77,29 @@ const initializeSocket = (io) => {
   io.on('connection', async (socket) => {
     console.log(`User ${socket.user.fullName} connected with socket ID: ${socket.id}`);
 
+    // Sub-drivers get their own rooms and never the owner's personal or email
+    // rooms; the owner's online flags are left alone
+    if (socket.subDriver) {
+      socket.join(subDriverRoom(socket.subDriver._id));
+      socket.join(fleetRoom(socket.userId));
+      socket.join('drivers');
+      socket.join('sub-drivers');
+      console.log(`Sub-Driver ${socket.subDriver.name} joined drivers and sub-drivers rooms`);
+
+      // Time online feeds the fleet owner's reports (see utils/fleet.js)
+      try {
+        socket.data.sessionId = (await startSubDriverSession({
+          ownerId: socket.userId,
+          subDriverId: socket.subDriver._id
+        }))._id;
+        socket.data.sessionSeenAt = Date.now();
+      } catch (error) {
+        console.error('Sub-driver session start error:', error.message);
+      }
+    }
+
     // Update user's online status
-    if (socket.user.role !== 'Customer') {
+    if (socket.user.role !== 'Customer' && !socket.subDriver) {
       await User.findByIdAndUpdate(socket.userId, {
         isOnline: true,
         lastSeen: new Date()
@@ -54,12 +107,14 @@ const initializeSocket = (io) => {
     }
 
     // Join user to their personal room
-    socket.join(`user_${socket.userId}`);
+    if (!socket.subDriver) {
+      socket.join(`user_${socket.userId}`);
+    }
 
     // Join email-based room for precise customer targeting
     try {
       const email = (socket.user.email || '').toLowerCase().trim();
-      if (email) {
+      if (email && !socket.subDriver) {
         socket.join(`email_${email}`);
         console.log(`📧 ${socket.user.fullName} joined email room email_${email}`);
       }
@@ -68,7 +123,7 @@ const initializeSocket = (io) => {
     }
 
     // ✅ JOIN SEPARATE ROOMS FOR MAIN DRIVERS AND SUB-DRIVERS
-    if (socket.user.role === 'Driver') {
+    if (socket.user.role === 'Driver' && !socket.subDriver) {
       socket.join('drivers');
       socket.join('main-drivers');
       console.log(`Main Driver ${socket.user.fullName} joined drivers and main-drivers rooms`);
@@ -78,16 +133,6 @@ const initializeSocket = (io) => {
         isOnline: true,
         lastSeen: new Date()
       });
-    } else if (socket.user.role === 'SubDriver') {
-      socket.join('drivers');
-      socket.join('sub-drivers');
-      console.log(`Sub-Driver ${socket.user.fullName} joined drivers and sub-drivers rooms`);
-
-      // Set sub-driver as online (but not necessarily available for rides)
-      await User.findByIdAndUpdate(socket.userId, {
-        isOnline: true,
-        lastSeen: new Date()
-      });
     }
 
     // Join customer to customer room for delivery notifications
@@ -97,18 +142,39 @@ const initializeSocket = (io) => {
       console.log(`Customer ${socket.user.fullName} joined customer rooms`);
     }
 
-    // Handle ride request acceptance
-    socket.on('accept-ride', async (data) => {
+    // Handle ride request acceptance (same atomic path as the REST endpoints)
+    socket.on('accept-ride', async (data = {}, callback) => {
+      const reply = typeof callback === 'function' ? callback : () => {};
       try {
-        const { rideId } = data;
+        const { rideId, location } = data;
+
+        if (socket.user.role !== 'Driver') {
+          return socket.emit('error', { message: 'Only drivers and sub-drivers can accept rides' });
+        }
+
+        const { actor, actorId } = getDriverActor(socket.user, socket.subDriver?._id);
+        const ride = await acceptRide({
+          rideId,
+          driverId: socket.userId,
+          subDriverId: actor === 'sub-driver' ? actorId : null,
+          location,
+          io,
+          dispatcher
+        });
 
         // Emit to all drivers that this ride is no longer available
         socket.to('drivers').emit('ride-accepted', { rideId });
+        reply({ status: 'success', data: { rideId: ride._id, status: ride.status } });
 
-        console.log(`Driver ${socket.user.fullName} accepted ride ${rideId}`);
+        console.log(`Driver ${socket.subDriver?.name || socket.user.fullName} accepted ride ${rideId}`);
       } catch (error) {
+        if (isAcceptanceError(error) || isTransitionError(error)) {
+          // The losing driver also receives 'ride-already-taken' from acceptRide
+          return reply({ status: 'error', code: error.code, message: error.message });
+        }
         console.error('Accept ride socket error:', error);
         socket.emit('error', { message: 'Failed to accept ride' });
+        reply({ status: 'error', message: 'Failed to accept ride' });
       }
     });
 
@@ -117,22 +183,47 @@ const initializeSocket = (io) => {
       try {
         const { longitude, latitude, rideId } = data;
 
-        if (socket.user.role !== 'Driver' && socket.user.role !== 'SubDriver') {
+        if (socket.user.role !== 'Driver') {
           return socket.emit('error', { message: 'Only drivers and sub-drivers can update location' });
         }
 
-        // Update driver location in database
-        await User.findByIdAndUpdate(socket.userId, {
-          'driverInfo.currentLocation.coordinates': [longitude, latitude]
-        });
+        // A sub-driver reports their own position, not the owner's
+        if (socket.subDriver) {
+          await User.updateOne(
+            { _id: socket.userId, 'subDrivers._id': socket.subDriver._id },
+            {
+              'subDrivers.$.currentLocation': {
+                coordinates: [longitude, latitude],
+                updatedAt: new Date()
+              }
+            }
+          );
+        } else {
+          await User.findByIdAndUpdate(socket.userId, {
+            'driverInfo.currentLocation.coordinates': [longitude, latitude],
+            'driverInfo.locationUpdatedAt': new Date()
+          });
+        }
 
         // If this is during an active ride, emit to the user
         if (rideId) {
-          socket.to(`ride_${rideId}`).emit('driver-location-update', {
-            driverId: socket.userId,
-            location: { longitude, latitude },
-            timestamp: new Date()
-          });
+          const ride = await Ride.findById(rideId).select('driver subDriver');
+          if (ride && canActOnRide(ride, socket.userId, socket.subDriver?._id)) {
+            socket.to(`ride_${rideId}`).emit('driver-location-update', {
+              driverId: socket.userId,
+              subDriverId: socket.subDriver?._id,
+              location: { longitude, latitude },
+              timestamp: new Date()
+            });
+          }
+        }
+
+        if (socket.subDriver) {
+          if (socket.data.sessionId && Date.now() - socket.data.sessionSeenAt >= FLEET_CONFIG.heartbeatMs) {
+            socket.data.sessionSeenAt = Date.now();
+            await touchSubDriverSession(socket.data.sessionId);
+          }
+          return;
         }
 
         // Emit to all users looking for nearby drivers
@@ -228,16 +319,16 @@ const initializeSocket = (io) => {
 
     // Handle manual joining of driver rooms
     socket.on('join-drivers-room', () => {
-      if (socket.user.role === 'Driver') {
+      if (socket.subDriver) {
+        socket.join('drivers');
+        socket.join('sub-drivers');
+        console.log(`🚚 Sub-Driver ${socket.subDriver.name} manually joined drivers and sub-drivers rooms`);
+        socket.emit('joined-drivers-room', { success: true, message: 'Successfully joined sub-drivers room' });
+      } else if (socket.user.role === 'Driver') {
         socket.join('drivers');
         socket.join('main-drivers');
         console.log(`🚚 Main Driver ${socket.user.fullName} manually joined drivers and main-drivers rooms`);
         socket.emit('joined-drivers-room', { success: true, message: 'Successfully joined main drivers room' });
-      } else if (socket.user.role === 'SubDriver') {
-        socket.join('drivers');
-        socket.join('sub-drivers');
-        console.log(`🚚 Sub-Driver ${socket.user.fullName} manually joined drivers and sub-drivers rooms`);
-        socket.emit('joined-drivers-room', { success: true, message: 'Successfully joined sub-drivers room' });
       } else {
         socket.emit('joined-drivers-room', { success: false, message: 'Only drivers and sub-drivers can join driver rooms' });
       }
@@ -248,8 +339,38 @@ const initializeSocket = (io) => {
       try {
         const { isAvailable } = data;
 
-        if (socket.user.role !== 'Driver' && socket.user.role !== 'SubDriver') {
-          return socket.emit('error', { message: 'Only drivers and sub-drivers can update availability' });
+        if (socket.user.role !== 'Driver') {
+          return socket.emit('error', { message: 'Only drivers can update availability' });
+        }
+
+        // Availability belongs to the fleet owner's account
+        if (socket.subDriver) {
+          return socket.emit('error', {
+            code: 'SUB_DRIVER_NOT_ALLOWED',
+            message: 'Sub-drivers cannot change the fleet owner\'s availability'
+          });
+        }
+
+        if (isAvailable) {
+          const driver = await User.findById(socket.userId).select('driverInfo.suspendedUntil driverInfo.documents driverInfo.licenseExpiry');
+          if (isDriverSuspended(driver)) {
+            return socket.emit('error', {
+              code: 'DRIVER_SUSPENDED',
+              message: 'You are suspended for repeated cancellations',
+              suspendedUntil: driver.driverInfo.suspendedUntil
+            });
+          }
+          const { missing, expired } = getDocumentStatus(driver);
+          if (missing.length > 0) {
+            return socket.emit('error', {
+              code: expired.length > 0 ? 'DRIVER_DOCUMENTS_EXPIRED' : 'DRIVER_DOCUMENTS_NOT_APPROVED',
+              message: expired.length > 0
+                ? 'Renew your expired documents before going online'
+                : 'All required documents must be approved before you can go online',
+              missingDocuments: missing,
+              expiredDocuments: expired
+            });
+          }
         }
 
         // Update BOTH driver availability fields in database
@@ -327,32 +448,14 @@ const initializeSocket = (io) => {
       });
     });
 
-    // Handle OTP generation from customer
-    socket.on('otp_generated', (data) => {
-      try {
-        const { rideId, otp, customerMessage, timestamp } = data;
-        console.log(`🔐 OTP generated by customer for ride ${rideId}: ${otp}`);
-
-        // Broadcast OTP to specific ride room (driver will be in this room)
-        socket.to(`ride_${rideId}`).emit('customer_otp_generated', {
-          rideId: rideId,
-          otp: otp,
-          message: customerMessage,
-          timestamp: timestamp
-        });
-
-        // Also broadcast to all drivers as fallback
-        socket.to('drivers').emit('customer_otp_generated', {
-          rideId: rideId,
-          otp: otp,
-          message: customerMessage,
-          timestamp: timestamp
-        });
-
-        console.log(`✅ OTP ${otp} broadcasted to drivers for ride ${rideId}`);
-      } catch (error) {
-        console.error('❌ OTP broadcast error:', error);
-      }
+    // OTPs are generated by the server and never relayed between clients
+    // (see utils/handoverOtp.js); tell outdated customer apps so
+    socket.on('otp_generated', (data = {}) => {
+      socket.emit('error', {
+        code: 'HANDOVER_OTP_SERVER_GENERATED',
+        message: 'OTPs are generated by the server when a driver accepts the ride',
+        rideId: data.rideId
+      });
     });
 
     // Handle ping from customers
@@ -370,6 +473,12 @@ const initializeSocket = (io) => {
       try {
         console.log(`User ${socket.user.fullName} disconnected`);
 
+        // A sub-driver going away does not take the owner offline
+        if (socket.subDriver) {
+          if (socket.data.sessionId) await endSubDriverSession(socket.data.sessionId);
+          return;
+        }
+
         // Update user's online status
         if (socket.user.role !== 'Customer') {
           await User.findByIdAndUpdate(socket.userId, {
@@ -379,7 +488,7 @@ const initializeSocket = (io) => {
         }
 
         // If driver or sub-driver, update availability (sync both fields)
-        if (socket.user.role === 'Driver' || socket.user.role === 'SubDriver') {
+        if (socket.user.role === 'Driver') {
           await User.findByIdAndUpdate(socket.userId, {
             'driverInfo.isAvailable': false,
             'isOnline': false  // Sync both fields on disconnect
@@ -397,86 +506,6 @@ const initializeSocket = (io) => {
     });
   });
 
-  // ✅ SMART BROADCASTING WITH SEPARATE ROOMS
-  const broadcastRideRequest = async (rideData) => {
-    try {
-      console.log('🔍 Smart broadcasting ride request with priority system...');
-
-      let mainDriversSent = 0;
-      let subDriversSent = 0;
-
-      // STEP 1: Check available main drivers first
-      const mainDriversRoom = io.sockets.adapter.rooms.get('main-drivers');
-      if (mainDriversRoom) {
-        console.log(`🔍 Checking ${mainDriversRoom.size} main drivers...`);
-        
-        for (const socketId of mainDriversRoom) {
-          const socket = io.sockets.sockets.get(socketId);
-          if (socket && socket.user) {
-            const user = await User.findById(socket.userId).select('isOnline driverInfo.isAvailable role');
-            
-            const isAvailable = user && user.isOnline && 
-              (user.driverInfo?.isAvailable !== false) && 
-              user.role === 'Driver';
-              
-            if (isAvailable) {
-              socket.emit('new-ride-request', rideData);
-              mainDriversSent++;
-              console.log(`✅ Sent to available Main Driver: ${socket.user.fullName}`);
-            } else {
-              console.log(`❌ Skipped unavailable Main Driver: ${socket.user.fullName} (online: ${user?.isOnline}, available: ${user?.driverInfo?.isAvailable})`);
-            }
-          }
-        }
-      }
-
-      // STEP 2: If no main drivers available, check sub-drivers
-      if (mainDriversSent === 0) {
-        console.log('🔄 No main drivers available, checking sub-drivers...');
-        
-        const subDriversRoom = io.sockets.adapter.rooms.get('sub-drivers');
-        if (subDriversRoom) {
-          console.log(`🔍 Checking ${subDriversRoom.size} sub-drivers...`);
-          
-          for (const socketId of subDriversRoom) {
-            const socket = io.sockets.sockets.get(socketId);
-            if (socket && socket.user) {
-              const user = await User.findById(socket.userId).select('isOnline driverInfo.isAvailable role');
-              
-              const isAvailable = user && user.isOnline && 
-                (user.driverInfo?.isAvailable !== false) && 
-                user.role === 'SubDriver';
-                
-              if (isAvailable) {
-                socket.emit('new-ride-request', rideData);
-                subDriversSent++;
-                console.log(`✅ Sent to available Sub-Driver: ${socket.user.fullName}`);
-              } else {
-                console.log(`❌ Skipped unavailable Sub-Driver: ${socket.user.fullName} (online: ${user?.isOnline}, available: ${user?.driverInfo?.isAvailable})`);
-              }
-            }
-          }
-        }
-      } else {
-        console.log(`✅ ${mainDriversSent} main drivers available, skipping sub-drivers`);
-      }
-
-      const totalSent = mainDriversSent + subDriversSent;
-      console.log(`📡 Ride request sent to ${totalSent} drivers (${mainDriversSent} main, ${subDriversSent} sub)`);
-
-      // Fallback: if no drivers available, broadcast to all
-      if (totalSent === 0) {
-        console.log('⚠️ No available drivers found, broadcasting to all as fallback');
-        io.to('drivers').emit('new-ride-request', rideData);
-      }
-
-    } catch (error) {
-      console.error('❌ Error in smart broadcasting:', error);
-      // Fallback to simple broadcast
-      io.to('drivers').emit('new-ride-request', rideData);
-    }
-  };
-
   // Send notification to specific user
   const sendNotificationToUser = (userId, notification) => {
     io.to(`user_${userId}`).emit('notification', notification);
@@ -498,7 +527,8 @@ const initializeSocket = (io) => {
   };
 
   return {
-    broadcastRideRequest,
+    dispatcher,
+    dispatchRide: dispatcher.dispatchRide,
     sendNotificationToUser,
     broadcastToAll,
     broadcastToDrivers,
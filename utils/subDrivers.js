@@ -0,0 +1,127 @@
+/**
+ * Sub-driver sessions for IdharUdhar
+ * Sub-drivers are entries in their fleet owner's `subDrivers` and sign in
+ * with their own OTP. Their JWT carries the owner's userId plus the entry id
+ * and its `sessionVersion`, so each request runs as the owner's account
+ * acting as that sub-driver. A session stops working as soon as the owner
+ * deactivates or removes the sub-driver, or revokes their sessions (which
+ * bumps `sessionVersion`). Only routes that opt in with
+ * authenticateDriverSession accept sub-driver tokens, and a sub-driver can
+ * only act on rides they accepted.
+ */
+
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+
+const SUB_DRIVER_CONFIG = {
+  // Sub-drivers' percentage of ride earnings when the owner has not set one
+  defaultSharePercent: parseFloat(process.env.FLEET_SUB_DRIVER_SHARE_PERCENT || '70')
+};
+
+const subDriverRoom = (subDriverId) => `subdriver_${subDriverId}`;
+
+// Sockets of every sub-driver in a fleet, which also receive the owner's ride offers
+const fleetRoom = (ownerId) => `fleet_${ownerId}`;
+
+/**
+ * Sign a session token for a sub-driver
+ * @param {*} ownerId - Fleet owner's user id
+ * @param {Object} subDriver - Sub-driver entry
+ * @returns {string}
+ */
+const generateSubDriverToken = (ownerId, subDriver) => {
+  return jwt.sign(
+    { userId: ownerId, subDriverId: subDriver._id, sessionVersion: subDriver.sessionVersion || 0 },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_EXPIRE || '7d' }
+  );
+};
+
+/**
+ * The sub-driver entry a decoded token acts as, if it is still valid
+ * @param {Object} owner - Fleet owner user document
+ * @param {Object} decoded - Verified JWT payload with subDriverId
+ * @returns {Object|null}
+ */
+const resolveSubDriver = (owner, decoded) => {
+  if (!owner || owner.role !== 'Driver') return null;
+  const entry = (owner.subDrivers || []).find((sd) => String(sd._id) === String(decoded.subDriverId));
+  if (!entry || entry.isActive === false) return null;
+  if ((entry.sessionVersion || 0) !== (decoded.sessionVersion || 0)) return null;
+  return entry;
+};
+
+// What the app needs to know about a signed-in sub-driver
+const subDriverSessionInfo = (owner, entry) => ({
+  id: entry._id,
+  name: entry.name,
+  email: entry.email,
+  phone: entry.phone,
+  vehicleType: entry.vehicleType,
+  vehicleNumber: entry.vehicleNumber,
+  licenseNumber: entry.licenseNumber,
+  isActive: entry.isActive,
+  parentDriverId: owner._id,
+  parentDriverName: owner.fullName
+});
+
+/**
+ * A sub-driver's percentage of the net earnings of the rides they drive
+ * (tips always go to them in full); the rest is the fleet owner's
+ * @param {Object} owner - Fleet owner user document
+ * @param {Object} [entry] - Sub-driver entry
+ * @returns {number}
+ */
+const subDriverSharePercent = (owner, entry) => {
+  if (entry?.revenueSharePercent !== undefined && entry?.revenueSharePercent !== null) {
+    return entry.revenueSharePercent;
+  }
+  const fleetDefault = owner?.driverInfo?.subDriverSharePercent;
+  return fleetDefault !== undefined && fleetDefault !== null ? fleetDefault : SUB_DRIVER_CONFIG.defaultSharePercent;
+};
+
+/**
+ * Whether a driver session may act on a ride: it must be the fleet's ride,
+ * and a sub-driver only acts on the rides they accepted
+ * @param {Object} ride
+ * @param {*} driverId - Fleet owner's user id
+ * @param {*} [subDriverId] - Set for sub-driver sessions
+ * @returns {boolean}
+ */
+const canActOnRide = (ride, driverId, subDriverId) => {
+  const rideDriver = ride?.driver?._id || ride?.driver;
+  if (!rideDriver || String(rideDriver) !== String(driverId)) return false;
+  return !subDriverId || String(ride.subDriver) === String(subDriverId);
+};
+
+/**
+ * Sign a sub-driver out of every session. Their sockets are dropped at once;
+ * with `revokeTokens` existing tokens stop working too (deactivating or
+ * removing the entry already does that).
+ * @param {Object} params - { ownerId, subDriverId, io, revokeTokens = false }
+ */
+const endSubDriverSessions = async ({ ownerId, subDriverId, io, revokeTokens = false }) => {
+  if (revokeTokens) {
+    await User.updateOne(
+      { _id: ownerId, 'subDrivers._id': subDriverId },
+      { $inc: { 'subDrivers.$.sessionVersion': 1 } }
+    );
+  }
+  if (io) {
+    io.to(subDriverRoom(subDriverId)).emit('session-revoked', { subDriverId });
+    io.in(subDriverRoom(subDriverId)).disconnectSockets(true);
+  }
+  console.log(`🔒 Ended sessions for sub-driver ${subDriverId} of ${ownerId}`);
+};
+
+module.exports = {
+  SUB_DRIVER_CONFIG,
+  subDriverRoom,
+  fleetRoom,
+  generateSubDriverToken,
+  resolveSubDriver,
+  subDriverSessionInfo,
+  subDriverSharePercent,
+  canActOnRide,
+  endSubDriverSessions
+};
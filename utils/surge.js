@@ -0,0 +1,229 @@
+/**
+ * Surge pricing for IdharUdhar
+ * The city is split into square geo cells. For each cell and vehicle type
+ * the ratio of open ride requests to available drivers is turned into a
+ * capped multiplier, smoothed against the previous value so prices do not
+ * jump on every request. Quotes lock the multiplier for a few minutes so
+ * the rider is not repriced between quote and booking.
+ */
+
+const mongoose = require('mongoose');
+const Ride = require('../models/Ride');
+const User = require('../models/User');
+const SurgeQuote = require('../models/SurgeQuote');
+
+const SURGE_CONFIG = {
+  enabled: process.env.SURGE_ENABLED !== 'false',
+  cellSizeKm: parseFloat(process.env.SURGE_CELL_SIZE_KM || '2'),
+  // Demand/supply ratio above which surge kicks in
+  threshold: parseFloat(process.env.SURGE_DEMAND_THRESHOLD || '1'),
+  // Multiplier added per unit of ratio above the threshold
+  sensitivity: parseFloat(process.env.SURGE_SENSITIVITY || '0.5'),
+  maxMultiplier: parseFloat(process.env.SURGE_MAX_MULTIPLIER || '2.5'),
+  // Weight of the new reading against the previous multiplier (0-1)
+  smoothing: parseFloat(process.env.SURGE_SMOOTHING || '0.5'),
+  refreshMs: parseInt(process.env.SURGE_REFRESH_MS || '60000', 10),
+  driverFreshnessMinutes: parseInt(process.env.SURGE_DRIVER_FRESHNESS_MINUTES || '5', 10),
+  quoteTtlMinutes: parseInt(process.env.SURGE_QUOTE_TTL_MINUTES || '5', 10)
+};
+
+const OPEN_RIDE_STATUSES = ['pending', 'searching'];
+
+// Ride types that compete for each driver vehicle type
+const RIDE_TYPES_BY_VEHICLE = {
+  Bike: ['bike', 'Bike', 'delivery', 'Delivery'],
+  Auto: ['auto', 'Auto'],
+  Car: ['car', 'Car'],
+  Truck: ['truck', 'Truck']
+};
+
+const KM_PER_DEGREE = 111.32;
+
+// Last smoothed multiplier per "cellId|vehicleType"
+const cellState = new Map();
+
+/**
+ * Driver vehicle type serving a ride type (deliveries go to bikes)
+ * @param {string} rideType
+ * @returns {string} Bike | Auto | Car | Truck
+ */
+const normalizeVehicleType = (rideType = 'bike') => {
+  const type = String(rideType).toLowerCase();
+  if (type === 'delivery') return 'Bike';
+  const vehicle = type.charAt(0).toUpperCase() + type.slice(1);
+  return RIDE_TYPES_BY_VEHICLE[vehicle] ? vehicle : 'Bike';
+};
+
+const cellSizeDegrees = () => SURGE_CONFIG.cellSizeKm / KM_PER_DEGREE;
+
+/**
+ * Grid cell containing a point
+ * @param {Array} coordinates - [longitude, latitude]
+ * @returns {string} "latIndex:lngIndex"
+ */
+const getCellId = ([longitude, latitude]) => {
+  const size = cellSizeDegrees();
+  return `${Math.floor(latitude / size)}:${Math.floor(longitude / size)}`;
+};
+
+// GeoJSON polygon covering a cell
+const cellPolygon = (cellId) => {
+  const size = cellSizeDegrees();
+  const [latIndex, lngIndex] = cellId.split(':').map(Number);
+  const south = latIndex * size;
+  const west = lngIndex * size;
+  const north = south + size;
+  const east = west + size;
+  return {
+    type: 'Polygon',
+    coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]]
+  };
+};
+
+/**
+ * Count open requests and available drivers in a cell
+ * @param {string} cellId
+ * @param {string} vehicleType - Bike | Auto | Car | Truck
+ * @returns {Promise<{ demand: number, supply: number }>}
+ */
+const measureCell = async (cellId, vehicleType) => {
+  const area = { $geoWithin: { $geometry: cellPolygon(cellId) } };
+  const freshSince = new Date(Date.now() - SURGE_CONFIG.driverFreshnessMinutes * 60 * 1000);
+
+  const [demand, supply] = await Promise.all([
+    Ride.countDocuments({
+      status: { $in: OPEN_RIDE_STATUSES },
+      rideType: { $in: RIDE_TYPES_BY_VEHICLE[vehicleType] },
+      'pickup.coordinates': area
+    }),
+    User.countDocuments({
+      role: 'Driver',
+      isActive: true,
+      isOnline: true,
+      'driverInfo.isAvailable': true,
+      'driverInfo.vehicleType': vehicleType,
+      'driverInfo.locationUpdatedAt': { $gte: freshSince },
+      'driverInfo.currentLocation': area
+    })
+  ]);
+
+  return { demand, supply };
+};
+
+/**
+ * Turn a demand/supply reading into a capped multiplier
+ * @param {number} demand - Open requests
+ * @param {number} supply - Available drivers
+ * @returns {number}
+ */
+const multiplierFor = (demand, supply) => {
+  const ratio = demand / Math.max(supply, 1);
+  if (ratio <= SURGE_CONFIG.threshold) return 1;
+  const raw = 1 + (ratio - SURGE_CONFIG.threshold) * SURGE_CONFIG.sensitivity;
+  return Math.min(SURGE_CONFIG.maxMultiplier, raw);
+};
+
+const roundMultiplier = (value) => Math.max(1, Math.round(value * 10) / 10);
+
+/**
+ * Current surge for a pickup point and ride type. Readings are cached per
+ * cell for `refreshMs`; on any failure the multiplier falls back to 1.
+ * @param {Array} coordinates - Pickup [longitude, latitude]
+ * @param {string} rideType
+ * @returns {Promise<Object>} { cellId, vehicleType, multiplier, demand, supply }
+ */
+const getSurge = async (coordinates, rideType) => {
+  const cellId = getCellId(coordinates);
+  const vehicleType = normalizeVehicleType(rideType);
+  const base = { cellId, vehicleType, multiplier: 1, demand: 0, supply: 0 };
+
+  if (!SURGE_CONFIG.enabled) return base;
+
+  const key = `${cellId}|${vehicleType}`;
+  const previous = cellState.get(key);
+  if (previous && Date.now() - previous.updatedAt < SURGE_CONFIG.refreshMs) {
+    return { ...base, ...previous.reading };
+  }
+
+  try {
+    const { demand, supply } = await measureCell(cellId, vehicleType);
+    const target = multiplierFor(demand, supply);
+    const last = previous ? previous.reading.multiplier : 1;
+    const multiplier = roundMultiplier(last + (target - last) * SURGE_CONFIG.smoothing);
+
+    const reading = { multiplier, demand, supply };
+    cellState.set(key, { reading, updatedAt: Date.now() });
+    return { ...base, ...reading };
+  } catch (error) {
+    console.error('❌ Surge calculation error:', error.message);
+    return base;
+  }
+};
+
+/**
+ * Quote the current surge and lock it for `quoteTtlMinutes`
+ * @param {Object} params
+ * @param {Array} params.coordinates - Pickup [longitude, latitude]
+ * @param {string} params.rideType
+ * @param {*} [params.userId] - Rider the quote is for (null for guests)
+ * @returns {Promise<Object>} { quoteId, multiplier, expiresAt, cellId, vehicleType }
+ */
+const createSurgeQuote = async ({ coordinates, rideType, userId = null }) => {
+  const surge = await getSurge(coordinates, rideType);
+  const expiresAt = new Date(Date.now() + SURGE_CONFIG.quoteTtlMinutes * 60 * 1000);
+
+  const quote = await SurgeQuote.create({
+    user: userId,
+    cellId: surge.cellId,
+    vehicleType: surge.vehicleType,
+    multiplier: surge.multiplier,
+    demand: surge.demand,
+    supply: surge.supply,
+    expiresAt
+  });
+
+  return {
+    quoteId: quote._id,
+    multiplier: quote.multiplier,
+    expiresAt,
+    cellId: quote.cellId,
+    vehicleType: quote.vehicleType
+  };
+};
+
+/**
+ * Surge to charge for a booking: the locked quote while it is valid for
+ * this pickup cell and vehicle type, otherwise the live multiplier.
+ * @param {Object} params
+ * @param {Array} params.coordinates - Pickup [longitude, latitude]
+ * @param {string} params.rideType
+ * @param {*} [params.quoteId] - Quote returned by createSurgeQuote
+ * @param {*} [params.userId] - Booking rider
+ * @returns {Promise<Object>} { multiplier, quoteId, locked }
+ */
+const resolveSurge = async ({ coordinates, rideType, quoteId, userId }) => {
+  if (quoteId && mongoose.Types.ObjectId.isValid(String(quoteId))) {
+    const quote = await SurgeQuote.findById(quoteId);
+    const context = {
+      cellId: getCellId(coordinates),
+      vehicleType: normalizeVehicleType(rideType),
+      userId
+    };
+    if (quote && quote.isValidFor(context)) {
+      return { multiplier: quote.multiplier, quoteId: quote._id, locked: true };
+    }
+  }
+
+  const surge = await getSurge(coordinates, rideType);
+  return { multiplier: surge.multiplier, quoteId: null, locked: false };
+};
+
+module.exports = {
+  SURGE_CONFIG,
+  normalizeVehicleType,
+  getCellId,
+  multiplierFor,
+  getSurge,
+  createSurgeQuote,
+  resolveSurge
+};
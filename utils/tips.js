@@ -0,0 +1,319 @@
+/**
+ * Driver tips for IdharUdhar
+ * Riders can tip for a completed ride within TIP_WINDOW_HOURS, from the
+ * wallet or through a Razorpay order. The whole tip goes to the driver
+ * (attributed to the sub-driver who completed the ride, if any) with no
+ * commission: once paid it is added to `settlement.tips` and the driver's
+ * net, so it shows up in earnings and payouts. Amounts are in paise.
+ */
+
+const Payment = require('../models/Payment');
+const Ride = require('../models/Ride');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { createOrder } = require('./razorpay');
+const { LEDGER_ACCOUNTS, toPaise, creditWallet, debitWallet } = require('./walletLedger');
+
+const TIP_CONFIG = {
+  windowHours: parseFloat(process.env.TIP_WINDOW_HOURS || '24'),
+  maxAmount: parseFloat(process.env.TIP_MAX_AMOUNT || '500') // rupees
+};
+
+const TIP_METHODS = ['wallet', 'upi', 'card'];
+
+const HOUR = 60 * 60 * 1000;
+
+const TIP_ERROR_CODES = {
+  INVALID_AMOUNT: 'TIP_INVALID_AMOUNT',
+  INVALID_METHOD: 'TIP_INVALID_METHOD',
+  NOT_TIPPABLE: 'TIP_NOT_TIPPABLE',
+  WINDOW_CLOSED: 'TIP_WINDOW_CLOSED',
+  ALREADY_TIPPED: 'TIP_ALREADY_TIPPED',
+  ORDER_FAILED: 'TIP_ORDER_FAILED'
+};
+
+const createTipError = (code, message, details = {}) => {
+  const error = new Error(message);
+  error.name = 'TipError';
+  error.code = code;
+  error.statusCode = code === TIP_ERROR_CODES.ORDER_FAILED ? 502
+    : [TIP_ERROR_CODES.ALREADY_TIPPED, TIP_ERROR_CODES.WINDOW_CLOSED].includes(code) ? 409 : 400;
+  error.details = details;
+  return error;
+};
+
+const isTipError = (error) => !!error && error.name === 'TipError';
+
+// Send the standard error response for a rejected tip
+const sendTipError = (res, error) => {
+  return res.status(error.statusCode).json({
+    status: 'error',
+    code: error.code,
+    message: error.message,
+    details: error.details
+  });
+};
+
+// Name of whoever drove the ride, for the driver's notification
+const driverNameFor = async (ride) => {
+  if (!ride.tip?.subDriver) return null;
+  const driver = await User.findById(ride.driver).select('subDrivers');
+  const entry = (driver?.subDrivers || []).find((sd) => String(sd._id) === String(ride.tip.subDriver));
+  return entry?.name || null;
+};
+
+const notifyDriver = async (io, ride) => {
+  const amountRs = ride.tip.amount / 100;
+  const subDriverName = await driverNameFor(ride);
+  const message = subDriverName
+    ? `${subDriverName} received a ₹${amountRs} tip for ride ${ride._id}${ride.tip.message ? `: "${ride.tip.message}"` : ''}`
+    : `You received a ₹${amountRs} tip for ride ${ride._id}${ride.tip.message ? `: "${ride.tip.message}"` : ''}`;
+
+  await new Notification({
+    user: ride.driver,
+    title: 'You received a tip',
+    message,
+    type: 'payment',
+    data: { rideId: ride._id, paymentId: ride.tip.payment }
+  }).save();
+
+  if (io) {
+    const payload = {
+      rideId: ride._id,
+      amount: ride.tip.amount,
+      amountRs,
+      subDriverId: ride.tip.subDriver,
+      message: ride.tip.message,
+      settlement: ride.settlement
+    };
+    io.to(`user_${ride.driver}`).emit('tip-received', payload);
+    io.to(`user_${ride.driver}`).emit('earnings-updated', payload);
+  }
+};
+
+/**
+ * Give the rider back a tip payment that was captured after it stopped
+ * counting (replaced by a newer attempt, or the ride was tipped another way).
+ * The money goes to their wallet, keyed on the payment so it is credited once.
+ * @param {Object} payment - Tip Payment
+ * @returns {Promise<string>} Outcome
+ */
+const refundUnappliedTip = async (payment) => {
+  await creditWallet({
+    userId: payment.user,
+    amount: toPaise(payment.amount),
+    type: 'refund',
+    key: `tip_refund:${payment._id}`,
+    counterAccount: LEDGER_ACCOUNTS.GATEWAY,
+    description: `Refund of unused tip for ride ${payment.ride}`,
+    payment: payment._id,
+    ride: payment.ride
+  });
+  await payment.processRefund(payment.amount, 'Tip was not applied, credited to wallet');
+
+  console.log(`🙏 Unused tip payment ${payment._id} for ride ${payment.ride} refunded to the wallet`);
+  return 'tip_refunded_to_wallet';
+};
+
+/**
+ * Credit a paid tip to the driver. Safe to call more than once; a payment
+ * that arrives after another one tipped the ride is refunded to the wallet.
+ * @param {Object} payment - Completed tip Payment
+ * @param {Object} [deps] - { io }
+ * @returns {Promise<string>} Outcome
+ */
+const applyTip = async (payment, { io } = {}) => {
+  const amount = Math.round(payment.amount * 100);
+
+  const ride = await Ride.findOneAndUpdate(
+    { _id: payment.ride, 'tip.status': { $ne: 'completed' }, 'settlement.settledAt': { $exists: true } },
+    {
+      $set: {
+        'tip.status': 'completed',
+        'tip.amount': amount,
+        'tip.payment': payment._id,
+        'tip.paidAt': new Date()
+      },
+      $inc: { 'settlement.tips': amount, 'settlement.driverNet': amount }
+    },
+    { new: true }
+  );
+  if (!ride) {
+    const tipped = await Ride.findById(payment.ride).select('tip.payment');
+    if (tipped?.tip?.payment && String(tipped.tip.payment) !== String(payment._id)) {
+      return refundUnappliedTip(payment);
+    }
+    return 'tip_already_applied';
+  }
+
+  // A bigger net changes what the driver and the platform owe each other
+  const { driverNet, cashCollected = 0 } = ride.settlement;
+  ride.settlement.driverOwes = Math.max(0, cashCollected - driverNet);
+  ride.settlement.platformOwes = Math.max(0, driverNet - cashCollected);
+  await Ride.updateOne(
+    { _id: ride._id },
+    { 'settlement.driverOwes': ride.settlement.driverOwes, 'settlement.platformOwes': ride.settlement.platformOwes }
+  );
+
+  await User.updateOne({ _id: ride.driver }, { $inc: { 'driverInfo.totalEarnings': amount } });
+  await notifyDriver(io, ride);
+
+  console.log(`🙏 Tip of ₹${amount / 100} for ride ${ride._id} credited to driver ${ride.driver}`);
+  return 'tip_applied';
+};
+
+/**
+ * Mark the ride's pending tip failed when its payment fails
+ * @param {Object} payment - Tip Payment
+ */
+const failTip = async (payment) => {
+  await Ride.updateOne(
+    { _id: payment.ride, 'tip.payment': payment._id, 'tip.status': 'pending' },
+    { 'tip.status': 'failed' }
+  );
+};
+
+/**
+ * Tip the driver of a completed ride
+ * @param {Object} params
+ * @param {Object} params.ride - Ride document (the caller checks it is the rider's)
+ * @param {number} params.amount - Paise
+ * @param {string} params.method - 'wallet', 'upi' or 'card'
+ * @param {string} [params.message] - Note for the driver
+ * @param {Object} [params.io]
+ * @param {Date} [params.now]
+ * @returns {Promise<Object>} { status: 'completed', paymentId } or { status: 'pending', paymentId, order }
+ */
+const tipRide = async ({ ride, amount, method, message, io, now = new Date() }) => {
+  if (!Number.isInteger(amount) || amount <= 0 || amount > TIP_CONFIG.maxAmount * 100) {
+    throw createTipError(TIP_ERROR_CODES.INVALID_AMOUNT, `Tip must be between ₹1 and ₹${TIP_CONFIG.maxAmount}`, {
+      amount,
+      maxAmount: TIP_CONFIG.maxAmount
+    });
+  }
+  if (!TIP_METHODS.includes(method)) {
+    throw createTipError(TIP_ERROR_CODES.INVALID_METHOD, `Method must be one of: ${TIP_METHODS.join(', ')}`, { method });
+  }
+  if (ride.status !== 'completed' || !ride.driver || !ride.settlement?.settledAt) {
+    throw createTipError(TIP_ERROR_CODES.NOT_TIPPABLE, 'Only completed rides can be tipped', { status: ride.status });
+  }
+
+  const closesAt = new Date((ride.actualEndTime || ride.updatedAt).getTime() + TIP_CONFIG.windowHours * HOUR);
+  if (now > closesAt) {
+    throw createTipError(TIP_ERROR_CODES.WINDOW_CLOSED, `Tips can only be added within ${TIP_CONFIG.windowHours} hours of the ride`, {
+      closedAt: closesAt
+    });
+  }
+  if (ride.tip?.status === 'completed') {
+    throw createTipError(TIP_ERROR_CODES.ALREADY_TIPPED, 'This ride has already been tipped', {
+      amount: ride.tip.amount
+    });
+  }
+
+  const userId = ride.user?._id || ride.user;
+
+  // An unpaid order from an earlier attempt is replaced
+  await Payment.updateMany({ ride: ride._id, type: 'tip', status: 'pending' }, { status: 'cancelled' });
+
+  ride.tip = {
+    amount,
+    method,
+    status: 'pending',
+    message,
+    subDriver: ride.subDriver || null,
+    requestedAt: now
+  };
+
+  if (method === 'wallet') {
+    // Keyed on the ride, so a retried request never debits twice
+    const { entry, balance, duplicate } = await debitWallet({
+      userId,
+      amount,
+      type: 'tip',
+      key: `tip:${ride._id}`,
+      counterAccount: LEDGER_ACCOUNTS.TIPS,
+      description: `Tip for ride ${ride._id}`,
+      ride: ride._id
+    });
+
+    let payment = duplicate
+      ? await Payment.findOne({ ride: ride._id, type: 'tip', method: 'wallet', status: 'completed' })
+      : null;
+    if (!payment) {
+      payment = new Payment({
+        user: userId,
+        ride: ride._id,
+        type: 'tip',
+        amount: entry.amount / 100,
+        method: 'wallet',
+        status: 'completed',
+        completedAt: new Date(),
+        description: `Tip for ride ${ride._id}`,
+        wallet: {
+          previousBalance: (balance + entry.amount) / 100,
+          newBalance: balance / 100,
+          transactionType: 'debit'
+        }
+      });
+      await payment.save();
+    }
+
+    ride.tip.payment = payment._id;
+    await ride.save();
+    await applyTip(payment, { io });
+    return { status: 'completed', amount: entry.amount, paymentId: payment._id };
+  }
+
+  const orderResult = await createOrder(amount / 100, 'INR', `tip_${ride._id}`, {
+    userId: String(userId),
+    rideId: String(ride._id),
+    type: 'tip',
+    method
+  });
+  if (!orderResult.success) {
+    throw createTipError(TIP_ERROR_CODES.ORDER_FAILED, 'Failed to create payment order', { error: orderResult.error });
+  }
+
+  const payment = new Payment({
+    user: userId,
+    ride: ride._id,
+    type: 'tip',
+    amount: amount / 100,
+    method,
+    status: 'pending',
+    description: `Tip for ride ${ride._id}`,
+    razorpay: {
+      orderId: orderResult.order.id,
+      receipt: orderResult.order.receipt,
+      notes: orderResult.order.notes
+    }
+  });
+  await payment.save();
+
+  ride.tip.payment = payment._id;
+  await ride.save();
+
+  return {
+    status: 'pending',
+    amount,
+    paymentId: payment._id,
+    order: {
+      id: orderResult.order.id,
+      amount: orderResult.order.amount,
+      currency: orderResult.order.currency,
+      receipt: orderResult.order.receipt
+    }
+  };
+};
+
+module.exports = {
+  TIP_CONFIG,
+  TIP_METHODS,
+  TIP_ERROR_CODES,
+  tipRide,
+  applyTip,
+  failTip,
+  refundUnappliedTip,
+  isTipError,
+  sendTipError
+};
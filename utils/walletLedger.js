@@ -0,0 +1,390 @@
+/**
+ * Wallet ledger for IdharUdhar
+ * The WalletLedger collection is the source of truth for wallet money.
+ * Each posting writes a debit and a credit entry. The wallet side carries a
+ * per-wallet sequence number and running balance, so concurrent postings
+ * cannot both spend the same balance, and an idempotency key makes retries
+ * safe. `User.wallet.balance` (rupees) is a cache of the latest entry and
+ * is checked by the reconciliation job.
+ */
+
+const cron = require('node-cron');
+const User = require('../models/User');
+const WalletLedger = require('../models/WalletLedger');
+
+const LEDGER_ACCOUNTS = {
+  GATEWAY: 'system:gateway',
+  RIDES: 'system:rides',
+  TIPS: 'system:tips',
+  REFUNDS: 'system:refunds',
+  PROMOTIONS: 'system:promotions',
+  ADJUSTMENTS: 'system:adjustments',
+  OPENING: 'system:opening'
+};
+
+const WALLET_CONFIG = {
+  maxRetries: 5,
+  reconcileCron: process.env.WALLET_RECONCILE_CRON || '0 3 * * *'
+};
+
+const WALLET_ERROR_CODES = {
+  INVALID_AMOUNT: 'WALLET_INVALID_AMOUNT',
+  INSUFFICIENT_BALANCE: 'WALLET_INSUFFICIENT_BALANCE',
+  USER_NOT_FOUND: 'WALLET_USER_NOT_FOUND',
+  CONFLICT: 'WALLET_CONFLICT'
+};
+
+const createWalletError = (code, message, details = {}) => {
+  const error = new Error(message);
+  error.name = 'WalletError';
+  error.code = code;
+  error.statusCode = code === WALLET_ERROR_CODES.USER_NOT_FOUND ? 404
+    : code === WALLET_ERROR_CODES.CONFLICT ? 409 : 400;
+  error.details = details;
+  return error;
+};
+
+const isWalletError = (error) => !!error && error.name === 'WalletError';
+
+// Send the standard error response for a rejected wallet posting
+const sendWalletError = (res, error) => {
+  return res.status(error.statusCode).json({
+    status: 'error',
+    code: error.code,
+    message: error.message,
+    details: error.details
+  });
+};
+
+const walletAccount = (userId) => `wallet:${userId}`;
+
+const toPaise = (rupees) => Math.round(Number(rupees) * 100);
+
+const isDuplicateKey = (error, field) =>
+  error && error.code === 11000 && (!field || Object.keys(error.keyPattern || {}).includes(field));
+
+// Refresh the cached balance; never moves it back to an older sequence
+const syncBalanceCache = (userId, entry) => {
+  return User.updateOne(
+    {
+      _id: userId,
+      $or: [{ 'wallet.ledgerSeq': { $lt: entry.seq } }, { 'wallet.ledgerSeq': { $exists: false } }]
+    },
+    { $set: { 'wallet.balance': entry.balanceAfter / 100, 'wallet.ledgerSeq': entry.seq } }
+  );
+};
+
+/**
+ * Latest wallet entry for a user. Wallets funded before the ledger existed
+ * get an opening-balance entry from their cached balance first.
+ * @returns {Promise<{ seq: number, balance: number }>} balance in paise
+ */
+const getWalletHead = async (userId) => {
+  const latest = await WalletLedger.findOne({ account: walletAccount(userId), seq: { $type: 'number' } })
+    .sort({ seq: -1 })
+    .select('seq balanceAfter');
+  if (latest) return { seq: latest.seq, balance: latest.balanceAfter };
+
+  const user = await User.findById(userId).select('wallet.balance');
+  if (!user) {
+    throw createWalletError(WALLET_ERROR_CODES.USER_NOT_FOUND, 'User not found');
+  }
+
+  const opening = toPaise(user.wallet?.balance || 0);
+  if (opening <= 0) return { seq: 0, balance: 0 };
+
+  try {
+    await WalletLedger.insertMany([
+      {
+        key: `opening:${userId}`,
+        entryType: 'credit',
+        account: walletAccount(userId),
+        counterAccount: LEDGER_ACCOUNTS.OPENING,
+        user: userId,
+        amount: opening,
+        seq: 1,
+        balanceAfter: opening,
+        type: 'opening_balance',
+        description: 'Opening balance carried over to the wallet ledger'
+      },
+      {
+        key: `opening:${userId}`,
+        entryType: 'debit',
+        account: LEDGER_ACCOUNTS.OPENING,
+        counterAccount: walletAccount(userId),
+        amount: opening,
+        type: 'opening_balance',
+        description: `Opening balance for wallet ${userId}`
+      }
+    ], { ordered: true });
+  } catch (error) {
+    if (!isDuplicateKey(error)) throw error;
+  }
+  return getWalletHead(userId);
+};
+
+/**
+ * Post a wallet credit or debit with its counter entry
+ * @param {Object} params
+ * @param {*} params.userId - Wallet owner
+ * @param {string} params.direction - 'credit' (money in) | 'debit' (money out)
+ * @param {number} params.amount - Amount in paise
+ * @param {string} params.type - Ledger entry type (topup, refund, ride_payment, ...)
+ * @param {string} params.key - Idempotency key; reposting the same key returns the original entry
+ * @param {string} params.counterAccount - System account on the other side
+ * @param {string} [params.description]
+ * @param {*} [params.payment] - Linked Payment id
+ * @param {*} [params.ride] - Linked Ride id
+ * @returns {Promise<Object>} { entry, balance (paise), balanceRs, duplicate }
+ */
+const postWalletEntry = async ({ userId, direction, amount, type, key, counterAccount, description, payment = null, ride = null }) => {
+  if (!Number.isInteger(amount) || amount <= 0) {
+    throw createWalletError(WALLET_ERROR_CODES.INVALID_AMOUNT, 'Amount must be a positive number of paise', { amount });
+  }
+
+  const account = walletAccount(userId);
+
+  for (let attempt = 0; attempt < WALLET_CONFIG.maxRetries; attempt++) {
+    const existing = await WalletLedger.findOne({ key, account });
+    if (existing) {
+      return { entry: existing, balance: existing.balanceAfter, balanceRs: existing.balanceAfter / 100, duplicate: true };
+    }
+
+    const head = await getWalletHead(userId);
+    const balanceAfter = direction === 'credit' ? head.balance + amount : head.balance - amount;
+    if (balanceAfter < 0) {
+      throw createWalletError(WALLET_ERROR_CODES.INSUFFICIENT_BALANCE, 'Insufficient wallet balance', {
+        balance: head.balance,
+        balanceRs: head.balance / 100,
+        required: amount
+      });
+    }
+
+    const shared = { key, type, description, payment, ride, amount };
+    try {
+      const [entry] = await WalletLedger.insertMany([
+        {
+          ...shared,
+          entryType: direction,
+          account,
+          counterAccount,
+          user: userId,
+          seq: head.seq + 1,
+          balanceAfter
+        },
+        {
+          ...shared,
+          entryType: direction === 'credit' ? 'debit' : 'credit',
+          account: counterAccount,
+          counterAccount: account
+        }
+      ], { ordered: true });
+
+      await syncBalanceCache(userId, entry);
+      return { entry, balance: balanceAfter, balanceRs: balanceAfter / 100, duplicate: false };
+    } catch (error) {
+      // Another posting took this sequence number (or this key) first: re-read and retry
+      if (!isDuplicateKey(error)) throw error;
+    }
+  }
+
+  throw createWalletError(WALLET_ERROR_CODES.CONFLICT, 'Wallet is busy, please retry');
+};
+
+// Money into a wallet
+const creditWallet = (params) => postWalletEntry({ ...params, direction: 'credit' });
+
+// Money out of a wallet (fails with WALLET_INSUFFICIENT_BALANCE rather than going negative)
+const debitWallet = (params) => postWalletEntry({ ...params, direction: 'debit' });
+
+/**
+ * Wallet balance from the ledger
+ * @param {*} userId
+ * @returns {Promise<number>} balance in paise
+ */
+const getWalletBalance = async (userId) => (await getWalletHead(userId)).balance;
+
+/**
+ * Paginated wallet statement, newest first
+ * @param {Object} params
+ * @param {*} params.userId
+ * @param {number} [params.page]
+ * @param {number} [params.limit] - Page size (0 = everything, for exports)
+ * @param {string|Date} [params.from]
+ * @param {string|Date} [params.to]
+ * @param {string} [params.type] - Only this entry type
+ * @returns {Promise<Object>} { balance, balanceRs, entries, pagination }
+ */
+const getWalletStatement = async ({ userId, page = 1, limit = 20, from, to, type }) => {
+  const filter = { account: walletAccount(userId), seq: { $type: 'number' } };
+  if (type) filter.type = type;
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+  }
+
+  const pageNumber = parseInt(page) || 1;
+  const pageSize = parseInt(limit) || 0;
+
+  let query = WalletLedger.find(filter)
+    .sort({ seq: -1 })
+    .populate('ride', 'pickup.address destination.address status')
+    .populate('payment', 'type method status razorpay.paymentId');
+  if (pageSize > 0) {
+    query = query.skip((pageNumber - 1) * pageSize).limit(pageSize);
+  }
+
+  const [entries, total, balance] = await Promise.all([
+    query,
+    WalletLedger.countDocuments(filter),
+    getWalletBalance(userId)
+  ]);
+
+  return {
+    balance,
+    balanceRs: balance / 100,
+    entries: entries.map((entry) => ({
+      id: entry._id,
+      date: entry.createdAt,
+      type: entry.type,
+      direction: entry.entryType,
+      amount: entry.amount,
+      amountRs: entry.amount / 100,
+      balanceAfter: entry.balanceAfter,
+      balanceAfterRs: entry.balanceAfter / 100,
+      description: entry.description,
+      ride: entry.ride,
+      payment: entry.payment
+    })),
+    pagination: {
+      current: pageNumber,
+      pages: pageSize > 0 ? Math.ceil(total / pageSize) : 1,
+      total
+    }
+  };
+};
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Render statement entries as CSV
+ * @param {Array} entries - From getWalletStatement
+ * @returns {string}
+ */
+const statementToCsv = (entries) => {
+  const header = ['Date', 'Type', 'Direction', 'Amount (INR)', 'Balance (INR)', 'Description', 'Ride', 'Payment'];
+  const rows = entries.map((entry) => [
+    new Date(entry.date).toISOString(),
+    entry.type,
+    entry.direction,
+    entry.amountRs.toFixed(2),
+    entry.balanceAfterRs.toFixed(2),
+    entry.description,
+    entry.ride?._id || entry.ride,
+    entry.payment?._id || entry.payment
+  ]);
+  return [header, ...rows].map((row) => row.map(csvCell).join(',')).join('\n');
+};
+
+/**
+ * Compare every cached wallet balance with the ledger.
+ * Caches that only lag behind the ledger are refreshed; any other
+ * difference is reported for investigation.
+ * @returns {Promise<Object>} { checked, refreshed, mismatches }
+ */
+const reconcileWallets = async () => {
+  const heads = await WalletLedger.aggregate([
+    { $match: { seq: { $type: 'number' } } },
+    {
+      $group: {
+        _id: '$user',
+        seq: { $max: '$seq' },
+        entries: { $sum: 1 },
+        credits: { $sum: { $cond: [{ $eq: ['$entryType', 'credit'] }, '$amount', 0] } },
+        debits: { $sum: { $cond: [{ $eq: ['$entryType', 'debit'] }, '$amount', 0] } },
+        last: { $top: { sortBy: { seq: -1 }, output: '$balanceAfter' } }
+      }
+    }
+  ]);
+
+  const mismatches = [];
+  let refreshed = 0;
+
+  for (const head of heads) {
+    const ledgerBalance = head.credits - head.debits;
+    if (head.entries !== head.seq || ledgerBalance !== head.last) {
+      mismatches.push({ userId: head._id, issue: 'ledger_gap', ledgerBalance, lastBalanceAfter: head.last, seq: head.seq, entries: head.entries });
+      continue;
+    }
+
+    const user = await User.findById(head._id).select('wallet.balance wallet.ledgerSeq');
+    if (!user) continue;
+
+    const cached = toPaise(user.wallet?.balance || 0);
+    if (cached === ledgerBalance) continue;
+
+    if ((user.wallet?.ledgerSeq || 0) < head.seq) {
+      await syncBalanceCache(head._id, { seq: head.seq, balanceAfter: ledgerBalance });
+      refreshed++;
+    } else {
+      mismatches.push({ userId: head._id, issue: 'balance_mismatch', cachedBalance: cached, ledgerBalance, seq: head.seq });
+    }
+  }
+
+  // Balances nobody has posted against yet are adopted as opening balances
+  const unledgered = await User.find({
+    'wallet.balance': { $gt: 0 },
+    _id: { $nin: heads.map((head) => head._id) }
+  }).select('_id');
+  for (const user of unledgered) {
+    await getWalletHead(user._id);
+  }
+
+  return { checked: heads.length, refreshed, opened: unledgered.length, mismatches };
+};
+
+/**
+ * Start the nightly wallet reconciliation job
+ * @returns {Object} node-cron task
+ */
+const startWalletReconciliation = () => {
+  let running = false;
+
+  const task = cron.schedule(WALLET_CONFIG.reconcileCron, async () => {
+    if (running) return;
+    running = true;
+    try {
+      const result = await reconcileWallets();
+      if (result.mismatches.length) {
+        console.error('❌ Wallet reconciliation mismatches:', JSON.stringify(result.mismatches));
+      }
+      console.log(`💰 Wallet reconciliation: ${result.checked} wallets checked, ${result.refreshed} caches refreshed, ${result.opened} opened`);
+    } catch (error) {
+      console.error('❌ Wallet reconciliation error:', error.message);
+    } finally {
+      running = false;
+    }
+  });
+
+  console.log('💰 Wallet reconciliation scheduled');
+  return task;
+};
+
+module.exports = {
+  LEDGER_ACCOUNTS,
+  WALLET_ERROR_CODES,
+  toPaise,
+  creditWallet,
+  debitWallet,
+  getWalletBalance,
+  getWalletStatement,
+  statementToCsv,
+  reconcileWallets,
+  startWalletReconciliation,
+  isWalletError,
+  sendWalletError
+};